@@ -2,11 +2,10 @@
  * Script to generate random avatar images for all users
  */
 
-const fs = require('fs');
-const path = require('path');
 const https = require('https');
 const { initializeDatabase } = require('./src/config/database');
 const User = require('./src/models/User');
+const storage = require('./src/utils/storage');
 
 // Avatar styles and configurations
 const avatarStyles = [
@@ -34,19 +33,17 @@ const avatarStyles = [
 ];
 
 // Function to download image from URL
-function downloadImage(url, filepath) {
+function downloadImage(url) {
   return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(filepath);
     https.get(url, (response) => {
-      response.pipe(file);
-      file.on('finish', () => {
-        file.close();
-        resolve();
-      });
-    }).on('error', (err) => {
-      fs.unlink(filepath, () => {}); // Delete the file async
-      reject(err);
-    });
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Download failed with status ${response.statusCode}`));
+      }
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+    }).on('error', reject);
   });
 }
 
@@ -69,17 +66,6 @@ async function generateAvatarsForAllUsers() {
     const users = await User.findAll();
     console.log(`📋 Found ${users.length} users to generate avatars for`);
 
-    // Ensure uploads/avatars directory exists
-    const uploadsDir = path.join(__dirname, 'uploads');
-    const avatarsDir = path.join(uploadsDir, 'avatars');
-
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-    if (!fs.existsSync(avatarsDir)) {
-      fs.mkdirSync(avatarsDir, { recursive: true });
-    }
-
     console.log('🎨 Generating random avatars...');
 
     for (const user of users) {
@@ -89,23 +75,23 @@ async function generateAvatarsForAllUsers() {
         const seed = generateSeed();
         const size = 200; // 200x200 pixels
 
-        // Create filename
-        const filename = `user_${user.id}_${seed}.png`;
-        const filepath = path.join(avatarsDir, filename);
+        // Create storage key
+        const key = `avatars/user_${user.id}_${seed}.png`;
 
         // Generate avatar URL from DiceBear API
         const avatarUrl = `https://api.dicebear.com/7.x/${style}/png?seed=${seed}&size=${size}&backgroundColor=transparent`;
 
         console.log(`📥 Downloading avatar for ${user.username} (${style} style)...`);
 
-        // Download the avatar image
-        await downloadImage(avatarUrl, filepath);
+        // Download the avatar image and store it with the configured driver
+        const image = await downloadImage(avatarUrl);
+        await storage.put(key, image, { contentType: 'image/png' });
 
-        // Update user with avatar URL (relative path)
-        const relativeAvatarUrl = `/uploads/avatars/${filename}`;
-        await user.update({ avatar_url: relativeAvatarUrl });
+        // Avatars are public, so the user keeps the permanent URL
+        const storedAvatarUrl = storage.getUrl(key);
+        await user.update({ avatar_url: storedAvatarUrl });
 
-        console.log(`✅ Generated avatar for ${user.username}: ${relativeAvatarUrl}`);
+        console.log(`✅ Generated avatar for ${user.username}: ${storedAvatarUrl}`);
 
         // Small delay to be respectful to the API
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -116,12 +102,7 @@ async function generateAvatarsForAllUsers() {
     }
 
     console.log('🎉 Avatar generation completed!');
-    console.log(`📂 Avatars saved to: ${avatarsDir}`);
-
-    // List generated files
-    const files = fs.readdirSync(avatarsDir);
-    console.log(`📊 Generated ${files.length} avatar files:`);
-    files.forEach(file => console.log(`   - ${file}`));
+    console.log(`📂 Avatars stored with the ${storage.getDriver().name} storage driver`);
 
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,159 @@
+/**
+ * Admin routes tests
+ * Tests granting and revoking roles and the staff listing
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectValidationError,
+  expectAuthError,
+  expectAuthorizationError,
+  expectNotFoundError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+
+// Import routes
+const adminRoutes = require('../routes/admin');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+describe('Admin Routes', () => {
+  let admin, moderator, member, adminToken, moderatorToken, memberToken;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    admin = await createTestUser({ role: 'admin' });
+    moderator = await createTestUser({ role: 'moderator' });
+    member = await createTestUser();
+
+    adminToken = generateTestToken(admin);
+    moderatorToken = generateTestToken(moderator);
+    memberToken = generateTestToken(member);
+  });
+
+  const roleOf = async (userId) => {
+    const result = await query('SELECT role FROM users WHERE id = $1', [userId]);
+    return result.rows[0].role;
+  };
+
+  describe('PUT /api/admin/users/:id/role', () => {
+    it('should grant a role', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${member.id}/role`)
+        .set('Authorization', authHeader(adminToken))
+        .send({ role: 'moderator' });
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.role).toBe('moderator');
+      expect(body.data).not.toHaveProperty('password_hash');
+      expect(await roleOf(member.id)).toBe('moderator');
+    });
+
+    it('should let a newly granted admin manage roles immediately', async () => {
+      await request(app)
+        .put(`/api/admin/users/${member.id}/role`)
+        .set('Authorization', authHeader(adminToken))
+        .send({ role: 'admin' })
+        .expect(200);
+
+      // The token was issued before the grant; the role is read from the database
+      const response = await request(app)
+        .put(`/api/admin/users/${moderator.id}/role`)
+        .set('Authorization', authHeader(memberToken))
+        .send({ role: 'user' });
+
+      expectSuccessResponse(response);
+      expect(await roleOf(moderator.id)).toBe('user');
+    });
+
+    it('should reject unknown roles', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${member.id}/role`)
+        .set('Authorization', authHeader(adminToken))
+        .send({ role: 'superuser' });
+
+      expectValidationError(response);
+    });
+
+    it('should only allow admins', async () => {
+      const asModerator = await request(app)
+        .put(`/api/admin/users/${member.id}/role`)
+        .set('Authorization', authHeader(moderatorToken))
+        .send({ role: 'moderator' });
+      expectAuthorizationError(asModerator);
+
+      const anonymous = await request(app)
+        .put(`/api/admin/users/${member.id}/role`)
+        .send({ role: 'moderator' });
+      expectAuthError(anonymous);
+
+      expect(await roleOf(member.id)).toBe('user');
+    });
+
+    it('should return 404 for unknown users', async () => {
+      const response = await request(app)
+        .put('/api/admin/users/999999/role')
+        .set('Authorization', authHeader(adminToken))
+        .send({ role: 'moderator' });
+
+      expectNotFoundError(response);
+    });
+  });
+
+  describe('DELETE /api/admin/users/:id/role', () => {
+    it('should revoke a role', async () => {
+      const response = await request(app)
+        .delete(`/api/admin/users/${moderator.id}/role`)
+        .set('Authorization', authHeader(adminToken));
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.role).toBe('user');
+      expect(await roleOf(moderator.id)).toBe('user');
+    });
+
+    it('should not demote the last admin', async () => {
+      const response = await request(app)
+        .delete(`/api/admin/users/${admin.id}/role`)
+        .set('Authorization', authHeader(adminToken));
+
+      expectErrorResponse(response, 400, 'LAST_ADMIN');
+      expect(await roleOf(admin.id)).toBe('admin');
+    });
+
+    it('should allow demoting an admin when another remains', async () => {
+      const second = await createTestUser({ role: 'admin' });
+
+      const response = await request(app)
+        .delete(`/api/admin/users/${admin.id}/role`)
+        .set('Authorization', authHeader(generateTestToken(second)));
+
+      expectSuccessResponse(response);
+      expect(await roleOf(admin.id)).toBe('user');
+    });
+  });
+
+  describe('GET /api/admin/staff', () => {
+    it('should list moderators and admins', async () => {
+      const response = await request(app)
+        .get('/api/admin/staff')
+        .set('Authorization', authHeader(adminToken));
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.users.map(u => u.id)).toEqual([admin.id, moderator.id]);
+      expect(body.data.roles).toEqual(['user', 'moderator', 'admin']);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,220 @@
+/**
+ * Post archiving tests
+ * Tests the archive/unarchive endpoints, leaving archived posts out of lists,
+ * the owner-only archived listing and closing archived posts to comments and reactions
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestComment,
+  createTestFollow
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectNotFoundError,
+  expectValidationError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+
+// Import routes
+const postRoutes = require('../routes/posts');
+const userRoutes = require('../routes/users');
+const commentRoutes = require('../routes/comments');
+const reactionRoutes = require('../routes/reactions');
+const feedRoutes = require('../routes/feed');
+const searchRoutes = require('../routes/search');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/reactions', reactionRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/search', searchRoutes);
+
+describe('Post archiving', () => {
+  let author, other;
+  let authorToken, otherToken;
+  let post;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    author = await createTestUser();
+    other = await createTestUser();
+    authorToken = generateTestToken(author);
+    otherToken = generateTestToken(other);
+
+    post = await createTestPost(author.id, { content: 'Old news about gardening' });
+  });
+
+  const archive = (postId, token = authorToken) => request(app)
+    .post(`/api/posts/${postId}/archive`)
+    .set('Authorization', authHeader(token));
+
+  const unarchive = (postId, token = authorToken) => request(app)
+    .post(`/api/posts/${postId}/unarchive`)
+    .set('Authorization', authHeader(token));
+
+  describe('POST /api/posts/:id/archive', () => {
+    it('should archive the author\'s post', async () => {
+      const body = expectSuccessResponse(await archive(post.id));
+
+      expect(body.message).toBe('Post archived');
+      expect(body.data.is_archived).toBe(true);
+    });
+
+    it('should only let the author archive', async () => {
+      expectErrorResponse(await archive(post.id, otherToken), 403, 'AUTHORIZATION_ERROR');
+    });
+
+    it('should not archive drafts', async () => {
+      const draft = await createTestPost(author.id, { is_published: false });
+
+      expectErrorResponse(await archive(draft.id), 400, 'VALIDATION_ERROR');
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).post(`/api/posts/${post.id}/archive`);
+      expectErrorResponse(response, 401);
+    });
+
+    it('should return 404 for a missing post', async () => {
+      expectNotFoundError(await archive(99999));
+    });
+
+    it('should validate the post ID', async () => {
+      expectValidationError(await archive('abc'));
+    });
+  });
+
+  describe('POST /api/posts/:id/unarchive', () => {
+    it('should restore an archived post to the lists', async () => {
+      await archive(post.id).expect(200);
+
+      const body = expectSuccessResponse(await unarchive(post.id));
+      expect(body.message).toBe('Post unarchived');
+      expect(body.data.is_archived).toBe(false);
+
+      const list = expectSuccessResponse(await request(app).get('/api/posts'));
+      expect(list.data.posts.map(p => p.id)).toEqual([post.id]);
+    });
+  });
+
+  describe('lists', () => {
+    let current;
+
+    beforeEach(async () => {
+      current = await createTestPost(author.id, { content: 'Fresh gardening tips' });
+      await archive(post.id).expect(200);
+    });
+
+    const listedIds = (body) => body.data.posts.map(p => p.id);
+
+    it('should leave archived posts out of GET /api/posts', async () => {
+      const body = expectSuccessResponse(await request(app).get('/api/posts'));
+      expect(listedIds(body)).toEqual([current.id]);
+    });
+
+    it('should leave archived posts out of the feed', async () => {
+      await createTestFollow(other.id, author.id);
+
+      const response = await request(app)
+        .get('/api/feed')
+        .set('Authorization', authHeader(otherToken));
+
+      expect(listedIds(expectSuccessResponse(response))).toEqual([current.id]);
+    });
+
+    it('should leave archived posts out of search', async () => {
+      const response = await request(app).get('/api/search?q=gardening&type=posts');
+
+      expect(listedIds(expectSuccessResponse(response))).toEqual([current.id]);
+    });
+
+    it('should leave archived posts out of the profile posts', async () => {
+      const body = expectSuccessResponse(await request(app).get(`/api/users/${author.id}/posts`));
+      expect(listedIds(body)).toEqual([current.id]);
+    });
+
+    it('should list archived posts for their author', async () => {
+      const response = await request(app)
+        .get(`/api/users/${author.id}/posts?archived=true`)
+        .set('Authorization', authHeader(authorToken));
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.posts.map(p => p.id)).toEqual([post.id]);
+      expect(body.data.posts[0].is_archived).toBe(true);
+    });
+
+    it('should not list archived posts for anyone else', async () => {
+      const response = await request(app)
+        .get(`/api/users/${author.id}/posts?archived=true`)
+        .set('Authorization', authHeader(otherToken));
+      expectErrorResponse(response, 403, 'AUTHORIZATION_ERROR');
+
+      const anonymous = await request(app).get(`/api/users/${author.id}/posts?archived=true`);
+      expectErrorResponse(anonymous, 403, 'AUTHORIZATION_ERROR');
+    });
+
+    it('should keep the post viewable by ID', async () => {
+      const body = expectSuccessResponse(await request(app).get(`/api/posts/${post.id}`));
+      expect(body.data.is_archived).toBe(true);
+    });
+  });
+
+  describe('comments and reactions', () => {
+    let comment;
+
+    beforeEach(async () => {
+      comment = await createTestComment(other.id, post.id);
+      await archive(post.id).expect(200);
+    });
+
+    it('should reject new comments', async () => {
+      const response = await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(otherToken))
+        .send({ post_id: post.id, content: 'Too late' });
+
+      expectErrorResponse(response, 403, 'POST_ARCHIVED');
+    });
+
+    it('should reject reactions on the post', async () => {
+      const response = await request(app)
+        .post(`/api/reactions/post/${post.id}`)
+        .set('Authorization', authHeader(otherToken))
+        .send({ emoji_name: 'like' });
+
+      expectErrorResponse(response, 403, 'POST_ARCHIVED');
+    });
+
+    it('should reject reactions on its comments', async () => {
+      const response = await request(app)
+        .post(`/api/reactions/comment/${comment.id}`)
+        .set('Authorization', authHeader(authorToken))
+        .send({ emoji_name: 'like' });
+
+      expectErrorResponse(response, 403, 'POST_ARCHIVED');
+    });
+
+    it('should accept comments again once unarchived', async () => {
+      await unarchive(post.id).expect(200);
+
+      const response = await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(otherToken))
+        .send({ post_id: post.id, content: 'Welcome back' });
+
+      expectSuccessResponse(response, 201);
+    });
+  });
+});
\ No newline at end of file
@@ -23,6 +23,8 @@ const {
   generateTestToken
 } = require('./testHelpers');
 
+const { config } = require('../../../config/app.config');
+
 // Import routes
 const authRoutes = require('../routes/auth');
 
@@ -319,7 +321,11 @@ describe('Authentication Routes', () => {
         });
 
       const body = expectSuccessResponse(response);
-      expect(body.data.expires_in).toBe('30d');
+      expect(body.data.expires_in).toBe(config.auth.jwt.expiresIn);
+
+      // Remember me extends the refresh session, not the access token
+      const days = (new Date(body.data.refresh_expires_at) - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(Math.round(days)).toBe(config.auth.refreshToken.rememberMeDays);
     });
 
     it('should validate required fields', async () => {
@@ -425,31 +431,58 @@ describe('Authentication Routes', () => {
   });
 
   describe('POST /api/auth/refresh', () => {
-    let testUser, token;
+    let testUser, login;
 
     beforeEach(async () => {
       testUser = await createTestUser();
-      token = generateTestToken(testUser);
+      login = (await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: testUser.username, password: 'TestPassword123!' })).body.data;
     });
 
-    it('should refresh token for authenticated user', async () => {
+    it('should issue new tokens for a valid refresh token', async () => {
       const response = await request(app)
         .post('/api/auth/refresh')
-        .set('Authorization', authHeader(token));
+        .send({ refresh_token: login.refresh_token });
 
       const body = expectSuccessResponse(response);
       expect(body.message).toBe('Token refreshed successfully');
       expect(body.data).toHaveProperty('token');
       expect(body.data).toHaveProperty('user');
 
-      // New token should be different from old token
-      expect(body.data.token).not.toBe(token);
+      // The refresh token is rotated on every use
+      expect(body.data.refresh_token).not.toBe(login.refresh_token);
 
       const user = expectUserStructure(body.data.user);
       expect(user.id).toBe(testUser.id);
     });
 
-    it('should reject refresh without authentication', async () => {
+    it('should accept the refresh token cookie', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: testUser.username, password: 'TestPassword123!' });
+
+      const refreshCookie = loginResponse.headers['set-cookie'].find(c => c.startsWith('refresh_token='));
+      expect(refreshCookie).toContain('HttpOnly');
+      expect(refreshCookie).toContain('Path=/api/auth');
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', refreshCookie.split(';')[0]);
+
+      expectSuccessResponse(response);
+    });
+
+    it('should not refresh from an access token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('Authorization', authHeader(login.token));
+
+      const error = expectErrorResponse(response, 401, 'AUTHENTICATION_ERROR');
+      expect(error.code).toBe('NO_REFRESH_TOKEN');
+    });
+
+    it('should reject refresh without a refresh token', async () => {
       const response = await request(app)
         .post('/api/auth/refresh');
 
@@ -562,6 +595,22 @@ describe('Authentication Routes', () => {
       expect(updatedUser.password_reset_expires).toBeNull();
     });
 
+    it('should invalidate tokens issued before the reset', async () => {
+      const oldToken = generateTestToken(testUser);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'NewPassword123!' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(oldToken));
+
+      const error = expectErrorResponse(response, 401, 'AUTHENTICATION_ERROR');
+      expect(error.code).toBe('TOKEN_REVOKED');
+    });
+
     it('should reject invalid reset token', async () => {
       const response = await request(app)
         .post('/api/auth/reset-password')
@@ -635,6 +684,18 @@ describe('Authentication Routes', () => {
 
       const body = expectSuccessResponse(response);
       expect(body.message).toBe('Password changed successfully');
+      expect(body.data).toHaveProperty('token');
+
+      // The old token is invalidated and the replacement works
+      const oldTokenResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(token));
+      expect(expectErrorResponse(oldTokenResponse, 401).code).toBe('TOKEN_REVOKED');
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(body.data.token))
+        .expect(200);
 
       // Verify user can login with new password
       const loginResponse = await request(app)
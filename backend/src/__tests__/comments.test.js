@@ -17,6 +17,8 @@ const {
   expectErrorResponse,
   expectValidationError,
   expectNotFoundError,
+  expectAuthError,
+  expectAuthorizationError,
   authHeader,
   generateTestToken
 } = require('./testHelpers');
@@ -388,6 +390,7 @@ describe('Comments Routes', () => {
 
       const response = await request(app)
         .put(`/api/comments/${comment.id}`)
+        .set('Authorization', authHeader(token1))
         .send(updateData);
 
       const body = expectSuccessResponse(response);
@@ -399,9 +402,47 @@ describe('Comments Routes', () => {
       expect(dbComment.content).toBe(updateData.content);
     });
 
+    it('should reject update without authentication', async () => {
+      const comment = await createTestComment(testUser1.id, testPost1.id);
+
+      const response = await request(app)
+        .put(`/api/comments/${comment.id}`)
+        .send({ content: 'Unauthorized update' });
+
+      expectAuthError(response);
+    });
+
+    it('should reject update by another user', async () => {
+      const comment = await createTestComment(testUser1.id, testPost1.id, {
+        content: 'Original content'
+      });
+
+      const response = await request(app)
+        .put(`/api/comments/${comment.id}`)
+        .set('Authorization', authHeader(token2))
+        .send({ content: 'Unauthorized update' });
+
+      expectAuthorizationError(response);
+      const dbComment = await models.Comment.findByPk(comment.id);
+      expect(dbComment.content).toBe('Original content');
+    });
+
+    it('should allow admin to update any comment', async () => {
+      const comment = await createTestComment(testUser1.id, testPost1.id);
+      const adminToken = generateTestToken(await createTestUser({ role: 'admin' }));
+
+      const response = await request(app)
+        .put(`/api/comments/${comment.id}`)
+        .set('Authorization', authHeader(adminToken))
+        .send({ content: 'Admin update' });
+
+      expect(expectSuccessResponse(response).data.content).toBe('Admin update');
+    });
+
     it('should return 404 for non-existent comment', async () => {
       const response = await request(app)
         .put('/api/comments/99999')
+        .set('Authorization', authHeader(token1))
         .send({ content: 'Updated content' });
 
       expectNotFoundError(response);
@@ -413,6 +454,7 @@ describe('Comments Routes', () => {
 
       const response = await request(app)
         .put(`/api/comments/${comment.id}`)
+        .set('Authorization', authHeader(token1))
         .send({ content: longContent });
 
       expectValidationError(response);
@@ -421,6 +463,7 @@ describe('Comments Routes', () => {
     it('should validate comment ID parameter', async () => {
       const response = await request(app)
         .put('/api/comments/invalid-id')
+        .set('Authorization', authHeader(token1))
         .send({ content: 'Updated content' });
 
       expectValidationError(response);
@@ -438,7 +481,8 @@ describe('Comments Routes', () => {
       });
 
       const response = await request(app)
-        .delete(`/api/comments/${comment.id}`);
+        .delete(`/api/comments/${comment.id}`)
+        .set('Authorization', authHeader(token1));
 
       const body = expectSuccessResponse(response);
       expect(body.message).toContain('Comment deleted successfully');
@@ -453,23 +497,59 @@ describe('Comments Routes', () => {
       const comment = await createTestComment(testUser1.id, testPost1.id);
 
       const response = await request(app)
-        .delete(`/api/comments/${comment.id}`);
+        .delete(`/api/comments/${comment.id}`)
+        .set('Authorization', authHeader(token1));
 
       const body = expectSuccessResponse(response);
       expect(body.message).toBe('Comment deleted successfully');
       expect(body.message).not.toContain('replies');
     });
 
+    it('should reject deletion without authentication', async () => {
+      const comment = await createTestComment(testUser1.id, testPost1.id);
+
+      const response = await request(app)
+        .delete(`/api/comments/${comment.id}`);
+
+      expectAuthError(response);
+      expect(await models.Comment.findByPk(comment.id)).not.toBeNull();
+    });
+
+    it('should reject deletion by another user', async () => {
+      const comment = await createTestComment(testUser1.id, testPost1.id);
+
+      const response = await request(app)
+        .delete(`/api/comments/${comment.id}`)
+        .set('Authorization', authHeader(token2));
+
+      expectAuthorizationError(response);
+      expect(await models.Comment.findByPk(comment.id)).not.toBeNull();
+    });
+
+    it('should allow moderators to delete any comment', async () => {
+      const comment = await createTestComment(testUser1.id, testPost1.id);
+      const moderatorToken = generateTestToken(await createTestUser({ role: 'moderator' }));
+
+      const response = await request(app)
+        .delete(`/api/comments/${comment.id}`)
+        .set('Authorization', authHeader(moderatorToken));
+
+      expectSuccessResponse(response);
+      expect(await models.Comment.findByPk(comment.id)).toBeNull();
+    });
+
     it('should return 404 for non-existent comment', async () => {
       const response = await request(app)
-        .delete('/api/comments/99999');
+        .delete('/api/comments/99999')
+        .set('Authorization', authHeader(token1));
 
       expectNotFoundError(response);
     });
 
     it('should validate comment ID parameter', async () => {
       const response = await request(app)
-        .delete('/api/comments/invalid-id');
+        .delete('/api/comments/invalid-id')
+        .set('Authorization', authHeader(token1));
 
       expectValidationError(response);
     });
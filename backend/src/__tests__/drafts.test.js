@@ -0,0 +1,310 @@
+/**
+ * Drafts and scheduled publishing tests
+ * Tests saving drafts, the drafts list, scheduling, publishing drafts and the
+ * scheduler publishing posts that are due
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectValidationError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+const { scheduler } = require('../utils/publishing');
+
+// Import routes
+const postRoutes = require('../routes/posts');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+
+describe('Drafts and scheduled posts', () => {
+  const originalNotifications = config.features.enableNotifications;
+  let author, other, mentioned, admin;
+  let authorToken, otherToken, adminToken;
+
+  beforeEach(async () => {
+    await clearTables();
+    config.features.enableNotifications = true;
+
+    author = await createTestUser();
+    other = await createTestUser();
+    mentioned = await createTestUser();
+    admin = await createTestUser({ role: 'admin' });
+
+    authorToken = generateTestToken(author);
+    otherToken = generateTestToken(other);
+    adminToken = generateTestToken(admin);
+  });
+
+  afterEach(() => {
+    config.features.enableNotifications = originalNotifications;
+  });
+
+  const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+  const createPost = (data, token = authorToken) => request(app)
+    .post('/api/posts')
+    .set('Authorization', authHeader(token))
+    .send(data);
+
+  const updatePost = (postId, data, token = authorToken) => request(app)
+    .put(`/api/posts/${postId}`)
+    .set('Authorization', authHeader(token))
+    .send(data);
+
+  const getDrafts = (token = authorToken) => request(app)
+    .get('/api/posts/drafts')
+    .set('Authorization', authHeader(token));
+
+  const getMentionNotifications = async () => {
+    const result = await query(
+      "SELECT * FROM notifications WHERE user_id = $1 AND type = 'mention'",
+      [mentioned.id]
+    );
+    return result.rows;
+  };
+
+  const getHashtags = async (postId) => {
+    const result = await query(
+      'SELECT h.tag FROM post_hashtags ph JOIN hashtags h ON ph.hashtag_id = h.id WHERE ph.post_id = $1',
+      [postId]
+    );
+    return result.rows.map(row => row.tag);
+  };
+
+  /**
+   * Move a scheduled post's publish time into the past
+   */
+  const makeDue = (postId) => query(
+    "UPDATE posts SET publish_at = NOW() - INTERVAL '1 minute' WHERE id = $1",
+    [postId]
+  );
+
+  describe('POST /api/posts', () => {
+    it('should save a draft without publishing it', async () => {
+      const response = await createPost({
+        content: `Draft for @${mentioned.username} #plans`,
+        is_published: false
+      });
+
+      const body = expectSuccessResponse(response, 201);
+      expect(body.message).toBe('Draft saved');
+      expect(body.data.is_published).toBe(false);
+      expect(body.data.publish_at).toBeNull();
+
+      // Nothing is indexed or announced until the draft is published
+      expect(await getHashtags(body.data.id)).toHaveLength(0);
+      expect(await getMentionNotifications()).toHaveLength(0);
+    });
+
+    it('should schedule a post', async () => {
+      const publishAt = inHours(2);
+      const response = await createPost({ content: 'Later', publish_at: publishAt });
+
+      const body = expectSuccessResponse(response, 201);
+      expect(body.message).toBe('Post scheduled');
+      expect(body.data.is_published).toBe(false);
+      expect(new Date(body.data.publish_at).toISOString()).toBe(publishAt);
+    });
+
+    it('should still publish posts straight away by default', async () => {
+      const response = await createPost({ content: 'Now' });
+
+      const body = expectSuccessResponse(response, 201);
+      expect(body.message).toBe('Post created successfully');
+      expect(body.data.is_published).toBe(true);
+    });
+
+    it('should reject a publish time in the past', async () => {
+      expectValidationError(await createPost({ content: 'Too late', publish_at: inHours(-1) }));
+    });
+
+    it('should reject a publish time beyond the scheduling window', async () => {
+      const days = config.scheduler.maxScheduleDays + 1;
+      expectValidationError(await createPost({ content: 'Too early', publish_at: inHours(days * 24) }));
+    });
+
+    it('should reject publishing and scheduling at once', async () => {
+      const response = await createPost({ content: 'Both', is_published: true, publish_at: inHours(1) });
+      expectErrorResponse(response, 400, 'VALIDATION_ERROR');
+    });
+
+    it('should keep drafts out of other users\' view', async () => {
+      const body = expectSuccessResponse(await createPost({ content: 'Secret draft', is_published: false }), 201);
+
+      const response = await request(app)
+        .get(`/api/posts/${body.data.id}`)
+        .set('Authorization', authHeader(otherToken));
+      expectErrorResponse(response, 403, 'AUTHORIZATION_ERROR');
+
+      const list = expectSuccessResponse(await request(app).get('/api/posts'));
+      expect(list.data.posts).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/posts/drafts', () => {
+    it('should list scheduled drafts by publish time, then other drafts', async () => {
+      await createPost({ content: 'Unscheduled', is_published: false });
+      await createPost({ content: 'Second', publish_at: inHours(5) });
+      await createPost({ content: 'First', publish_at: inHours(1) });
+      await createPost({ content: 'Published' });
+
+      const body = expectSuccessResponse(await getDrafts());
+
+      expect(body.data.posts.map(post => post.content)).toEqual(['First', 'Second', 'Unscheduled']);
+      expect(body.data.pagination.total_count).toBe(3);
+    });
+
+    it('should only list the user\'s own drafts', async () => {
+      await createPost({ content: 'Mine', is_published: false });
+
+      const body = expectSuccessResponse(await getDrafts(otherToken));
+      expect(body.data.posts).toHaveLength(0);
+    });
+
+    it('should leave out posts a moderator unpublished', async () => {
+      const post = await createTestPost(author.id, { is_published: false });
+      await query(
+        "INSERT INTO moderation_actions (moderator_id, action, target_type, target_id) VALUES ($1, 'unpublish', 'post', $2)",
+        [admin.id, post.id]
+      );
+
+      const body = expectSuccessResponse(await getDrafts());
+      expect(body.data.posts).toHaveLength(0);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/posts/drafts');
+      expectErrorResponse(response, 401);
+    });
+  });
+
+  describe('PUT /api/posts/:id', () => {
+    let draft;
+
+    beforeEach(async () => {
+      const body = expectSuccessResponse(
+        await createPost({ content: `Hello @${mentioned.username} #launch`, is_published: false }),
+        201
+      );
+      draft = body.data;
+    });
+
+    it('should edit a draft without recording revisions', async () => {
+      const response = await updatePost(draft.id, { content: 'Reworded draft' });
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.content).toBe('Reworded draft');
+      expect(body.data.is_edited).toBe(false);
+
+      const revisions = await query('SELECT * FROM post_revisions WHERE post_id = $1', [draft.id]);
+      expect(revisions.rows).toHaveLength(0);
+    });
+
+    it('should publish a draft and announce it', async () => {
+      const response = await updatePost(draft.id, { is_published: true });
+
+      const body = expectSuccessResponse(response);
+      expect(body.message).toBe('Post published');
+      expect(body.data.is_published).toBe(true);
+      expect(await getHashtags(draft.id)).toEqual(['launch']);
+      expect(await getMentionNotifications()).toHaveLength(1);
+    });
+
+    it('should schedule, reschedule and unschedule a draft', async () => {
+      const first = expectSuccessResponse(await updatePost(draft.id, { publish_at: inHours(1) }));
+      expect(first.data.publish_at).toBeTruthy();
+
+      const later = inHours(3);
+      const second = expectSuccessResponse(await updatePost(draft.id, { publish_at: later }));
+      expect(new Date(second.data.publish_at).toISOString()).toBe(later);
+
+      const cleared = expectSuccessResponse(await updatePost(draft.id, { publish_at: null }));
+      expect(cleared.data.publish_at).toBeNull();
+      expect(cleared.data.is_published).toBe(false);
+    });
+
+    it('should not schedule a published post', async () => {
+      const post = await createTestPost(author.id);
+
+      const response = await updatePost(post.id, { publish_at: inHours(1) });
+      expectErrorResponse(response, 400, 'VALIDATION_ERROR');
+    });
+
+    it('should not turn a published post back into a draft', async () => {
+      const post = await createTestPost(author.id);
+
+      const response = await updatePost(post.id, { is_published: false });
+      expectErrorResponse(response, 400, 'VALIDATION_ERROR');
+    });
+
+    it('should only let the author publish', async () => {
+      const response = await updatePost(draft.id, { is_published: true }, adminToken);
+      expectErrorResponse(response, 403, 'AUTHORIZATION_ERROR');
+    });
+
+    it('should not republish a post a moderator unpublished', async () => {
+      const post = await createTestPost(author.id, { is_published: false });
+      await query(
+        "INSERT INTO moderation_actions (moderator_id, action, target_type, target_id) VALUES ($1, 'unpublish', 'post', $2)",
+        [admin.id, post.id]
+      );
+
+      const response = await updatePost(post.id, { is_published: true });
+      expectErrorResponse(response, 403, 'AUTHORIZATION_ERROR');
+    });
+  });
+
+  describe('scheduler', () => {
+    it('should publish and announce posts that are due', async () => {
+      const body = expectSuccessResponse(
+        await createPost({ content: `Scheduled @${mentioned.username} #news`, publish_at: inHours(1) }),
+        201
+      );
+      await makeDue(body.data.id);
+
+      const published = await scheduler.run();
+
+      expect(published.map(post => post.id)).toEqual([body.data.id]);
+      const result = await query('SELECT is_published, publish_at FROM posts WHERE id = $1', [body.data.id]);
+      expect(result.rows[0].is_published).toBe(true);
+      expect(result.rows[0].publish_at).toBeNull();
+      expect(await getHashtags(body.data.id)).toEqual(['news']);
+      expect(await getMentionNotifications()).toHaveLength(1);
+    });
+
+    it('should leave posts that are not yet due', async () => {
+      await createPost({ content: 'Not yet', publish_at: inHours(1) });
+
+      expect(await scheduler.run()).toHaveLength(0);
+    });
+
+    it('should leave unscheduled drafts alone', async () => {
+      await createPost({ content: 'Just a draft', is_published: false });
+
+      expect(await scheduler.run()).toHaveLength(0);
+    });
+
+    it('should publish each post only once', async () => {
+      const body = expectSuccessResponse(await createPost({ content: 'Once', publish_at: inHours(1) }), 201);
+      await makeDue(body.data.id);
+
+      const [first, second] = await Promise.all([scheduler.run(), scheduler.run()]);
+
+      expect(first.length + second.length).toBe(1);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Feed routes tests
+ * Tests the personalized timeline, its privacy rules and cursor pagination
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestFollow,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectValidationError,
+  expectAuthError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+
+// Import routes
+const feedRoutes = require('../routes/feed');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/feed', feedRoutes);
+
+describe('Feed Routes', () => {
+  let viewer, friend, stranger, viewerToken;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    viewer = await createTestUser();
+    friend = await createTestUser();
+    stranger = await createTestUser();
+
+    viewerToken = generateTestToken(viewer);
+
+    await createTestFollow(viewer.id, friend.id);
+  });
+
+  describe('GET /api/feed', () => {
+    it('should include own and friends\' posts but not strangers\'', async () => {
+      await createTestPost(viewer.id, { content: 'My post' });
+      await createTestPost(friend.id, { content: 'Friend post' });
+      await createTestPost(friend.id, { content: 'Friend friends-only post', privacy_level: 'friends' });
+      await createTestPost(stranger.id, { content: 'Stranger post' });
+
+      const response = await request(app)
+        .get('/api/feed')
+        .set('Authorization', authHeader(viewerToken));
+
+      const body = expectSuccessResponse(response);
+      const contents = body.data.posts.map(p => p.content);
+      expect(contents).toHaveLength(3);
+      expect(contents).toEqual(expect.arrayContaining(['My post', 'Friend post', 'Friend friends-only post']));
+      expect(body.data.posts[0]).toHaveProperty('author');
+      expect(body.data.posts[0]).toHaveProperty('reaction_counts');
+      expect(body.data.pagination.has_more).toBe(false);
+      expect(body.data.pagination.next_cursor).toBeNull();
+    });
+
+    it('should exclude private, unpublished and archived posts from friends', async () => {
+      await createTestPost(friend.id, { content: 'Private', privacy_level: 'private' });
+      await createTestPost(friend.id, { content: 'Draft', is_published: false });
+      await createTestPost(friend.id, { content: 'Archived', is_archived: true });
+
+      const response = await request(app)
+        .get('/api/feed')
+        .set('Authorization', authHeader(viewerToken));
+
+      expect(expectSuccessResponse(response).data.posts).toHaveLength(0);
+    });
+
+    it('should not include posts from pending requests', async () => {
+      await createTestFollow(viewer.id, stranger.id, { status: 'pending' });
+      await createTestPost(stranger.id, { content: 'Stranger post' });
+
+      const response = await request(app)
+        .get('/api/feed')
+        .set('Authorization', authHeader(viewerToken));
+
+      expect(expectSuccessResponse(response).data.posts).toHaveLength(0);
+    });
+
+    it('should page through the timeline with a cursor', async () => {
+      // Posts sharing a timestamp must still page without gaps or repeats
+      for (let i = 1; i <= 5; i++) {
+        await createTestPost(friend.id, { content: `Post ${i}` });
+      }
+      await query(`UPDATE posts SET created_at = '2024-01-01 12:00:00' WHERE content IN ('Post 2', 'Post 3')`);
+
+      const seen = [];
+      let cursor = null;
+      let pages = 0;
+
+      do {
+        const url = cursor ? `/api/feed?limit=2&cursor=${cursor}` : '/api/feed?limit=2';
+        const response = await request(app)
+          .get(url)
+          .set('Authorization', authHeader(viewerToken));
+
+        const body = expectSuccessResponse(response);
+        expect(body.data.posts.length).toBeLessThanOrEqual(2);
+        seen.push(...body.data.posts.map(p => p.content));
+        cursor = body.data.pagination.next_cursor;
+        pages++;
+      } while (cursor && pages < 10);
+
+      expect(pages).toBe(3);
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen).size).toBe(5);
+      expect(seen.slice(-2).sort()).toEqual(['Post 2', 'Post 3']);
+    });
+
+    it('should validate cursor and limit', async () => {
+      const badCursor = await request(app)
+        .get('/api/feed?cursor=not-a-cursor')
+        .set('Authorization', authHeader(viewerToken));
+      expectValidationError(badCursor);
+
+      const badLimit = await request(app)
+        .get('/api/feed?limit=500')
+        .set('Authorization', authHeader(viewerToken));
+      expectValidationError(badLimit);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/feed');
+
+      expectAuthError(response);
+    });
+  });
+});
\ No newline at end of file
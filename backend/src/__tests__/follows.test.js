@@ -0,0 +1,372 @@
+/**
+ * Follows routes tests
+ * Tests friend requests, accept/decline/unfriend and friends-only privacy on posts, comments and reactions
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestComment,
+  createTestFollow,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectValidationError,
+  expectAuthError,
+  expectAuthorizationError,
+  expectNotFoundError,
+  expectPaginatedResponse,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+
+// Import routes
+const followsRoutes = require('../routes/follows');
+const postsRoutes = require('../routes/posts');
+const commentsRoutes = require('../routes/comments');
+const reactionsRoutes = require('../routes/reactions');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/follows', followsRoutes);
+app.use('/api/posts', postsRoutes);
+app.use('/api/comments', commentsRoutes);
+app.use('/api/reactions', reactionsRoutes);
+
+describe('Follows Routes', () => {
+  let testUser1, testUser2, testUser3, token1, token2, token3;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    testUser1 = await createTestUser();
+    testUser2 = await createTestUser();
+    testUser3 = await createTestUser();
+
+    token1 = generateTestToken(testUser1);
+    token2 = generateTestToken(testUser2);
+    token3 = generateTestToken(testUser3);
+  });
+
+  describe('POST /api/follows/:userId', () => {
+    it('should send a pending friend request', async () => {
+      const response = await request(app)
+        .post(`/api/follows/${testUser2.id}`)
+        .set('Authorization', authHeader(token1));
+
+      const body = expectSuccessResponse(response, 201);
+      expect(body.data.follower_id).toBe(testUser1.id);
+      expect(body.data.following_id).toBe(testUser2.id);
+      expect(body.data.status).toBe('pending');
+    });
+
+    it('should accept the reverse request when one is already pending', async () => {
+      await createTestFollow(testUser2.id, testUser1.id, { status: 'pending' });
+
+      const response = await request(app)
+        .post(`/api/follows/${testUser2.id}`)
+        .set('Authorization', authHeader(token1));
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.status).toBe('accepted');
+
+      const rows = await query('SELECT * FROM follows');
+      expect(rows.rows).toHaveLength(1);
+    });
+
+    it('should reject duplicate requests', async () => {
+      await createTestFollow(testUser1.id, testUser2.id, { status: 'pending' });
+
+      const response = await request(app)
+        .post(`/api/follows/${testUser2.id}`)
+        .set('Authorization', authHeader(token1));
+
+      expectErrorResponse(response, 400, 'DUPLICATE_ERROR');
+    });
+
+    it('should reject requests to yourself', async () => {
+      const response = await request(app)
+        .post(`/api/follows/${testUser1.id}`)
+        .set('Authorization', authHeader(token1));
+
+      expectValidationError(response);
+    });
+
+    it('should return 404 for non-existent user', async () => {
+      const response = await request(app)
+        .post('/api/follows/99999')
+        .set('Authorization', authHeader(token1));
+
+      expectNotFoundError(response);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post(`/api/follows/${testUser2.id}`);
+
+      expectAuthError(response);
+    });
+  });
+
+  describe('POST /api/follows/:userId/accept', () => {
+    it('should accept an incoming request', async () => {
+      await createTestFollow(testUser1.id, testUser2.id, { status: 'pending' });
+
+      const response = await request(app)
+        .post(`/api/follows/${testUser1.id}/accept`)
+        .set('Authorization', authHeader(token2));
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.status).toBe('accepted');
+      expect(body.data.accepted_at).toBeTruthy();
+    });
+
+    it('should not let the sender accept their own request', async () => {
+      await createTestFollow(testUser1.id, testUser2.id, { status: 'pending' });
+
+      const response = await request(app)
+        .post(`/api/follows/${testUser2.id}/accept`)
+        .set('Authorization', authHeader(token1));
+
+      expectNotFoundError(response);
+    });
+  });
+
+  describe('POST /api/follows/:userId/decline', () => {
+    it('should decline and remove an incoming request', async () => {
+      await createTestFollow(testUser1.id, testUser2.id, { status: 'pending' });
+
+      const response = await request(app)
+        .post(`/api/follows/${testUser1.id}/decline`)
+        .set('Authorization', authHeader(token2));
+
+      expectSuccessResponse(response);
+
+      const rows = await query('SELECT * FROM follows');
+      expect(rows.rows).toHaveLength(0);
+    });
+
+    it('should return 404 when there is no pending request', async () => {
+      const response = await request(app)
+        .post(`/api/follows/${testUser1.id}/decline`)
+        .set('Authorization', authHeader(token2));
+
+      expectNotFoundError(response);
+    });
+  });
+
+  describe('DELETE /api/follows/:userId', () => {
+    it('should unfriend from either side', async () => {
+      await createTestFollow(testUser1.id, testUser2.id);
+
+      const response = await request(app)
+        .delete(`/api/follows/${testUser1.id}`)
+        .set('Authorization', authHeader(token2));
+
+      const body = expectSuccessResponse(response);
+      expect(body.message).toBe('Friend removed successfully');
+
+      const rows = await query('SELECT * FROM follows');
+      expect(rows.rows).toHaveLength(0);
+    });
+
+    it('should let the sender cancel a pending request', async () => {
+      await createTestFollow(testUser1.id, testUser2.id, { status: 'pending' });
+
+      const response = await request(app)
+        .delete(`/api/follows/${testUser2.id}`)
+        .set('Authorization', authHeader(token1));
+
+      const body = expectSuccessResponse(response);
+      expect(body.message).toBe('Friend request cancelled');
+    });
+
+    it('should return 404 when there is no relationship', async () => {
+      const response = await request(app)
+        .delete(`/api/follows/${testUser2.id}`)
+        .set('Authorization', authHeader(token1));
+
+      expectNotFoundError(response);
+    });
+  });
+
+  describe('GET /api/follows/requests', () => {
+    it('should list incoming and outgoing requests', async () => {
+      await createTestFollow(testUser1.id, testUser2.id, { status: 'pending' });
+      await createTestFollow(testUser3.id, testUser2.id, { status: 'pending' });
+
+      const incoming = await request(app)
+        .get('/api/follows/requests')
+        .set('Authorization', authHeader(token2));
+
+      const incomingBody = expectSuccessResponse(incoming);
+      expect(incomingBody.data.requests).toHaveLength(2);
+      expect(incomingBody.data.requests.map(r => r.user.id)).toEqual(
+        expect.arrayContaining([testUser1.id, testUser3.id])
+      );
+
+      const outgoing = await request(app)
+        .get('/api/follows/requests?direction=outgoing')
+        .set('Authorization', authHeader(token1));
+
+      const outgoingBody = expectSuccessResponse(outgoing);
+      expect(outgoingBody.data.requests).toHaveLength(1);
+      expect(outgoingBody.data.requests[0].user.id).toBe(testUser2.id);
+    });
+
+    it('should validate direction', async () => {
+      const response = await request(app)
+        .get('/api/follows/requests?direction=sideways')
+        .set('Authorization', authHeader(token1));
+
+      expectValidationError(response);
+    });
+  });
+
+  describe('GET /api/follows/status/:userId', () => {
+    it('should report the relationship from the viewer side', async () => {
+      await createTestFollow(testUser1.id, testUser2.id, { status: 'pending' });
+
+      const sent = await request(app)
+        .get(`/api/follows/status/${testUser2.id}`)
+        .set('Authorization', authHeader(token1));
+      expect(expectSuccessResponse(sent).data.status).toBe('request_sent');
+
+      const received = await request(app)
+        .get(`/api/follows/status/${testUser1.id}`)
+        .set('Authorization', authHeader(token2));
+      expect(expectSuccessResponse(received).data.status).toBe('request_received');
+
+      const none = await request(app)
+        .get(`/api/follows/status/${testUser3.id}`)
+        .set('Authorization', authHeader(token1));
+      expect(expectSuccessResponse(none).data.status).toBe('none');
+    });
+  });
+
+  describe('GET /api/follows/user/:userId', () => {
+    it('should list friends with counts', async () => {
+      await createTestFollow(testUser1.id, testUser2.id);
+      await createTestFollow(testUser3.id, testUser1.id);
+
+      const response = await request(app)
+        .get(`/api/follows/user/${testUser1.id}`);
+
+      const data = expectPaginatedResponse(response);
+      expect(data.friends).toHaveLength(2);
+      expect(data.following_count).toBe(1);
+      expect(data.follower_count).toBe(1);
+    });
+
+    it('should return 404 for non-existent user', async () => {
+      const response = await request(app)
+        .get('/api/follows/user/99999');
+
+      expectNotFoundError(response);
+    });
+  });
+
+  describe('Friends-only privacy', () => {
+    let friendsPost;
+
+    beforeEach(async () => {
+      friendsPost = await createTestPost(testUser1.id, { content: 'Friends post', privacy_level: 'friends' });
+      await createTestFollow(testUser2.id, testUser1.id);
+    });
+
+    it('should show friends-only posts to friends in the posts list', async () => {
+      const friendResponse = await request(app)
+        .get('/api/posts')
+        .set('Authorization', authHeader(token2));
+      expect(expectPaginatedResponse(friendResponse).posts.map(p => p.content)).toContain('Friends post');
+
+      const strangerResponse = await request(app)
+        .get('/api/posts')
+        .set('Authorization', authHeader(token3));
+      expect(expectPaginatedResponse(strangerResponse).posts).toHaveLength(0);
+    });
+
+    it('should not treat a pending request as friendship', async () => {
+      await createTestFollow(testUser3.id, testUser1.id, { status: 'pending' });
+
+      const response = await request(app)
+        .get(`/api/posts/${friendsPost.id}`)
+        .set('Authorization', authHeader(token3));
+
+      expectAuthorizationError(response);
+    });
+
+    it('should enforce friendship on the single post endpoint', async () => {
+      const friendResponse = await request(app)
+        .get(`/api/posts/${friendsPost.id}`)
+        .set('Authorization', authHeader(token2));
+      expect(expectSuccessResponse(friendResponse).data.content).toBe('Friends post');
+
+      const strangerResponse = await request(app)
+        .get(`/api/posts/${friendsPost.id}`)
+        .set('Authorization', authHeader(token3));
+      expectAuthorizationError(strangerResponse);
+    });
+
+    it('should enforce friendship on comments', async () => {
+      const comment = await createTestComment(testUser1.id, friendsPost.id);
+
+      const listResponse = await request(app)
+        .get(`/api/comments/post/${friendsPost.id}`)
+        .set('Authorization', authHeader(token3));
+      expectAuthorizationError(listResponse);
+
+      const singleResponse = await request(app)
+        .get(`/api/comments/${comment.id}`);
+      expectAuthorizationError(singleResponse);
+
+      const createResponse = await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(token3))
+        .send({ post_id: friendsPost.id, content: 'Sneaky comment' });
+      expectAuthorizationError(createResponse);
+
+      const friendResponse = await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(token2))
+        .send({ post_id: friendsPost.id, content: 'Friendly comment' });
+      expectSuccessResponse(friendResponse, 201);
+    });
+
+    it('should enforce friendship on reactions', async () => {
+      const strangerResponse = await request(app)
+        .post(`/api/reactions/post/${friendsPost.id}`)
+        .set('Authorization', authHeader(token3))
+        .send({ emoji_name: 'like' });
+      expectAuthorizationError(strangerResponse);
+
+      const friendResponse = await request(app)
+        .post(`/api/reactions/post/${friendsPost.id}`)
+        .set('Authorization', authHeader(token2))
+        .send({ emoji_name: 'like' });
+      expectSuccessResponse(friendResponse);
+
+      const countsResponse = await request(app)
+        .get(`/api/reactions/post/${friendsPost.id}`);
+      expectAuthorizationError(countsResponse);
+    });
+
+    it('should revoke access after unfriending', async () => {
+      await request(app)
+        .delete(`/api/follows/${testUser1.id}`)
+        .set('Authorization', authHeader(token2));
+
+      const response = await request(app)
+        .get(`/api/posts/${friendsPost.id}`)
+        .set('Authorization', authHeader(token2));
+
+      expectAuthorizationError(response);
+    });
+  });
+});
\ No newline at end of file
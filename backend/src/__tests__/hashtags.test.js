@@ -0,0 +1,278 @@
+/**
+ * Hashtag and mention tests
+ * Tests parsing of #hashtags and @mentions on create and edit, trending tags,
+ * hashtag post listings with privacy rules, and username lookup
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestFollow,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectValidationError,
+  expectNotFoundError,
+  expectPaginatedResponse,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const Hashtag = require('../models/Hashtag');
+const Mention = require('../models/Mention');
+
+// Import routes
+const hashtagsRoutes = require('../routes/hashtags');
+const postsRoutes = require('../routes/posts');
+const commentsRoutes = require('../routes/comments');
+const usersRoutes = require('../routes/users');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/hashtags', hashtagsRoutes);
+app.use('/api/posts', postsRoutes);
+app.use('/api/comments', commentsRoutes);
+app.use('/api/users', usersRoutes);
+
+describe('Hashtags and Mentions', () => {
+  let author, friend, stranger, authorToken, friendToken, strangerToken;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    author = await createTestUser();
+    friend = await createTestUser();
+    stranger = await createTestUser();
+
+    authorToken = generateTestToken(author);
+    friendToken = generateTestToken(friend);
+    strangerToken = generateTestToken(stranger);
+
+    await createTestFollow(friend.id, author.id);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createPost = async (content, extra = {}) => {
+    const response = await request(app)
+      .post('/api/posts')
+      .set('Authorization', authHeader(authorToken))
+      .send({ content, ...extra })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const postTags = async (postId) => {
+    const result = await query(
+      `SELECT h.tag FROM post_hashtags ph
+       JOIN hashtags h ON ph.hashtag_id = h.id
+       WHERE ph.post_id = $1
+       ORDER BY h.tag`,
+      [postId]
+    );
+    return result.rows.map(row => row.tag);
+  };
+
+  const mentionedIds = async (postId, commentId = null) => {
+    const result = await query(
+      `SELECT mentioned_user_id FROM mentions
+       WHERE post_id = $1 AND comment_id IS NOT DISTINCT FROM $2::integer
+       ORDER BY mentioned_user_id`,
+      [postId, commentId]
+    );
+    return result.rows.map(row => row.mentioned_user_id);
+  };
+
+  describe('parsing', () => {
+    it('should store normalized hashtags when a post is created', async () => {
+      const post = await createPost('Weekend #Travel plans #travel #Food_Trip, not &#39; or #42');
+
+      expect(await postTags(post.id)).toEqual(['food_trip', 'travel']);
+    });
+
+    it('should re-index hashtags when a post is edited', async () => {
+      const post = await createPost('Off to the #beach');
+
+      await request(app)
+        .put(`/api/posts/${post.id}`)
+        .set('Authorization', authHeader(authorToken))
+        .send({ content: 'Changed plans: #mountains' })
+        .expect(200);
+
+      expect(await postTags(post.id)).toEqual(['mountains']);
+    });
+
+    it('should store mentions of existing users in posts', async () => {
+      const post = await createPost(`Thanks @${friend.username} and @nosuchuser, email me at a@${stranger.username}`);
+
+      expect(await mentionedIds(post.id)).toEqual([friend.id]);
+    });
+
+    it('should store mentions in comments and update them on edit', async () => {
+      const post = await createPost('Discussion thread');
+
+      const created = await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(friendToken))
+        .send({ post_id: post.id, content: `Agreed @${author.username}` })
+        .expect(201);
+      const commentId = created.body.data.id;
+
+      expect(await mentionedIds(post.id, commentId)).toEqual([author.id]);
+      expect(await mentionedIds(post.id)).toEqual([]);
+
+      await request(app)
+        .put(`/api/comments/${commentId}`)
+        .set('Authorization', authHeader(friendToken))
+        .send({ content: `Actually @${stranger.username} knows best` })
+        .expect(200);
+
+      expect(await mentionedIds(post.id, commentId)).toEqual([stranger.id]);
+    });
+
+    it('should still save posts and comments when indexing fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      jest.spyOn(Hashtag, 'syncForPost').mockRejectedValue(new Error('index unavailable'));
+      jest.spyOn(Mention, 'sync').mockRejectedValue(new Error('index unavailable'));
+
+      const post = await createPost(`Hello #world and @${friend.username}`);
+
+      await request(app)
+        .put(`/api/posts/${post.id}`)
+        .set('Authorization', authHeader(authorToken))
+        .send({ content: 'Edited #world' })
+        .expect(200);
+
+      const created = await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(friendToken))
+        .send({ post_id: post.id, content: `Hi @${author.username}` })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/comments/${created.body.data.id}`)
+        .set('Authorization', authHeader(friendToken))
+        .send({ content: 'Hi again' })
+        .expect(200);
+
+      expect(console.error).toHaveBeenCalledWith('Error indexing hashtags:', expect.any(Error));
+      expect(console.error).toHaveBeenCalledWith('Error recording mentions:', expect.any(Error));
+    });
+  });
+
+  describe('GET /api/hashtags/:tag/posts', () => {
+    it('should list public posts with the tag, newest first', async () => {
+      const first = await createPost('First #gardening post');
+      const second = await createPost('Second #Gardening post');
+      await createPost('Unrelated #cooking post');
+
+      const response = await request(app)
+        .get('/api/hashtags/%23GARDENING/posts');
+
+      const data = expectPaginatedResponse(response);
+      expect(data.tag).toBe('gardening');
+      expect(data.posts.map(p => p.id)).toEqual([second.id, first.id]);
+      expect(data.posts[0].author.id).toBe(author.id);
+      expect(data.pagination.total_count).toBe(2);
+    });
+
+    it('should respect post privacy', async () => {
+      await createPost('Open #secret');
+      await createPost('Friends #secret', { privacy_level: 'friends' });
+      await createPost('Mine #secret', { privacy_level: 'private' });
+
+      const anonymous = expectPaginatedResponse(await request(app).get('/api/hashtags/secret/posts'));
+      expect(anonymous.posts).toHaveLength(1);
+
+      const asStranger = expectPaginatedResponse(await request(app)
+        .get('/api/hashtags/secret/posts')
+        .set('Authorization', authHeader(strangerToken)));
+      expect(asStranger.posts).toHaveLength(1);
+
+      const asFriend = expectPaginatedResponse(await request(app)
+        .get('/api/hashtags/secret/posts')
+        .set('Authorization', authHeader(friendToken)));
+      expect(asFriend.posts).toHaveLength(2);
+
+      const asAuthor = expectPaginatedResponse(await request(app)
+        .get('/api/hashtags/secret/posts')
+        .set('Authorization', authHeader(authorToken)));
+      expect(asAuthor.posts).toHaveLength(3);
+    });
+
+    it('should return 404 for unknown hashtags', async () => {
+      const response = await request(app)
+        .get('/api/hashtags/neverused/posts')
+        .expect(404);
+
+      expectNotFoundError(response);
+    });
+
+    it('should validate the tag', async () => {
+      const response = await request(app)
+        .get('/api/hashtags/not-a-tag/posts')
+        .expect(400);
+
+      expectValidationError(response);
+    });
+  });
+
+  describe('GET /api/hashtags/trending', () => {
+    it('should rank recent public hashtags by post count', async () => {
+      await createPost('#music and #art');
+      await createPost('More #music');
+      await createPost('Private #music', { privacy_level: 'private' });
+
+      // Older posts fall outside the trending window
+      const old = await createTestPost(author.id, { content: 'Old #history' });
+      await query(`UPDATE posts SET created_at = NOW() - INTERVAL '3 days' WHERE id = $1`, [old.id]);
+      await request(app)
+        .put(`/api/posts/${old.id}`)
+        .set('Authorization', authHeader(authorToken))
+        .send({ content: 'Old #history' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/hashtags/trending?hours=24');
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.hashtags).toEqual([
+        expect.objectContaining({ tag: 'music', post_count: 2 }),
+        expect.objectContaining({ tag: 'art', post_count: 1 })
+      ]);
+    });
+
+    it('should validate the window', async () => {
+      const response = await request(app)
+        .get('/api/hashtags/trending?hours=0')
+        .expect(400);
+
+      expectValidationError(response);
+    });
+  });
+
+  describe('GET /api/users/username/:username', () => {
+    it('should look up a user by username', async () => {
+      const response = await request(app)
+        .get(`/api/users/username/${friend.username}`);
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.id).toBe(friend.id);
+      expect(body.data).not.toHaveProperty('password_hash');
+    });
+
+    it('should return 404 for unknown usernames', async () => {
+      const response = await request(app)
+        .get('/api/users/username/nosuchuser')
+        .expect(404);
+
+      expectNotFoundError(response);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,359 @@
+/**
+ * Login lockout tests
+ * Tests failed-attempt counting, the backoff delay, the full lock with its unlock
+ * email, and clearing the lock on success, unlock or password reset
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectValidationError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+const { User } = require('../models');
+const totp = require('../utils/totp');
+
+// Import routes
+const authRoutes = require('../routes/auth');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+describe('Login lockout', () => {
+  const originalLockout = { ...config.auth.lockout };
+  const originalEmail = { ...config.email };
+  let outputDir;
+  let testUser;
+
+  beforeEach(async () => {
+    await clearTables();
+    testUser = await createTestUser();
+
+    Object.assign(config.auth.lockout, {
+      backoffAfterAttempts: 2,
+      baseDelaySeconds: 30,
+      maxDelaySeconds: 120,
+      maxAttempts: 4,
+      lockMinutes: 60
+    });
+
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    config.email.transport = 'file';
+    config.email.outputDir = outputDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    Object.assign(config.auth.lockout, originalLockout);
+    Object.assign(config.email, originalEmail);
+  });
+
+  const login = (password) => request(app)
+    .post('/api/auth/login')
+    .send({ identifier: testUser.username, password });
+
+  /**
+   * Let the current backoff delay run out without waiting for it
+   */
+  const expireLock = () => query(
+    "UPDATE users SET locked_until = NOW() - INTERVAL '1 second' WHERE id = $1",
+    [testUser.id]
+  );
+
+  const getLockState = async () => {
+    const result = await query(
+      'SELECT failed_login_attempts, locked_until, unlock_token FROM users WHERE id = $1',
+      [testUser.id]
+    );
+    return result.rows[0];
+  };
+
+  /**
+   * Wait for emails sent in the background after the response
+   */
+  const waitForMessages = async (count) => {
+    const read = () => fs.readdirSync(outputDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8')));
+
+    for (let i = 0; i < 50 && read().length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return read();
+  };
+
+  /**
+   * Fail enough logins to lock the account, expiring each backoff delay on the way,
+   * and wait for the unlock email so it lands before the output directory is removed
+   */
+  const lockAccount = async () => {
+    let response;
+    for (let i = 0; i < config.auth.lockout.maxAttempts; i++) {
+      await expireLock();
+      response = await login('WrongPassword123!');
+    }
+    await waitForMessages(1);
+    return response;
+  };
+
+  describe('getLockDuration', () => {
+    it('should not delay the first attempts', () => {
+      expect(User.getLockDuration(1)).toBe(0);
+    });
+
+    it('should double the delay up to the maximum', () => {
+      config.auth.lockout.maxAttempts = 10;
+
+      expect(User.getLockDuration(2)).toBe(30);
+      expect(User.getLockDuration(3)).toBe(60);
+      expect(User.getLockDuration(4)).toBe(120);
+      expect(User.getLockDuration(5)).toBe(120);
+    });
+
+    it('should lock for lockMinutes at maxAttempts', () => {
+      expect(User.getLockDuration(4)).toBe(3600);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should count failed attempts', async () => {
+      const response = await login('WrongPassword123!');
+
+      const error = expectErrorResponse(response, 401, 'AUTHENTICATION_ERROR');
+      expect(error.code).toBe('INVALID_CREDENTIALS');
+      expect((await getLockState()).failed_login_attempts).toBe(1);
+    });
+
+    it('should delay logins once the backoff starts', async () => {
+      await login('WrongPassword123!');
+      const response = await login('WrongPassword123!');
+
+      const error = expectErrorResponse(response, 423, 'ACCOUNT_LOCKED');
+      expect(error.code).toBe('LOGIN_BACKOFF');
+      expect(error.retry_after).toBeGreaterThan(0);
+      expect(error.retry_after).toBeLessThanOrEqual(30);
+      expect(response.headers['retry-after']).toBe(String(error.retry_after));
+    });
+
+    it('should refuse even the correct password during the delay', async () => {
+      await login('WrongPassword123!');
+      await login('WrongPassword123!');
+
+      const response = await login('TestPassword123!');
+
+      const error = expectErrorResponse(response, 423, 'ACCOUNT_LOCKED');
+      expect(error.code).toBe('LOGIN_BACKOFF');
+      // A refused attempt does not add to the count
+      expect((await getLockState()).failed_login_attempts).toBe(2);
+    });
+
+    it('should allow login once the delay has passed and reset the count', async () => {
+      await login('WrongPassword123!');
+      await login('WrongPassword123!');
+      await expireLock();
+
+      const response = await login('TestPassword123!');
+
+      expectSuccessResponse(response);
+      const state = await getLockState();
+      expect(state.failed_login_attempts).toBe(0);
+      expect(state.locked_until).toBeNull();
+    });
+
+    it('should start counting again after the attempt window', async () => {
+      await login('WrongPassword123!');
+      await query(
+        "UPDATE users SET last_failed_login_at = NOW() - INTERVAL '2 days' WHERE id = $1",
+        [testUser.id]
+      );
+
+      const response = await login('WrongPassword123!');
+
+      expectErrorResponse(response, 401, 'AUTHENTICATION_ERROR');
+      expect((await getLockState()).failed_login_attempts).toBe(1);
+    });
+
+    it('should lock the account and email an unlock link at maxAttempts', async () => {
+      const response = await lockAccount();
+
+      const error = expectErrorResponse(response, 423, 'ACCOUNT_LOCKED');
+      expect(error.code).toBe('ACCOUNT_LOCKED');
+      expect(error.retry_after).toBeGreaterThan(3500);
+
+      const state = await getLockState();
+      expect(state.unlock_token).toBeTruthy();
+
+      const [message] = await waitForMessages(1);
+      expect(message.to[0].address).toBe(testUser.email);
+      expect(message.text).toContain(`/unlock-account?token=${state.unlock_token}`);
+    });
+
+    it('should not send another unlock email while the link is valid', async () => {
+      await lockAccount();
+      const { unlock_token: firstToken } = await getLockState();
+
+      await expireLock();
+      const response = await login('WrongPassword123!');
+
+      expectErrorResponse(response, 423, 'ACCOUNT_LOCKED');
+      expect((await getLockState()).unlock_token).toBe(firstToken);
+      expect(await waitForMessages(2)).toHaveLength(1);
+    });
+
+    it('should not track attempts for unknown users', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'nobody', password: 'WrongPassword123!' });
+
+      const error = expectErrorResponse(response, 401, 'AUTHENTICATION_ERROR');
+      expect(error.code).toBe('INVALID_CREDENTIALS');
+    });
+  });
+
+  describe('POST /api/auth/login/mfa', () => {
+    let secret;
+
+    beforeEach(async () => {
+      const token = generateTestToken(testUser);
+      const setup = await request(app)
+        .post('/api/auth/mfa/setup')
+        .set('Authorization', authHeader(token));
+      secret = expectSuccessResponse(setup).data.secret;
+
+      const enable = await request(app)
+        .post('/api/auth/mfa/enable')
+        .set('Authorization', authHeader(token))
+        .send({ code: totp.generateCode(secret) });
+      expectSuccessResponse(enable);
+    });
+
+    const passwordStep = async () => expectSuccessResponse(await login('TestPassword123!')).data.mfa_token;
+
+    const mfaStep = (mfaToken, code) => request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfa_token: mfaToken, code });
+
+    it('should count wrong codes and lock the account', async () => {
+      const mfaToken = await passwordStep();
+
+      let response;
+      for (let i = 0; i < config.auth.lockout.maxAttempts; i++) {
+        await expireLock();
+        response = await mfaStep(mfaToken, '000000');
+      }
+      await waitForMessages(1);
+
+      expectErrorResponse(response, 423, 'ACCOUNT_LOCKED');
+      expect((await getLockState()).failed_login_attempts).toBe(config.auth.lockout.maxAttempts);
+    });
+
+    it('should refuse even the right code while the account is locked', async () => {
+      const mfaToken = await passwordStep();
+      await lockAccount();
+
+      const response = await mfaStep(mfaToken, totp.generateCode(secret, totp.getTimeStep() + 1));
+
+      expectErrorResponse(response, 423, 'ACCOUNT_LOCKED');
+    });
+
+    it('should keep counting wrong codes across correct passwords', async () => {
+      await mfaStep(await passwordStep(), '000000');
+      await mfaStep(await passwordStep(), '000000');
+
+      expect((await getLockState()).failed_login_attempts).toBe(2);
+    });
+
+    it('should reset the count once the code is right', async () => {
+      await mfaStep(await passwordStep(), '000000');
+
+      const response = await mfaStep(await passwordStep(), totp.generateCode(secret, totp.getTimeStep() + 1));
+
+      expectSuccessResponse(response);
+      expect((await getLockState()).failed_login_attempts).toBe(0);
+    });
+  });
+
+  describe('POST /api/auth/unlock-account', () => {
+    it('should unlock the account with the emailed token', async () => {
+      await lockAccount();
+      const { unlock_token: token } = await getLockState();
+
+      const response = await request(app)
+        .post('/api/auth/unlock-account')
+        .send({ token });
+
+      expectSuccessResponse(response);
+      const state = await getLockState();
+      expect(state.failed_login_attempts).toBe(0);
+      expect(state.locked_until).toBeNull();
+      expect(state.unlock_token).toBeNull();
+
+      expectSuccessResponse(await login('TestPassword123!'));
+    });
+
+    it('should reject an expired token', async () => {
+      await lockAccount();
+      const { unlock_token: token } = await getLockState();
+      await query(
+        "UPDATE users SET unlock_token_expires = NOW() - INTERVAL '1 second' WHERE id = $1",
+        [testUser.id]
+      );
+
+      const response = await request(app)
+        .post('/api/auth/unlock-account')
+        .send({ token });
+
+      const error = expectErrorResponse(response, 400, 'VALIDATION_ERROR');
+      expect(error.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should reject an unknown token', async () => {
+      const response = await request(app)
+        .post('/api/auth/unlock-account')
+        .send({ token: 'not-a-token' });
+
+      const error = expectErrorResponse(response, 400, 'VALIDATION_ERROR');
+      expect(error.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should require a token', async () => {
+      const response = await request(app)
+        .post('/api/auth/unlock-account')
+        .send({});
+
+      expectValidationError(response);
+    });
+  });
+
+  describe('password reset', () => {
+    it('should clear the lock', async () => {
+      await lockAccount();
+      const resetToken = await testUser.generatePasswordResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'NewPassword123!' })
+        .expect(200);
+
+      const state = await getLockState();
+      expect(state.failed_login_attempts).toBe(0);
+      expect(state.locked_until).toBeNull();
+
+      expectSuccessResponse(await login('NewPassword123!'));
+    });
+  });
+});
\ No newline at end of file
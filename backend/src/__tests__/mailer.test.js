@@ -0,0 +1,281 @@
+/**
+ * Mailer tests
+ * Tests template rendering, the file transport and the emails sent by the auth routes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectAuthError,
+  createTestPayload,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+const mailer = require('../utils/mailer');
+
+// Import routes
+const authRoutes = require('../routes/auth');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+describe('Mailer', () => {
+  const originalEmail = { ...config.email };
+  const originalVerification = config.features.enableEmailVerification;
+  let outputDir;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    config.email.transport = 'file';
+    config.email.outputDir = outputDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    Object.assign(config.email, originalEmail);
+    config.features.enableEmailVerification = originalVerification;
+  });
+
+  /**
+   * Read every message written by the file transport
+   */
+  const sentMessages = () => fs.readdirSync(outputDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8')));
+
+  /**
+   * Wait for emails sent in the background after the response
+   */
+  const waitForMessages = async (count) => {
+    for (let i = 0; i < 50 && sentMessages().length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return sentMessages();
+  };
+
+  describe('render', () => {
+    it('should render the subject, text and HTML bodies', async () => {
+      const email = await mailer.render('reset-password', {
+        first_name: 'Ada',
+        reset_url: 'http://localhost:3000/reset-password?token=abc',
+        expires_in: '1 hour'
+      });
+
+      expect(email.subject).toBe(`Reset your ${config.email.appName} password`);
+      expect(email.text).toMatch(/^Hi Ada,/);
+      expect(email.text).toContain('http://localhost:3000/reset-password?token=abc');
+      expect(email.html).toContain('href="http://localhost:3000/reset-password?token=abc"');
+    });
+
+    it('should escape variables in HTML but not in text', async () => {
+      const email = await mailer.render('verify-email', {
+        first_name: '<b>Bob</b> & co',
+        email: 'bob@example.com',
+        verify_url: 'http://localhost/verify'
+      });
+
+      expect(email.html).toContain('&lt;b&gt;Bob&lt;/b&gt; &amp; co');
+      expect(email.html).not.toContain('<b>Bob</b>');
+      expect(email.text).toContain('Hi <b>Bob</b> & co,');
+    });
+
+    it('should only include optional sections when their variable is set', async () => {
+      const withLink = await mailer.render('welcome', { first_name: 'Ada', username: 'ada', verify_url: 'http://x/verify' });
+      const withoutLink = await mailer.render('welcome', { first_name: 'Ada', username: 'ada' });
+
+      expect(withLink.text).toContain('http://x/verify');
+      expect(withLink.html).toContain('Verify email');
+      expect(withoutLink.text).not.toContain('confirm your email');
+      expect(withoutLink.html).not.toContain('Verify email');
+      expect(withoutLink.text).not.toContain('{{');
+    });
+
+    it('should use the template names from config', async () => {
+      config.email.templates = { ...originalEmail.templates, resetPassword: 'verify-email' };
+
+      await mailer.sendTemplate('resetPassword', 'ada@example.com', { first_name: 'Ada', email: 'ada@example.com' });
+
+      expect(sentMessages()[0].subject).toBe('Confirm your email address');
+    });
+  });
+
+  describe('transports', () => {
+    it('should write messages to the output directory with the file transport', async () => {
+      const result = await mailer.send({
+        to: 'ada@example.com',
+        subject: 'Hello',
+        text: 'Plain body',
+        html: '<p>HTML body</p>'
+      });
+
+      expect(result.transport).toBe('file');
+      expect(path.dirname(result.file)).toBe(outputDir);
+
+      const [message] = sentMessages();
+      expect(message).toMatchObject({
+        subject: 'Hello',
+        text: 'Plain body',
+        html: '<p>HTML body</p>',
+        from: { address: config.email.from },
+        to: [{ address: 'ada@example.com' }]
+      });
+    });
+
+    it('should create the transport once and reuse it', async () => {
+      await mailer.send({ to: 'ada@example.com', subject: 'First', text: 'First' });
+      const createTransport = jest.spyOn(mailer, 'createTransport');
+
+      await mailer.send({ to: 'ada@example.com', subject: 'Second', text: 'Second' });
+      await mailer.send({ to: 'ada@example.com', subject: 'Third', text: 'Third' });
+      expect(createTransport).not.toHaveBeenCalled();
+
+      // Changed delivery settings get a new transport
+      config.email.smtp = { ...originalEmail.smtp, port: 2525 };
+      await mailer.send({ to: 'ada@example.com', subject: 'Fourth', text: 'Fourth' });
+      await mailer.send({ to: 'ada@example.com', subject: 'Fifth', text: 'Fifth' });
+      expect(createTransport).toHaveBeenCalledTimes(1);
+      expect(sentMessages()).toHaveLength(5);
+
+      createTransport.mockRestore();
+    });
+
+    it('should refuse the SMTP transport without a host', async () => {
+      config.email.transport = 'smtp';
+      config.email.smtp = { ...originalEmail.smtp, host: null };
+
+      await expect(mailer.send({ to: 'ada@example.com', subject: 'Hi', text: 'Hi' }))
+        .rejects.toThrow('SMTP_HOST');
+    });
+
+    it('should reject unknown transports', async () => {
+      config.email.transport = 'pigeon';
+
+      await expect(mailer.send({ to: 'ada@example.com', subject: 'Hi', text: 'Hi' }))
+        .rejects.toThrow('Unknown email transport');
+    });
+  });
+
+  describe('auth emails', () => {
+    beforeEach(async () => {
+      await clearTables();
+    });
+
+    it('should email a password reset link', async () => {
+      const user = await createTestUser();
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: user.email });
+
+      const body = expectSuccessResponse(response);
+      const [message] = sentMessages();
+      expect(message.to[0].address).toBe(user.email);
+      expect(message.text).toContain(`/reset-password?token=${body.reset_token}`);
+    });
+
+    it('should not send anything for unknown addresses', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(sentMessages()).toHaveLength(0);
+    });
+
+    it('should still respond when delivery fails', async () => {
+      const user = await createTestUser();
+      config.email.transport = 'pigeon';
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: user.email });
+
+      expectSuccessResponse(response);
+    });
+
+    it('should send a welcome email with a verification link on registration', async () => {
+      config.features.enableEmailVerification = true;
+      const userData = createTestPayload();
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(userData);
+
+      const body = expectSuccessResponse(response, 201);
+      expect(body.data).not.toHaveProperty('verification_token');
+
+      const [message] = await waitForMessages(1);
+      expect(message.subject).toContain('Welcome');
+
+      const token = message.text.match(/\/verify-email\?token=([^\s]+)/)[1];
+      const stored = await query('SELECT email_verification_token FROM users WHERE id = $1', [body.data.user.id]);
+      expect(token).toBe(stored.rows[0].email_verification_token);
+    });
+
+    it('should resend the verification email', async () => {
+      const user = await createTestUser({ email_verified: false });
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', authHeader(generateTestToken(user)));
+
+      expectSuccessResponse(response);
+      const [message] = sentMessages();
+      expect(message.subject).toBe('Confirm your email address');
+
+      // The emailed token verifies the account
+      const token = message.text.match(/token=(\w+)/)[1];
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+    });
+
+    it('should not resend verification for verified addresses', async () => {
+      const user = await createTestUser({ email_verified: true });
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', authHeader(generateTestToken(user)));
+
+      const error = expectErrorResponse(response, 400, 'VALIDATION_ERROR');
+      expect(error.code).toBe('ALREADY_VERIFIED');
+    });
+
+    it('should tell the user when their password was reset', async () => {
+      const user = await createTestUser();
+      const resetToken = await user.generatePasswordResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'NewPassword123!' })
+        .expect(200);
+
+      const [message] = await waitForMessages(1);
+      expect(message.to[0].address).toBe(user.email);
+      expect(message.subject).toContain('password was changed');
+      expect(message.text).toContain('/login');
+    });
+
+    it('should require authentication to resend verification', async () => {
+      const response = await request(app)
+        .post('/api/auth/resend-verification');
+
+      expectAuthError(response);
+    });
+  });
+});
\ No newline at end of file
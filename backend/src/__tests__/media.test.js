@@ -12,6 +12,8 @@ const {
   createTestUser,
   createTestPost,
   createTestComment,
+  createTestMedia,
+  createTestFollow,
   getModels
 } = require('./testDb');
 const {
@@ -25,19 +27,23 @@ const {
   createMockFile
 } = require('./testHelpers');
 
+const { readExif, buildImageMetadata } = require('../utils/exif');
+const fileStorage = require('../utils/storage');
+
 // Import routes
 const mediaRoutes = require('../routes/media');
 
 // Mock multer for testing
 jest.mock('multer', () => {
-  const multer = jest.requireActual('multer');
-  return () => ({
+  const multer = () => ({
     array: () => (req, res, next) => {
       // Simulate file upload
       req.files = req.mockFiles || [];
       next();
     }
   });
+  multer.memoryStorage = () => ({});
+  return multer;
 });
 
 // Mock sharp for image processing
@@ -46,8 +52,14 @@ jest.mock('sharp', () => {
     resize: jest.fn().mockReturnThis(),
     jpeg: jest.fn().mockReturnThis(),
     png: jest.fn().mockReturnThis(),
+    webp: jest.fn().mockReturnThis(),
+    toFormat: jest.fn().mockReturnThis(),
     toFile: jest.fn().mockResolvedValue({ width: 300, height: 300 }),
-    metadata: jest.fn().mockResolvedValue({ width: 1024, height: 768 })
+    toBuffer: jest.fn(options => Promise.resolve(options && options.resolveWithObject
+      ? { data: Buffer.from('variant image'), info: { width: 640, height: 480 } }
+      : Buffer.from('processed image'))),
+    metadata: jest.fn().mockResolvedValue({ width: 1024, height: 768 }),
+    stats: jest.fn().mockResolvedValue({ dominant: { r: 200, g: 120, b: 40 } })
   });
 });
 
@@ -70,7 +82,14 @@ jest.mock('../../../config/app.config', () => ({
       allowedAudioTypes: ['audio/mp3', 'audio/wav'],
       allowedDocumentTypes: ['application/pdf', 'text/plain'],
       imageQuality: 80,
-      thumbnailSize: 300
+      thumbnailSize: 300,
+      imageVariantWidths: [320, 640, 1280],
+      imageVariantFormats: ['webp']
+    },
+    storage: {
+      driver: 'local',
+      signedUrlTtl: 3600,
+      s3: {}
     }
   }
 }));
@@ -299,6 +318,10 @@ describe('Media Routes', () => {
   });
 
   describe('GET /api/media/:id', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
     it('should return media details', async () => {
       // This would test retrieving media metadata
       const mediaData = {
@@ -318,6 +341,45 @@ describe('Media Routes', () => {
       expectMediaStructure(mediaData);
     });
 
+    it('should hide media on friends-only posts from non-friends', async () => {
+      const friendsPost = await createTestPost(testUser.id, { privacy_level: 'friends' });
+      const media = await createTestMedia(testUser.id, friendsPost.id);
+      const stranger = await createTestUser();
+
+      const strangerResponse = await request(app)
+        .get(`/api/media/${media.id}`)
+        .set('Authorization', authHeader(generateTestToken(stranger)));
+      expectErrorResponse(strangerResponse, 403, 'AUTHORIZATION_ERROR');
+
+      await createTestFollow(stranger.id, testUser.id);
+
+      const friendResponse = await request(app)
+        .get(`/api/media/${media.id}`)
+        .set('Authorization', authHeader(generateTestToken(stranger)));
+      expectSuccessResponse(friendResponse);
+    });
+
+    it('should show media whose post is gone only to its uploader', async () => {
+      const Media = require('../models/Media');
+      const media = await createTestMedia(testUser.id, testPost.id);
+      const stranger = await createTestUser();
+      jest.spyOn(Media, 'findParentPost').mockResolvedValue(null);
+
+      const ownerResponse = await request(app)
+        .get(`/api/media/${media.id}`)
+        .set('Authorization', authHeader(token));
+      const body = expectSuccessResponse(ownerResponse);
+      expect(body.data.id).toBe(media.id);
+
+      const strangerResponse = await request(app)
+        .get(`/api/media/${media.id}`)
+        .set('Authorization', authHeader(generateTestToken(stranger)));
+      expectErrorResponse(strangerResponse, 403, 'AUTHORIZATION_ERROR');
+
+      const anonymousResponse = await request(app).get(`/api/media/${media.id}`);
+      expectErrorResponse(anonymousResponse, 403, 'AUTHORIZATION_ERROR');
+    });
+
     it('should return 404 for non-existent media', () => {
       // Test case for non-existent media
       const mediaId = 99999;
@@ -510,4 +572,98 @@ describe('Media Routes', () => {
       expect(expectedUrl).toBe('http://localhost:3002/uploads/images/test-file.jpg');
     });
   });
+
+  describe('EXIF and GPS metadata', () => {
+    // 16x8 JPEGs tagged with a GPS position, camera make/model and capture time;
+    // the rotated one has EXIF orientation 6 (rotate 90° clockwise)
+    const gpsPhoto = fs.readFileSync(path.join(__dirname, 'fixtures', 'gps-photo.jpg'));
+    const rotatedPhoto = fs.readFileSync(path.join(__dirname, 'fixtures', 'gps-photo-rotated.jpg'));
+    const exifOf = (image) => image.subarray(image.indexOf('Exif\0\0'));
+    const uploaded = [];
+
+    afterEach(async () => {
+      const Media = require('../models/Media');
+      await Promise.all(uploaded.splice(0).map(media => Media.removeFiles(media)));
+    });
+
+    const uploadPhoto = async (image, filename = 'photo.jpg') => {
+      const response = await request(app)
+        .post('/api/media/upload')
+        .set('Authorization', authHeader(token))
+        .field('post_id', testPost.id.toString())
+        .attach('files', image, { filename, contentType: 'image/jpeg' });
+
+      const [media] = expectSuccessResponse(response, 201).data;
+      uploaded.push(media);
+      return media;
+    };
+
+    it('should read GPS, orientation and capture time from the fixtures', () => {
+      expect(readExif(exifOf(gpsPhoto))).toEqual({
+        orientation: 1,
+        takenAt: '2026-05-17T14:32:08+02:00',
+        hasGps: true
+      });
+      expect(readExif(exifOf(rotatedPhoto)).orientation).toBe(6);
+    });
+
+    it('should ignore missing or malformed EXIF', () => {
+      const empty = { orientation: null, takenAt: null, hasGps: false };
+
+      expect(readExif(null)).toEqual(empty);
+      expect(readExif(Buffer.from('Exif\0\0not a tiff header'))).toEqual(empty);
+      expect(readExif(exifOf(gpsPhoto).subarray(0, 40)).hasGps).toBe(false);
+    });
+
+    it('should only keep whitelisted fields', () => {
+      const metadata = buildImageMetadata({ width: 16, height: 8, format: 'jpeg', exif: exifOf(gpsPhoto) });
+
+      expect(metadata).toEqual({
+        width: 16,
+        height: 8,
+        format: 'jpeg',
+        taken_at: '2026-05-17T14:32:08+02:00'
+      });
+    });
+
+    it('should strip GPS and camera EXIF from stored images', async () => {
+      expect(gpsPhoto.includes('Examplephone')).toBe(true);
+
+      const media = await uploadPhoto(gpsPhoto);
+      const stored = await fileStorage.get(media.file_path);
+
+      expect(stored.includes('Exif\0\0')).toBe(false);
+      expect(stored.includes('Examplephone')).toBe(false);
+
+      const thumbnail = await fileStorage.get(media.thumbnail_path);
+      expect(thumbnail.includes('Exif\0\0')).toBe(false);
+    });
+
+    it('should rotate images according to their EXIF orientation', async () => {
+      const media = await uploadPhoto(rotatedPhoto);
+
+      expect(media.width).toBe(8);
+      expect(media.height).toBe(16);
+    });
+
+    it('should return the kept metadata only on request', async () => {
+      const media = await uploadPhoto(rotatedPhoto);
+      expect(media.metadata).toBeUndefined();
+
+      const plain = await request(app)
+        .get(`/api/media/${media.id}`)
+        .set('Authorization', authHeader(token));
+      expect(expectSuccessResponse(plain).data.metadata).toBeUndefined();
+
+      const detailed = await request(app)
+        .get(`/api/media/${media.id}?include_metadata=true`)
+        .set('Authorization', authHeader(token));
+      expect(expectSuccessResponse(detailed).data.metadata).toEqual({
+        width: 8,
+        height: 16,
+        format: 'jpeg',
+        taken_at: '2026-05-17T14:32:08+02:00'
+      });
+    });
+  });
 });
\ No newline at end of file
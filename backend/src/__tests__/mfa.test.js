@@ -0,0 +1,373 @@
+/**
+ * Two-factor authentication tests
+ * Tests TOTP code generation, enrollment, the two-step login, recovery codes
+ * and the 2FA requirement for staff
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectValidationError,
+  expectAuthError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+const totp = require('../utils/totp');
+
+// Import routes
+const authRoutes = require('../routes/auth');
+const moderationRoutes = require('../routes/moderation');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/moderation', moderationRoutes);
+
+describe('Two-factor authentication', () => {
+  describe('TOTP codes', () => {
+    // RFC 6238 appendix B, SHA-1 seed "12345678901234567890"
+    const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+    it('should match the RFC 6238 test vectors', () => {
+      expect(totp.generateCode(rfcSecret, totp.getTimeStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(rfcSecret, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+      expect(totp.generateCode(rfcSecret, totp.getTimeStep(2000000000 * 1000))).toBe('279037');
+    });
+
+    it('should round-trip base32', () => {
+      const secret = totp.generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+    });
+
+    it('should accept codes within the window only', () => {
+      const time = 1111111109 * 1000;
+      const step = totp.getTimeStep(time);
+
+      expect(totp.verifyCode(rfcSecret, '081804', { time })).toBe(step);
+      expect(totp.verifyCode(rfcSecret, totp.generateCode(rfcSecret, step - 1), { time })).toBe(step - 1);
+      expect(totp.verifyCode(rfcSecret, totp.generateCode(rfcSecret, step + 3), { time })).toBeNull();
+      expect(totp.verifyCode(rfcSecret, 'abcdef', { time })).toBeNull();
+    });
+
+    it('should build an otpauth URI', () => {
+      const url = totp.buildOtpauthUrl({ secret: 'ABC', accountName: 'ada@example.com', issuer: 'Posts' });
+      expect(url).toBe('otpauth://totp/Posts%3Aada%40example.com?secret=ABC&issuer=Posts&algorithm=SHA1&digits=6&period=30');
+    });
+  });
+
+  describe('routes', () => {
+    let user, token;
+
+    beforeEach(async () => {
+      await clearTables();
+      user = await createTestUser();
+      token = generateTestToken(user);
+    });
+
+    /**
+     * Enroll and enable 2FA for the test user
+     * Returns the secret and recovery codes; the current time step is used up.
+     */
+    const enableMfa = async (account = user, accountToken = token) => {
+      const setup = await request(app)
+        .post('/api/auth/mfa/setup')
+        .set('Authorization', authHeader(accountToken));
+      const { secret } = expectSuccessResponse(setup).data;
+
+      const enable = await request(app)
+        .post('/api/auth/mfa/enable')
+        .set('Authorization', authHeader(accountToken))
+        .send({ code: totp.generateCode(secret) });
+      const { recovery_codes } = expectSuccessResponse(enable).data;
+
+      return { secret, recoveryCodes: recovery_codes };
+    };
+
+    // The next step's code is still inside the window and has not been used yet
+    const nextCode = (secret) => totp.generateCode(secret, totp.getTimeStep() + 1);
+
+    const passwordStep = async (account = user) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: account.username, password: 'TestPassword123!' });
+      return expectSuccessResponse(response).data;
+    };
+
+    describe('enrollment', () => {
+      it('should return a secret, otpauth URI and QR code', async () => {
+        const response = await request(app)
+          .post('/api/auth/mfa/setup')
+          .set('Authorization', authHeader(token));
+
+        const { data } = expectSuccessResponse(response);
+        expect(data.otpauth_url).toContain(`secret=${data.secret}`);
+        expect(data.otpauth_url).toContain(encodeURIComponent(user.email));
+        expect(data.qr_code).toMatch(/^data:image\/png;base64,/);
+
+        // Not enabled until confirmed
+        const status = await request(app)
+          .get('/api/auth/mfa')
+          .set('Authorization', authHeader(token));
+        expect(expectSuccessResponse(status).data.enabled).toBe(false);
+      });
+
+      it('should enable 2FA with a valid code and issue hashed recovery codes', async () => {
+        const { recoveryCodes } = await enableMfa();
+
+        expect(recoveryCodes).toHaveLength(10);
+        expect(recoveryCodes[0]).toMatch(/^[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}$/);
+
+        const stored = await query('SELECT code_hash FROM mfa_recovery_codes WHERE user_id = $1', [user.id]);
+        expect(stored.rows).toHaveLength(10);
+        expect(stored.rows.map(r => r.code_hash)).not.toContain(recoveryCodes[0]);
+
+        const status = await request(app)
+          .get('/api/auth/mfa')
+          .set('Authorization', authHeader(token));
+        expect(expectSuccessResponse(status).data).toMatchObject({ enabled: true, recovery_codes_remaining: 10 });
+      });
+
+      it('should reject a wrong confirmation code', async () => {
+        await request(app)
+          .post('/api/auth/mfa/setup')
+          .set('Authorization', authHeader(token))
+          .expect(200);
+
+        const response = await request(app)
+          .post('/api/auth/mfa/enable')
+          .set('Authorization', authHeader(token))
+          .send({ code: '000000' });
+
+        expect(expectErrorResponse(response, 400, 'VALIDATION_ERROR').code).toBe('INVALID_MFA_CODE');
+      });
+
+      it('should require setup before enabling', async () => {
+        const response = await request(app)
+          .post('/api/auth/mfa/enable')
+          .set('Authorization', authHeader(token))
+          .send({ code: '123456' });
+
+        expect(expectErrorResponse(response, 400).code).toBe('MFA_NOT_SET_UP');
+      });
+
+      it('should not restart setup once enabled', async () => {
+        await enableMfa();
+
+        const response = await request(app)
+          .post('/api/auth/mfa/setup')
+          .set('Authorization', authHeader(token));
+
+        expect(expectErrorResponse(response, 400).code).toBe('MFA_ALREADY_ENABLED');
+      });
+
+      it('should require authentication', async () => {
+        expectAuthError(await request(app).post('/api/auth/mfa/setup'));
+      });
+
+      it('should not expose the secret in user data', async () => {
+        await enableMfa();
+
+        const response = await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', authHeader(token));
+
+        const { data } = expectSuccessResponse(response);
+        expect(data.mfa_enabled).toBe(true);
+        expect(data).not.toHaveProperty('mfa_secret');
+      });
+    });
+
+    describe('login', () => {
+      it('should not issue tokens before the second step', async () => {
+        await enableMfa();
+
+        const data = await passwordStep();
+        expect(data.mfa_required).toBe(true);
+        expect(data.mfa_token).toBeDefined();
+        expect(data).not.toHaveProperty('token');
+        expect(data).not.toHaveProperty('refresh_token');
+
+        // The challenge token is not an access token
+        const me = await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', authHeader(data.mfa_token));
+        expectAuthError(me);
+      });
+
+      it('should log in with a valid code', async () => {
+        const { secret } = await enableMfa();
+        const { mfa_token } = await passwordStep();
+
+        const response = await request(app)
+          .post('/api/auth/login/mfa')
+          .send({ mfa_token, code: nextCode(secret) });
+
+        const { data } = expectSuccessResponse(response);
+        expect(data.user.id).toBe(user.id);
+        expect(data.refresh_token).toBeDefined();
+
+        await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', authHeader(data.token))
+          .expect(200);
+      });
+
+      it('should not accept the same code twice', async () => {
+        const { secret } = await enableMfa();
+        const code = nextCode(secret);
+
+        const first = await passwordStep();
+        await request(app)
+          .post('/api/auth/login/mfa')
+          .send({ mfa_token: first.mfa_token, code })
+          .expect(200);
+
+        const second = await passwordStep();
+        const response = await request(app)
+          .post('/api/auth/login/mfa')
+          .send({ mfa_token: second.mfa_token, code });
+
+        expect(expectErrorResponse(response, 401, 'AUTHENTICATION_ERROR').code).toBe('INVALID_MFA_CODE');
+      });
+
+      it('should accept each recovery code once', async () => {
+        const { recoveryCodes } = await enableMfa();
+
+        const first = await passwordStep();
+        const response = await request(app)
+          .post('/api/auth/login/mfa')
+          .send({ mfa_token: first.mfa_token, code: recoveryCodes[0].toUpperCase() });
+        expect(expectSuccessResponse(response).data.recovery_codes_remaining).toBe(9);
+
+        const second = await passwordStep();
+        const reused = await request(app)
+          .post('/api/auth/login/mfa')
+          .send({ mfa_token: second.mfa_token, code: recoveryCodes[0] });
+        expect(expectErrorResponse(reused, 401).code).toBe('INVALID_MFA_CODE');
+      });
+
+      it('should reject invalid challenge tokens', async () => {
+        const { secret } = await enableMfa();
+
+        const forged = await request(app)
+          .post('/api/auth/login/mfa')
+          .send({ mfa_token: token, code: nextCode(secret) });
+        expect(expectErrorResponse(forged, 401).code).toBe('INVALID_MFA_TOKEN');
+
+        // A password change between the steps voids the challenge
+        const { mfa_token } = await passwordStep();
+        await query('UPDATE users SET token_version = token_version + 1 WHERE id = $1', [user.id]);
+
+        const stale = await request(app)
+          .post('/api/auth/login/mfa')
+          .send({ mfa_token, code: nextCode(secret) });
+        expect(expectErrorResponse(stale, 401).code).toBe('INVALID_MFA_TOKEN');
+      });
+
+      it('should validate the second step', async () => {
+        const response = await request(app)
+          .post('/api/auth/login/mfa')
+          .send({ code: '123456' });
+
+        expectValidationError(response);
+      });
+    });
+
+    describe('management', () => {
+      it('should disable 2FA with the password and a code', async () => {
+        const { secret } = await enableMfa();
+
+        const wrongPassword = await request(app)
+          .post('/api/auth/mfa/disable')
+          .set('Authorization', authHeader(token))
+          .send({ password: 'WrongPassword123!', code: nextCode(secret) });
+        expect(expectErrorResponse(wrongPassword, 400).code).toBe('INVALID_PASSWORD');
+
+        await request(app)
+          .post('/api/auth/mfa/disable')
+          .set('Authorization', authHeader(token))
+          .send({ password: 'TestPassword123!', code: nextCode(secret) })
+          .expect(200);
+
+        const data = await passwordStep();
+        expect(data.mfa_required).toBeUndefined();
+        expect(data.token).toBeDefined();
+
+        const codes = await query('SELECT COUNT(*) FROM mfa_recovery_codes WHERE user_id = $1', [user.id]);
+        expect(parseInt(codes.rows[0].count)).toBe(0);
+      });
+
+      it('should replace recovery codes', async () => {
+        const { secret, recoveryCodes } = await enableMfa();
+
+        const response = await request(app)
+          .post('/api/auth/mfa/recovery-codes')
+          .set('Authorization', authHeader(token))
+          .send({ code: nextCode(secret) });
+        const { data } = expectSuccessResponse(response);
+        expect(data.recovery_codes).toHaveLength(10);
+
+        const { mfa_token } = await passwordStep();
+        const oldCode = await request(app)
+          .post('/api/auth/login/mfa')
+          .send({ mfa_token, code: recoveryCodes[1] });
+        expect(expectErrorResponse(oldCode, 401).code).toBe('INVALID_MFA_CODE');
+      });
+    });
+
+    describe('staff requirement', () => {
+      const originalSetting = config.auth.mfa.requiredForStaff;
+      let moderator, moderatorToken;
+
+      beforeEach(async () => {
+        config.auth.mfa.requiredForStaff = true;
+        moderator = await createTestUser({ role: 'moderator' });
+        moderatorToken = generateTestToken(moderator);
+      });
+
+      afterEach(() => {
+        config.auth.mfa.requiredForStaff = originalSetting;
+      });
+
+      it('should block staff tools until 2FA is enabled', async () => {
+        const blocked = await request(app)
+          .get('/api/moderation/reports')
+          .set('Authorization', authHeader(moderatorToken));
+        expect(expectErrorResponse(blocked, 403, 'AUTHORIZATION_ERROR').code).toBe('MFA_REQUIRED');
+
+        const status = await request(app)
+          .get('/api/auth/mfa')
+          .set('Authorization', authHeader(moderatorToken));
+        expect(expectSuccessResponse(status).data.required).toBe(true);
+
+        await enableMfa(moderator, moderatorToken);
+
+        await request(app)
+          .get('/api/moderation/reports')
+          .set('Authorization', authHeader(moderatorToken))
+          .expect(200);
+      });
+
+      it('should not let staff turn 2FA off', async () => {
+        const { secret } = await enableMfa(moderator, moderatorToken);
+
+        const response = await request(app)
+          .post('/api/auth/mfa/disable')
+          .set('Authorization', authHeader(moderatorToken))
+          .send({ password: 'TestPassword123!', code: nextCode(secret) });
+
+        expect(expectErrorResponse(response, 403).code).toBe('MFA_REQUIRED');
+      });
+    });
+  });
+});
\ No newline at end of file
@@ -25,6 +25,7 @@ const {
   authenticate,
   optionalAuthenticate,
   requireRoles,
+  requirePermission,
   requireOwnership,
   requireModifyPermission,
   generateToken,
@@ -52,7 +53,7 @@ describe('Authentication Middleware', () => {
 
   beforeEach(async () => {
     await clearTables();
-    testUser = await createTestUser({ id: 2 }); // Ensure non-admin user
+    testUser = await createTestUser();
     validToken = generateTestToken(testUser);
 
     // Create expired token
@@ -236,10 +237,13 @@ describe('Authentication Middleware', () => {
       app.use('/admin', authenticate, requireRoles('admin'), (req, res) => {
         res.json({ success: true });
       });
+      app.use('/moderation', authenticate, requireRoles('moderator'), (req, res) => {
+        res.json({ success: true });
+      });
     });
 
-    it('should allow admin user (ID = 1)', async () => {
-      const adminUser = await createTestUser({ id: 1 });
+    it('should allow admin user', async () => {
+      const adminUser = await createTestUser({ role: 'admin' });
       const adminToken = generateTestToken(adminUser);
 
       const response = await request(app)
@@ -249,6 +253,44 @@ describe('Authentication Middleware', () => {
       expectSuccessResponse(response);
     });
 
+    it('should let higher roles pass lower role checks', async () => {
+      const adminUser = await createTestUser({ role: 'admin' });
+      const moderator = await createTestUser({ role: 'moderator' });
+
+      const asAdmin = await request(app)
+        .get('/moderation')
+        .set('Authorization', `Bearer ${generateTestToken(adminUser)}`);
+      expectSuccessResponse(asAdmin);
+
+      const asModerator = await request(app)
+        .get('/admin')
+        .set('Authorization', `Bearer ${generateTestToken(moderator)}`);
+      expectAuthorizationError(asModerator);
+    });
+
+    it('should no longer treat user ID 1 as admin', async () => {
+      const firstUser = await createTestUser({ id: 1 });
+
+      const response = await request(app)
+        .get('/admin')
+        .set('Authorization', `Bearer ${generateTestToken(firstUser)}`);
+
+      expectAuthorizationError(response);
+    });
+
+    it('should read the role from the database rather than the token', async () => {
+      // Token issued while the user was an admin
+      const demoted = await createTestUser({ role: 'admin' });
+      const staleToken = generateTestToken(demoted);
+      await getModels().User.update({ role: 'user' }, { where: { id: demoted.id } });
+
+      const response = await request(app)
+        .get('/admin')
+        .set('Authorization', `Bearer ${staleToken}`);
+
+      expectAuthorizationError(response);
+    });
+
     it('should reject non-admin user', async () => {
       const response = await request(app)
         .get('/admin')
@@ -267,6 +309,39 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('requirePermission middleware', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/roles', authenticate, requirePermission('roles.manage'), (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    it('should allow roles that grant the permission', async () => {
+      const adminUser = await createTestUser({ role: 'admin' });
+
+      const response = await request(app)
+        .get('/roles')
+        .set('Authorization', `Bearer ${generateTestToken(adminUser)}`);
+
+      expectSuccessResponse(response);
+    });
+
+    it('should reject roles without the permission', async () => {
+      const moderator = await createTestUser({ role: 'moderator' });
+
+      const response = await request(app)
+        .get('/roles')
+        .set('Authorization', `Bearer ${generateTestToken(moderator)}`);
+
+      const error = expectAuthorizationError(response);
+      expect(error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+  });
+
   describe('requireOwnership middleware', () => {
     let app;
 
@@ -343,9 +418,9 @@ describe('Authentication Middleware', () => {
     });
 
     it('should allow admin to modify any resource', async () => {
-      const adminUser = await createTestUser({ id: 1 });
+      const adminUser = await createTestUser({ role: 'admin' });
       const adminToken = generateTestToken(adminUser);
-      const otherUser = await createTestUser({ id: 3 }); // Ensure different ID
+      const otherUser = await createTestUser();
 
       const response = await request(app)
         .put(`/modify/${otherUser.id}`)
@@ -379,6 +454,7 @@ describe('Authentication Middleware', () => {
       expect(decoded.userId).toBe(testUser.id);
       expect(decoded.username).toBe(testUser.username);
       expect(decoded.email).toBe(testUser.email);
+      expect(decoded.role).toBe('user');
     });
 
     it('should include correct claims', () => {
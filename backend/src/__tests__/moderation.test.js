@@ -0,0 +1,356 @@
+/**
+ * Reports and moderation routes tests
+ * Tests reporting content, the moderator queue, resolve actions and the audit trail
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestComment,
+  createTestMedia,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectValidationError,
+  expectAuthError,
+  expectAuthorizationError,
+  expectNotFoundError,
+  expectPaginatedResponse,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+
+// Import routes
+const reportsRoutes = require('../routes/reports');
+const moderationRoutes = require('../routes/moderation');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportsRoutes);
+app.use('/api/moderation', moderationRoutes);
+
+describe('Reports and Moderation Routes', () => {
+  let author, reporter, other, moderator, admin;
+  let authorToken, reporterToken, otherToken, moderatorToken, adminToken;
+  let post;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    author = await createTestUser();
+    reporter = await createTestUser();
+    other = await createTestUser();
+    moderator = await createTestUser({ role: 'moderator' });
+    admin = await createTestUser({ role: 'admin' });
+
+    authorToken = generateTestToken(author);
+    reporterToken = generateTestToken(reporter);
+    otherToken = generateTestToken(other);
+    moderatorToken = generateTestToken(moderator);
+    adminToken = generateTestToken(admin);
+
+    post = await createTestPost(author.id, { content: 'Questionable content' });
+  });
+
+  const report = (token, data) => request(app)
+    .post('/api/reports')
+    .set('Authorization', authHeader(token))
+    .send({ reason: 'spam', ...data });
+
+  const resolve = (token, reportId, data) => request(app)
+    .post(`/api/moderation/reports/${reportId}/resolve`)
+    .set('Authorization', authHeader(token))
+    .send(data);
+
+  describe('POST /api/reports', () => {
+    it('should report a post', async () => {
+      const response = await report(reporterToken, {
+        target_type: 'post',
+        target_id: post.id,
+        details: 'Posted the same link ten times'
+      });
+
+      const body = expectSuccessResponse(response, 201);
+      expect(body.data).toMatchObject({
+        reporter_id: reporter.id,
+        target_type: 'post',
+        target_id: post.id,
+        reason: 'spam',
+        status: 'pending'
+      });
+    });
+
+    it('should report comments, media and users', async () => {
+      const comment = await createTestComment(author.id, post.id);
+      const media = await createTestMedia(author.id, post.id);
+
+      await report(reporterToken, { target_type: 'comment', target_id: comment.id }).expect(201);
+      await report(reporterToken, { target_type: 'media', target_id: media.id }).expect(201);
+      await report(reporterToken, { target_type: 'user', target_id: author.id, reason: 'harassment' }).expect(201);
+    });
+
+    it('should reject duplicate pending reports', async () => {
+      await report(reporterToken, { target_type: 'post', target_id: post.id }).expect(201);
+
+      const response = await report(reporterToken, { target_type: 'post', target_id: post.id, reason: 'other' })
+        .expect(409);
+
+      expectErrorResponse(response, 409, 'DUPLICATE_ERROR');
+    });
+
+    it('should not allow reporting your own content', async () => {
+      const response = await report(authorToken, { target_type: 'post', target_id: post.id })
+        .expect(400);
+
+      expectErrorResponse(response, 400, 'INVALID_TARGET');
+    });
+
+    it('should return 404 for content the reporter cannot see', async () => {
+      const privatePost = await createTestPost(author.id, { privacy_level: 'private' });
+      const hiddenComment = await createTestComment(author.id, post.id, { is_published: false });
+
+      expectNotFoundError(await report(reporterToken, { target_type: 'post', target_id: privatePost.id }).expect(404));
+      expectNotFoundError(await report(reporterToken, { target_type: 'comment', target_id: hiddenComment.id }).expect(404));
+      expectNotFoundError(await report(reporterToken, { target_type: 'post', target_id: 999999 }).expect(404));
+    });
+
+    it('should validate the target type and reason', async () => {
+      expectValidationError(await report(reporterToken, { target_type: 'hashtag', target_id: 1 }).expect(400));
+      expectValidationError(await report(reporterToken, { target_type: 'post', target_id: post.id, reason: 'boring' }).expect(400));
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .send({ target_type: 'post', target_id: post.id, reason: 'spam' })
+        .expect(401);
+
+      expectAuthError(response);
+    });
+  });
+
+  describe('GET /api/moderation/reports', () => {
+    beforeEach(async () => {
+      await report(reporterToken, { target_type: 'post', target_id: post.id });
+      await report(otherToken, { target_type: 'post', target_id: post.id, reason: 'misinformation' });
+      await report(reporterToken, { target_type: 'user', target_id: author.id, reason: 'harassment' });
+    });
+
+    it('should list pending reports oldest first with target summaries', async () => {
+      const response = await request(app)
+        .get('/api/moderation/reports')
+        .set('Authorization', authHeader(moderatorToken))
+        .expect(200);
+
+      const data = expectPaginatedResponse(response);
+      expect(data.reports).toHaveLength(3);
+
+      const [first] = data.reports;
+      expect(first.reporter_username).toBe(reporter.username);
+      expect(first.pending_count).toBe(2);
+      expect(first.target).toMatchObject({ id: post.id, user_id: author.id, content: 'Questionable content' });
+    });
+
+    it('should filter by target type', async () => {
+      const response = await request(app)
+        .get('/api/moderation/reports?target_type=user')
+        .set('Authorization', authHeader(moderatorToken))
+        .expect(200);
+
+      const data = expectPaginatedResponse(response);
+      expect(data.reports).toHaveLength(1);
+      expect(data.reports[0].target.username).toBe(author.username);
+    });
+
+    it('should be limited to moderators and admins', async () => {
+      const response = await request(app)
+        .get('/api/moderation/reports')
+        .set('Authorization', authHeader(reporterToken))
+        .expect(403);
+
+      expectAuthorizationError(response);
+
+      await request(app)
+        .get('/api/moderation/reports')
+        .set('Authorization', authHeader(adminToken))
+        .expect(200);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/moderation/reports')
+        .expect(401);
+
+      expectAuthError(response);
+    });
+  });
+
+  describe('POST /api/moderation/reports/:id/resolve', () => {
+    let postReport;
+
+    beforeEach(async () => {
+      postReport = (await report(reporterToken, { target_type: 'post', target_id: post.id })).body.data;
+    });
+
+    it('should dismiss a report without touching the content', async () => {
+      const response = await resolve(moderatorToken, postReport.id, { action: 'dismiss', note: 'Not spam' })
+        .expect(200);
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.report).toMatchObject({ status: 'dismissed', resolution_action: 'dismiss', resolved_by: moderator.id });
+
+      const result = await query('SELECT is_published FROM posts WHERE id = $1', [post.id]);
+      expect(result.rows[0].is_published).toBe(true);
+    });
+
+    it('should unpublish a post and close every open report on it', async () => {
+      await report(otherToken, { target_type: 'post', target_id: post.id });
+
+      const response = await resolve(moderatorToken, postReport.id, { action: 'unpublish' })
+        .expect(200);
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.resolved_count).toBe(2);
+      expect(body.data.report.status).toBe('resolved');
+
+      const posts = await query('SELECT is_published FROM posts WHERE id = $1', [post.id]);
+      expect(posts.rows[0].is_published).toBe(false);
+
+      const pending = await query("SELECT COUNT(*) FROM reports WHERE status = 'pending'");
+      expect(parseInt(pending.rows[0].count)).toBe(0);
+    });
+
+    it('should unpublish a comment', async () => {
+      const comment = await createTestComment(author.id, post.id);
+      const commentReport = (await report(reporterToken, { target_type: 'comment', target_id: comment.id })).body.data;
+
+      await resolve(moderatorToken, commentReport.id, { action: 'unpublish' }).expect(200);
+
+      const result = await query('SELECT is_published FROM comments WHERE id = $1', [comment.id]);
+      expect(result.rows[0].is_published).toBe(false);
+    });
+
+    it('should delete reported content', async () => {
+      const media = await createTestMedia(author.id, post.id);
+      const mediaReport = (await report(reporterToken, { target_type: 'media', target_id: media.id })).body.data;
+
+      await resolve(moderatorToken, mediaReport.id, { action: 'delete' }).expect(200);
+      await resolve(moderatorToken, postReport.id, { action: 'delete' }).expect(200);
+
+      expect((await query('SELECT id FROM media WHERE id = $1', [media.id])).rows).toHaveLength(0);
+      expect((await query('SELECT id FROM posts WHERE id = $1', [post.id])).rows).toHaveLength(0);
+    });
+
+    it('should suspend the author of reported content', async () => {
+      await resolve(moderatorToken, postReport.id, { action: 'suspend' }).expect(200);
+
+      const result = await query('SELECT is_active FROM users WHERE id = $1', [author.id]);
+      expect(result.rows[0].is_active).toBe(false);
+    });
+
+    it('should only allow admins to suspend staff', async () => {
+      const staffPost = await createTestPost(admin.id);
+      const staffReport = (await report(reporterToken, { target_type: 'post', target_id: staffPost.id })).body.data;
+
+      const response = await resolve(moderatorToken, staffReport.id, { action: 'suspend' })
+        .expect(403);
+
+      expectAuthorizationError(response);
+    });
+
+    it('should reject actions that do not apply to the target', async () => {
+      const userReport = (await report(reporterToken, { target_type: 'user', target_id: author.id })).body.data;
+
+      expectErrorResponse(await resolve(moderatorToken, userReport.id, { action: 'unpublish' }).expect(400), 400, 'INVALID_ACTION');
+      expectErrorResponse(await resolve(moderatorToken, userReport.id, { action: 'delete' }).expect(400), 400, 'INVALID_ACTION');
+    });
+
+    it('should only allow dismissing reports on content that no longer exists', async () => {
+      await query('DELETE FROM posts WHERE id = $1', [post.id]);
+
+      expectErrorResponse(await resolve(moderatorToken, postReport.id, { action: 'unpublish' }).expect(400), 400, 'INVALID_ACTION');
+      await resolve(moderatorToken, postReport.id, { action: 'dismiss' }).expect(200);
+    });
+
+    it('should not resolve a report twice', async () => {
+      await resolve(moderatorToken, postReport.id, { action: 'dismiss' }).expect(200);
+
+      const response = await resolve(moderatorToken, postReport.id, { action: 'unpublish' })
+        .expect(409);
+
+      expectErrorResponse(response, 409, 'ALREADY_RESOLVED');
+    });
+
+    it('should return 404 for a missing report', async () => {
+      const response = await resolve(moderatorToken, 999999, { action: 'dismiss' })
+        .expect(404);
+
+      expectNotFoundError(response);
+    });
+
+    it('should validate the action', async () => {
+      const response = await resolve(moderatorToken, postReport.id, { action: 'ban' })
+        .expect(400);
+
+      expectValidationError(response);
+    });
+
+    it('should not let regular users resolve reports', async () => {
+      const response = await resolve(otherToken, postReport.id, { action: 'dismiss' })
+        .expect(403);
+
+      expectAuthorizationError(response);
+    });
+  });
+
+  describe('GET /api/moderation/actions', () => {
+    it('should record every action in the audit trail', async () => {
+      const postReport = (await report(reporterToken, { target_type: 'post', target_id: post.id })).body.data;
+      await resolve(moderatorToken, postReport.id, { action: 'delete', note: 'Repeated spam' }).expect(200);
+
+      const response = await request(app)
+        .get('/api/moderation/actions')
+        .set('Authorization', authHeader(adminToken))
+        .expect(200);
+
+      const data = expectPaginatedResponse(response);
+      expect(data.actions).toHaveLength(1);
+      expect(data.actions[0]).toMatchObject({
+        moderator_id: moderator.id,
+        moderator_username: moderator.username,
+        action: 'delete',
+        target_type: 'post',
+        target_id: post.id,
+        target_user_id: author.id,
+        report_id: postReport.id,
+        note: 'Repeated spam'
+      });
+
+      // The snapshot survives the deleted post
+      expect(data.actions[0].data.target.content).toBe('Questionable content');
+      expect(data.actions[0].data.report_ids).toEqual([postReport.id]);
+    });
+
+    it('should filter by target', async () => {
+      const postReport = (await report(reporterToken, { target_type: 'post', target_id: post.id })).body.data;
+      const userReport = (await report(reporterToken, { target_type: 'user', target_id: author.id })).body.data;
+      await resolve(moderatorToken, postReport.id, { action: 'dismiss' }).expect(200);
+      await resolve(moderatorToken, userReport.id, { action: 'dismiss' }).expect(200);
+
+      const response = await request(app)
+        .get(`/api/moderation/actions?target_type=user&target_id=${author.id}`)
+        .set('Authorization', authHeader(moderatorToken))
+        .expect(200);
+
+      const data = expectPaginatedResponse(response);
+      expect(data.actions).toHaveLength(1);
+      expect(data.actions[0].report_id).toBe(userReport.id);
+    });
+  });
+});
\ No newline at end of file
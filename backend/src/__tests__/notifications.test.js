@@ -0,0 +1,388 @@
+/**
+ * Notifications routes tests
+ * Tests notification generation from comments, replies, reactions and mentions,
+ * and the list/read/unread-count endpoints
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestComment,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectValidationError,
+  expectAuthError,
+  expectAuthorizationError,
+  expectNotFoundError,
+  expectPaginatedResponse,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+
+// Import routes
+const notificationsRoutes = require('../routes/notifications');
+const postsRoutes = require('../routes/posts');
+const commentsRoutes = require('../routes/comments');
+const reactionsRoutes = require('../routes/reactions');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/posts', postsRoutes);
+app.use('/api/comments', commentsRoutes);
+app.use('/api/reactions', reactionsRoutes);
+
+describe('Notifications Routes', () => {
+  let author, commenter, other, authorToken, commenterToken, otherToken, post;
+  const originalSetting = config.features.enableNotifications;
+
+  beforeAll(() => {
+    config.features.enableNotifications = true;
+  });
+
+  afterAll(() => {
+    config.features.enableNotifications = originalSetting;
+  });
+
+  beforeEach(async () => {
+    await clearTables();
+
+    author = await createTestUser();
+    commenter = await createTestUser();
+    other = await createTestUser();
+
+    authorToken = generateTestToken(author);
+    commenterToken = generateTestToken(commenter);
+    otherToken = generateTestToken(other);
+
+    post = await createTestPost(author.id, { content: 'A post worth talking about' });
+  });
+
+  const getNotifications = async (userId) => {
+    const result = await query(
+      'SELECT * FROM notifications WHERE user_id = $1 ORDER BY id',
+      [userId]
+    );
+    return result.rows;
+  };
+
+  describe('notification generation', () => {
+    it('should notify the post author when someone comments', async () => {
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(commenterToken))
+        .send({ post_id: post.id, content: 'Nice post' })
+        .expect(201);
+
+      const notifications = await getNotifications(author.id);
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({
+        type: 'comment',
+        actor_id: commenter.id,
+        post_id: post.id,
+        is_read: false
+      });
+    });
+
+    it('should not notify users about their own activity', async () => {
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(authorToken))
+        .send({ post_id: post.id, content: 'Commenting on my own post' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/reactions/post/${post.id}`)
+        .set('Authorization', authHeader(authorToken))
+        .send({ emoji_name: 'like' })
+        .expect(200);
+
+      expect(await getNotifications(author.id)).toHaveLength(0);
+    });
+
+    it('should notify the parent comment author of a reply', async () => {
+      const parent = await createTestComment(commenter.id, post.id);
+
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(otherToken))
+        .send({ post_id: post.id, parent_id: parent.id, content: 'I agree' })
+        .expect(201);
+
+      const replyNotifications = await getNotifications(commenter.id);
+      expect(replyNotifications).toHaveLength(1);
+      expect(replyNotifications[0].type).toBe('reply');
+      expect(replyNotifications[0].actor_id).toBe(other.id);
+
+      const authorNotifications = await getNotifications(author.id);
+      expect(authorNotifications).toHaveLength(1);
+      expect(authorNotifications[0].type).toBe('comment');
+    });
+
+    it('should send a single reply notification when the post author is also the parent author', async () => {
+      const parent = await createTestComment(author.id, post.id);
+
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(commenterToken))
+        .send({ post_id: post.id, parent_id: parent.id, content: 'Replying to the author' })
+        .expect(201);
+
+      const notifications = await getNotifications(author.id);
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe('reply');
+    });
+
+    it('should notify on new post and comment reactions only', async () => {
+      const comment = await createTestComment(other.id, post.id);
+
+      await request(app)
+        .post(`/api/reactions/post/${post.id}`)
+        .set('Authorization', authHeader(commenterToken))
+        .send({ emoji_name: 'like' })
+        .expect(200);
+
+      // Changing the emoji updates the reaction without a second notification
+      await request(app)
+        .post(`/api/reactions/post/${post.id}`)
+        .set('Authorization', authHeader(commenterToken))
+        .send({ emoji_name: 'love' })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/reactions/comment/${comment.id}`)
+        .set('Authorization', authHeader(commenterToken))
+        .send({ emoji_name: 'laugh' })
+        .expect(200);
+
+      const postNotifications = await getNotifications(author.id);
+      expect(postNotifications).toHaveLength(1);
+      expect(postNotifications[0].type).toBe('reaction');
+      expect(postNotifications[0].data.emoji_name).toBe('like');
+
+      const commentNotifications = await getNotifications(other.id);
+      expect(commentNotifications).toHaveLength(1);
+      expect(commentNotifications[0]).toMatchObject({
+        type: 'reaction',
+        post_id: post.id,
+        comment_id: comment.id
+      });
+    });
+
+    it('should notify mentioned users in posts and comments', async () => {
+      await request(app)
+        .post('/api/posts')
+        .set('Authorization', authHeader(authorToken))
+        .send({ content: `Hello @${other.username} and @nosuchuser` })
+        .expect(201);
+
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(commenterToken))
+        .send({ post_id: post.id, content: `@${other.username} you should see this` })
+        .expect(201);
+
+      const notifications = await getNotifications(other.id);
+      expect(notifications).toHaveLength(2);
+      expect(notifications.every(n => n.type === 'mention')).toBe(true);
+      expect(notifications[1].comment_id).not.toBeNull();
+    });
+
+    it('should only notify users newly mentioned when a post is edited', async () => {
+      const created = await request(app)
+        .post('/api/posts')
+        .set('Authorization', authHeader(authorToken))
+        .send({ content: `Hello @${other.username}` })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/posts/${created.body.data.id}`)
+        .set('Authorization', authHeader(authorToken))
+        .send({ content: `Hello @${other.username} and @${commenter.username}` })
+        .expect(200);
+
+      expect(await getNotifications(other.id)).toHaveLength(1);
+      expect(await getNotifications(commenter.id)).toHaveLength(1);
+    });
+
+    it('should not notify mentioned users who cannot see the post', async () => {
+      await request(app)
+        .post('/api/posts')
+        .set('Authorization', authHeader(authorToken))
+        .send({ content: `Secret note for @${other.username}`, privacy_level: 'private' })
+        .expect(201);
+
+      expect(await getNotifications(other.id)).toHaveLength(0);
+    });
+
+    it('should not create notifications when the feature is disabled', async () => {
+      config.features.enableNotifications = false;
+      try {
+        await request(app)
+          .post('/api/comments')
+          .set('Authorization', authHeader(commenterToken))
+          .send({ post_id: post.id, content: 'Quiet comment' })
+          .expect(201);
+      } finally {
+        config.features.enableNotifications = true;
+      }
+
+      expect(await getNotifications(author.id)).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/notifications', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(commenterToken))
+        .send({ post_id: post.id, content: 'First comment' });
+      await request(app)
+        .post(`/api/reactions/post/${post.id}`)
+        .set('Authorization', authHeader(otherToken))
+        .send({ emoji_name: 'like' });
+    });
+
+    it('should list notifications newest first with actor info', async () => {
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', authHeader(authorToken))
+        .expect(200);
+
+      const data = expectPaginatedResponse(response);
+      expect(data.notifications).toHaveLength(2);
+      expect(data.unread_count).toBe(2);
+
+      const [latest, earliest] = data.notifications;
+      expect(latest.type).toBe('reaction');
+      expect(latest.actor.username).toBe(other.username);
+      expect(latest.post_excerpt).toBe('A post worth talking about');
+      expect(earliest.type).toBe('comment');
+      expect(earliest.comment_excerpt).toBe('First comment');
+    });
+
+    it('should only return the current user\'s notifications', async () => {
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', authHeader(commenterToken))
+        .expect(200);
+
+      const data = expectPaginatedResponse(response);
+      expect(data.notifications).toHaveLength(0);
+    });
+
+    it('should filter to unread notifications', async () => {
+      const [first] = await getNotifications(author.id);
+      await request(app)
+        .put(`/api/notifications/${first.id}/read`)
+        .set('Authorization', authHeader(authorToken))
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/notifications?unread_only=true')
+        .set('Authorization', authHeader(authorToken))
+        .expect(200);
+
+      const data = expectPaginatedResponse(response);
+      expect(data.notifications).toHaveLength(1);
+      expect(data.notifications[0].is_read).toBe(false);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/notifications')
+        .expect(401);
+
+      expectAuthError(response);
+    });
+
+    it('should validate pagination parameters', async () => {
+      const response = await request(app)
+        .get('/api/notifications?limit=500')
+        .set('Authorization', authHeader(authorToken))
+        .expect(400);
+
+      expectValidationError(response);
+    });
+  });
+
+  describe('read state', () => {
+    let notificationIds;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(commenterToken))
+        .send({ post_id: post.id, content: 'One' });
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(otherToken))
+        .send({ post_id: post.id, content: 'Two' });
+
+      notificationIds = (await getNotifications(author.id)).map(n => n.id);
+    });
+
+    it('should return the unread count', async () => {
+      const response = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', authHeader(authorToken))
+        .expect(200);
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.unread_count).toBe(2);
+    });
+
+    it('should mark a single notification as read', async () => {
+      const response = await request(app)
+        .put(`/api/notifications/${notificationIds[0]}/read`)
+        .set('Authorization', authHeader(authorToken))
+        .expect(200);
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.notification.is_read).toBe(true);
+      expect(body.data.notification.read_at).not.toBeNull();
+      expect(body.data.unread_count).toBe(1);
+    });
+
+    it('should not let users mark other users\' notifications', async () => {
+      const response = await request(app)
+        .put(`/api/notifications/${notificationIds[0]}/read`)
+        .set('Authorization', authHeader(otherToken))
+        .expect(403);
+
+      expectAuthorizationError(response);
+    });
+
+    it('should return 404 for a missing notification', async () => {
+      const response = await request(app)
+        .put('/api/notifications/999999/read')
+        .set('Authorization', authHeader(authorToken))
+        .expect(404);
+
+      expectNotFoundError(response);
+    });
+
+    it('should mark all notifications as read', async () => {
+      const response = await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', authHeader(authorToken))
+        .expect(200);
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.updated_count).toBe(2);
+
+      const countResponse = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', authHeader(authorToken))
+        .expect(200);
+      expect(countResponse.body.data.unread_count).toBe(0);
+    });
+  });
+});
\ No newline at end of file
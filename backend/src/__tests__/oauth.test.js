@@ -0,0 +1,487 @@
+/**
+ * OAuth login tests
+ * Runs the Google and Facebook authorization-code flows against a local stub provider:
+ * login, account creation and email linking, explicit linking and unlinking
+ */
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectValidationError,
+  expectAuthError,
+  expectNotFoundError,
+  createTestPayload,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+const User = require('../models/User');
+
+// Import routes
+const authRoutes = require('../routes/auth');
+const usersRoutes = require('../routes/users');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/users', usersRoutes);
+
+/**
+ * Minimal provider: the token endpoint turns code `X` into access token `token-X`,
+ * and the user info endpoint answers with the profile registered for code `X`.
+ */
+const profiles = {};
+const providerRequests = [];
+
+const stubProvider = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    providerRequests.push({ method: req.method, path: url.pathname, query: url.searchParams, body });
+
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (url.pathname.endsWith('/token')) {
+      const params = req.method === 'POST' ? new URLSearchParams(body) : url.searchParams;
+      const code = params.get('code');
+      if (!profiles[code]) {
+        return send(400, { error: 'invalid_grant', error_description: 'Bad code' });
+      }
+      return send(200, { access_token: `token-${code}`, token_type: 'Bearer' });
+    }
+
+    if (url.pathname.endsWith('/userinfo') || url.pathname.endsWith('/me')) {
+      const code = (req.headers.authorization || '').replace(/^Bearer token-/, '');
+      return profiles[code] ? send(200, profiles[code]) : send(401, { error: 'invalid_token' });
+    }
+
+    send(404, { error: 'not_found' });
+  });
+});
+
+describe('OAuth login', () => {
+  const originalExternal = { google: config.external.google, facebook: config.external.facebook };
+
+  beforeAll(async () => {
+    await new Promise(resolve => stubProvider.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${stubProvider.address().port}`;
+
+    config.external.google = {
+      ...originalExternal.google,
+      clientId: 'google-client',
+      clientSecret: 'google-secret',
+      authorizeUrl: 'https://accounts.example.com/auth',
+      tokenUrl: `${base}/google/token`,
+      userInfoUrl: `${base}/google/userinfo`,
+      redirectUri: 'http://localhost:3000/oauth/google/callback'
+    };
+    config.external.facebook = {
+      ...originalExternal.facebook,
+      appId: 'facebook-app',
+      appSecret: 'facebook-secret',
+      tokenUrl: `${base}/facebook/token`,
+      userInfoUrl: `${base}/facebook/me`
+    };
+  });
+
+  afterAll(async () => {
+    config.external.google = originalExternal.google;
+    config.external.facebook = originalExternal.facebook;
+    await new Promise(resolve => stubProvider.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await clearTables();
+    providerRequests.length = 0;
+    Object.keys(profiles).forEach(code => delete profiles[code]);
+  });
+
+  /**
+   * Start a flow and return its state
+   */
+  const startFlow = async (provider, { intent = 'login', token = null } = {}) => {
+    let req = request(app).get(`/api/auth/oauth/${provider}`).query({ intent });
+    if (token) req = req.set('Authorization', authHeader(token));
+    const body = expectSuccessResponse(await req);
+    return body.data.state;
+  };
+
+  /**
+   * Run a full login: start the flow, then post back the code and state
+   */
+  const oauthLogin = async (provider, code) => {
+    const state = await startFlow(provider);
+    return request(app).post(`/api/auth/oauth/${provider}`).send({ code, state });
+  };
+
+  const googleProfile = (overrides = {}) => ({
+    sub: '1001',
+    email: 'ada@example.com',
+    email_verified: true,
+    given_name: 'Ada',
+    family_name: 'Lovelace',
+    picture: 'https://example.com/ada.png',
+    ...overrides
+  });
+
+  describe('starting a flow', () => {
+    it('should list configured providers', async () => {
+      const body = expectSuccessResponse(await request(app).get('/api/auth/oauth/providers'));
+      expect(body.data.providers).toEqual(['google', 'facebook']);
+    });
+
+    it('should return the provider authorization URL', async () => {
+      const response = await request(app).get('/api/auth/oauth/google');
+      const body = expectSuccessResponse(response);
+
+      const url = new URL(body.data.url);
+      expect(url.origin + url.pathname).toBe('https://accounts.example.com/auth');
+      expect(url.searchParams.get('client_id')).toBe('google-client');
+      expect(url.searchParams.get('redirect_uri')).toBe('http://localhost:3000/oauth/google/callback');
+      expect(url.searchParams.get('response_type')).toBe('code');
+      expect(url.searchParams.get('scope')).toBe('openid email profile');
+      expect(url.searchParams.get('state')).toBe(body.data.state);
+    });
+
+    it('should default the redirect URI to the frontend callback route', async () => {
+      const body = expectSuccessResponse(await request(app).get('/api/auth/oauth/facebook'));
+      expect(body.data.redirect_uri).toMatch(/\/oauth\/facebook\/callback$/);
+    });
+
+    it('should return 404 for unknown or unconfigured providers', async () => {
+      const unknown = expectNotFoundError(await request(app).get('/api/auth/oauth/myspace'));
+      expect(unknown.code).toBe('OAUTH_PROVIDER_UNAVAILABLE');
+
+      const facebook = config.external.facebook;
+      config.external.facebook = { ...facebook, appSecret: null };
+      try {
+        expectNotFoundError(await request(app).get('/api/auth/oauth/facebook'));
+        const body = expectSuccessResponse(await request(app).get('/api/auth/oauth/providers'));
+        expect(body.data.providers).toEqual(['google']);
+      } finally {
+        config.external.facebook = facebook;
+      }
+    });
+
+    it('should require login to start linking', async () => {
+      expectAuthError(await request(app).get('/api/auth/oauth/google').query({ intent: 'link' }));
+    });
+  });
+
+  describe('login', () => {
+    it('should create an account with a unique username on first login', async () => {
+      await createTestUser({ username: 'ada' });
+      profiles.c1 = googleProfile();
+
+      const response = await oauthLogin('google', 'c1');
+      const body = expectSuccessResponse(response, 201);
+
+      expect(body.data.created).toBe(true);
+      expect(body.data.token).toBeDefined();
+      expect(body.data.refresh_token).toBeDefined();
+      expect(body.data.user.username).toMatch(/^ada\d{4}$/);
+      expect(body.data.user.email).toBe('ada@example.com');
+      expect(body.data.user.first_name).toBe('Ada');
+      expect(body.data.user.email_verified).toBe(true);
+      expect(body.data.user).not.toHaveProperty('password_hash');
+
+      const result = await query('SELECT * FROM user_identities WHERE user_id = $1', [body.data.user.id]);
+      expect(result.rows).toHaveLength(1);
+      expect(result.rows[0].provider).toBe('google');
+      expect(result.rows[0].provider_user_id).toBe('1001');
+
+      // The token exchange carried the client credentials and redirect URI
+      const tokenRequest = new URLSearchParams(providerRequests.find(r => r.path === '/google/token').body);
+      expect(tokenRequest.get('client_secret')).toBe('google-secret');
+      expect(tokenRequest.get('redirect_uri')).toBe('http://localhost:3000/oauth/google/callback');
+      expect(tokenRequest.get('grant_type')).toBe('authorization_code');
+    });
+
+    it('should log the linked account in on later logins', async () => {
+      profiles.c1 = googleProfile();
+      profiles.c2 = googleProfile({ email: 'ada.new@example.com' });
+
+      const first = expectSuccessResponse(await oauthLogin('google', 'c1'), 201);
+      const second = expectSuccessResponse(await oauthLogin('google', 'c2'));
+
+      expect(second.data.created).toBe(false);
+      expect(second.data.user.id).toBe(first.data.user.id);
+
+      // The identity follows the provider's current email
+      const result = await query('SELECT email FROM user_identities WHERE user_id = $1', [first.data.user.id]);
+      expect(result.rows[0].email).toBe('ada.new@example.com');
+    });
+
+    it('should link an existing account with the same verified email', async () => {
+      const user = await createTestUser({ email: 'ada@example.com', email_verified: true });
+      profiles.c1 = googleProfile();
+
+      const body = expectSuccessResponse(await oauthLogin('google', 'c1'));
+
+      expect(body.data.created).toBe(false);
+      expect(body.data.user.id).toBe(user.id);
+    });
+
+    it('should not link an existing account when the provider has not verified the email', async () => {
+      await createTestUser({ email: 'ada@example.com' });
+      profiles.c1 = googleProfile({ email_verified: false });
+
+      const error = expectErrorResponse(await oauthLogin('google', 'c1'), 409, 'DUPLICATE_ERROR');
+      expect(error.code).toBe('OAUTH_EMAIL_NOT_VERIFIED');
+
+      const result = await query('SELECT COUNT(*) FROM user_identities');
+      expect(parseInt(result.rows[0].count)).toBe(0);
+    });
+
+    it('should not link an existing account whose email has not been verified here', async () => {
+      await createTestUser({ email: 'ada@example.com', email_verified: false });
+      profiles.c1 = googleProfile();
+
+      const error = expectErrorResponse(await oauthLogin('google', 'c1'), 409, 'DUPLICATE_ERROR');
+      expect(error.code).toBe('OAUTH_EMAIL_NOT_VERIFIED');
+
+      const result = await query('SELECT COUNT(*) FROM user_identities');
+      expect(parseInt(result.rows[0].count)).toBe(0);
+    });
+
+    it('should not link an account someone else registered with the email', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(createTestPayload({ email: 'ada@example.com' }));
+      const body = expectSuccessResponse(registered, 201);
+      expect(body.data).not.toHaveProperty('verification_token');
+      profiles.c1 = googleProfile();
+
+      const error = expectErrorResponse(await oauthLogin('google', 'c1'), 409, 'DUPLICATE_ERROR');
+      expect(error.code).toBe('OAUTH_EMAIL_NOT_VERIFIED');
+    });
+
+    it('should not link an account whose email was changed to the provider email', async () => {
+      const user = await createTestUser({ email: 'grace@example.com', email_verified: true });
+      await request(app)
+        .put(`/api/users/${user.id}`)
+        .set('Authorization', authHeader(generateTestToken(user)))
+        .send({ email: 'ada@example.com' })
+        .expect(200);
+      profiles.c1 = googleProfile();
+
+      const error = expectErrorResponse(await oauthLogin('google', 'c1'), 409, 'DUPLICATE_ERROR');
+      expect(error.code).toBe('OAUTH_EMAIL_NOT_VERIFIED');
+
+      const result = await query('SELECT COUNT(*) FROM user_identities');
+      expect(parseInt(result.rows[0].count)).toBe(0);
+    });
+
+    it('should require an email to create an account', async () => {
+      profiles.c1 = googleProfile({ email: undefined, email_verified: undefined });
+
+      const error = expectErrorResponse(await oauthLogin('google', 'c1'), 400, 'VALIDATION_ERROR');
+      expect(error.code).toBe('OAUTH_EMAIL_REQUIRED');
+    });
+
+    it('should log in with Facebook', async () => {
+      profiles.fb1 = {
+        id: '2002',
+        email: 'grace@example.com',
+        first_name: 'Grace',
+        last_name: 'Hopper',
+        picture: { data: { url: 'https://example.com/grace.png' } }
+      };
+
+      const body = expectSuccessResponse(await oauthLogin('facebook', 'fb1'), 201);
+
+      expect(body.data.user.username).toBe('grace');
+      expect(body.data.user.avatar_url).toBe('https://example.com/grace.png');
+      expect(body.data.user.email_verified).toBe(true);
+
+      const tokenRequest = providerRequests.find(r => r.path === '/facebook/token');
+      expect(tokenRequest.method).toBe('GET');
+      expect(tokenRequest.query.get('client_id')).toBe('facebook-app');
+      const profileRequest = providerRequests.find(r => r.path === '/facebook/me');
+      expect(profileRequest.query.get('fields')).toContain('email');
+    });
+
+    it('should require the second factor for accounts with 2FA', async () => {
+      const user = await createTestUser({ email: 'ada@example.com', email_verified: true });
+      await query('UPDATE users SET mfa_enabled = TRUE, mfa_secret = $1 WHERE id = $2', ['JBSWY3DPEHPK3PXP', user.id]);
+      profiles.c1 = googleProfile();
+
+      const body = expectSuccessResponse(await oauthLogin('google', 'c1'));
+
+      expect(body.data.mfa_required).toBe(true);
+      expect(body.data.mfa_token).toBeDefined();
+      expect(body.data.token).toBeUndefined();
+    });
+
+    it('should reject deactivated accounts', async () => {
+      await createTestUser({ email: 'ada@example.com', email_verified: true, is_active: false });
+      profiles.c1 = googleProfile();
+
+      const error = expectAuthError(await oauthLogin('google', 'c1'));
+      expect(error.code).toBe('ACCOUNT_DEACTIVATED');
+    });
+
+    it('should reject codes the provider refuses', async () => {
+      const error = expectAuthError(await oauthLogin('google', 'unknown-code'));
+      expect(error.code).toBe('OAUTH_FAILED');
+    });
+
+    it('should reject missing, forged or mismatched state', async () => {
+      profiles.c1 = googleProfile();
+
+      expectValidationError(await request(app).post('/api/auth/oauth/google').send({ code: 'c1' }));
+
+      const forged = await request(app).post('/api/auth/oauth/google').send({ code: 'c1', state: 'not-a-token' });
+      expect(expectErrorResponse(forged, 400, 'VALIDATION_ERROR').code).toBe('INVALID_OAUTH_STATE');
+
+      const facebookState = await startFlow('facebook');
+      const wrongProvider = await request(app).post('/api/auth/oauth/google').send({ code: 'c1', state: facebookState });
+      expect(expectErrorResponse(wrongProvider, 400, 'VALIDATION_ERROR').code).toBe('INVALID_OAUTH_STATE');
+
+      // The provider was never contacted
+      expect(providerRequests).toHaveLength(0);
+    });
+
+    it('should not allow password login for accounts created through OAuth', async () => {
+      profiles.c1 = googleProfile();
+      expectSuccessResponse(await oauthLogin('google', 'c1'), 201);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'ada@example.com', password: '' });
+      expectValidationError(response);
+
+      const guessed = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'ada@example.com', password: 'TestPassword123!' });
+      expect(expectAuthError(guessed).code).toBe('INVALID_CREDENTIALS');
+    });
+  });
+
+  describe('linking', () => {
+    let user, token;
+
+    beforeEach(async () => {
+      user = await createTestUser();
+      token = generateTestToken(user);
+    });
+
+    const link = async (provider, code, linkToken = token) => {
+      const state = await startFlow(provider, { intent: 'link', token: linkToken });
+      return request(app)
+        .post(`/api/auth/oauth/${provider}/link`)
+        .set('Authorization', authHeader(linkToken))
+        .send({ code, state });
+    };
+
+    it('should link a provider account regardless of email', async () => {
+      profiles.c1 = googleProfile({ email: 'someone.else@example.com', email_verified: false });
+
+      const body = expectSuccessResponse(await link('google', 'c1'), 201);
+      expect(body.data.identities).toHaveLength(1);
+      expect(body.data.identities[0].provider).toBe('google');
+
+      const list = expectSuccessResponse(await request(app).get('/api/auth/oauth/identities').set('Authorization', authHeader(token)));
+      expect(list.data.identities).toHaveLength(1);
+      expect(list.data.has_password).toBe(true);
+      expect(list.data.providers).toEqual(['google', 'facebook']);
+
+      // The linked account now logs in as this user
+      const login = expectSuccessResponse(await oauthLogin('google', 'c1'));
+      expect(login.data.user.id).toBe(user.id);
+    });
+
+    it('should reject a provider account linked to another user', async () => {
+      const other = await createTestUser();
+      profiles.c1 = googleProfile();
+      expectSuccessResponse(await link('google', 'c1', generateTestToken(other)), 201);
+
+      const error = expectErrorResponse(await link('google', 'c1'), 409, 'DUPLICATE_ERROR');
+      expect(error.code).toBe('OAUTH_ACCOUNT_IN_USE');
+    });
+
+    it('should reject a second account from the same provider', async () => {
+      profiles.c1 = googleProfile();
+      profiles.c2 = googleProfile({ sub: '1002' });
+      expectSuccessResponse(await link('google', 'c1'), 201);
+
+      const error = expectErrorResponse(await link('google', 'c2'), 409, 'DUPLICATE_ERROR');
+      expect(error.code).toBe('OAUTH_PROVIDER_ALREADY_LINKED');
+    });
+
+    it('should reject link state issued to another user or for login', async () => {
+      const other = await createTestUser();
+      profiles.c1 = googleProfile();
+
+      const otherState = await startFlow('google', { intent: 'link', token: generateTestToken(other) });
+      const response = await request(app)
+        .post('/api/auth/oauth/google/link')
+        .set('Authorization', authHeader(token))
+        .send({ code: 'c1', state: otherState });
+      expect(expectErrorResponse(response, 400, 'VALIDATION_ERROR').code).toBe('INVALID_OAUTH_STATE');
+
+      const loginState = await startFlow('google');
+      const loginResponse = await request(app)
+        .post('/api/auth/oauth/google/link')
+        .set('Authorization', authHeader(token))
+        .send({ code: 'c1', state: loginState });
+      expect(expectErrorResponse(loginResponse, 400, 'VALIDATION_ERROR').code).toBe('INVALID_OAUTH_STATE');
+    });
+
+    it('should unlink a provider', async () => {
+      profiles.c1 = googleProfile();
+      expectSuccessResponse(await link('google', 'c1'), 201);
+
+      const body = expectSuccessResponse(
+        await request(app).delete('/api/auth/oauth/google').set('Authorization', authHeader(token))
+      );
+      expect(body.data.identities).toHaveLength(0);
+
+      expectNotFoundError(await request(app).delete('/api/auth/oauth/google').set('Authorization', authHeader(token)));
+    });
+
+    it('should keep the only login method of a passwordless account until a password is set', async () => {
+      profiles.c1 = googleProfile();
+      const login = expectSuccessResponse(await oauthLogin('google', 'c1'), 201);
+      const oauthUser = await User.findById(login.data.user.id);
+      const oauthToken = generateTestToken(oauthUser);
+
+      const list = expectSuccessResponse(await request(app).get('/api/auth/oauth/identities').set('Authorization', authHeader(oauthToken)));
+      expect(list.data.has_password).toBe(false);
+
+      const refused = await request(app).delete('/api/auth/oauth/google').set('Authorization', authHeader(oauthToken));
+      expect(expectErrorResponse(refused, 400, 'VALIDATION_ERROR').code).toBe('LAST_LOGIN_METHOD');
+
+      // No current password is needed to set the first one
+      const changed = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', authHeader(oauthToken))
+        .send({ new_password: 'NewPassword123!' });
+      const newToken = expectSuccessResponse(changed).data.token;
+
+      expectSuccessResponse(await request(app).delete('/api/auth/oauth/google').set('Authorization', authHeader(newToken)));
+    });
+
+    it('should still require the current password once one is set', async () => {
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', authHeader(token))
+        .send({ new_password: 'NewPassword123!' });
+
+      expect(expectErrorResponse(response, 400).code).toBe('INVALID_PASSWORD');
+    });
+  });
+});
\ No newline at end of file
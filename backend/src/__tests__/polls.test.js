@@ -0,0 +1,320 @@
+/**
+ * Poll tests
+ * Tests creating posts with polls, voting and changing votes, closing times,
+ * hidden results and polls in post lists
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestFollow,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectNotFoundError,
+  expectValidationError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const Poll = require('../models/Poll');
+
+// Import routes
+const postRoutes = require('../routes/posts');
+const userRoutes = require('../routes/users');
+const feedRoutes = require('../routes/feed');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/feed', feedRoutes);
+
+describe('Polls', () => {
+  let author, voter, other;
+  let authorToken, voterToken, otherToken;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    author = await createTestUser();
+    voter = await createTestUser();
+    other = await createTestUser();
+
+    authorToken = generateTestToken(author);
+    voterToken = generateTestToken(voter);
+    otherToken = generateTestToken(other);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+  const createPost = (data, token = authorToken) => request(app)
+    .post('/api/posts')
+    .set('Authorization', authHeader(token))
+    .send(data);
+
+  const createPoll = async (poll, data = {}) => {
+    const body = expectSuccessResponse(
+      await createPost({ content: 'Which one?', ...data, poll: { options: ['Tea', 'Coffee', 'Water'], ...poll } }),
+      201
+    );
+    return body.data;
+  };
+
+  const vote = (postId, optionIds, token = voterToken) => request(app)
+    .post(`/api/posts/${postId}/poll/vote`)
+    .set('Authorization', authHeader(token))
+    .send({ option_ids: optionIds });
+
+  const getPoll = async (postId, token) => {
+    const req = request(app).get(`/api/posts/${postId}`);
+    const body = expectSuccessResponse(await (token ? req.set('Authorization', authHeader(token)) : req));
+    return body.data.poll;
+  };
+
+  const votesOf = (poll) => poll.options.map(option => option.votes);
+
+  describe('POST /api/posts', () => {
+    it('should attach a poll to the post', async () => {
+      const post = await createPoll({ allows_multiple: true, closes_at: inHours(24) });
+
+      expect(post.poll.allows_multiple).toBe(true);
+      expect(post.poll.hide_results).toBe(false);
+      expect(post.poll.is_closed).toBe(false);
+      expect(post.poll.closes_at).toBeTruthy();
+      expect(post.poll.options.map(option => option.text)).toEqual(['Tea', 'Coffee', 'Water']);
+      expect(votesOf(post.poll)).toEqual([0, 0, 0]);
+    });
+
+    it('should trim option texts', async () => {
+      const post = await createPoll({ options: ['  Yes ', 'No'] });
+
+      expect(post.poll.options.map(option => option.text)).toEqual(['Yes', 'No']);
+    });
+
+    it('should leave poll null on posts without one', async () => {
+      const body = expectSuccessResponse(await createPost({ content: 'No poll here' }), 201);
+
+      expect(body.data.poll).toBeNull();
+    });
+
+    it('should require between 2 and 10 options', async () => {
+      expectValidationError(await createPost({ content: 'One', poll: { options: ['Only'] } }));
+
+      const options = Array.from({ length: 11 }, (_, i) => `Option ${i + 1}`);
+      expectValidationError(await createPost({ content: 'Eleven', poll: { options } }));
+    });
+
+    it('should reject empty, overlong and duplicate options', async () => {
+      expectValidationError(await createPost({ content: 'Empty', poll: { options: ['Yes', '  '] } }));
+      expectValidationError(await createPost({ content: 'Long', poll: { options: ['Yes', 'x'.repeat(201)] } }));
+      expectValidationError(await createPost({ content: 'Twice', poll: { options: ['Yes', 'yes '] } }));
+    });
+
+    it('should reject a closing time in the past', async () => {
+      const response = await createPost({ content: 'Closed', poll: { options: ['A', 'B'], closes_at: inHours(-1) } });
+      expectValidationError(response);
+    });
+
+    it('should reject a closing time before a scheduled post goes live', async () => {
+      const response = await createPost({
+        content: 'Scheduled',
+        publish_at: inHours(5),
+        poll: { options: ['A', 'B'], closes_at: inHours(2) }
+      });
+      expectValidationError(response);
+    });
+
+    it('should reject a poll that is not an object', async () => {
+      expectValidationError(await createPost({ content: 'Odd', poll: ['A', 'B'] }));
+    });
+
+    it('should not keep the post when its poll fails to save', async () => {
+      jest.spyOn(Poll, 'createForPost').mockRejectedValueOnce(new Error('poll insert failed'));
+
+      await createPost({ content: 'Lost poll', poll: { options: ['A', 'B'] } }).expect(500);
+
+      const posts = await query('SELECT id FROM posts WHERE user_id = $1', [author.id]);
+      expect(posts.rows).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/posts/:id/poll/vote', () => {
+    it('should record a vote', async () => {
+      const post = await createPoll();
+      const [tea] = post.poll.options;
+
+      const body = expectSuccessResponse(await vote(post.id, [tea.id]));
+
+      expect(body.message).toBe('Vote recorded');
+      expect(body.data.has_voted).toBe(true);
+      expect(body.data.viewer_votes).toEqual([tea.id]);
+      expect(votesOf(body.data)).toEqual([1, 0, 0]);
+      expect(body.data.total_voters).toBe(1);
+    });
+
+    it('should replace an earlier vote', async () => {
+      const post = await createPoll();
+      const [tea, coffee] = post.poll.options;
+
+      await vote(post.id, [tea.id]).expect(200);
+      const body = expectSuccessResponse(await vote(post.id, [coffee.id]));
+
+      expect(body.data.viewer_votes).toEqual([coffee.id]);
+      expect(votesOf(body.data)).toEqual([0, 1, 0]);
+      expect(body.data.total_voters).toBe(1);
+    });
+
+    it('should accept several options on a multi-select poll', async () => {
+      const post = await createPoll({ allows_multiple: true });
+      const [tea, coffee, water] = post.poll.options;
+
+      await vote(post.id, [tea.id, coffee.id]).expect(200);
+      await vote(post.id, [coffee.id], otherToken).expect(200);
+      const body = expectSuccessResponse(await vote(post.id, [coffee.id, water.id]));
+
+      expect(votesOf(body.data)).toEqual([0, 2, 1]);
+      expect(body.data.total_voters).toBe(2);
+    });
+
+    it('should take exactly one option on a single-choice poll', async () => {
+      const post = await createPoll();
+      const [tea, coffee] = post.poll.options;
+
+      expectErrorResponse(await vote(post.id, [tea.id, coffee.id]), 400, 'VALIDATION_ERROR');
+      expectValidationError(await vote(post.id, []));
+    });
+
+    it('should reject options from another poll', async () => {
+      const post = await createPoll();
+      const otherPost = await createPoll();
+
+      expectErrorResponse(await vote(post.id, [otherPost.poll.options[0].id]), 400, 'VALIDATION_ERROR');
+    });
+
+    it('should not accept votes once the poll has closed', async () => {
+      const post = await createPoll({ closes_at: inHours(1) });
+      await query("UPDATE polls SET closes_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [post.poll.id]);
+
+      expectErrorResponse(await vote(post.id, [post.poll.options[0].id]), 403, 'POLL_CLOSED');
+      expect((await getPoll(post.id)).is_closed).toBe(true);
+    });
+
+    it('should not accept votes on archived posts', async () => {
+      const post = await createPoll();
+      await query('UPDATE posts SET is_archived = true WHERE id = $1', [post.id]);
+
+      expectErrorResponse(await vote(post.id, [post.poll.options[0].id]), 403, 'POST_ARCHIVED');
+    });
+
+    it('should not let users vote on posts they cannot view', async () => {
+      const post = await createPoll({}, { privacy_level: 'private' });
+
+      expectErrorResponse(await vote(post.id, [post.poll.options[0].id]), 403, 'AUTHORIZATION_ERROR');
+    });
+
+    it('should return 404 for posts without a poll', async () => {
+      const post = await createTestPost(author.id);
+
+      expectNotFoundError(await vote(post.id, [1]));
+      expectNotFoundError(await vote(99999, [1]));
+    });
+
+    it('should require authentication', async () => {
+      const post = await createPoll();
+
+      const response = await request(app)
+        .post(`/api/posts/${post.id}/poll/vote`)
+        .send({ option_ids: [post.poll.options[0].id] });
+      expectErrorResponse(response, 401);
+    });
+  });
+
+  describe('hidden results', () => {
+    let post;
+
+    beforeEach(async () => {
+      post = await createPoll({ hide_results: true });
+      await vote(post.id, [post.poll.options[1].id], otherToken).expect(200);
+    });
+
+    it('should hide results until the viewer votes', async () => {
+      const poll = await getPoll(post.id, voterToken);
+
+      expect(poll.results_visible).toBe(false);
+      expect(votesOf(poll)).toEqual([null, null, null]);
+      expect(poll.total_voters).toBeNull();
+
+      const body = expectSuccessResponse(await vote(post.id, [post.poll.options[0].id]));
+      expect(body.data.results_visible).toBe(true);
+      expect(votesOf(body.data)).toEqual([1, 1, 0]);
+    });
+
+    it('should hide results from logged out viewers', async () => {
+      expect((await getPoll(post.id)).results_visible).toBe(false);
+    });
+
+    it('should show results to the author', async () => {
+      const poll = await getPoll(post.id, authorToken);
+
+      expect(poll.results_visible).toBe(true);
+      expect(votesOf(poll)).toEqual([0, 1, 0]);
+    });
+
+    it('should show results to everyone once the poll has closed', async () => {
+      await query("UPDATE polls SET closes_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [post.poll.id]);
+
+      expect(votesOf(await getPoll(post.id))).toEqual([0, 1, 0]);
+    });
+  });
+
+  describe('lists', () => {
+    let post;
+
+    beforeEach(async () => {
+      post = await createPoll();
+      await createTestPost(author.id, { content: 'Plain post' });
+      await vote(post.id, [post.poll.options[2].id]).expect(200);
+    });
+
+    const pollsById = (body) => Object.fromEntries(body.data.posts.map(p => [p.id, p.poll]));
+
+    it('should include polls in GET /api/posts', async () => {
+      const response = await request(app)
+        .get('/api/posts')
+        .set('Authorization', authHeader(voterToken));
+
+      const polls = pollsById(expectSuccessResponse(response));
+      expect(Object.keys(polls)).toHaveLength(2);
+      expect(polls[post.id].viewer_votes).toEqual([post.poll.options[2].id]);
+      expect(Object.values(polls).filter(poll => poll === null)).toHaveLength(1);
+    });
+
+    it('should include polls in the feed', async () => {
+      await createTestFollow(voter.id, author.id);
+
+      const response = await request(app)
+        .get('/api/feed')
+        .set('Authorization', authHeader(voterToken));
+
+      expect(votesOf(pollsById(expectSuccessResponse(response))[post.id])).toEqual([0, 0, 1]);
+    });
+
+    it('should include polls in the profile posts', async () => {
+      const response = await request(app).get(`/api/users/${author.id}/posts`);
+
+      const poll = pollsById(expectSuccessResponse(response))[post.id];
+      expect(poll.has_voted).toBe(false);
+      expect(poll.total_voters).toBe(1);
+    });
+  });
+});
\ No newline at end of file
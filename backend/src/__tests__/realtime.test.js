@@ -0,0 +1,334 @@
+/**
+ * Real-time routes tests
+ * Tests the Server-Sent Events stream: authentication, subscriptions,
+ * privacy filtering and events pushed from the posts, comments and reactions routes
+ */
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestFollow
+} = require('./testDb');
+const {
+  expectErrorResponse,
+  expectValidationError,
+  expectAuthError,
+  expectAuthorizationError,
+  expectNotFoundError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+const realtime = require('../utils/realtime');
+
+// Import routes
+const realtimeRoutes = require('../routes/realtime');
+const postsRoutes = require('../routes/posts');
+const commentsRoutes = require('../routes/comments');
+const reactionsRoutes = require('../routes/reactions');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/posts', postsRoutes);
+app.use('/api/comments', commentsRoutes);
+app.use('/api/reactions', reactionsRoutes);
+
+/**
+ * Open an event stream against the running test server and collect parsed events
+ */
+const openStream = (server, token, queryString) => new Promise((resolve, reject) => {
+  const { port } = server.address();
+  const events = [];
+  const waiters = [];
+
+  const req = http.get({
+    port,
+    path: `/api/realtime/stream?${queryString}`,
+    headers: { Authorization: authHeader(token) }
+  }, (res) => {
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const event = { event: 'message', data: null };
+        for (const line of block.split('\n')) {
+          if (line.startsWith('event: ')) event.event = line.slice(7);
+          if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+        }
+        if (event.data) {
+          events.push(event);
+          waiters.filter(w => w.name === event.event).forEach(w => w.resolve(event));
+        }
+      }
+    });
+
+    resolve({
+      status: res.statusCode,
+      headers: res.headers,
+      events,
+      // Resolve with the first matching event, including ones already received
+      waitFor: (name) => {
+        const existing = events.find(e => e.event === name);
+        if (existing) return Promise.resolve(existing);
+        return new Promise(resolveEvent => waiters.push({ name, resolve: resolveEvent }));
+      },
+      close: () => req.destroy()
+    });
+  });
+
+  req.on('error', (error) => {
+    if (error.code !== 'ECONNRESET') reject(error);
+  });
+});
+
+/**
+ * Give the server a moment to finish writing events that should not arrive
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+describe('Realtime Routes', () => {
+  let server, author, viewer, stranger, authorToken, viewerToken, strangerToken;
+  const streams = [];
+  const originalSetting = config.features.enableRealTime;
+
+  const stream = async (token, queryString) => {
+    const opened = await openStream(server, token, queryString);
+    streams.push(opened);
+    return opened;
+  };
+
+  beforeAll((done) => {
+    config.features.enableRealTime = true;
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    config.features.enableRealTime = originalSetting;
+    realtime.closeAll();
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    await clearTables();
+
+    author = await createTestUser();
+    viewer = await createTestUser();
+    stranger = await createTestUser();
+
+    authorToken = generateTestToken(author);
+    viewerToken = generateTestToken(viewer);
+    strangerToken = generateTestToken(stranger);
+  });
+
+  afterEach(async () => {
+    streams.splice(0).forEach(s => s.close());
+    await settle();
+  });
+
+  describe('GET /api/realtime/stream', () => {
+    it('should open an event stream and confirm the subscribed channels', async () => {
+      const post = await createTestPost(author.id);
+      const s = await stream(viewerToken, `posts=${post.id}&users=${author.id}&notifications=true`);
+
+      expect(s.status).toBe(200);
+      expect(s.headers['content-type']).toMatch(/text\/event-stream/);
+
+      const ready = await s.waitFor('ready');
+      expect(ready.data.channels).toEqual([
+        `post:${post.id}`,
+        `user:${author.id}`,
+        `notifications:${viewer.id}`
+      ]);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/realtime/stream?notifications=true')
+        .expect(401);
+
+      expectAuthError(response);
+    });
+
+    it('should require at least one subscription', async () => {
+      const response = await request(app)
+        .get('/api/realtime/stream')
+        .set('Authorization', authHeader(viewerToken))
+        .expect(400);
+
+      expectValidationError(response);
+    });
+
+    it('should validate subscription IDs', async () => {
+      const response = await request(app)
+        .get('/api/realtime/stream?posts=1,abc')
+        .set('Authorization', authHeader(viewerToken))
+        .expect(400);
+
+      expectValidationError(response);
+    });
+
+    it('should not allow subscribing to posts the user cannot see', async () => {
+      const privatePost = await createTestPost(author.id, { privacy_level: 'private' });
+
+      const response = await request(app)
+        .get(`/api/realtime/stream?posts=${privatePost.id}`)
+        .set('Authorization', authHeader(viewerToken))
+        .expect(403);
+
+      expectAuthorizationError(response);
+    });
+
+    it('should return 404 for unknown posts', async () => {
+      const response = await request(app)
+        .get('/api/realtime/stream?posts=999999')
+        .set('Authorization', authHeader(viewerToken))
+        .expect(404);
+
+      expectNotFoundError(response);
+    });
+
+    it('should be unavailable when real-time updates are disabled', async () => {
+      config.features.enableRealTime = false;
+      try {
+        const response = await request(app)
+          .get('/api/realtime/stream?notifications=true')
+          .set('Authorization', authHeader(viewerToken))
+          .expect(503);
+
+        expectErrorResponse(response, 503, 'FEATURE_DISABLED');
+      } finally {
+        config.features.enableRealTime = true;
+      }
+    });
+  });
+
+  describe('published events', () => {
+    it('should push new comments and reactions to post subscribers', async () => {
+      const post = await createTestPost(author.id);
+      const s = await stream(viewerToken, `posts=${post.id}`);
+      await s.waitFor('ready');
+
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', authHeader(authorToken))
+        .send({ post_id: post.id, content: 'Live comment' })
+        .expect(201);
+
+      const commentEvent = await s.waitFor('comment.created');
+      expect(commentEvent.data.channel).toBe(`post:${post.id}`);
+      expect(commentEvent.data.comment.content).toBe('Live comment');
+
+      await request(app)
+        .post(`/api/reactions/post/${post.id}`)
+        .set('Authorization', authHeader(strangerToken))
+        .send({ emoji_name: 'like' })
+        .expect(200);
+
+      const reactionEvent = await s.waitFor('reaction.updated');
+      expect(reactionEvent.data.action).toBe('added');
+      expect(reactionEvent.data.reaction_counts[0]).toMatchObject({ emoji_name: 'like', count: 1 });
+    });
+
+    it('should push new posts to subscribers of the author', async () => {
+      const s = await stream(viewerToken, `users=${author.id}`);
+      await s.waitFor('ready');
+
+      await request(app)
+        .post('/api/posts')
+        .set('Authorization', authHeader(authorToken))
+        .send({ content: 'Fresh post' })
+        .expect(201);
+
+      const event = await s.waitFor('post.created');
+      expect(event.data.post.content).toBe('Fresh post');
+      expect(event.data.post.author.id).toBe(author.id);
+    });
+
+    it('should only push friends-only posts to friends', async () => {
+      await createTestFollow(viewer.id, author.id);
+
+      const friendStream = await stream(viewerToken, `users=${author.id}`);
+      const strangerStream = await stream(strangerToken, `users=${author.id}`);
+      await friendStream.waitFor('ready');
+      await strangerStream.waitFor('ready');
+
+      await request(app)
+        .post('/api/posts')
+        .set('Authorization', authHeader(authorToken))
+        .send({ content: 'Friends only', privacy_level: 'friends' })
+        .expect(201);
+
+      await friendStream.waitFor('post.created');
+      await settle();
+      expect(strangerStream.events.some(e => e.event === 'post.created')).toBe(false);
+    });
+
+    it('should push notifications to the recipient only', async () => {
+      const original = config.features.enableNotifications;
+      config.features.enableNotifications = true;
+
+      try {
+        const post = await createTestPost(author.id);
+        const authorStream = await stream(authorToken, 'notifications=true');
+        const viewerStream = await stream(viewerToken, 'notifications=true');
+        await authorStream.waitFor('ready');
+        await viewerStream.waitFor('ready');
+
+        await request(app)
+          .post('/api/comments')
+          .set('Authorization', authHeader(viewerToken))
+          .send({ post_id: post.id, content: 'Notify the author' })
+          .expect(201);
+
+        const event = await authorStream.waitFor('notification.created');
+        expect(event.data.notification).toMatchObject({
+          type: 'comment',
+          actor_id: viewer.id,
+          post_id: post.id
+        });
+
+        await settle();
+        expect(viewerStream.events.some(e => e.event === 'notification.created')).toBe(false);
+      } finally {
+        config.features.enableNotifications = original;
+      }
+    });
+
+    it('should push post deletions', async () => {
+      const post = await createTestPost(author.id);
+      const s = await stream(viewerToken, `posts=${post.id}`);
+      await s.waitFor('ready');
+
+      await request(app)
+        .delete(`/api/posts/${post.id}`)
+        .set('Authorization', authHeader(authorToken))
+        .expect(200);
+
+      const event = await s.waitFor('post.deleted');
+      expect(event.data.post_id).toBe(post.id);
+    });
+
+    it('should stop delivering to closed streams', async () => {
+      const post = await createTestPost(author.id);
+      const s = await stream(viewerToken, `posts=${post.id}`);
+      await s.waitFor('ready');
+
+      s.close();
+      await settle();
+
+      const delivered = await realtime.publish(`post:${post.id}`, 'comment.created', { post_id: post.id });
+      expect(delivered).toBe(0);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Edit history tests
+ * Tests recording post and comment revisions on edit and the revision endpoints
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestComment
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectNotFoundError,
+  expectValidationError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+
+// Import routes
+const postRoutes = require('../routes/posts');
+const commentRoutes = require('../routes/comments');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+app.use('/api/comments', commentRoutes);
+
+describe('Edit history', () => {
+  let author, other, moderator, admin;
+  let authorToken, otherToken, moderatorToken, adminToken;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    author = await createTestUser();
+    other = await createTestUser();
+    moderator = await createTestUser({ role: 'moderator' });
+    admin = await createTestUser({ role: 'admin' });
+
+    authorToken = generateTestToken(author);
+    otherToken = generateTestToken(other);
+    moderatorToken = generateTestToken(moderator);
+    adminToken = generateTestToken(admin);
+  });
+
+  const editPost = (token, postId, data) => request(app)
+    .put(`/api/posts/${postId}`)
+    .set('Authorization', authHeader(token))
+    .send(data);
+
+  const getPostRevisions = (postId, token) => {
+    const req = request(app).get(`/api/posts/${postId}/revisions`);
+    return token ? req.set('Authorization', authHeader(token)) : req;
+  };
+
+  describe('Posts', () => {
+    let post;
+
+    beforeEach(async () => {
+      post = await createTestPost(author.id, { content: 'First version' });
+    });
+
+    it('should keep each replaced version in order', async () => {
+      await editPost(authorToken, post.id, { content: 'Second version' }).expect(200);
+      await editPost(authorToken, post.id, { content: 'Third version' }).expect(200);
+
+      const body = expectSuccessResponse(await getPostRevisions(post.id));
+
+      expect(body.data.current.content).toBe('Third version');
+      expect(body.data.current.edited_at).toBeTruthy();
+      expect(body.data.revisions.map(r => r.content)).toEqual(['First version', 'Second version']);
+      expect(body.data.revisions[0].edited_by.username).toBe(author.username);
+    });
+
+    it('should mark the post as edited', async () => {
+      const response = await editPost(authorToken, post.id, { content: 'Second version' });
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.is_edited).toBe(true);
+      expect(body.data.edited_at).toBeTruthy();
+    });
+
+    it('should not record a revision when only the privacy level changes', async () => {
+      const response = await editPost(authorToken, post.id, { privacy_level: 'friends' });
+
+      expect(expectSuccessResponse(response).data.is_edited).toBe(false);
+      const body = expectSuccessResponse(await getPostRevisions(post.id, authorToken));
+      expect(body.data.revisions).toHaveLength(0);
+    });
+
+    it('should not record a revision when the content is unchanged', async () => {
+      await editPost(authorToken, post.id, { content: 'First version' }).expect(200);
+
+      const body = expectSuccessResponse(await getPostRevisions(post.id));
+      expect(body.data.revisions).toHaveLength(0);
+      expect(body.data.current.edited_at).toBeNull();
+    });
+
+    it('should record the admin who edited another user\'s post', async () => {
+      await editPost(adminToken, post.id, { content: 'Edited by staff' }).expect(200);
+
+      const body = expectSuccessResponse(await getPostRevisions(post.id));
+      expect(body.data.revisions[0].edited_by.id).toBe(admin.id);
+    });
+
+    it('should hide the history of a post the user cannot view', async () => {
+      const privatePost = await createTestPost(author.id, { content: 'Private', privacy_level: 'private' });
+      await editPost(authorToken, privatePost.id, { content: 'Private, edited' }).expect(200);
+
+      expectErrorResponse(await getPostRevisions(privatePost.id, otherToken), 403, 'AUTHORIZATION_ERROR');
+      expectErrorResponse(await getPostRevisions(privatePost.id), 403, 'AUTHORIZATION_ERROR');
+      expectSuccessResponse(await getPostRevisions(privatePost.id, authorToken));
+    });
+
+    it('should let moderators see the history of any post', async () => {
+      const privatePost = await createTestPost(author.id, { content: 'Said something', privacy_level: 'private' });
+      await editPost(authorToken, privatePost.id, { content: 'Said nothing' }).expect(200);
+
+      const body = expectSuccessResponse(await getPostRevisions(privatePost.id, moderatorToken));
+      expect(body.data.revisions.map(r => r.content)).toEqual(['Said something']);
+    });
+
+    it('should return 404 for a missing post', async () => {
+      expectNotFoundError(await getPostRevisions(99999));
+    });
+
+    it('should validate the post ID', async () => {
+      expectValidationError(await getPostRevisions('abc'));
+    });
+  });
+
+  describe('Comments', () => {
+    let post, comment;
+
+    beforeEach(async () => {
+      post = await createTestPost(author.id);
+      comment = await createTestComment(other.id, post.id, { content: 'Original comment' });
+    });
+
+    const editComment = (token, commentId, content) => request(app)
+      .put(`/api/comments/${commentId}`)
+      .set('Authorization', authHeader(token))
+      .send({ content });
+
+    it('should keep each replaced version in order', async () => {
+      const response = await editComment(otherToken, comment.id, 'Edited comment');
+      expect(expectSuccessResponse(response).data.is_edited).toBe(true);
+
+      const body = expectSuccessResponse(
+        await request(app).get(`/api/comments/${comment.id}/revisions`)
+      );
+
+      expect(body.data.current.content).toBe('Edited comment');
+      expect(body.data.revisions).toHaveLength(1);
+      expect(body.data.revisions[0].content).toBe('Original comment');
+      expect(body.data.revisions[0].edited_by.id).toBe(other.id);
+    });
+
+    it('should not record a revision when the content is unchanged', async () => {
+      const response = await editComment(otherToken, comment.id, 'Original comment');
+      expect(expectSuccessResponse(response).data.is_edited).toBe(false);
+
+      const body = expectSuccessResponse(
+        await request(app).get(`/api/comments/${comment.id}/revisions`)
+      );
+      expect(body.data.revisions).toHaveLength(0);
+    });
+
+    it('should follow the privacy of the post', async () => {
+      const privatePost = await createTestPost(author.id, { privacy_level: 'private' });
+      const privateComment = await createTestComment(author.id, privatePost.id, { content: 'Before' });
+      await editComment(authorToken, privateComment.id, 'After').expect(200);
+
+      const denied = await request(app)
+        .get(`/api/comments/${privateComment.id}/revisions`)
+        .set('Authorization', authHeader(otherToken));
+      expectErrorResponse(denied, 403, 'AUTHORIZATION_ERROR');
+
+      const allowed = await request(app)
+        .get(`/api/comments/${privateComment.id}/revisions`)
+        .set('Authorization', authHeader(moderatorToken));
+      expect(expectSuccessResponse(allowed).data.revisions[0].content).toBe('Before');
+    });
+
+    it('should return 404 for a missing comment', async () => {
+      expectNotFoundError(await request(app).get('/api/comments/99999/revisions'));
+    });
+  });
+});
\ No newline at end of file
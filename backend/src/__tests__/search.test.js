@@ -0,0 +1,170 @@
+/**
+ * Search routes tests
+ * Tests full-text search across posts, comments and users, its filters and privacy rules
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestComment,
+  createTestFollow,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectValidationError,
+  expectPaginatedResponse,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+
+// Import routes
+const searchRoutes = require('../routes/search');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/search', searchRoutes);
+
+describe('Search Routes', () => {
+  let author, friend, stranger, friendToken, strangerToken;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    author = await createTestUser({ username: 'gardener', first_name: 'Rosa', last_name: 'Green', bio: 'I grow tomatoes and herbs' });
+    friend = await createTestUser();
+    stranger = await createTestUser();
+
+    friendToken = generateTestToken(friend);
+    strangerToken = generateTestToken(stranger);
+
+    await createTestFollow(friend.id, author.id);
+  });
+
+  describe('GET /api/search', () => {
+    it('should return ranked posts with highlighted snippets', async () => {
+      await createTestPost(author.id, { content: 'Planting tomatoes this weekend. Tomatoes love sun, tomatoes need water.' });
+      await createTestPost(author.id, { content: 'One tomato plant survived the frost' });
+      await createTestPost(author.id, { content: 'Nothing about vegetables here' });
+
+      const response = await request(app)
+        .get('/api/search?q=tomatoes&type=posts');
+
+      const data = expectPaginatedResponse(response);
+      expect(data.posts).toHaveLength(2);
+      expect(data.totals.posts).toBe(2);
+      expect(data.posts[0].content).toContain('Planting tomatoes');
+      expect(data.posts[0].rank).toBeGreaterThan(data.posts[1].rank);
+      expect(data.posts[0].snippet).toContain('<mark>');
+      expect(data.posts[0].author.username).toBe('gardener');
+      expect(data).not.toHaveProperty('users');
+    });
+
+    it('should search all types by default', async () => {
+      const post = await createTestPost(author.id, { content: 'My tomatoes are ripe' });
+      await createTestComment(friend.id, post.id, { content: 'Those tomatoes look great' });
+
+      const response = await request(app)
+        .get('/api/search?q=tomatoes');
+
+      const data = expectPaginatedResponse(response);
+      expect(data.posts).toHaveLength(1);
+      expect(data.comments).toHaveLength(1);
+      expect(data.comments[0].post_id).toBe(post.id);
+      expect(data.users.map(u => u.username)).toEqual(['gardener']);
+      expect(data.users[0].snippet).toContain('<mark>tomatoes</mark>');
+      expect(data.pagination.total_count).toBe(3);
+    });
+
+    it('should find users by name', async () => {
+      const response = await request(app)
+        .get('/api/search?q=rosa&type=users');
+
+      const data = expectPaginatedResponse(response);
+      expect(data.users).toHaveLength(1);
+      expect(data.users[0].id).toBe(author.id);
+      expect(data.users[0]).not.toHaveProperty('email');
+    });
+
+    it('should respect friends-only and private posts', async () => {
+      await createTestPost(author.id, { content: 'Friends only tomatoes', privacy_level: 'friends' });
+      const privatePost = await createTestPost(author.id, { content: 'Private tomatoes', privacy_level: 'private' });
+      await createTestComment(author.id, privatePost.id, { content: 'Hidden tomatoes comment' });
+      await createTestPost(author.id, { content: 'Draft tomatoes', is_published: false });
+
+      const anonymous = await request(app)
+        .get('/api/search?q=tomatoes&type=posts');
+      expect(expectPaginatedResponse(anonymous).posts).toHaveLength(0);
+
+      const strangerResponse = await request(app)
+        .get('/api/search?q=tomatoes&type=posts')
+        .set('Authorization', authHeader(strangerToken));
+      expect(expectPaginatedResponse(strangerResponse).posts).toHaveLength(0);
+
+      const friendResponse = await request(app)
+        .get('/api/search?q=tomatoes')
+        .set('Authorization', authHeader(friendToken));
+      const friendData = expectPaginatedResponse(friendResponse);
+      expect(friendData.posts.map(p => p.content)).toEqual(['Friends only tomatoes']);
+      expect(friendData.comments).toHaveLength(0);
+    });
+
+    it('should filter by author and date range', async () => {
+      await createTestPost(author.id, { content: 'Old tomatoes post' });
+      await createTestPost(author.id, { content: 'New tomatoes post' });
+      await createTestPost(friend.id, { content: 'Friend tomatoes post' });
+      await query(`UPDATE posts SET created_at = '2024-01-15 10:00:00' WHERE content = 'Old tomatoes post'`);
+
+      const byAuthor = await request(app)
+        .get('/api/search?q=tomatoes&type=posts&author=Gardener');
+      expect(expectPaginatedResponse(byAuthor).posts).toHaveLength(2);
+
+      const byDate = await request(app)
+        .get('/api/search?q=tomatoes&type=posts&author=gardener&from=2024-01-01&to=2024-01-15');
+      expect(expectPaginatedResponse(byDate).posts.map(p => p.content)).toEqual(['Old tomatoes post']);
+    });
+
+    it('should paginate results', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await createTestPost(author.id, { content: `Tomatoes update ${i}` });
+      }
+
+      const response = await request(app)
+        .get('/api/search?q=tomatoes&type=posts&limit=2&page=2');
+
+      const data = expectPaginatedResponse(response);
+      expect(data.posts).toHaveLength(1);
+      expect(data.pagination.total_pages).toBe(2);
+      expect(data.pagination.has_prev_page).toBe(true);
+      expect(data.pagination.has_next_page).toBe(false);
+    });
+
+    it('should return empty results for stop words only', async () => {
+      await createTestPost(author.id, { content: 'The tomatoes' });
+
+      const response = await request(app)
+        .get('/api/search?q=the&type=posts');
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.posts).toHaveLength(0);
+    });
+
+    it('should validate query parameters', async () => {
+      const missing = await request(app)
+        .get('/api/search');
+      expectValidationError(missing);
+
+      const badType = await request(app)
+        .get('/api/search?q=tomatoes&type=media');
+      expectValidationError(badType);
+
+      const badDate = await request(app)
+        .get('/api/search?q=tomatoes&from=yesterday');
+      expectValidationError(badDate);
+    });
+  });
+});
\ No newline at end of file
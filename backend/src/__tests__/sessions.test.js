@@ -0,0 +1,299 @@
+/**
+ * Session tests
+ * Tests refresh token rotation, reuse detection, session listing/revocation
+ * and rejection of access tokens from revoked sessions
+ */
+
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const {
+  clearTables,
+  createTestUser,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectAuthError,
+  expectNotFoundError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { optionalAuthenticate } = require('../middleware/auth');
+
+// Import routes
+const authRoutes = require('../routes/auth');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.get('/api/whoami', optionalAuthenticate, (req, res) => res.json({ user_id: req.user ? req.user.id : null }));
+
+describe('Sessions', () => {
+  let user, other;
+
+  beforeEach(async () => {
+    await clearTables();
+    user = await createTestUser();
+    other = await createTestUser();
+  });
+
+  const login = async (account = user, userAgent = 'jest') => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ identifier: account.username, password: 'TestPassword123!' });
+    return expectSuccessResponse(response).data;
+  };
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh')
+    .send({ refresh_token: refreshToken });
+
+  describe('refresh token storage', () => {
+    it('should store only a hash of the refresh token', async () => {
+      const { refresh_token } = await login();
+
+      const result = await query('SELECT * FROM user_sessions WHERE user_id = $1', [user.id]);
+      expect(result.rows).toHaveLength(1);
+      expect(result.rows[0].refresh_token_hash).toHaveLength(64);
+      expect(refresh_token).not.toContain(result.rows[0].refresh_token_hash);
+      expect(result.rows[0].user_agent).toBe('jest');
+    });
+  });
+
+  describe('rotation', () => {
+    it('should keep the session alive across rotations', async () => {
+      const first = await login();
+      const second = expectSuccessResponse(await refresh(first.refresh_token)).data;
+      const third = expectSuccessResponse(await refresh(second.refresh_token)).data;
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(third.token))
+        .expect(200);
+
+      const result = await query('SELECT COUNT(*) FROM user_sessions WHERE user_id = $1', [user.id]);
+      expect(parseInt(result.rows[0].count)).toBe(1);
+    });
+
+    it('should revoke the session when an old refresh token is reused', async () => {
+      const first = await login();
+      const second = expectSuccessResponse(await refresh(first.refresh_token)).data;
+
+      const reuse = await refresh(first.refresh_token);
+      const error = expectErrorResponse(reuse, 401, 'AUTHENTICATION_ERROR');
+      expect(error.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // The legitimate holder's newer tokens stop working too
+      const retry = await refresh(second.refresh_token);
+      expect(expectErrorResponse(retry, 401).code).toBe('INVALID_REFRESH_TOKEN');
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(second.token));
+      expect(expectErrorResponse(me, 401).code).toBe('SESSION_REVOKED');
+    });
+
+    it('should reject malformed and unknown refresh tokens', async () => {
+      expect(expectErrorResponse(await refresh('not-a-token'), 401).code).toBe('INVALID_REFRESH_TOKEN');
+      expect(expectErrorResponse(await refresh(`${'a'.repeat(32)}.${'b'.repeat(64)}`), 401).code).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    it('should reject expired sessions', async () => {
+      const { refresh_token } = await login();
+      await query("UPDATE user_sessions SET expires_at = NOW() - INTERVAL '1 minute' WHERE user_id = $1", [user.id]);
+
+      expect(expectErrorResponse(await refresh(refresh_token), 401).code).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    it('should not refresh sessions of deactivated accounts', async () => {
+      const { refresh_token } = await login();
+      await query('UPDATE users SET is_active = FALSE WHERE id = $1', [user.id]);
+
+      expect(expectErrorResponse(await refresh(refresh_token), 401).code).toBe('ACCOUNT_DEACTIVATED');
+    });
+  });
+
+  describe('logout', () => {
+    it('should revoke the current session', async () => {
+      const session = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', authHeader(session.token))
+        .expect(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(session.token));
+      expect(expectErrorResponse(me, 401).code).toBe('SESSION_REVOKED');
+
+      expect(expectErrorResponse(await refresh(session.refresh_token), 401).code).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    it('should ignore access tokens from revoked sessions in optional authentication', async () => {
+      const session = await login();
+      await query('UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1', [user.id]);
+
+      const response = await request(app)
+        .get('/api/whoami')
+        .set('Authorization', authHeader(session.token))
+        .expect(200);
+
+      expect(response.body.user_id).toBeNull();
+    });
+  });
+
+  describe('GET /api/auth/sessions', () => {
+    it('should list active sessions and flag the current one', async () => {
+      await login(user, 'laptop');
+      const phone = await login(user, 'phone');
+      await login(other);
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', authHeader(phone.token));
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.sessions).toHaveLength(2);
+
+      const current = body.data.sessions.find(s => s.current);
+      expect(current.user_agent).toBe('phone');
+      expect(body.data.sessions[0]).not.toHaveProperty('refresh_token_hash');
+    });
+
+    it('should require authentication', async () => {
+      expectAuthError(await request(app).get('/api/auth/sessions'));
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:id', () => {
+    it('should revoke another device', async () => {
+      const laptop = await login(user, 'laptop');
+      const phone = await login(user, 'phone');
+
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', authHeader(phone.token));
+      const laptopSession = list.body.data.sessions.find(s => s.user_agent === 'laptop');
+
+      await request(app)
+        .delete(`/api/auth/sessions/${laptopSession.id}`)
+        .set('Authorization', authHeader(phone.token))
+        .expect(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(laptop.token));
+      expect(expectErrorResponse(me, 401).code).toBe('SESSION_REVOKED');
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(phone.token))
+        .expect(200);
+    });
+
+    it('should not reveal or revoke other users\' sessions', async () => {
+      await login(other);
+      const mine = await login();
+      const result = await query('SELECT id FROM user_sessions WHERE user_id = $1', [other.id]);
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${result.rows[0].id}`)
+        .set('Authorization', authHeader(mine.token));
+
+      expectNotFoundError(response);
+    });
+  });
+
+  describe('DELETE /api/auth/sessions', () => {
+    it('should revoke every other session', async () => {
+      const laptop = await login(user, 'laptop');
+      await login(user, 'tablet');
+      const phone = await login(user, 'phone');
+
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', authHeader(phone.token));
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.revoked_count).toBe(2);
+
+      expect(expectErrorResponse(await refresh(laptop.refresh_token), 401).code).toBe('INVALID_REFRESH_TOKEN');
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(phone.token))
+        .expect(200);
+    });
+  });
+
+  describe('password changes', () => {
+    const changePassword = (token) => request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', authHeader(token))
+      .send({ current_password: 'TestPassword123!', new_password: 'NewPassword123!' });
+
+    it('should sign out every other session and keep the current one', async () => {
+      const laptop = await login(user, 'laptop');
+      const phone = await login(user, 'phone');
+
+      const body = expectSuccessResponse(await changePassword(phone.token));
+      expect(body.data.revoked_sessions).toBe(1);
+
+      const laptopMe = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(laptop.token));
+      expect(expectErrorResponse(laptopMe, 401).code).toBe('TOKEN_REVOKED');
+      expect(expectErrorResponse(await refresh(laptop.refresh_token), 401).code).toBe('INVALID_REFRESH_TOKEN');
+
+      // The current device keeps working with the reissued token and its refresh token
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(body.data.token))
+        .expect(200);
+
+      const refreshed = expectSuccessResponse(await refresh(phone.refresh_token)).data;
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(refreshed.token))
+        .expect(200);
+    });
+
+    it('should sign out every session after a password reset', async () => {
+      const session = await login();
+      const resetToken = await user.generatePasswordResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'NewPassword123!' })
+        .expect(200);
+
+      expect(expectErrorResponse(await refresh(session.refresh_token), 401).code).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    it('should ignore outdated tokens in optional authentication', async () => {
+      const session = await login();
+      await query('UPDATE users SET token_version = token_version + 1 WHERE id = $1', [user.id]);
+
+      const response = await request(app)
+        .get('/api/whoami')
+        .set('Authorization', authHeader(session.token))
+        .expect(200);
+
+      expect(response.body.user_id).toBeNull();
+    });
+  });
+
+  describe('tokens without a session', () => {
+    it('should still accept tokens issued without a session ID', async () => {
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', authHeader(generateTestToken(user)))
+        .expect(200);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * Share (repost) tests
+ * Tests sharing posts with and without commentary, privacy rules, share counts
+ * and the embedded original, including tombstones
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestFollow,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectNotFoundError,
+  expectValidationError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+
+// Import routes
+const postRoutes = require('../routes/posts');
+const feedRoutes = require('../routes/feed');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+app.use('/api/feed', feedRoutes);
+
+describe('Shares', () => {
+  let author, sharer, other;
+  let authorToken, sharerToken, otherToken;
+  let post;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    author = await createTestUser();
+    sharer = await createTestUser();
+    other = await createTestUser();
+
+    authorToken = generateTestToken(author);
+    sharerToken = generateTestToken(sharer);
+    otherToken = generateTestToken(other);
+
+    post = await createTestPost(author.id, { content: 'Worth passing on' });
+  });
+
+  const share = (postId, data = {}, token = sharerToken) => request(app)
+    .post(`/api/posts/${postId}/share`)
+    .set('Authorization', authHeader(token))
+    .send(data);
+
+  const getPost = async (postId, token) => {
+    const req = request(app).get(`/api/posts/${postId}`);
+    return expectSuccessResponse(await (token ? req.set('Authorization', authHeader(token)) : req)).data;
+  };
+
+  describe('POST /api/posts/:id/share', () => {
+    it('should share a post with commentary', async () => {
+      const body = expectSuccessResponse(await share(post.id, { content: 'Read this' }), 201);
+
+      expect(body.message).toBe('Post shared');
+      expect(body.data.content).toBe('Read this');
+      expect(body.data.user_id).toBe(sharer.id);
+      expect(body.data.privacy_level).toBe('public');
+      expect(body.data.shared_post.id).toBe(post.id);
+      expect(body.data.shared_post.content).toBe('Worth passing on');
+      expect(body.data.shared_post.author.username).toBe(author.username);
+    });
+
+    it('should share a post without commentary', async () => {
+      const body = expectSuccessResponse(await share(post.id), 201);
+
+      expect(body.data.content).toBe('');
+      expect(body.data.shared_post.id).toBe(post.id);
+    });
+
+    it('should count the share towards the original\'s ranking', async () => {
+      await share(post.id, { content: 'Quoted' }).expect(201);
+
+      const result = await query('SELECT interaction_type FROM post_interactions WHERE post_id = $1', [post.id]);
+      expect(result.rows.map(row => row.interaction_type)).toEqual(['quote']);
+    });
+
+    it('should share the original when resharing a share without commentary', async () => {
+      const first = expectSuccessResponse(await share(post.id), 201);
+
+      const body = expectSuccessResponse(await share(first.data.id, {}, otherToken), 201);
+      expect(body.data.shared_post.id).toBe(post.id);
+    });
+
+    it('should share a share that has commentary itself', async () => {
+      const first = expectSuccessResponse(await share(post.id, { content: 'My take' }), 201);
+
+      const body = expectSuccessResponse(await share(first.data.id, {}, otherToken), 201);
+      expect(body.data.shared_post.id).toBe(first.data.id);
+      expect(body.data.shared_post.is_share).toBe(true);
+    });
+
+    it('should return 404 for a missing post', async () => {
+      expectNotFoundError(await share(99999));
+    });
+
+    it('should validate the post ID', async () => {
+      expectValidationError(await share('abc'));
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).post(`/api/posts/${post.id}/share`).send({});
+      expectErrorResponse(response, 401);
+    });
+
+    it('should not share drafts', async () => {
+      const draft = await createTestPost(author.id, { is_published: false });
+
+      expectErrorResponse(await share(draft.id, {}, authorToken), 400, 'VALIDATION_ERROR');
+    });
+
+    it('should not share archived posts', async () => {
+      await query('UPDATE posts SET is_archived = true WHERE id = $1', [post.id]);
+
+      expectErrorResponse(await share(post.id), 403, 'POST_ARCHIVED');
+    });
+  });
+
+  describe('privacy', () => {
+    it('should not share posts the user cannot view', async () => {
+      const privatePost = await createTestPost(author.id, { privacy_level: 'private' });
+      const friendsPost = await createTestPost(author.id, { privacy_level: 'friends' });
+
+      expectErrorResponse(await share(privatePost.id), 403, 'AUTHORIZATION_ERROR');
+      expectErrorResponse(await share(friendsPost.id), 403, 'AUTHORIZATION_ERROR');
+    });
+
+    it('should give the share the original\'s privacy level by default', async () => {
+      await createTestFollow(sharer.id, author.id);
+      const friendsPost = await createTestPost(author.id, { privacy_level: 'friends' });
+
+      const body = expectSuccessResponse(await share(friendsPost.id), 201);
+      expect(body.data.privacy_level).toBe('friends');
+    });
+
+    it('should not share to a wider audience than the original', async () => {
+      await createTestFollow(sharer.id, author.id);
+      const friendsPost = await createTestPost(author.id, { privacy_level: 'friends' });
+      const privatePost = await createTestPost(author.id, { privacy_level: 'private' });
+
+      expectErrorResponse(await share(friendsPost.id, { privacy_level: 'public' }), 400, 'VALIDATION_ERROR');
+      expectErrorResponse(await share(privatePost.id, { privacy_level: 'friends' }, authorToken), 400, 'VALIDATION_ERROR');
+      expectSuccessResponse(await share(friendsPost.id, { privacy_level: 'private' }), 201);
+    });
+
+    it('should not widen a share\'s audience on edit', async () => {
+      await createTestFollow(sharer.id, author.id);
+      const friendsPost = await createTestPost(author.id, { privacy_level: 'friends' });
+      const body = expectSuccessResponse(await share(friendsPost.id, { content: 'For friends' }), 201);
+
+      const response = await request(app)
+        .put(`/api/posts/${body.data.id}`)
+        .set('Authorization', authHeader(sharerToken))
+        .send({ privacy_level: 'public' });
+      expectErrorResponse(response, 400, 'VALIDATION_ERROR');
+    });
+
+    it('should hide the original from viewers who cannot see it', async () => {
+      // other is friends with the sharer but not with the author
+      await createTestFollow(sharer.id, author.id);
+      await createTestFollow(other.id, sharer.id);
+      const friendsPost = await createTestPost(author.id, { content: 'Friends only', privacy_level: 'friends' });
+      const body = expectSuccessResponse(await share(friendsPost.id, { content: 'Look' }), 201);
+
+      const seen = await getPost(body.data.id, otherToken);
+      expect(seen.shared_post).toEqual({ id: friendsPost.id, tombstone: 'unavailable' });
+
+      const seenBySharer = await getPost(body.data.id, sharerToken);
+      expect(seenBySharer.shared_post.content).toBe('Friends only');
+    });
+  });
+
+  describe('share counts and tombstones', () => {
+    it('should include the share count in the post payload', async () => {
+      await share(post.id).expect(201);
+      await share(post.id, { content: 'Me too' }, otherToken).expect(201);
+
+      const original = await getPost(post.id);
+      expect(original.share_count).toBe(2);
+      expect(original.shared_post).toBeNull();
+    });
+
+    it('should include share counts and originals in lists', async () => {
+      const body = expectSuccessResponse(await share(post.id, { content: 'In the feed' }), 201);
+      await createTestFollow(other.id, author.id);
+      await createTestFollow(other.id, sharer.id);
+
+      const response = await request(app)
+        .get('/api/feed')
+        .set('Authorization', authHeader(otherToken));
+
+      const posts = expectSuccessResponse(response).data.posts;
+      const listedShare = posts.find(p => p.id === body.data.id);
+      const listedOriginal = posts.find(p => p.id === post.id);
+      expect(listedShare.shared_post.id).toBe(post.id);
+      expect(listedOriginal.share_count).toBe(1);
+
+      const list = expectSuccessResponse(await request(app).get('/api/posts'));
+      expect(list.data.posts.find(p => p.id === post.id).share_count).toBe(1);
+    });
+
+    it('should show a deleted tombstone once the original is deleted', async () => {
+      const body = expectSuccessResponse(await share(post.id, { content: 'Gone soon' }), 201);
+
+      await request(app)
+        .delete(`/api/posts/${post.id}`)
+        .set('Authorization', authHeader(authorToken))
+        .expect(200);
+
+      const shared = await getPost(body.data.id);
+      expect(shared.shared_post).toEqual({ id: null, tombstone: 'deleted' });
+    });
+
+    it('should not reshare a share whose original was deleted', async () => {
+      const body = expectSuccessResponse(await share(post.id), 201);
+      await query('DELETE FROM posts WHERE id = $1', [post.id]);
+
+      expectNotFoundError(await share(body.data.id, {}, otherToken));
+    });
+  });
+});
\ No newline at end of file
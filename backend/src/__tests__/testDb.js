@@ -130,7 +130,7 @@ async function cleanTestDb() {
 async function clearTables() {
   if (!global.testDb) return;
 
-  const tables = ['reactions', 'media', 'comments', 'posts', 'users'];
+  const tables = ['upload_sessions', 'media_jobs', 'media_variants', 'poll_votes', 'poll_options', 'polls', 'comment_revisions', 'post_revisions', 'user_identities', 'mfa_recovery_codes', 'user_sessions', 'moderation_actions', 'reports', 'post_hashtags', 'hashtags', 'mentions', 'notifications', 'post_metrics', 'post_interactions', 'follows', 'reactions', 'media', 'comments', 'posts', 'users'];
 
   for (const table of tables) {
     await global.testDb.query(`TRUNCATE TABLE ${table} RESTART IDENTITY CASCADE`);
@@ -309,8 +309,8 @@ async function createTestMedia(userId, postId = null, overrides = {}) {
     post_id: postId,
     filename: 'test-image.jpg',
     original_name: 'test-image.jpg',
-    file_path: '/uploads/test-image.jpg',
-    file_url: 'http://localhost:3002/uploads/test-image.jpg',
+    file_path: 'images/test-image.jpg',
+    file_url: '/uploads/images/test-image.jpg',
     mime_type: 'image/jpeg',
     file_size: 1024000,
     media_type: 'image',
@@ -359,6 +359,35 @@ async function createTestReaction(userId, postId = null, commentId = null, overr
   return result.rows[0];
 }
 
+/**
+ * Create test follow (accepted friendship by default)
+ */
+async function createTestFollow(followerId, followingId, overrides = {}) {
+  const defaultFollow = {
+    follower_id: followerId,
+    following_id: followingId,
+    status: 'accepted',
+    ...overrides
+  };
+
+  if (defaultFollow.status === 'accepted' && !defaultFollow.accepted_at) {
+    defaultFollow.accepted_at = new Date();
+  }
+
+  const fields = Object.keys(defaultFollow);
+  const values = Object.values(defaultFollow);
+  const placeholders = fields.map((_, index) => `$${index + 1}`).join(', ');
+
+  const sql = `
+    INSERT INTO follows (${fields.join(', ')})
+    VALUES (${placeholders})
+    RETURNING *
+  `;
+
+  const result = await query(sql, values);
+  return result.rows[0];
+}
+
 /**
  * Get models for compatibility with existing tests
  */
@@ -433,5 +462,6 @@ module.exports = {
   createTestComment,
   createTestMedia,
   createTestReaction,
+  createTestFollow,
   getModels // For test compatibility
 };
\ No newline at end of file
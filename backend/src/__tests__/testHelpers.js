@@ -13,7 +13,8 @@ function generateTestToken(user) {
   const payload = {
     userId: user.id,
     username: user.username,
-    email: user.email
+    email: user.email,
+    role: user.role
   };
 
   return jwt.sign(payload, config.auth.jwt.secret, {
@@ -0,0 +1,397 @@
+/**
+ * Resumable upload tests
+ * Tests chunked uploads through /api/media/uploads: offsets and resuming, checksum
+ * verification of chunks and on completion, per-user quotas, cancelling and the sweeper that
+ * deletes abandoned uploads
+ */
+
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  expectErrorResponse,
+  expectValidationError,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+const storage = require('../utils/storage');
+const resumableUploads = require('../utils/resumableUploads');
+const { sweeper } = resumableUploads;
+const errorHandler = require('../middleware/errorHandler');
+
+// Import routes
+const mediaRoutes = require('../routes/media');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+app.use(errorHandler);
+
+const FILE = Buffer.from('Notes from the trip, sent in pieces.\n');
+const sha256 = (data, encoding = 'hex') => crypto.createHash('sha256').update(data).digest(encoding);
+
+describe('Resumable uploads', () => {
+  const originalUploadDir = config.upload.uploadDir;
+  const originalMaxFileSize = config.upload.maxFileSize;
+  const originalResumable = config.upload.resumable;
+  const originalVideoProcessing = config.videoProcessing;
+  let root, partsDir, user, token, post;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-test-'));
+    partsDir = path.join(root, 'parts');
+    config.upload.uploadDir = path.join(root, 'uploads');
+    config.upload.resumable = {
+      ...originalResumable,
+      chunkSize: 16,
+      maxFileSize: 100,
+      maxSessions: 2,
+      userQuota: 150,
+      tempDir: partsDir
+    };
+
+    user = await createTestUser();
+    token = generateTestToken(user);
+    post = await createTestPost(user.id);
+  });
+
+  afterEach(async () => {
+    config.upload.uploadDir = originalUploadDir;
+    config.upload.maxFileSize = originalMaxFileSize;
+    config.upload.resumable = originalResumable;
+    config.videoProcessing = originalVideoProcessing;
+    jest.restoreAllMocks();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const startUpload = (data = {}, authToken = token) => request(app)
+    .post('/api/media/uploads')
+    .set('Authorization', authHeader(authToken))
+    .send({
+      filename: 'notes.txt',
+      mime_type: 'text/plain',
+      total_size: FILE.length,
+      post_id: post.id,
+      ...data
+    });
+
+  const sendChunk = (id, offset, chunk, { authToken = token, checksum = `sha256 ${sha256(chunk, 'base64')}` } = {}) => request(app)
+    .patch(`/api/media/uploads/${id}`)
+    .set('Authorization', authHeader(authToken))
+    .set('Content-Type', 'application/offset+octet-stream')
+    .set('Upload-Offset', String(offset))
+    .set('Upload-Checksum', checksum)
+    .send(chunk);
+
+  const completeUpload = (id, checksum = sha256(FILE)) => request(app)
+    .post(`/api/media/uploads/${id}/complete`)
+    .set('Authorization', authHeader(token))
+    .send(checksum ? { checksum } : {});
+
+  /**
+   * Start an upload and send the whole file in chunk-sized pieces
+   */
+  const uploadFile = async (contents = FILE, data = {}) => {
+    const { id } = expectSuccessResponse(await startUpload({ total_size: contents.length, ...data }, token), 201).data;
+    for (let offset = 0; offset < contents.length; offset += config.upload.resumable.chunkSize) {
+      expectSuccessResponse(await sendChunk(id, offset, contents.subarray(offset, offset + config.upload.resumable.chunkSize)));
+    }
+    return id;
+  };
+
+  describe('uploading', () => {
+    it('should start an upload at offset 0', async () => {
+      const response = await startUpload();
+
+      const session = expectSuccessResponse(response, 201).data;
+      expect(session).toMatchObject({
+        filename: 'notes.txt',
+        mime_type: 'text/plain',
+        total_size: FILE.length,
+        offset: 0,
+        chunk_size: 16
+      });
+      expect(await fs.readdir(partsDir)).toEqual([`${session.id}.part`]);
+    });
+
+    it('should turn a completed upload into media', async () => {
+      const id = await uploadFile();
+
+      const response = await completeUpload(id);
+
+      const media = expectSuccessResponse(response, 201).data;
+      expect(media).toMatchObject({
+        post_id: post.id,
+        original_name: 'notes.txt',
+        mime_type: 'text/plain',
+        file_size: FILE.length,
+        processing_status: 'ready'
+      });
+      expect((await storage.get(media.file_path)).equals(FILE)).toBe(true);
+
+      const sessions = await query('SELECT * FROM upload_sessions');
+      expect(sessions.rows).toHaveLength(0);
+      expect(await fs.readdir(partsDir)).toEqual([]);
+    });
+
+    it('should queue completed videos for processing', async () => {
+      config.videoProcessing = { ...originalVideoProcessing, enabled: true };
+      const id = await uploadFile(FILE, { filename: 'clip.mp4', mime_type: 'video/mp4' });
+
+      const media = expectSuccessResponse(await completeUpload(id), 201).data;
+
+      expect(media.processing_status).toBe('pending');
+      const jobs = await query('SELECT status FROM media_jobs WHERE media_id = $1', [media.id]);
+      expect(jobs.rows).toEqual([{ status: 'pending' }]);
+    });
+
+    it('should report the offset to resume from', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+      await sendChunk(id, 0, FILE.subarray(0, 16));
+
+      const response = await request(app)
+        .get(`/api/media/uploads/${id}`)
+        .set('Authorization', authHeader(token));
+
+      expect(expectSuccessResponse(response).data.offset).toBe(16);
+    });
+
+    it('should reject a chunk at the wrong offset with the current one', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+      await sendChunk(id, 0, FILE.subarray(0, 16));
+
+      // The same chunk again, as when its response was lost
+      const response = await sendChunk(id, 0, FILE.subarray(0, 16));
+
+      expect(expectErrorResponse(response, 409, 'OFFSET_MISMATCH').offset).toBe(16);
+    });
+
+    it('should reject chunks over the chunk size', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+      jest.spyOn(console, 'error').mockImplementation();
+
+      const response = await sendChunk(id, 0, FILE.subarray(0, 17));
+
+      expectErrorResponse(response, 413);
+    });
+
+    it('should reject chunks running past the end of the file', async () => {
+      const { id } = expectSuccessResponse(await startUpload({ total_size: 10 }), 201).data;
+
+      const response = await sendChunk(id, 0, FILE.subarray(0, 16));
+
+      expectErrorResponse(response, 400, 'INVALID_CHUNK');
+    });
+
+    it('should require chunks to be sent as offset+octet-stream', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+
+      const response = await request(app)
+        .patch(`/api/media/uploads/${id}`)
+        .set('Authorization', authHeader(token))
+        .set('Upload-Offset', '0')
+        .set('Upload-Checksum', `sha256 ${sha256('Notes', 'base64')}`)
+        .send({ chunk: 'Notes' });
+
+      expectErrorResponse(response, 415, 'UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    it('should not write a chunk that does not match its checksum', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+
+      const response = await sendChunk(id, 0, FILE.subarray(0, 16), { checksum: `sha256 ${sha256('garbled', 'base64')}` });
+
+      expectErrorResponse(response, 422, 'CHECKSUM_MISMATCH');
+      const sessions = await query('SELECT received_size FROM upload_sessions WHERE id = $1', [id]);
+      expect(sessions.rows).toEqual([{ received_size: '0' }]);
+
+      // The client sends it again
+      expect(expectSuccessResponse(await sendChunk(id, 0, FILE.subarray(0, 16))).data.offset).toBe(16);
+    });
+
+    it('should keep the first chunk when two arrive at the same offset', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+      const writeChunk = resumableUploads.writeChunk;
+      jest.spyOn(resumableUploads, 'writeChunk').mockImplementation(async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return writeChunk(...args);
+      });
+
+      const first = FILE.subarray(0, 16);
+      const second = Buffer.alloc(16, 'x');
+      const responses = await Promise.all([sendChunk(id, 0, first), sendChunk(id, 0, second)]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+      const winner = responses[0].status === 200 ? first : second;
+      const part = await fs.readFile(path.join(partsDir, `${id}.part`));
+      expect(part.subarray(0, 16).equals(winner)).toBe(true);
+      expect(resumableUploads.writeChunk).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require a checksum for each chunk', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+
+      const response = await sendChunk(id, 0, FILE.subarray(0, 16), { checksum: sha256(FILE.subarray(0, 16)) });
+
+      expectValidationError(response);
+    });
+
+    it('should reject file types that are not allowed', async () => {
+      const response = await startUpload({ filename: 'run.sh', mime_type: 'application/x-sh' });
+
+      expectValidationError(response);
+    });
+
+    it('should not let other users see or add to an upload', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+      const otherToken = generateTestToken(await createTestUser());
+
+      const status = await request(app)
+        .get(`/api/media/uploads/${id}`)
+        .set('Authorization', authHeader(otherToken));
+      expectErrorResponse(status, 404, 'NOT_FOUND');
+
+      const chunk = await sendChunk(id, 0, FILE.subarray(0, 16), { authToken: otherToken });
+      expectErrorResponse(chunk, 404, 'NOT_FOUND');
+    });
+  });
+
+  describe('completion', () => {
+    it('should complete without a checksum of the whole file', async () => {
+      const id = await uploadFile();
+
+      const response = await completeUpload(id, null);
+
+      const media = expectSuccessResponse(response, 201).data;
+      expect((await storage.get(media.file_path)).equals(FILE)).toBe(true);
+    });
+
+
+    it('should refuse to complete before every byte has arrived', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+      await sendChunk(id, 0, FILE.subarray(0, 16));
+
+      const response = await completeUpload(id);
+
+      expect(expectErrorResponse(response, 409, 'UPLOAD_INCOMPLETE').offset).toBe(16);
+    });
+
+    it('should discard uploads that do not match their checksum', async () => {
+      const id = await uploadFile();
+
+      const response = await completeUpload(id, sha256('something else'));
+
+      expectErrorResponse(response, 422, 'CHECKSUM_MISMATCH');
+      const sessions = await query('SELECT * FROM upload_sessions');
+      expect(sessions.rows).toHaveLength(0);
+      expect(await fs.readdir(partsDir)).toEqual([]);
+
+      const media = await query('SELECT * FROM media');
+      expect(media.rows).toHaveLength(0);
+    });
+
+    it('should reject a checksum that is not a SHA-256 digest', async () => {
+      const id = await uploadFile();
+
+      const response = await completeUpload(id, 'abc123');
+
+      expectValidationError(response);
+    });
+  });
+
+  describe('quotas', () => {
+    it('should reject files over the resumable size limit', async () => {
+      const response = await startUpload({ total_size: 101 });
+
+      expectErrorResponse(response, 413, 'FILE_TOO_LARGE');
+    });
+
+    it('should keep images to the normal upload size limit', async () => {
+      config.upload.maxFileSize = 50;
+
+      const response = await startUpload({ filename: 'photo.png', mime_type: 'image/png', total_size: 60 });
+
+      expectErrorResponse(response, 413, 'FILE_TOO_LARGE');
+      expectSuccessResponse(await startUpload({ total_size: 60 }), 201);
+    });
+
+    it('should limit how many uploads a user has open', async () => {
+      expectSuccessResponse(await startUpload(), 201);
+      expectSuccessResponse(await startUpload(), 201);
+
+      const response = await startUpload();
+
+      expectErrorResponse(response, 403, 'UPLOAD_QUOTA_EXCEEDED');
+    });
+
+    it('should limit the bytes a user\'s open uploads add up to', async () => {
+      expectSuccessResponse(await startUpload({ total_size: 100 }), 201);
+
+      const response = await startUpload({ total_size: 60 });
+
+      expectErrorResponse(response, 403, 'UPLOAD_QUOTA_EXCEEDED');
+    });
+
+    it('should keep counting an upload against the quota once it is completed', async () => {
+      const contents = Buffer.alloc(100, 'a');
+      const id = await uploadFile(contents);
+      expectSuccessResponse(await completeUpload(id, sha256(contents)), 201);
+
+      const response = await startUpload({ total_size: 60 });
+
+      expectErrorResponse(response, 403, 'UPLOAD_QUOTA_EXCEEDED');
+    });
+
+    it('should free quota when an upload is cancelled', async () => {
+      const { id } = expectSuccessResponse(await startUpload({ total_size: 100 }), 201).data;
+
+      const response = await request(app)
+        .delete(`/api/media/uploads/${id}`)
+        .set('Authorization', authHeader(token));
+
+      expectSuccessResponse(response);
+      expect(await fs.readdir(partsDir)).toEqual([]);
+      expectSuccessResponse(await startUpload({ total_size: 100 }), 201);
+    });
+  });
+
+  describe('cleanup', () => {
+    it('should delete expired uploads and their files', async () => {
+      const { id: expiredId } = expectSuccessResponse(await startUpload(), 201).data;
+      const { id: activeId } = expectSuccessResponse(await startUpload(), 201).data;
+      await query(`UPDATE upload_sessions SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [expiredId]);
+
+      expect(await sweeper.run()).toBe(1);
+
+      const sessions = await query('SELECT id FROM upload_sessions');
+      expect(sessions.rows).toEqual([{ id: activeId }]);
+      expect(await fs.readdir(partsDir)).toEqual([`${activeId}.part`]);
+    });
+
+    it('should delete stale files left without an upload', async () => {
+      const { id } = expectSuccessResponse(await startUpload(), 201).data;
+      const stray = path.join(partsDir, `${crypto.randomUUID()}.part`);
+      await fs.writeFile(stray, 'left over');
+      const longAgo = new Date(Date.now() - config.upload.resumable.expiry - 60000);
+      await fs.utimes(stray, longAgo, longAgo);
+
+      expect(await sweeper.run()).toBe(1);
+
+      expect(await fs.readdir(partsDir)).toEqual([`${id}.part`]);
+    });
+  });
+});
\ No newline at end of file
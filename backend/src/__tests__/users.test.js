@@ -9,7 +9,8 @@ const {
   clearTables,
   createTestUser,
   createTestPost,
-  getModels
+  getModels,
+  query
 } = require('./testDb');
 const {
   expectSuccessResponse,
@@ -337,10 +338,39 @@ describe('Users Routes', () => {
       expect(body.data.email).toBe('new@email.com');
     });
 
+    it('should require a changed email to be verified again', async () => {
+      await query('UPDATE users SET email_verified = true WHERE id = $1', [testUser1.id]);
+
+      const response = await request(app)
+        .put(`/api/users/${testUser1.id}`)
+        .set('Authorization', authHeader(token1))
+        .send({ email: 'changed@example.com' });
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.email_verified).toBe(false);
+
+      const result = await query('SELECT email_verification_token FROM users WHERE id = $1', [testUser1.id]);
+      expect(result.rows[0].email_verification_token).toEqual(expect.any(String));
+    });
+
+    it('should keep the verification of an unchanged email', async () => {
+      await query('UPDATE users SET email_verified = true WHERE id = $1', [testUser1.id]);
+
+      const response = await request(app)
+        .put(`/api/users/${testUser1.id}`)
+        .set('Authorization', authHeader(token1))
+        .send({ email: testUser1.email, first_name: 'Renamed' });
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.email_verified).toBe(true);
+    });
+
     it('should return 404 for non-existent user', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+
       const response = await request(app)
         .put('/api/users/99999')
-        .set('Authorization', authHeader(token1))
+        .set('Authorization', authHeader(generateTestToken(admin)))
         .send({ first_name: 'Test' });
 
       expectNotFoundError(response);
@@ -394,9 +424,11 @@ describe('Users Routes', () => {
     });
 
     it('should return 404 for non-existent user', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+
       const response = await request(app)
         .delete('/api/users/99999')
-        .set('Authorization', authHeader(token1));
+        .set('Authorization', authHeader(generateTestToken(admin)));
 
       expectNotFoundError(response);
     });
@@ -455,6 +487,29 @@ describe('Users Routes', () => {
       expect(body.data.pagination.has_prev_page).toBe(true);
     });
 
+    it('should support ranked sorting', async () => {
+      const quiet = await createTestPost(testUser1.id, { content: 'Quiet post' });
+      const engaging = await createTestPost(testUser1.id, { content: 'Engaging post' });
+      await query(
+        `INSERT INTO post_interactions (post_id, interaction_type)
+         VALUES ($1, 'view'), ($2, 'view'), ($2, 'comment')`,
+        [quiet.id, engaging.id]
+      );
+
+      const response = await request(app)
+        .get(`/api/users/${testUser1.id}/posts?sort=best`);
+
+      const body = expectSuccessResponse(response);
+      expect(body.data.posts.map(p => p.content)).toEqual(['Engaging post', 'Quiet post']);
+    });
+
+    it('should validate the sort parameter', async () => {
+      const response = await request(app)
+        .get(`/api/users/${testUser1.id}/posts?sort=random`);
+
+      expectValidationError(response);
+    });
+
     it('should only show published posts', async () => {
       await createTestPost(testUser1.id, { content: 'Published', is_published: true });
       await createTestPost(testUser1.id, { content: 'Unpublished', is_published: false });
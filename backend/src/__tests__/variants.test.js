@@ -0,0 +1,192 @@
+/**
+ * Image variant tests
+ * Tests that resized variants and placeholder colours reach post payloads, lists and
+ * share embeds with the right URLs, and that variant files go with their media
+ */
+
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestMedia,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+const Media = require('../models/Media');
+const storage = require('../utils/storage');
+
+// Import routes
+const postRoutes = require('../routes/posts');
+const feedRoutes = require('../routes/feed');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+app.use('/api/feed', feedRoutes);
+
+const VARIANTS = [
+  { format: 'webp', width: 1280, height: 960, file_path: 'images/test-image_1280w.webp', file_size: 90000 },
+  { format: 'avif', width: 320, height: 240, file_path: 'images/test-image_320w.avif', file_size: 6000 },
+  { format: 'webp', width: 320, height: 240, file_path: 'images/test-image_320w.webp', file_size: 8000 }
+];
+
+describe('Image variants', () => {
+  let author, authorToken;
+
+  beforeEach(async () => {
+    await clearTables();
+    author = await createTestUser();
+    authorToken = generateTestToken(author);
+  });
+
+  const createImage = async (post, overrides = {}) => {
+    const media = await createTestMedia(author.id, post.id, { dominant_color: '#c87828', ...overrides });
+    await Media.createVariants(media.id, VARIANTS);
+    return media;
+  };
+
+  const getPost = async (postId) => {
+    const response = await request(app)
+      .get(`/api/posts/${postId}`)
+      .set('Authorization', authHeader(authorToken));
+    return expectSuccessResponse(response).data;
+  };
+
+  describe('post payloads', () => {
+    it('should include variants narrowest first and the placeholder colour', async () => {
+      const post = await createTestPost(author.id);
+      await createImage(post);
+
+      const [media] = (await getPost(post.id)).media;
+      expect(media.dominant_color).toBe('#c87828');
+      expect(media.variants).toEqual([
+        { format: 'avif', width: 320, height: 240, url: '/uploads/images/test-image_320w.avif' },
+        { format: 'webp', width: 320, height: 240, url: '/uploads/images/test-image_320w.webp' },
+        { format: 'webp', width: 1280, height: 960, url: '/uploads/images/test-image_1280w.webp' }
+      ]);
+    });
+
+    it('should return no variants for media without any', async () => {
+      const post = await createTestPost(author.id);
+      await createTestMedia(author.id, post.id);
+
+      const [media] = (await getPost(post.id)).media;
+      expect(media.variants).toEqual([]);
+      expect(media.dominant_color).toBeNull();
+    });
+
+    it('should include variants in post lists and the feed', async () => {
+      const post = await createTestPost(author.id);
+      await createImage(post);
+
+      const list = expectSuccessResponse(await request(app).get('/api/posts')).data.posts;
+      expect(list.find(p => p.id === post.id).media[0].variants).toHaveLength(3);
+
+      const feed = expectSuccessResponse(await request(app)
+        .get('/api/feed')
+        .set('Authorization', authHeader(authorToken))).data.posts;
+      const [media] = feed.find(p => p.id === post.id).media;
+      expect(media.dominant_color).toBe('#c87828');
+      expect(media.variants[0].url).toBe('/uploads/images/test-image_320w.avif');
+    });
+
+    it('should include variants in shared originals', async () => {
+      const post = await createTestPost(author.id);
+      await createImage(post);
+      const sharer = await createTestUser();
+
+      const shared = expectSuccessResponse(await request(app)
+        .post(`/api/posts/${post.id}/share`)
+        .set('Authorization', authHeader(generateTestToken(sharer)))
+        .send({ content: 'Look at this' }), 201).data;
+
+      const [media] = (await getPost(shared.id)).shared_post.media;
+      expect(media.dominant_color).toBe('#c87828');
+      expect(media.variants.map(variant => variant.url)).toContain('/uploads/images/test-image_1280w.webp');
+    });
+  });
+
+  describe('signed URLs', () => {
+    const originalStorage = config.storage;
+
+    afterEach(() => {
+      config.storage = originalStorage;
+    });
+
+    it('should sign variant URLs for posts that are not public', async () => {
+      config.storage = {
+        ...originalStorage,
+        driver: 's3',
+        s3: {
+          endpoint: 'http://127.0.0.1:9000',
+          region: 'us-east-1',
+          bucket: 'test-uploads',
+          accessKeyId: 'test-access-key',
+          secretAccessKey: 'test-secret-key',
+          forcePathStyle: true,
+          publicUrl: 'https://cdn.example.com',
+          requestTimeout: 5000
+        }
+      };
+      const publicPost = await createTestPost(author.id);
+      const friendsPost = await createTestPost(author.id, { privacy_level: 'friends' });
+      await createImage(publicPost);
+      await createImage(friendsPost);
+
+      const [publicMedia] = (await getPost(publicPost.id)).media;
+      expect(publicMedia.variants[0].url).toBe('https://cdn.example.com/images/test-image_320w.avif');
+
+      const [friendsMedia] = (await getPost(friendsPost.id)).media;
+      friendsMedia.variants.forEach(variant => {
+        expect(new URL(variant.url).searchParams.has('X-Amz-Signature')).toBe(true);
+      });
+    });
+  });
+
+  describe('removing media', () => {
+    const originalUploadDir = config.upload.uploadDir;
+    let root;
+
+    beforeEach(async () => {
+      root = await fs.mkdtemp(path.join(os.tmpdir(), 'variants-test-'));
+      config.upload.uploadDir = root;
+    });
+
+    afterEach(async () => {
+      config.upload.uploadDir = originalUploadDir;
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should delete variant files along with the original', async () => {
+      const post = await createTestPost(author.id);
+      const media = await createImage(post, { thumbnail_path: 'images/test-image_thumb.jpg' });
+      const keys = ['images/test-image.jpg', 'images/test-image_thumb.jpg', ...VARIANTS.map(variant => variant.file_path)];
+      await Promise.all(keys.map(key => storage.put(key, 'image bytes')));
+
+      await Media.removeFiles(media);
+
+      expect(await fs.readdir(path.join(root, 'images'))).toEqual([]);
+    });
+
+    it('should drop variant rows with the media record', async () => {
+      const post = await createTestPost(author.id);
+      const media = await createImage(post);
+
+      await Media.delete(media.id);
+
+      const result = await query('SELECT COUNT(*) FROM media_variants WHERE media_id = $1', [media.id]);
+      expect(parseInt(result.rows[0].count)).toBe(0);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * Video processing tests
+ * Runs the media job queue against stand-in ffprobe/ffmpeg scripts: the "videos"
+ * are JSON descriptions that the fake ffprobe reports back and the fake ffmpeg
+ * scales when transcoding, so probing, posters, renditions, retries and the status
+ * shown on posts can be checked without real video tools
+ */
+
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const {
+  clearTables,
+  createTestUser,
+  createTestPost,
+  createTestMedia,
+  query
+} = require('./testDb');
+const {
+  expectSuccessResponse,
+  authHeader,
+  generateTestToken
+} = require('./testHelpers');
+const { config } = require('../../../config/app.config');
+const MediaJob = require('../models/MediaJob');
+const storage = require('../utils/storage');
+const realtime = require('../utils/realtime');
+const { processor, renditionHeights } = require('../utils/mediaProcessing');
+
+// Import routes
+const postRoutes = require('../routes/posts');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+
+const FAKE_FFPROBE = `#!/usr/bin/env node
+const fs = require('fs');
+const video = JSON.parse(fs.readFileSync(process.argv[process.argv.length - 1], 'utf8'));
+const streams = [{
+  codec_type: 'video',
+  codec_name: video.codec || 'hevc',
+  width: video.width,
+  height: video.height,
+  tags: video.rotate ? { rotate: String(video.rotate) } : {}
+}];
+if (video.audio !== false) streams.push({ codec_type: 'audio', codec_name: video.audio || 'opus' });
+console.log(JSON.stringify({ format: { duration: String(video.duration) }, streams }));
+`;
+
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const video = JSON.parse(fs.readFileSync(args[args.indexOf('-i') + 1], 'utf8'));
+const output = args[args.length - 1];
+const scale = args.indexOf('-vf') >= 0 ? /scale=-2:(\\d+)/.exec(args[args.indexOf('-vf') + 1]) : null;
+
+if (video.fail === 'always' || (scale && video.fail === 'transcode')) {
+  console.error('Invalid data found when processing input');
+  process.exit(1);
+}
+
+if (scale) {
+  const height = parseInt(scale[1]);
+  const width = Math.round(video.width * height / video.height / 2) * 2;
+  fs.writeFileSync(output, JSON.stringify({ width, height, duration: video.duration, codec: 'h264', audio: args.includes('-an') ? false : 'aac' }));
+} else {
+  fs.writeFileSync(output, 'poster frame');
+}
+`;
+
+describe('Video processing', () => {
+  const originalUploadDir = config.upload.uploadDir;
+  const originalProcessing = config.videoProcessing;
+  let root, author, authorToken, post;
+
+  beforeEach(async () => {
+    await clearTables();
+
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'videos-test-'));
+    await fs.writeFile(path.join(root, 'ffprobe'), FAKE_FFPROBE, { mode: 0o755 });
+    await fs.writeFile(path.join(root, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+
+    config.upload.uploadDir = path.join(root, 'uploads');
+    config.videoProcessing = {
+      ...originalProcessing,
+      ffprobePath: path.join(root, 'ffprobe'),
+      ffmpegPath: path.join(root, 'ffmpeg'),
+      renditionHeights: [],
+      maxAttempts: 2,
+      retryDelay: 0,
+      timeout: 10000
+    };
+
+    author = await createTestUser();
+    authorToken = generateTestToken(author);
+    post = await createTestPost(author.id);
+  });
+
+  afterEach(async () => {
+    config.upload.uploadDir = originalUploadDir;
+    config.videoProcessing = originalProcessing;
+    jest.restoreAllMocks();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  /**
+   * Store a described video and queue it as an upload would
+   */
+  const uploadVideo = async (video) => {
+    await storage.put('media/clip.webm', JSON.stringify(video));
+    const media = await createTestMedia(author.id, post.id, {
+      filename: 'clip.webm',
+      original_name: 'clip.webm',
+      file_path: 'media/clip.webm',
+      file_url: '/uploads/media/clip.webm',
+      mime_type: 'video/webm',
+      media_type: 'video',
+      is_processed: false,
+      processing_status: 'pending'
+    });
+    const job = await MediaJob.enqueue(media.id);
+    return { media, job };
+  };
+
+  const getMedia = async (mediaId) => (await query('SELECT * FROM media WHERE id = $1', [mediaId])).rows[0];
+  const getJob = async (jobId) => (await query('SELECT * FROM media_jobs WHERE id = $1', [jobId])).rows[0];
+
+  const getPostMedia = async () => {
+    const response = await request(app)
+      .get(`/api/posts/${post.id}`)
+      .set('Authorization', authHeader(authorToken));
+    return expectSuccessResponse(response).data.media[0];
+  };
+
+  describe('processing', () => {
+    it('should record duration, dimensions, codecs and a poster', async () => {
+      const { media, job } = await uploadVideo({ width: 1920, height: 1080, duration: 12.4 });
+
+      expect(await processor.run()).toBe(1);
+
+      const processed = await getMedia(media.id);
+      expect(processed).toMatchObject({
+        duration: 12,
+        width: 1920,
+        height: 1080,
+        thumbnail_path: 'media/clip_poster.jpg',
+        is_processed: true,
+        processing_status: 'ready'
+      });
+      expect(processed.metadata).toEqual({
+        width: 1920,
+        height: 1080,
+        duration: 12,
+        video_codec: 'hevc',
+        audio_codec: 'opus'
+      });
+      expect((await storage.get('media/clip_poster.jpg')).toString()).toBe('poster frame');
+      expect((await getJob(job.id)).status).toBe('done');
+    });
+
+    it('should swap dimensions of rotated videos', async () => {
+      const { media } = await uploadVideo({ width: 1920, height: 1080, duration: 5, rotate: 90 });
+
+      await processor.run();
+
+      expect(await getMedia(media.id)).toMatchObject({ width: 1080, height: 1920 });
+    });
+
+    it('should transcode to the configured renditions', async () => {
+      config.videoProcessing.renditionHeights = [720, 360];
+      const { media } = await uploadVideo({ width: 1920, height: 1080, duration: 30, audio: false });
+
+      await processor.run();
+
+      const variants = await query(
+        'SELECT format, width, height, file_path FROM media_variants WHERE media_id = $1 ORDER BY height DESC',
+        [media.id]
+      );
+      expect(variants.rows).toEqual([
+        { format: 'mp4', width: 1280, height: 720, file_path: 'media/clip_720p.mp4' },
+        { format: 'mp4', width: 640, height: 360, file_path: 'media/clip_360p.mp4' }
+      ]);
+
+      const rendition = JSON.parse(await storage.get('media/clip_720p.mp4'));
+      expect(rendition.codec).toBe('h264');
+      expect(rendition.audio).toBe(false);
+    });
+
+    it('should cap renditions at the video\'s own height', () => {
+      config.videoProcessing.renditionHeights = [720, 360];
+
+      expect(renditionHeights(1080)).toEqual([720, 360]);
+      expect(renditionHeights(480)).toEqual([480, 360]);
+      expect(renditionHeights(301)).toEqual([300]);
+    });
+
+    it('should tell viewers of the post when a video is ready', async () => {
+      const publish = jest.spyOn(realtime, 'publish');
+      const { media } = await uploadVideo({ width: 640, height: 480, duration: 3 });
+
+      await processor.run();
+
+      expect(publish).toHaveBeenCalledWith(
+        `post:${post.id}`,
+        'media.processed',
+        { post_id: post.id, media_id: media.id, processing_status: 'ready' },
+        expect.objectContaining({ post: expect.objectContaining({ id: post.id }) })
+      );
+    });
+  });
+
+  describe('failures', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    it('should retry failed jobs and give up after the last attempt', async () => {
+      const { media, job } = await uploadVideo({ width: 640, height: 480, duration: 3, fail: 'always' });
+      config.videoProcessing.retryDelay = 60000;
+
+      await processor.run();
+
+      const retrying = await getJob(job.id);
+      expect(retrying).toMatchObject({ status: 'pending', attempts: 1 });
+      expect(retrying.last_error).toContain('Invalid data found when processing input');
+      expect((await getMedia(media.id)).processing_status).toBe('pending');
+
+      // Not due again until the retry delay has passed
+      expect(await processor.run()).toBe(0);
+
+      await query('UPDATE media_jobs SET run_after = NOW() WHERE id = $1', [job.id]);
+      await processor.run();
+
+      expect(await getJob(job.id)).toMatchObject({ status: 'failed', attempts: 2 });
+      expect((await getMedia(media.id)).processing_status).toBe('failed');
+    });
+
+    it('should remove files stored by a failed attempt', async () => {
+      config.videoProcessing.renditionHeights = [360];
+      await uploadVideo({ width: 640, height: 480, duration: 3, fail: 'transcode' });
+
+      await processor.run();
+
+      await expect(storage.get('media/clip_poster.jpg')).rejects.toThrow();
+      expect(await fs.readdir(path.join(root, 'uploads', 'media'))).toEqual(['clip.webm']);
+    });
+
+    it('should pick up jobs abandoned by a crashed worker', async () => {
+      const { job } = await uploadVideo({ width: 640, height: 480, duration: 3 });
+      await query(
+        `UPDATE media_jobs SET status = 'running', attempts = 1, locked_at = NOW() - INTERVAL '1 hour' WHERE id = $1`,
+        [job.id]
+      );
+
+      expect(await processor.run()).toBe(1);
+      expect(await getJob(job.id)).toMatchObject({ status: 'done', attempts: 2 });
+    });
+
+    it('should fail abandoned jobs that were on their last attempt', async () => {
+      const { media, job } = await uploadVideo({ width: 640, height: 480, duration: 3 });
+      await query(
+        `UPDATE media_jobs SET status = 'running', attempts = 2, locked_at = NOW() - INTERVAL '1 hour' WHERE id = $1`,
+        [job.id]
+      );
+
+      expect(await processor.run()).toBe(0);
+      expect(await getJob(job.id)).toMatchObject({ status: 'failed', attempts: 2 });
+      expect((await getMedia(media.id)).processing_status).toBe('failed');
+    });
+
+    it('should keep a job claimed between its steps', async () => {
+      config.videoProcessing.renditionHeights = [360];
+      const { job } = await uploadVideo({ width: 640, height: 480, duration: 3 });
+      const touch = jest.spyOn(MediaJob, 'touch');
+
+      await processor.run();
+
+      // Probe, poster, and a transcode and probe for the rendition
+      expect(touch).toHaveBeenCalledTimes(4);
+      expect(touch).toHaveBeenCalledWith(job.id);
+    });
+
+    it('should leave jobs that are still running to their worker', async () => {
+      const { job } = await uploadVideo({ width: 640, height: 480, duration: 3 });
+      await query(`UPDATE media_jobs SET status = 'running', locked_at = NOW() WHERE id = $1`, [job.id]);
+
+      expect(await processor.run()).toBe(0);
+    });
+  });
+
+  describe('post payloads', () => {
+    it('should show videos as processing until their job is done', async () => {
+      config.videoProcessing.renditionHeights = [360];
+      await uploadVideo({ width: 640, height: 480, duration: 3 });
+
+      const pending = await getPostMedia();
+      expect(pending.processing_status).toBe('pending');
+      expect(pending.thumbnail_url).toBeNull();
+
+      await processor.run();
+
+      const ready = await getPostMedia();
+      expect(ready.processing_status).toBe('ready');
+      expect(ready.duration).toBe(3);
+      expect(ready.thumbnail_url).toBe('/uploads/media/clip_poster.jpg');
+      expect(ready.variants).toEqual([
+        { format: 'mp4', width: 480, height: 360, url: '/uploads/media/clip_360p.mp4' }
+      ]);
+
+      const list = expectSuccessResponse(await request(app).get('/api/posts')).data.posts;
+      const [listed] = list.find(p => p.id === post.id).media;
+      expect(listed.processing_status).toBe('ready');
+      expect(listed.duration).toBe(3);
+    });
+  });
+});
\ No newline at end of file
@@ -42,6 +42,26 @@ async function dropTables() {
     initializeDatabase();
 
     const dropSql = `
+      DROP TABLE IF EXISTS upload_sessions CASCADE;
+      DROP TABLE IF EXISTS media_jobs CASCADE;
+      DROP TABLE IF EXISTS media_variants CASCADE;
+      DROP TABLE IF EXISTS poll_votes CASCADE;
+      DROP TABLE IF EXISTS poll_options CASCADE;
+      DROP TABLE IF EXISTS polls CASCADE;
+      DROP TABLE IF EXISTS comment_revisions CASCADE;
+      DROP TABLE IF EXISTS post_revisions CASCADE;
+      DROP TABLE IF EXISTS user_identities CASCADE;
+      DROP TABLE IF EXISTS mfa_recovery_codes CASCADE;
+      DROP TABLE IF EXISTS user_sessions CASCADE;
+      DROP TABLE IF EXISTS moderation_actions CASCADE;
+      DROP TABLE IF EXISTS reports CASCADE;
+      DROP TABLE IF EXISTS post_hashtags CASCADE;
+      DROP TABLE IF EXISTS hashtags CASCADE;
+      DROP TABLE IF EXISTS mentions CASCADE;
+      DROP TABLE IF EXISTS notifications CASCADE;
+      DROP TABLE IF EXISTS post_metrics CASCADE;
+      DROP TABLE IF EXISTS post_interactions CASCADE;
+      DROP TABLE IF EXISTS follows CASCADE;
       DROP TABLE IF EXISTS reactions CASCADE;
       DROP TABLE IF EXISTS media CASCADE;
       DROP TABLE IF EXISTS comments CASCADE;
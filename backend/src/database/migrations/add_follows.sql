@@ -0,0 +1,23 @@
+-- Migration: Add follows table for friend requests and friendships
+-- Backs the 'friends' privacy level on posts
+
+CREATE TABLE IF NOT EXISTS follows (
+    id SERIAL PRIMARY KEY,
+    follower_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    following_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+    accepted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_follower_following UNIQUE (follower_id, following_id),
+    CONSTRAINT follows_not_self CHECK (follower_id <> following_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_follows_follower_id ON follows(follower_id);
+CREATE INDEX IF NOT EXISTS idx_follows_following_id ON follows(following_id);
+CREATE INDEX IF NOT EXISTS idx_follows_status ON follows(status);
+
+DROP TRIGGER IF EXISTS update_follows_updated_at ON follows;
+CREATE TRIGGER update_follows_updated_at BEFORE UPDATE ON follows
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
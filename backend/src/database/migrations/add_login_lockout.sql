@@ -0,0 +1,9 @@
+-- Migration: Add per-account login lockout
+-- Failed password logins are counted per user; the account is locked for a growing delay
+-- and, after too many failures, until the emailed unlock link is used or the lock expires
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_token VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_token_expires TIMESTAMP;
\ No newline at end of file
@@ -0,0 +1,4 @@
+-- Migration: Add whitelisted image metadata
+-- Uploads are now stored without EXIF, so the few details worth keeping are recorded here
+
+ALTER TABLE media ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
\ No newline at end of file
@@ -0,0 +1,6 @@
+-- Migration: Index media storage keys
+-- Files served from /uploads are looked up by key to decide whether they need a signed URL
+
+CREATE INDEX IF NOT EXISTS idx_media_file_path ON media(file_path);
+CREATE INDEX IF NOT EXISTS idx_media_thumbnail_path ON media(thumbnail_path);
+CREATE INDEX IF NOT EXISTS idx_media_variants_file_path ON media_variants(file_path);
\ No newline at end of file
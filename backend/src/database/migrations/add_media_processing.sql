@@ -0,0 +1,24 @@
+-- Migration: Add background video processing
+-- Uploaded videos are probed, given a poster frame and optionally transcoded by a job queue
+
+ALTER TABLE media ADD COLUMN IF NOT EXISTS processing_status VARCHAR(20) NOT NULL DEFAULT 'ready'
+    CHECK (processing_status IN ('pending', 'processing', 'ready', 'failed'));
+
+-- Transcoded renditions are stored alongside image variants
+ALTER TABLE media_variants DROP CONSTRAINT IF EXISTS media_variants_format_check;
+ALTER TABLE media_variants ADD CONSTRAINT media_variants_format_check
+    CHECK (format IN ('webp', 'avif', 'jpeg', 'png', 'mp4'));
+
+CREATE TABLE IF NOT EXISTS media_jobs (
+    id SERIAL PRIMARY KEY,
+    media_id INTEGER NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'done', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_jobs_due ON media_jobs(status, run_after);
\ No newline at end of file
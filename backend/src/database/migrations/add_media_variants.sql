@@ -0,0 +1,16 @@
+-- Migration: Add responsive image variants
+-- Each uploaded image gets resized copies in modern formats and a placeholder colour
+
+ALTER TABLE media ADD COLUMN IF NOT EXISTS dominant_color VARCHAR(7);
+
+CREATE TABLE IF NOT EXISTS media_variants (
+    id SERIAL PRIMARY KEY,
+    media_id INTEGER NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('webp', 'avif', 'jpeg', 'png')),
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    file_size INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(media_id, format, width)
+);
\ No newline at end of file
@@ -0,0 +1,56 @@
+-- Migration: Add mentions, hashtags and post_hashtags tables
+-- Backfills both from existing post and comment content
+
+CREATE TABLE IF NOT EXISTS mentions (
+    id SERIAL PRIMARY KEY,
+    mentioned_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    author_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS hashtags (
+    id SERIAL PRIMARY KEY,
+    tag VARCHAR(100) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS post_hashtags (
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    hashtag_id INTEGER NOT NULL REFERENCES hashtags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (post_id, hashtag_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mentions_unique ON mentions(mentioned_user_id, post_id, COALESCE(comment_id, 0));
+CREATE INDEX IF NOT EXISTS idx_mentions_mentioned_user ON mentions(mentioned_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mentions_post_id ON mentions(post_id);
+CREATE INDEX IF NOT EXISTS idx_mentions_comment_id ON mentions(comment_id);
+CREATE INDEX IF NOT EXISTS idx_post_hashtags_hashtag_id ON post_hashtags(hashtag_id, created_at DESC);
+
+-- Backfill hashtags from existing posts (purely numeric tags such as #1 are ignored)
+INSERT INTO hashtags (tag)
+SELECT DISTINCT lower(m[1])
+FROM posts p, regexp_matches(p.content, '(?:^|[^[:alnum:]_&#])#([[:alnum:]_]{1,100})', 'g') AS m
+WHERE m[1] !~ '^[0-9]+$'
+ON CONFLICT (tag) DO NOTHING;
+
+INSERT INTO post_hashtags (post_id, hashtag_id, created_at)
+SELECT DISTINCT p.id, h.id, p.created_at
+FROM posts p, regexp_matches(p.content, '(?:^|[^[:alnum:]_&#])#([[:alnum:]_]{1,100})', 'g') AS m
+JOIN hashtags h ON h.tag = lower(m[1])
+ON CONFLICT DO NOTHING;
+
+-- Backfill mentions of existing users from posts and comments
+INSERT INTO mentions (mentioned_user_id, author_id, post_id, created_at)
+SELECT DISTINCT u.id, p.user_id, p.id, p.created_at
+FROM posts p, regexp_matches(p.content, '(?:^|[^A-Za-z0-9_@])@([A-Za-z0-9_]{3,50})', 'g') AS m
+JOIN users u ON u.username = m[1]
+ON CONFLICT DO NOTHING;
+
+INSERT INTO mentions (mentioned_user_id, author_id, post_id, comment_id, created_at)
+SELECT DISTINCT u.id, c.user_id, c.post_id, c.id, c.created_at
+FROM comments c, regexp_matches(c.content, '(?:^|[^A-Za-z0-9_@])@([A-Za-z0-9_]{3,50})', 'g') AS m
+JOIN users u ON u.username = m[1]
+ON CONFLICT DO NOTHING;
\ No newline at end of file
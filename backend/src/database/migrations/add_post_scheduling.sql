@@ -0,0 +1,17 @@
+-- Migration: Add drafts and scheduled publishing for posts
+-- Drafts are unpublished posts; a scheduled draft has a publish_at time at which
+-- the scheduler publishes it. Replaces the never-used scheduled_for column.
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'posts' AND column_name = 'scheduled_for'
+    ) THEN
+        ALTER TABLE posts RENAME COLUMN scheduled_for TO publish_at;
+    END IF;
+END $$;
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_posts_publish_at ON posts(publish_at) WHERE is_published = FALSE AND publish_at IS NOT NULL;
\ No newline at end of file
@@ -0,0 +1,7 @@
+-- Migration: Add sharing (reposting) of posts
+-- A share is a post that references the original, with optional commentary
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS is_share BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS shared_post_id INTEGER REFERENCES posts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_posts_shared_post_id ON posts(shared_post_id) WHERE shared_post_id IS NOT NULL;
\ No newline at end of file
@@ -0,0 +1,20 @@
+-- Migration: Add full-text search vectors to posts, comments and users
+-- Generated columns keep the vectors in sync with the source text automatically
+-- Safe to run more than once
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+
+-- Names use the 'simple' configuration so they are not stemmed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(username, '') || ' ' || coalesce(first_name, '') || ' ' || coalesce(last_name, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(bio, '')), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_posts_search_vector ON posts USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_comments_search_vector ON comments USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_users_search_vector ON users USING GIN(search_vector);
\ No newline at end of file
@@ -0,0 +1,17 @@
+-- Migration: Add OAuth login identities
+-- Google and Facebook accounts are linked to local users; accounts created this way have no password
+
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- External OAuth identities (Google, Facebook) linked to local accounts
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    provider_user_id VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, provider_user_id),
+    UNIQUE(user_id, provider)
+);
\ No newline at end of file
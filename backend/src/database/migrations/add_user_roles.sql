@@ -0,0 +1,18 @@
+-- Migration: Add role column to users (user, moderator, admin)
+-- User 1 was the hard-coded admin before roles existed, so it keeps admin rights
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'role'
+    ) THEN
+        ALTER TABLE users
+            ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user'
+            CHECK (role IN ('user', 'moderator', 'admin'));
+
+        UPDATE users SET role = 'admin' WHERE id = 1;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'user';
\ No newline at end of file
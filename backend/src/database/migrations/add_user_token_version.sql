@@ -0,0 +1,5 @@
+-- Migration: Add token version to users
+-- Changing or resetting a password bumps the version, invalidating access tokens issued before it
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
\ No newline at end of file
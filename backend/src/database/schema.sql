@@ -9,19 +9,40 @@ CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     username VARCHAR(50) UNIQUE NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
+    -- NULL for accounts created through OAuth login until a password is set
+    password_hash VARCHAR(255),
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     bio TEXT,
     avatar_url VARCHAR(500),
     is_active BOOLEAN DEFAULT TRUE,
     email_verified BOOLEAN DEFAULT FALSE,
+    role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
     email_verification_token VARCHAR(255),
     password_reset_token VARCHAR(255),
     password_reset_expires TIMESTAMP,
+    -- Bumped on password change/reset; access tokens carrying an older version are rejected
+    token_version INTEGER NOT NULL DEFAULT 0,
+    password_changed_at TIMESTAMP,
+    -- TOTP two-factor authentication; the secret is set at enrollment and confirmed by mfa_enabled
+    mfa_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    mfa_secret VARCHAR(64),
+    mfa_enabled_at TIMESTAMP,
+    mfa_last_used_step BIGINT,
+    -- Failed password logins; past a threshold each failure locks the account for longer
+    failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    last_failed_login_at TIMESTAMP,
+    locked_until TIMESTAMP,
+    unlock_token VARCHAR(255),
+    unlock_token_expires TIMESTAMP,
     last_login TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Full-text search over names (weighted higher) and bio
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(username, '') || ' ' || coalesce(first_name, '') || ' ' || coalesce(last_name, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(bio, '')), 'B')
+    ) STORED
 );
 
 -- Posts table
@@ -33,9 +54,16 @@ CREATE TABLE IF NOT EXISTS posts (
     is_published BOOLEAN DEFAULT TRUE,
     is_archived BOOLEAN DEFAULT FALSE,
     views_count INTEGER DEFAULT 0,
-    scheduled_for TIMESTAMP,
+    -- Set on unpublished posts scheduled to go out; cleared once published
+    publish_at TIMESTAMP,
+    -- Shares (reposts) reference the original post; if it is deleted the reference
+    -- is cleared and is_share keeps the post marked as a share of a deleted post
+    is_share BOOLEAN NOT NULL DEFAULT FALSE,
+    shared_post_id INTEGER REFERENCES posts(id) ON DELETE SET NULL,
+    edited_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED
 );
 
 -- Comments table
@@ -47,8 +75,10 @@ CREATE TABLE IF NOT EXISTS comments (
     content TEXT NOT NULL,
     is_published BOOLEAN DEFAULT TRUE,
     depth INTEGER DEFAULT 0,
+    edited_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED
 );
 
 -- Media table
@@ -71,6 +101,12 @@ CREATE TABLE IF NOT EXISTS media (
     is_processed BOOLEAN DEFAULT FALSE,
     thumbnail_path VARCHAR(500),
     thumbnail_url VARCHAR(500),
+    -- Average colour of an image as #rrggbb, shown while the image loads
+    dominant_color VARCHAR(7),
+    -- Whitelisted image details (dimensions, format, capture time); GPS and camera EXIF are stripped on upload
+    metadata JSONB DEFAULT '{}',
+    -- Videos are 'pending' until the background job has probed them, made a poster and transcoded them
+    processing_status VARCHAR(20) NOT NULL DEFAULT 'ready' CHECK (processing_status IN ('pending', 'processing', 'ready', 'failed')),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
 
@@ -103,32 +139,337 @@ CREATE TABLE IF NOT EXISTS reactions (
     CONSTRAINT unique_user_comment_emoji UNIQUE (user_id, comment_id, emoji_name)
 );
 
+-- Follows table (friend requests and accepted relationships)
+CREATE TABLE IF NOT EXISTS follows (
+    id SERIAL PRIMARY KEY,
+    follower_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    following_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+    accepted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- One relationship row per direction, and no following yourself
+    CONSTRAINT unique_follower_following UNIQUE (follower_id, following_id),
+    CONSTRAINT follows_not_self CHECK (follower_id <> following_id)
+);
+
+-- Post interactions table (raw events used for ranking)
+CREATE TABLE IF NOT EXISTS post_interactions (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    interaction_type VARCHAR(50) NOT NULL CHECK (interaction_type IN ('view', 'comment', 'reaction', 'share', 'deep_read', 'quote')),
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    session_id VARCHAR(255),
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    metadata JSONB DEFAULT '{}'
+);
+
+-- Post metrics table (aggregated counts and algorithm scores)
+CREATE TABLE IF NOT EXISTS post_metrics (
+    post_id INTEGER PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+    view_count INTEGER DEFAULT 0,
+    comment_count INTEGER DEFAULT 0,
+    reaction_count INTEGER DEFAULT 0,
+    share_count INTEGER DEFAULT 0,
+    deep_read_count INTEGER DEFAULT 0,
+    total_interaction_count INTEGER DEFAULT 0,
+    recency_score FLOAT DEFAULT 0.0,
+    interaction_rate FLOAT DEFAULT 0.0,
+    engagement_score FLOAT DEFAULT 0.0,
+    combined_algorithm_score FLOAT DEFAULT 0.0,
+    first_interaction_at TIMESTAMP,
+    last_interaction_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notifications table (replies, reactions and mentions addressed to a user)
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    actor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('comment', 'reply', 'reaction', 'mention')),
+    post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    data JSONB DEFAULT '{}',
+    is_read BOOLEAN DEFAULT FALSE,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Mentions table (@username references in posts and comments)
+CREATE TABLE IF NOT EXISTS mentions (
+    id SERIAL PRIMARY KEY,
+    mentioned_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    author_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Hashtags table (normalized, lowercase tags)
+CREATE TABLE IF NOT EXISTS hashtags (
+    id SERIAL PRIMARY KEY,
+    tag VARCHAR(100) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Post hashtags join table
+CREATE TABLE IF NOT EXISTS post_hashtags (
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    hashtag_id INTEGER NOT NULL REFERENCES hashtags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (post_id, hashtag_id)
+);
+
+-- Reports table (users flagging posts, comments, media or profiles)
+CREATE TABLE IF NOT EXISTS reports (
+    id SERIAL PRIMARY KEY,
+    reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('post', 'comment', 'media', 'user')),
+    target_id INTEGER NOT NULL,
+    reason VARCHAR(30) NOT NULL CHECK (reason IN ('spam', 'harassment', 'hate_speech', 'violence', 'nudity', 'misinformation', 'other')),
+    details TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'dismissed')),
+    resolution_action VARCHAR(20) CHECK (resolution_action IN ('dismiss', 'unpublish', 'delete', 'suspend')),
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Moderation audit trail; targets are not foreign keys so entries outlive deleted content
+CREATE TABLE IF NOT EXISTS moderation_actions (
+    id SERIAL PRIMARY KEY,
+    moderator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('dismiss', 'unpublish', 'delete', 'suspend')),
+    target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('post', 'comment', 'media', 'user')),
+    target_id INTEGER NOT NULL,
+    target_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    report_id INTEGER REFERENCES reports(id) ON DELETE SET NULL,
+    note TEXT,
+    data JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login sessions; each holds the hash of its current refresh token
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id VARCHAR(32) NOT NULL UNIQUE,
+    refresh_token_hash VARCHAR(64) NOT NULL,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    remember_me BOOLEAN DEFAULT FALSE,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(30),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One-time two-factor recovery codes, stored hashed
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, code_hash)
+);
+
+-- External OAuth identities (Google, Facebook) linked to local accounts
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    provider_user_id VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, provider_user_id),
+    UNIQUE(user_id, provider)
+);
+
+-- Earlier versions of edited posts and comments; each row holds the content an edit replaced
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS comment_revisions (
+    id SERIAL PRIMARY KEY,
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Polls attached to posts; a post has at most one poll
+CREATE TABLE IF NOT EXISTS polls (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL UNIQUE REFERENCES posts(id) ON DELETE CASCADE,
+    allows_multiple BOOLEAN NOT NULL DEFAULT FALSE,
+    -- Results stay hidden from a voter until they vote (or the poll closes)
+    hide_results BOOLEAN NOT NULL DEFAULT FALSE,
+    closes_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS poll_options (
+    id SERIAL PRIMARY KEY,
+    poll_id INTEGER NOT NULL REFERENCES polls(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    text VARCHAR(200) NOT NULL,
+    UNIQUE(poll_id, position)
+);
+
+-- One row per chosen option; single-choice polls have at most one row per voter
+CREATE TABLE IF NOT EXISTS poll_votes (
+    id SERIAL PRIMARY KEY,
+    poll_id INTEGER NOT NULL REFERENCES polls(id) ON DELETE CASCADE,
+    option_id INTEGER NOT NULL REFERENCES poll_options(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(option_id, user_id)
+);
+
+-- Resized copies of uploaded images in modern formats, for srcset/<picture>
+CREATE TABLE IF NOT EXISTS media_variants (
+    id SERIAL PRIMARY KEY,
+    media_id INTEGER NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('webp', 'avif', 'jpeg', 'png', 'mp4')),
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    file_size INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(media_id, format, width)
+);
+
+-- Background processing jobs for uploaded videos
+CREATE TABLE IF NOT EXISTS media_jobs (
+    id SERIAL PRIMARY KEY,
+    media_id INTEGER NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'done', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Resumable uploads in progress; received bytes are kept in a temporary file until completion
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    filename VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    alt_text TEXT,
+    total_size BIGINT NOT NULL CHECK (total_size > 0),
+    received_size BIGINT NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'completing')),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (received_size <= total_size),
+    CHECK ((post_id IS NOT NULL) <> (comment_id IS NOT NULL))
+);
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+-- Staff lookups (moderators and admins) stay small
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'user';
 CREATE INDEX IF NOT EXISTS idx_users_active ON users(is_active);
 CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
+CREATE INDEX IF NOT EXISTS idx_users_search_vector ON users USING GIN(search_vector);
 
 CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id);
 CREATE INDEX IF NOT EXISTS idx_posts_privacy_level ON posts(privacy_level);
 CREATE INDEX IF NOT EXISTS idx_posts_published ON posts(is_published);
+CREATE INDEX IF NOT EXISTS idx_posts_publish_at ON posts(publish_at) WHERE is_published = FALSE AND publish_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_posts_shared_post_id ON posts(shared_post_id) WHERE shared_post_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at);
+CREATE INDEX IF NOT EXISTS idx_posts_search_vector ON posts USING GIN(search_vector);
 
 CREATE INDEX IF NOT EXISTS idx_comments_user_id ON comments(user_id);
 CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id);
 CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id);
 CREATE INDEX IF NOT EXISTS idx_comments_created_at ON comments(created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_search_vector ON comments USING GIN(search_vector);
 
 CREATE INDEX IF NOT EXISTS idx_media_user_id ON media(user_id);
 CREATE INDEX IF NOT EXISTS idx_media_post_id ON media(post_id);
 CREATE INDEX IF NOT EXISTS idx_media_comment_id ON media(comment_id);
 CREATE INDEX IF NOT EXISTS idx_media_type ON media(media_type);
+CREATE INDEX IF NOT EXISTS idx_media_file_path ON media(file_path);
+CREATE INDEX IF NOT EXISTS idx_media_thumbnail_path ON media(thumbnail_path);
+CREATE INDEX IF NOT EXISTS idx_media_variants_file_path ON media_variants(file_path);
 
 CREATE INDEX IF NOT EXISTS idx_reactions_user_id ON reactions(user_id);
 CREATE INDEX IF NOT EXISTS idx_reactions_post_id ON reactions(post_id);
 CREATE INDEX IF NOT EXISTS idx_reactions_comment_id ON reactions(comment_id);
 CREATE INDEX IF NOT EXISTS idx_reactions_emoji_name ON reactions(emoji_name);
 
+CREATE INDEX IF NOT EXISTS idx_follows_follower_id ON follows(follower_id);
+CREATE INDEX IF NOT EXISTS idx_follows_following_id ON follows(following_id);
+CREATE INDEX IF NOT EXISTS idx_follows_status ON follows(status);
+
+CREATE INDEX IF NOT EXISTS idx_post_interactions_post_type ON post_interactions(post_id, interaction_type);
+CREATE INDEX IF NOT EXISTS idx_post_interactions_created_at ON post_interactions(created_at);
+CREATE INDEX IF NOT EXISTS idx_post_interactions_user_id ON post_interactions(user_id);
+CREATE INDEX IF NOT EXISTS idx_post_interactions_session_id ON post_interactions(session_id);
+
+CREATE INDEX IF NOT EXISTS idx_post_metrics_algorithm_score ON post_metrics(combined_algorithm_score DESC);
+CREATE INDEX IF NOT EXISTS idx_post_metrics_engagement_score ON post_metrics(engagement_score DESC);
+CREATE INDEX IF NOT EXISTS idx_post_metrics_last_interaction ON post_metrics(last_interaction_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE is_read = FALSE;
+
+-- One row per mentioned user per post or comment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mentions_unique ON mentions(mentioned_user_id, post_id, COALESCE(comment_id, 0));
+CREATE INDEX IF NOT EXISTS idx_mentions_mentioned_user ON mentions(mentioned_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mentions_post_id ON mentions(post_id);
+CREATE INDEX IF NOT EXISTS idx_mentions_comment_id ON mentions(comment_id);
+
+CREATE INDEX IF NOT EXISTS idx_post_hashtags_hashtag_id ON post_hashtags(hashtag_id, created_at DESC);
+
+-- One open report per reporter and target; the queue lists pending reports oldest first
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_pending_unique ON reports(reporter_id, target_type, target_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_reports_status_created ON reports(status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_created ON moderation_actions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_target ON moderation_actions(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_moderator ON moderation_actions(moderator_id);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active ON user_sessions(user_id, last_used_at DESC) WHERE revoked_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post ON post_revisions(post_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment ON comment_revisions(comment_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_poll_votes_poll_user ON poll_votes(poll_id, user_id);
+
+-- Media job claims look for due pending jobs
+CREATE INDEX IF NOT EXISTS idx_media_jobs_due ON media_jobs(status, run_after);
+
+-- Quota checks sum a user's open uploads; the sweeper looks for expired ones
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user ON upload_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at);
+
 -- Function to update the updated_at column
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -152,4 +493,97 @@ CREATE TRIGGER update_media_updated_at BEFORE UPDATE ON media
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_reactions_updated_at BEFORE UPDATE ON reactions
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_follows_updated_at BEFORE UPDATE ON follows
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_notifications_updated_at BEFORE UPDATE ON notifications
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reports_updated_at BEFORE UPDATE ON reports
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_user_sessions_updated_at BEFORE UPDATE ON user_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Algorithm score functions (shared with comment ranking)
+CREATE OR REPLACE FUNCTION calculate_recency_score(comment_created_at TIMESTAMP)
+RETURNS FLOAT AS $$
+BEGIN
+    -- Higher score for newer content (max 100, decays over 30 days)
+    RETURN GREATEST(0, 100 - EXTRACT(EPOCH FROM (NOW() - comment_created_at)) / 86400 / 30 * 100);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION calculate_interaction_rate(total_interactions INTEGER, created_at TIMESTAMP)
+RETURNS FLOAT AS $$
+DECLARE
+    hours_since_creation FLOAT;
+BEGIN
+    hours_since_creation := EXTRACT(EPOCH FROM (NOW() - created_at)) / 3600;
+    IF hours_since_creation <= 0 THEN
+        RETURN 0;
+    END IF;
+    RETURN total_interactions::FLOAT / hours_since_creation;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION calculate_engagement_score(
+    reply_count INTEGER,
+    reaction_count INTEGER,
+    deep_read_count INTEGER,
+    view_count INTEGER
+)
+RETURNS FLOAT AS $$
+BEGIN
+    IF view_count = 0 THEN
+        RETURN 0;
+    END IF;
+
+    RETURN (
+        (reply_count * 10.0) +
+        (reaction_count * 5.0) +
+        (deep_read_count * 2.0)
+    ) / view_count::FLOAT * 100;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Keep post_metrics in sync as interactions are recorded
+CREATE OR REPLACE FUNCTION update_post_metrics()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO post_metrics (post_id, first_interaction_at)
+    VALUES (NEW.post_id, NEW.created_at)
+    ON CONFLICT (post_id) DO NOTHING;
+
+    UPDATE post_metrics SET
+        view_count = view_count + CASE WHEN NEW.interaction_type = 'view' THEN 1 ELSE 0 END,
+        comment_count = comment_count + CASE WHEN NEW.interaction_type = 'comment' THEN 1 ELSE 0 END,
+        reaction_count = reaction_count + CASE WHEN NEW.interaction_type = 'reaction' THEN 1 ELSE 0 END,
+        share_count = share_count + CASE WHEN NEW.interaction_type IN ('share', 'quote') THEN 1 ELSE 0 END,
+        deep_read_count = deep_read_count + CASE WHEN NEW.interaction_type = 'deep_read' THEN 1 ELSE 0 END,
+        total_interaction_count = total_interaction_count + 1,
+        last_interaction_at = NEW.created_at,
+        last_updated = NOW()
+    WHERE post_id = NEW.post_id;
+
+    UPDATE post_metrics pm SET
+        recency_score = calculate_recency_score(p.created_at),
+        interaction_rate = calculate_interaction_rate(pm.total_interaction_count, p.created_at),
+        engagement_score = calculate_engagement_score(pm.comment_count, pm.reaction_count, pm.deep_read_count, pm.view_count),
+        combined_algorithm_score = (
+            calculate_recency_score(p.created_at) * 0.3 +
+            calculate_interaction_rate(pm.total_interaction_count, p.created_at) * 0.4 +
+            calculate_engagement_score(pm.comment_count, pm.reaction_count, pm.deep_read_count, pm.view_count) * 0.3
+        )
+    FROM posts p
+    WHERE pm.post_id = NEW.post_id AND p.id = NEW.post_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER post_interaction_metrics_trigger
+    AFTER INSERT ON post_interactions
+    FOR EACH ROW EXECUTE FUNCTION update_post_metrics();
\ No newline at end of file
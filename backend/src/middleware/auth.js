@@ -3,9 +3,35 @@
  * Provides middleware functions for protecting routes and extracting user information
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { config } = require('../../../config/app.config');
 
+/**
+ * Check that the login session a token was issued for has not been revoked
+ * Tokens without a session ID (issued before sessions existed) rely on their expiry alone.
+ * @param {Object} decoded - Verified token payload
+ * @param {Object} user - User row the token belongs to
+ * @returns {boolean} True if the token's session is still active
+ */
+const hasActiveSession = async (decoded, user) => {
+  if (!decoded.sid) return true;
+
+  const UserSession = require('../models/UserSession');
+  return await UserSession.isActive(decoded.sid, user.id);
+};
+
+/**
+ * Check that a token was issued after the user's last password change
+ * Tokens without a version claim count as version 0.
+ * @param {Object} decoded - Verified token payload
+ * @param {Object} user - User row the token belongs to
+ * @returns {boolean} True if the token's version matches the user's
+ */
+const hasCurrentTokenVersion = (decoded, user) => {
+  return (decoded.tv || 0) === (user.token_version || 0);
+};
+
 /**
  * Middleware to verify JWT token and set req.user
  * Extracts token from Authorization header or cookies
@@ -71,9 +97,32 @@ const authenticate = async (req, res, next) => {
         });
       }
 
+      if (!hasCurrentTokenVersion(decoded, user)) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Access denied. Token was invalidated by a password change.',
+            type: 'AUTHENTICATION_ERROR',
+            code: 'TOKEN_REVOKED'
+          }
+        });
+      }
+
+      if (!(await hasActiveSession(decoded, user))) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Access denied. Session has been revoked.',
+            type: 'AUTHENTICATION_ERROR',
+            code: 'SESSION_REVOKED'
+          }
+        });
+      }
+
       // Add user to request object (with public data only)
       req.user = User.getPublicData(user);
       req.token = token;
+      req.sessionId = decoded.sid || null;
 
       next();
     } catch (tokenError) {
@@ -142,9 +191,10 @@ const optionalAuthenticate = async (req, res, next) => {
 
       const user = await User.findById(decoded.userId);
 
-      if (user && user.is_active) {
+      if (user && user.is_active && hasCurrentTokenVersion(decoded, user) && await hasActiveSession(decoded, user)) {
         req.user = User.getPublicData(user);
         req.token = token;
+        req.sessionId = decoded.sid || null;
       }
     } catch (tokenError) {
       // Token is invalid, but we continue without authentication
@@ -160,7 +210,9 @@ const optionalAuthenticate = async (req, res, next) => {
 
 /**
  * Middleware to require specific roles
- * @param {...string} roles - Required roles
+ * The role comes from the user row loaded by authenticate, not from the token,
+ * so granting or revoking a role takes effect on the next request.
+ * @param {...string} roles - Required roles (a higher role also passes)
  */
 const requireRoles = (...roles) => {
   return (req, res, next) => {
@@ -175,9 +227,66 @@ const requireRoles = (...roles) => {
       });
     }
 
-    // For now, we don't have roles in the user model
-    // This is a placeholder for future role-based access control
-    if (roles.includes('admin') && req.user.id !== 1) {
+    const User = require('../models/User');
+
+    if (!roles.some(role => User.hasRole(req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. Insufficient permissions.',
+          type: 'AUTHORIZATION_ERROR',
+          code: 'INSUFFICIENT_PERMISSIONS'
+        }
+      });
+    }
+
+    if (!roles.includes('user') && User.needsMfa(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. Enable two-factor authentication to use this feature.',
+          type: 'AUTHORIZATION_ERROR',
+          code: 'MFA_REQUIRED'
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware to require a permission granted by the user's role
+ * @param {string} permission - Permission name, e.g. 'roles.manage'
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Access denied. Authentication required.',
+          type: 'AUTHENTICATION_ERROR',
+          code: 'NO_AUTH'
+        }
+      });
+    }
+
+    const User = require('../models/User');
+
+    if (!User.hasPermission(req.user, permission)) {
+      // The role grants it, but staff must turn on 2FA first
+      if (User.needsMfa(req.user) && User.getPermissions(req.user.role).includes(permission)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied. Enable two-factor authentication to use this feature.',
+            type: 'AUTHORIZATION_ERROR',
+            code: 'MFA_REQUIRED'
+          }
+        });
+      }
+
       return res.status(403).json({
         success: false,
         error: {
@@ -246,8 +355,10 @@ const requireModifyPermission = (paramName = 'userId') => {
 
     const resourceUserId = parseInt(req.params[paramName]) || parseInt(req.body.user_id);
 
-    // Allow if user owns the resource or is admin (user ID 1)
-    if (resourceUserId && (req.user.id === resourceUserId || req.user.id === 1)) {
+    const User = require('../models/User');
+
+    // Allow if user owns the resource or may modify any user
+    if (resourceUserId && (req.user.id === resourceUserId || User.hasPermission(req.user, 'users.modify_any'))) {
       return next();
     }
 
@@ -264,17 +375,24 @@ const requireModifyPermission = (paramName = 'userId') => {
 
 /**
  * Generate JWT token for user
- * @param {Object} user - User object
+ * @param {Object} user - User row (its token_version is embedded as the tv claim)
  * @param {string} expiresIn - Token expiration time
+ * @param {number|null} sessionId - Login session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (user, expiresIn = config.auth.jwt.expiresIn) => {
+const generateToken = (user, expiresIn = config.auth.jwt.expiresIn, sessionId = null) => {
   const payload = {
     userId: user.id,
     username: user.username,
-    email: user.email
+    email: user.email,
+    role: user.role,
+    tv: user.token_version || 0
   };
 
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
   return jwt.sign(payload, config.auth.jwt.secret, {
     expiresIn,
     issuer: config.auth.jwt.issuer,
@@ -282,6 +400,82 @@ const generateToken = (user, expiresIn = config.auth.jwt.expiresIn) => {
   });
 };
 
+/**
+ * Generate the short-lived token that carries a password-verified login to the 2FA step
+ * It is signed for a separate audience, so it is never accepted as an access token.
+ * @param {Object} user - User row
+ * @param {boolean} rememberMe - Remember me choice from the password step
+ * @returns {string} JWT challenge token
+ */
+const generateMfaChallengeToken = (user, rememberMe = false) => {
+  return jwt.sign(
+    { userId: user.id, tv: user.token_version || 0, remember_me: Boolean(rememberMe) },
+    config.auth.jwt.secret,
+    {
+      expiresIn: config.auth.mfa.challengeExpiresIn,
+      issuer: config.auth.jwt.issuer,
+      audience: `${config.auth.jwt.audience}:mfa`
+    }
+  );
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Challenge token from the password step
+ * @returns {Object|null} Decoded payload, or null if invalid or expired
+ */
+const verifyMfaChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, config.auth.jwt.secret, {
+      issuer: config.auth.jwt.issuer,
+      audience: `${config.auth.jwt.audience}:mfa`
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Generate the signed state parameter for an OAuth redirect
+ * It ties the provider callback to the flow that started it: a login, or linking
+ * the provider to a signed-in user.
+ * @param {Object} payload - { provider, intent: 'login'|'link', userId (link only), rememberMe }
+ * @returns {string} JWT state token
+ */
+const generateOAuthStateToken = ({ provider, intent, userId = null, rememberMe = false }) => {
+  return jwt.sign(
+    {
+      provider,
+      intent,
+      userId,
+      remember_me: Boolean(rememberMe),
+      nonce: crypto.randomBytes(8).toString('hex')
+    },
+    config.auth.jwt.secret,
+    {
+      expiresIn: config.auth.oauth.stateExpiresIn,
+      issuer: config.auth.jwt.issuer,
+      audience: `${config.auth.jwt.audience}:oauth`
+    }
+  );
+};
+
+/**
+ * Verify an OAuth state parameter
+ * @param {string} token - State echoed back by the provider
+ * @returns {Object|null} Decoded payload, or null if invalid or expired
+ */
+const verifyOAuthStateToken = (token) => {
+  try {
+    return jwt.verify(token, config.auth.jwt.secret, {
+      issuer: config.auth.jwt.issuer,
+      audience: `${config.auth.jwt.audience}:oauth`
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Set JWT token as HTTP-only cookie
  * @param {Object} res - Express response object
@@ -311,13 +505,49 @@ const clearTokenCookie = (res) => {
   });
 };
 
+/**
+ * Set the refresh token as an HTTP-only cookie scoped to the auth routes
+ * @param {Object} res - Express response object
+ * @param {string} refreshToken - Refresh token
+ * @param {Date} expiresAt - When the session expires
+ */
+const setRefreshTokenCookie = (res, refreshToken, expiresAt) => {
+  res.cookie('refresh_token', refreshToken, {
+    httpOnly: true,
+    secure: config.isProduction,
+    sameSite: config.auth.session.sameSite,
+    maxAge: new Date(expiresAt).getTime() - Date.now(),
+    path: '/api/auth'
+  });
+};
+
+/**
+ * Clear refresh token cookie
+ * @param {Object} res - Express response object
+ */
+const clearRefreshTokenCookie = (res) => {
+  res.clearCookie('refresh_token', {
+    httpOnly: true,
+    secure: config.isProduction,
+    sameSite: config.auth.session.sameSite,
+    path: '/api/auth'
+  });
+};
+
 module.exports = {
   authenticate,
   optionalAuthenticate,
   requireRoles,
+  requirePermission,
   requireOwnership,
   requireModifyPermission,
   generateToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateOAuthStateToken,
+  verifyOAuthStateToken,
   setTokenCookie,
-  clearTokenCookie
+  clearTokenCookie,
+  setRefreshTokenCookie,
+  clearRefreshTokenCookie
 };
\ No newline at end of file
@@ -107,6 +107,15 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Request body over the parser's limit, e.g. a resumable upload chunk
+  if (err.type === 'entity.too.large') {
+    error = {
+      statusCode: 413,
+      message: 'Request body too large',
+      type: 'FILE_ERROR'
+    };
+  }
+
   // Cast error (invalid ObjectId, etc.)
   if (err.name === 'CastError') {
     error = {
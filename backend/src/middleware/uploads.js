@@ -0,0 +1,49 @@
+/**
+ * Access control for files served from /uploads by the local storage driver
+ * Files on public posts (and files that aren't media, such as avatars) are served to
+ * anyone; everything else needs the signed URL the API handed out for it.
+ */
+
+const path = require('path');
+const Media = require('../models/Media');
+
+/**
+ * Create middleware that checks requests for stored files before they are served
+ * @param {LocalStorage} fileStorage - Driver the files are stored with
+ * @returns {Function} Express middleware
+ */
+const protectUploads = (fileStorage) => async (req, res, next) => {
+  try {
+    // Normalize the key the way the static file server resolves it, so that
+    // images//a.jpg or images/./a.jpg can't dodge the lookup below
+    let key;
+    try {
+      key = path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+    } catch (error) {
+      return next(); // Malformed escapes are left to the static file server to reject
+    }
+
+    const { expires, signature } = req.query;
+    if (expires && signature && fileStorage.verifySignedUrl(key, expires, signature)) {
+      return next();
+    }
+
+    if (await Media.isPublicFile(key)) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      error: {
+        message: 'This file can only be loaded through a signed URL',
+        type: 'AUTHORIZATION_ERROR'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  protectUploads
+};
\ No newline at end of file
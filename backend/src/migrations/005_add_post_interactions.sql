@@ -0,0 +1,98 @@
+-- Migration: Add post interaction tracking tables
+-- Purpose: Support hot/trending/best/top sorting for posts, mirroring comment_metrics
+-- Depends on the scoring functions created in 004_add_comment_interactions.sql
+
+-- Table for tracking individual post interactions
+CREATE TABLE post_interactions (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  interaction_type VARCHAR(50) NOT NULL CHECK (interaction_type IN ('view', 'comment', 'reaction', 'share', 'deep_read', 'quote')),
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  session_id VARCHAR(255), -- For anonymous tracking
+  ip_address INET,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  metadata JSONB DEFAULT '{}'
+);
+
+-- Table for aggregated post metrics (performance optimization)
+CREATE TABLE post_metrics (
+  post_id INTEGER PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+  view_count INTEGER DEFAULT 0,
+  comment_count INTEGER DEFAULT 0,
+  reaction_count INTEGER DEFAULT 0,
+  share_count INTEGER DEFAULT 0,
+  deep_read_count INTEGER DEFAULT 0,
+  total_interaction_count INTEGER DEFAULT 0,
+
+  -- Algorithm scores used for ranked sorting
+  recency_score FLOAT DEFAULT 0.0,
+  interaction_rate FLOAT DEFAULT 0.0,
+  engagement_score FLOAT DEFAULT 0.0,
+  combined_algorithm_score FLOAT DEFAULT 0.0,
+
+  -- Temporal data for algorithm calculations
+  first_interaction_at TIMESTAMP,
+  last_interaction_at TIMESTAMP,
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_updated TIMESTAMP DEFAULT NOW()
+);
+
+-- Indexes for performance
+CREATE INDEX idx_post_interactions_post_type ON post_interactions(post_id, interaction_type);
+CREATE INDEX idx_post_interactions_created_at ON post_interactions(created_at);
+CREATE INDEX idx_post_interactions_user_id ON post_interactions(user_id);
+CREATE INDEX idx_post_interactions_session_id ON post_interactions(session_id);
+
+CREATE INDEX idx_post_metrics_algorithm_score ON post_metrics(combined_algorithm_score DESC);
+CREATE INDEX idx_post_metrics_engagement_score ON post_metrics(engagement_score DESC);
+CREATE INDEX idx_post_metrics_last_interaction ON post_metrics(last_interaction_at DESC);
+
+-- Trigger function to update metrics when interactions are recorded
+CREATE OR REPLACE FUNCTION update_post_metrics()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Insert metrics record if it doesn't exist
+  INSERT INTO post_metrics (post_id, first_interaction_at)
+  VALUES (NEW.post_id, NEW.created_at)
+  ON CONFLICT (post_id) DO NOTHING;
+
+  -- Update aggregated counts
+  UPDATE post_metrics SET
+    view_count = view_count + CASE WHEN NEW.interaction_type = 'view' THEN 1 ELSE 0 END,
+    comment_count = comment_count + CASE WHEN NEW.interaction_type = 'comment' THEN 1 ELSE 0 END,
+    reaction_count = reaction_count + CASE WHEN NEW.interaction_type = 'reaction' THEN 1 ELSE 0 END,
+    share_count = share_count + CASE WHEN NEW.interaction_type IN ('share', 'quote') THEN 1 ELSE 0 END,
+    deep_read_count = deep_read_count + CASE WHEN NEW.interaction_type = 'deep_read' THEN 1 ELSE 0 END,
+    total_interaction_count = total_interaction_count + 1,
+    last_interaction_at = NEW.created_at,
+    last_updated = NOW()
+  WHERE post_id = NEW.post_id;
+
+  -- Recalculate algorithm scores
+  UPDATE post_metrics pm SET
+    recency_score = calculate_recency_score(p.created_at),
+    interaction_rate = calculate_interaction_rate(pm.total_interaction_count, p.created_at),
+    engagement_score = calculate_engagement_score(pm.comment_count, pm.reaction_count, pm.deep_read_count, pm.view_count),
+    combined_algorithm_score = (
+      calculate_recency_score(p.created_at) * 0.3 +
+      calculate_interaction_rate(pm.total_interaction_count, p.created_at) * 0.4 +
+      calculate_engagement_score(pm.comment_count, pm.reaction_count, pm.deep_read_count, pm.view_count) * 0.3
+    )
+  FROM posts p
+  WHERE pm.post_id = NEW.post_id AND p.id = NEW.post_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create the trigger
+CREATE TRIGGER post_interaction_metrics_trigger
+  AFTER INSERT ON post_interactions
+  FOR EACH ROW EXECUTE FUNCTION update_post_metrics();
+
+-- Initialize metrics for existing posts
+INSERT INTO post_metrics (post_id, first_interaction_at)
+SELECT id, created_at FROM posts
+ON CONFLICT (post_id) DO NOTHING;
\ No newline at end of file
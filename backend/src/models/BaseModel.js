@@ -25,9 +25,25 @@ function query(sql, params = []) {
   return db.query(sql, params);
 }
 
-function transaction(callback) {
-  const db = getDB();
-  return db.transaction(callback);
+async function transaction(callback) {
+  // In test environment, run it on a client from the test database
+  if (process.env.NODE_ENV === 'test' && global.testDb && global.testDb.connect) {
+    const client = await global.testDb.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Use the main database transaction function
+  return getDB().transaction(callback);
 }
 
 class BaseModel {
@@ -109,9 +125,10 @@ class BaseModel {
   /**
    * Create a new record
    * @param {Object} data - Record data
+   * @param {Object} client - Transaction client to run on (see transaction)
    * @returns {Object} Created record
    */
-  async create(data) {
+  async create(data, client = null) {
     // Add timestamps if not provided
     const now = new Date();
     if (!data.created_at) data.created_at = now;
@@ -127,7 +144,7 @@ class BaseModel {
       RETURNING *
     `;
 
-    const result = await query(sql, values);
+    const result = client ? await client.query(sql, values) : await query(sql, values);
     return result.rows[0];
   }
 
@@ -197,10 +214,11 @@ class BaseModel {
    * Execute a raw SQL query
    * @param {string} sql - SQL query
    * @param {Array} params - Query parameters
+   * @param {Object} client - Transaction client to run on (see transaction)
    * @returns {Object} Query result
    */
-  async raw(sql, params = []) {
-    return await query(sql, params);
+  async raw(sql, params = [], client = null) {
+    return client ? await client.query(sql, params) : await query(sql, params);
   }
 
   /**
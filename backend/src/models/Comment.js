@@ -216,7 +216,7 @@ class Comment extends BaseModel {
     const normalizedComment = {
       ...comment,
       is_published: Boolean(comment.is_published),
-      is_edited: Boolean(comment.is_edited || false) // Default to false if not present
+      is_edited: Boolean(comment.edited_at)
     };
 
     return {
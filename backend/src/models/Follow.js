@@ -0,0 +1,272 @@
+/**
+ * Follow model for the social media platform
+ * Tracks friend requests and accepted relationships between users
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+
+class Follow extends BaseModel {
+  constructor() {
+    super('follows');
+  }
+
+  /**
+   * Build a SQL condition that is true when two users are friends
+   * An accepted follow in either direction counts as a friendship
+   * @param {string} userRef - SQL expression for the first user ID
+   * @param {string} otherRef - SQL expression for the second user ID
+   * @returns {string} SQL EXISTS condition
+   */
+  friendshipCondition(userRef, otherRef) {
+    return `EXISTS (
+      SELECT 1 FROM follows f
+      WHERE f.status = 'accepted'
+        AND ((f.follower_id = ${userRef} AND f.following_id = ${otherRef})
+          OR (f.follower_id = ${otherRef} AND f.following_id = ${userRef}))
+    )`;
+  }
+
+  /**
+   * Find the relationship row between two users in either direction
+   * @param {number} userId - First user ID
+   * @param {number} otherUserId - Second user ID
+   * @returns {Object|null} Follow row or null
+   */
+  async findBetween(userId, otherUserId) {
+    const result = await this.raw(
+      `SELECT * FROM follows
+       WHERE (follower_id = $1 AND following_id = $2)
+          OR (follower_id = $2 AND following_id = $1)
+       ORDER BY status = 'accepted' DESC, created_at ASC
+       LIMIT 1`,
+      [userId, otherUserId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check whether two users are friends
+   * @param {number} userId - First user ID
+   * @param {number} otherUserId - Second user ID
+   * @returns {boolean} True if an accepted relationship exists
+   */
+  async areFriends(userId, otherUserId) {
+    if (!userId || !otherUserId || userId === otherUserId) return false;
+
+    const result = await this.raw(
+      `SELECT ${this.friendshipCondition('$1', '$2')} AS are_friends`,
+      [userId, otherUserId]
+    );
+    return Boolean(result.rows[0]?.are_friends);
+  }
+
+  /**
+   * Send a friend request. If the other user already sent one to us,
+   * the pending request is accepted instead of creating a second row.
+   * @param {number} followerId - Requesting user ID
+   * @param {number} followingId - Target user ID
+   * @returns {Object} Follow data
+   */
+  async request(followerId, followingId) {
+    if (followerId === followingId) {
+      throw new Error('You cannot send a friend request to yourself');
+    }
+
+    const existing = await this.findBetween(followerId, followingId);
+    if (existing) {
+      if (existing.status === 'pending' && existing.follower_id === followingId) {
+        return await this.accept(existing.id);
+      }
+      return this.getFollowData(existing);
+    }
+
+    const follow = await this.create({
+      follower_id: followerId,
+      following_id: followingId,
+      status: 'pending'
+    });
+    return this.getFollowData(follow);
+  }
+
+  /**
+   * Accept a pending request
+   * @param {number} followId - Follow row ID
+   * @returns {Object|null} Updated follow data
+   */
+  async accept(followId) {
+    const follow = await this.update(followId, {
+      status: 'accepted',
+      accepted_at: new Date()
+    });
+    return this.getFollowData(follow);
+  }
+
+  /**
+   * Find a pending request sent from one user to another
+   * @param {number} followerId - User who sent the request
+   * @param {number} followingId - User who received the request
+   * @returns {Object|null} Follow row or null
+   */
+  async findPendingRequest(followerId, followingId) {
+    return await this.findOne({
+      follower_id: followerId,
+      following_id: followingId,
+      status: 'pending'
+    });
+  }
+
+  /**
+   * Remove any relationship between two users (unfriend or cancel request)
+   * @param {number} userId - First user ID
+   * @param {number} otherUserId - Second user ID
+   * @returns {number} Number of rows removed
+   */
+  async removeBetween(userId, otherUserId) {
+    const result = await this.raw(
+      `DELETE FROM follows
+       WHERE (follower_id = $1 AND following_id = $2)
+          OR (follower_id = $2 AND following_id = $1)`,
+      [userId, otherUserId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Get the relationship status of another user from the viewer's side
+   * @param {number} viewerId - Viewing user ID
+   * @param {number} otherUserId - Other user ID
+   * @returns {string} 'self', 'friends', 'request_sent', 'request_received' or 'none'
+   */
+  async getRelationshipStatus(viewerId, otherUserId) {
+    if (viewerId === otherUserId) return 'self';
+
+    const follow = await this.findBetween(viewerId, otherUserId);
+    if (!follow) return 'none';
+    if (follow.status === 'accepted') return 'friends';
+    return follow.follower_id === viewerId ? 'request_sent' : 'request_received';
+  }
+
+  /**
+   * Get IDs of all friends of a user
+   * @param {number} userId - User ID
+   * @returns {Array<number>} Friend user IDs
+   */
+  async getFriendIds(userId) {
+    const result = await this.raw(
+      `SELECT following_id AS friend_id FROM follows
+       WHERE follower_id = $1 AND status = 'accepted'
+       UNION
+       SELECT follower_id AS friend_id FROM follows
+       WHERE following_id = $1 AND status = 'accepted'`,
+      [userId]
+    );
+    return result.rows.map(row => row.friend_id);
+  }
+
+  /**
+   * Get friends of a user with pagination
+   * @param {number} userId - User ID
+   * @param {number} limit - Limit
+   * @param {number} offset - Offset
+   * @returns {Object} Friends and total count
+   */
+  async getFriends(userId, limit = 20, offset = 0) {
+    const result = await this.raw(
+      `SELECT u.id, u.username, u.first_name, u.last_name, u.avatar_url,
+              f.accepted_at AS friends_since,
+              COUNT(*) OVER() AS total_count
+       FROM follows f
+       JOIN users u ON u.id = CASE WHEN f.follower_id = $1 THEN f.following_id ELSE f.follower_id END
+       WHERE (f.follower_id = $1 OR f.following_id = $1)
+         AND f.status = 'accepted'
+         AND u.is_active = true
+       ORDER BY f.accepted_at DESC NULLS LAST, u.username ASC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    return {
+      friends: result.rows.map(row => ({
+        id: row.id,
+        username: row.username,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        avatar_url: row.avatar_url,
+        friends_since: row.friends_since
+      })),
+      total_count: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Get pending requests for a user
+   * @param {number} userId - User ID
+   * @param {string} direction - 'incoming' (sent to the user) or 'outgoing' (sent by the user)
+   * @returns {Array} Pending requests with the other user's info
+   */
+  async getPendingRequests(userId, direction = 'incoming') {
+    const ownColumn = direction === 'outgoing' ? 'follower_id' : 'following_id';
+    const otherColumn = direction === 'outgoing' ? 'following_id' : 'follower_id';
+
+    const result = await this.raw(
+      `SELECT f.*, u.username, u.first_name, u.last_name, u.avatar_url
+       FROM follows f
+       JOIN users u ON u.id = f.${otherColumn}
+       WHERE f.${ownColumn} = $1 AND f.status = 'pending'
+       ORDER BY f.created_at DESC`,
+      [userId]
+    );
+
+    return result.rows.map(row => ({
+      ...this.getFollowData(row),
+      user: {
+        id: row[otherColumn],
+        username: row.username,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        avatar_url: row.avatar_url
+      }
+    }));
+  }
+
+  /**
+   * Get follower/following counts for a user
+   * @param {number} userId - User ID
+   * @returns {Object} Counts of accepted relationships
+   */
+  async getCounts(userId) {
+    const result = await this.raw(
+      `SELECT
+         (SELECT COUNT(*) FROM follows WHERE follower_id = $1 AND status = 'accepted') AS following_count,
+         (SELECT COUNT(*) FROM follows WHERE following_id = $1 AND status = 'accepted') AS follower_count`,
+      [userId]
+    );
+
+    return {
+      following_count: parseInt(result.rows[0].following_count) || 0,
+      follower_count: parseInt(result.rows[0].follower_count) || 0
+    };
+  }
+
+  /**
+   * Get follow data in a consistent format
+   * @param {Object} follow - Raw follow data from database
+   * @returns {Object} Follow data
+   */
+  getFollowData(follow) {
+    if (!follow) return null;
+
+    return {
+      id: follow.id,
+      follower_id: follow.follower_id,
+      following_id: follow.following_id,
+      status: follow.status,
+      accepted_at: follow.accepted_at,
+      created_at: follow.created_at,
+      updated_at: follow.updated_at
+    };
+  }
+}
+
+module.exports = new Follow();
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Hashtag model for the social media platform
+ * Normalizes #tags found in posts and links them through post_hashtags
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+
+// #tags are letters, digits and underscores in any script; "&#" entities and "##" are not tags
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]{1,100})/gu;
+
+class Hashtag extends BaseModel {
+  constructor() {
+    super('hashtags');
+  }
+
+  /**
+   * Normalize a tag for storage and lookup ("#Travel" -> "travel")
+   * @param {string} tag - Tag with or without the leading #
+   * @returns {string} Normalized tag
+   */
+  normalizeTag(tag) {
+    return String(tag).trim().replace(/^#/, '').normalize('NFC').toLowerCase();
+  }
+
+  /**
+   * Extract unique normalized hashtags from text
+   * Purely numeric tags such as "#1" are ignored.
+   * @param {string} content - Post content
+   * @returns {Array<string>} Normalized tags
+   */
+  extractTags(content) {
+    const tags = new Set();
+    for (const match of (content || '').matchAll(HASHTAG_PATTERN)) {
+      if (/^\d+$/.test(match[1])) continue;
+      tags.add(this.normalizeTag(match[1]));
+    }
+    return [...tags];
+  }
+
+  /**
+   * Find a hashtag by tag
+   * @param {string} tag - Tag with or without the leading #
+   * @returns {Object|null} Hashtag row or null
+   */
+  async findByTag(tag) {
+    return await this.findOne({ tag: this.normalizeTag(tag) });
+  }
+
+  /**
+   * Replace the hashtags linked to a post with those in its content
+   * @param {number} postId - Post ID
+   * @param {string} content - Post content
+   * @returns {Array<string>} Tags now linked to the post
+   */
+  async syncForPost(postId, content) {
+    const tags = this.extractTags(content);
+
+    await this.raw(
+      `DELETE FROM post_hashtags ph
+       USING hashtags h
+       WHERE ph.hashtag_id = h.id AND ph.post_id = $1
+         AND NOT (h.tag = ANY($2::varchar[]))`,
+      [postId, tags]
+    );
+
+    if (tags.length > 0) {
+      await this.raw(
+        `INSERT INTO hashtags (tag)
+         SELECT UNNEST($1::varchar[])
+         ON CONFLICT (tag) DO NOTHING`,
+        [tags]
+      );
+
+      await this.raw(
+        `INSERT INTO post_hashtags (post_id, hashtag_id)
+         SELECT $1, id FROM hashtags WHERE tag = ANY($2::varchar[])
+         ON CONFLICT DO NOTHING`,
+        [postId, tags]
+      );
+    }
+
+    return tags;
+  }
+
+  /**
+   * Get the most used hashtags on recent public posts
+   * @param {Object} options - { hours, limit }
+   * @returns {Array} Tags with post counts, most used first
+   */
+  async getTrending({ hours = 24, limit = 10 } = {}) {
+    const result = await this.raw(
+      `SELECT h.tag,
+              COUNT(*) AS post_count,
+              MAX(p.created_at) AS last_used_at
+       FROM post_hashtags ph
+       JOIN hashtags h ON ph.hashtag_id = h.id
+       JOIN posts p ON ph.post_id = p.id
+       WHERE p.created_at >= NOW() - make_interval(hours => $1)
+         AND p.is_published = true
+         AND p.is_archived = false
+         AND p.privacy_level = 'public'
+       GROUP BY h.id, h.tag
+       ORDER BY post_count DESC, last_used_at DESC, h.tag ASC
+       LIMIT $2`,
+      [hours, limit]
+    );
+
+    return result.rows.map(row => ({
+      tag: row.tag,
+      post_count: parseInt(row.post_count),
+      last_used_at: row.last_used_at
+    }));
+  }
+}
+
+module.exports = new Hashtag();
\ No newline at end of file
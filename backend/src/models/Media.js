@@ -5,6 +5,7 @@
 
 const BaseModel = require('./BaseModel');
 const path = require('path');
+const storage = require('../utils/storage');
 
 class Media extends BaseModel {
   constructor() {
@@ -51,6 +52,9 @@ class Media extends BaseModel {
 
     // Set default values
     mediaData.is_processed = mediaData.is_processed || false;
+    if (mediaData.metadata) {
+      mediaData.metadata = JSON.stringify(mediaData.metadata);
+    }
 
     const media = await super.create(mediaData);
     return this.getMediaData(media);
@@ -84,6 +88,40 @@ class Media extends BaseModel {
     return result.rows.map(media => this.getMediaData(media));
   }
 
+  /**
+   * Get every media row that deleting a post takes with it: the post's own media and
+   * the media on all of its comments
+   * @param {number} postId - Post ID
+   * @returns {Array} Array of media rows
+   */
+  async getAllForPost(postId) {
+    const result = await this.raw(
+      `SELECT * FROM media
+       WHERE post_id = $1 OR comment_id IN (SELECT id FROM comments WHERE post_id = $1)`,
+      [postId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get every media row that deleting a comment takes with it: the comment's own media
+   * and the media on its replies, however deeply nested
+   * @param {number} commentId - Comment ID
+   * @returns {Array} Array of media rows
+   */
+  async getAllForComment(commentId) {
+    const result = await this.raw(
+      `WITH RECURSIVE thread AS (
+         SELECT id FROM comments WHERE id = $1
+         UNION ALL
+         SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+       )
+       SELECT * FROM media WHERE comment_id IN (SELECT id FROM thread)`,
+      [commentId]
+    );
+    return result.rows;
+  }
+
   /**
    * Get media files by user ID with pagination
    * @param {number} userId - User ID
@@ -195,12 +233,159 @@ class Media extends BaseModel {
 
   /**
    * Get URL for accessing the media file
-   * @param {string} filePath - File path
-   * @param {string} baseUrl - Base URL of the server
-   * @returns {string} Public URL to access the media
+   * @param {string} filePath - Storage key (file_path or thumbnail_path)
+   * @returns {string} URL from the storage driver
+   */
+  getUrl(filePath) {
+    return storage.getUrl(filePath);
+  }
+
+  /**
+   * Record the resized variants stored for an image
+   * @param {number} mediaId - Media ID
+   * @param {Array<Object>} variants - { format, width, height, file_path, file_size }
+   * @returns {Array<Object>} Created variants
+   */
+  async createVariants(mediaId, variants) {
+    if (variants.length === 0) return [];
+
+    const result = await this.raw(
+      `INSERT INTO media_variants (media_id, format, width, height, file_path, file_size)
+       SELECT $1, v.format, v.width, v.height, v.file_path, v.file_size
+       FROM unnest($2::text[], $3::int[], $4::int[], $5::text[], $6::int[])
+         AS v(format, width, height, file_path, file_size)
+       RETURNING format, width, height, file_path, file_size`,
+      [
+        mediaId,
+        variants.map(variant => variant.format),
+        variants.map(variant => variant.width),
+        variants.map(variant => variant.height),
+        variants.map(variant => variant.file_path),
+        variants.map(variant => variant.file_size)
+      ]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Forget a media item's variants in one format, e.g. renditions from an earlier attempt
+   * @param {number} mediaId - Media ID
+   * @param {string} format - Variant format
+   */
+  async removeVariants(mediaId, format) {
+    await this.raw('DELETE FROM media_variants WHERE media_id = $1 AND format = $2', [mediaId, format]);
+  }
+
+  /**
+   * SQL expression for a media item's variants as a JSON array, narrowest first
+   * @param {string} mediaIdRef - SQL reference to the media row's id (e.g. 'm.id')
+   * @returns {string} SQL expression
    */
-  getUrl(filePath, baseUrl = '') {
-    return `${baseUrl}/uploads/${filePath}`;
+  variantsJson(mediaIdRef) {
+    return `COALESCE((
+      SELECT json_agg(
+               json_build_object('format', v.format, 'width', v.width, 'height', v.height, 'file_path', v.file_path)
+               ORDER BY v.width, v.format
+             )
+      FROM media_variants v
+      WHERE v.media_id = ${mediaIdRef}
+    ), '[]'::json)`;
+  }
+
+  /**
+   * Find the post a media item belongs to, either directly or through its comment
+   * @param {Object} media - Media row
+   * @returns {Object|null} Parent post or null
+   */
+  async findParentPost(media) {
+    const result = await this.raw(
+      `SELECT p.*
+       FROM posts p
+       WHERE p.id = COALESCE($1, (SELECT post_id FROM comments WHERE id = $2))`,
+      [media.post_id || null, media.comment_id || null]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check whether anyone may see a post's media
+   * @param {Object} post - Post row with privacy_level and is_published
+   * @returns {boolean} Whether the post is published and public
+   */
+  isPublicPost(post) {
+    return Boolean(post && post.is_published && post.privacy_level === 'public');
+  }
+
+  /**
+   * Check whether a stored file may be served without a signed URL: either it belongs
+   * to no media (avatars, for one) or to media on a public post
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} Whether the file is public
+   */
+  async isPublicFile(key) {
+    // Uploads from before thumbnail_path was recorded keep the thumbnail next to the file
+    const legacyFilePath = key.replace(/_thumb(\.[^./]*)$/, '$1');
+
+    const result = await this.raw(
+      `SELECT * FROM media
+       WHERE file_path = $1
+          OR thumbnail_path = $1
+          OR id IN (SELECT media_id FROM media_variants WHERE file_path = $1)
+          OR (thumbnail_path IS NULL AND file_path = $2)
+       LIMIT 1`,
+      [key, legacyFilePath]
+    );
+    if (result.rows.length === 0) {
+      return true;
+    }
+    return this.isPublicPost(await this.findParentPost(result.rows[0]));
+  }
+
+  /**
+   * Fill in file_url and thumbnail_url from the storage keys
+   * Media on posts that aren't public gets signed URLs, which stop working after
+   * config.storage.signedUrlTtl instead of staying valid wherever they are pasted.
+   * The stored image metadata is left out; GET /api/media/:id returns it when asked.
+   * @param {Object} media - Media with file_path and thumbnail_path
+   * @param {Object} post - Post the media belongs to (directly or through a comment)
+   * @returns {Object} Copy of the media with URLs
+   */
+  withUrls(media, post) {
+    const isPublic = this.isPublicPost(post);
+    const { metadata, ...fields } = media;
+
+    return {
+      ...fields,
+      file_url: storage.getReadUrl(media.file_path, isPublic),
+      thumbnail_url: media.thumbnail_path ? storage.getReadUrl(media.thumbnail_path, isPublic) : null,
+      variants: (media.variants || []).map(variant => ({
+        format: variant.format,
+        width: variant.width,
+        height: variant.height,
+        url: storage.getReadUrl(variant.file_path, isPublic)
+      }))
+    };
+  }
+
+  /**
+   * Delete a media item's file, thumbnail and variants from storage
+   * Call before deleting the record, which takes the variant rows with it. Failures
+   * are logged rather than thrown, so the record can still be removed.
+   * @param {Object} media - Media row
+   */
+  async removeFiles(media) {
+    const variants = await this.raw('SELECT file_path FROM media_variants WHERE media_id = $1', [media.id]);
+
+    let thumbnailPath = media.thumbnail_path;
+    if (!thumbnailPath && media.media_type === 'image') {
+      // Uploads from before thumbnail_path was recorded keep the thumbnail next to the file
+      const extension = path.extname(media.file_path);
+      thumbnailPath = `${media.file_path.slice(0, media.file_path.length - extension.length)}_thumb${extension}`;
+    }
+
+    const keys = [media.file_path, thumbnailPath, ...variants.rows.map(variant => variant.file_path)].filter(Boolean);
+    await Promise.all(keys.map(key => storage.remove(key)
+      .catch(error => console.error('Failed to delete stored file:', key, error))));
   }
 
   /**
@@ -248,6 +433,8 @@ class Media extends BaseModel {
       is_processed: normalizedMedia.is_processed,
       thumbnail_path: normalizedMedia.thumbnail_path,
       thumbnail_url: normalizedMedia.thumbnail_url,
+      dominant_color: normalizedMedia.dominant_color,
+      processing_status: normalizedMedia.processing_status,
       file_extension: this.getFileExtension(normalizedMedia.filename),
       created_at: normalizedMedia.created_at,
       updated_at: normalizedMedia.updated_at,
@@ -0,0 +1,159 @@
+/**
+ * MediaJob model for the social media platform
+ * Queue of background processing jobs for uploaded videos. Workers claim one job
+ * at a time with a row lock, retry failures with a growing delay and mirror each
+ * job's progress onto media.processing_status for clients.
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+
+class MediaJob extends BaseModel {
+  constructor() {
+    super('media_jobs');
+  }
+
+  /**
+   * Queue a media item for processing and mark it pending
+   * @param {number} mediaId - Media ID
+   * @returns {Object} Created job
+   */
+  async enqueue(mediaId) {
+    const result = await this.raw(
+      `WITH job AS (
+         INSERT INTO media_jobs (media_id)
+         VALUES ($1)
+         RETURNING *
+       ), marked AS (
+         UPDATE media SET processing_status = 'pending', updated_at = NOW()
+         WHERE id = $1
+       )
+       SELECT * FROM job`,
+      [mediaId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Claim the next due job, or one whose worker went quiet for longer than staleAfter
+   * and that has attempts left. Rows locked by another worker are skipped, so
+   * concurrent workers never share a job.
+   * @param {Object} options - { staleAfter, maxAttempts } (staleAfter in milliseconds)
+   * @returns {Object|null} Claimed job
+   */
+  async claimNext({ staleAfter, maxAttempts }) {
+    const result = await this.raw(
+      `WITH job AS (
+         UPDATE media_jobs
+         SET status = 'running', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+         WHERE id = (
+           SELECT id FROM media_jobs
+           WHERE (status = 'pending' AND run_after <= NOW())
+              OR (status = 'running' AND attempts < $2
+                  AND locked_at < NOW() - make_interval(secs => $1::double precision / 1000))
+           ORDER BY run_after, id
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *
+       ), marked AS (
+         UPDATE media SET processing_status = 'processing', updated_at = NOW()
+         FROM job
+         WHERE media.id = job.media_id
+       )
+       SELECT * FROM job`,
+      [staleAfter, maxAttempts]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Fail abandoned jobs that have used up their attempts, along with their media
+   * A video that keeps taking its worker down would otherwise be picked up forever.
+   * @param {Object} options - { staleAfter, maxAttempts } (staleAfter in milliseconds)
+   * @returns {Array} Failed jobs
+   */
+  async failAbandoned({ staleAfter, maxAttempts }) {
+    const result = await this.raw(
+      `WITH job AS (
+         UPDATE media_jobs
+         SET status = 'failed',
+             last_error = 'Abandoned by its worker on the last attempt',
+             locked_at = NULL,
+             updated_at = NOW()
+         WHERE status = 'running' AND attempts >= $2
+           AND locked_at < NOW() - make_interval(secs => $1::double precision / 1000)
+         RETURNING *
+       ), marked AS (
+         UPDATE media SET processing_status = 'failed', updated_at = NOW()
+         FROM job
+         WHERE media.id = job.media_id
+       )
+       SELECT * FROM job`,
+      [staleAfter, maxAttempts]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record that a running job's worker is still making progress, so the job isn't
+   * taken for abandoned while it works through a long video
+   * @param {number} jobId - Job ID
+   */
+  async touch(jobId) {
+    await this.raw(
+      `UPDATE media_jobs SET locked_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'running'`,
+      [jobId]
+    );
+  }
+
+  /**
+   * Mark a job as finished
+   * The processor marks the media ready itself, together with what it found out.
+   * @param {number} jobId - Job ID
+   */
+  async complete(jobId) {
+    await this.raw(
+      `UPDATE media_jobs
+       SET status = 'done', last_error = NULL, locked_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [jobId]
+    );
+  }
+
+  /**
+   * Record a failed attempt
+   * The job goes back in the queue after retryDelay times the attempts so far, until
+   * maxAttempts is reached and it fails for good along with its media.
+   * @param {Object} job - Claimed job
+   * @param {string} error - Error message
+   * @param {Object} options - { maxAttempts, retryDelay } (retryDelay in milliseconds)
+   * @returns {Object} Updated job
+   */
+  async fail(job, error, { maxAttempts, retryDelay }) {
+    const result = await this.raw(
+      `WITH job AS (
+         UPDATE media_jobs
+         SET status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'pending' END,
+             last_error = $3,
+             run_after = NOW() + make_interval(secs => $4::double precision * attempts / 1000),
+             locked_at = NULL,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *
+       ), marked AS (
+         UPDATE media
+         SET processing_status = CASE WHEN job.status = 'failed' THEN 'failed' ELSE 'pending' END,
+             updated_at = NOW()
+         FROM job
+         WHERE media.id = job.media_id
+       )
+       SELECT * FROM job`,
+      [job.id, maxAttempts, String(error).slice(0, 2000), retryDelay]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = new MediaJob();
\ No newline at end of file
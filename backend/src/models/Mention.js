@@ -0,0 +1,85 @@
+/**
+ * Mention model for the social media platform
+ * Stores which users are @mentioned in each post and comment
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+const User = require('./User');
+
+// @username mentions; usernames are letters, digits and underscores
+const MENTION_PATTERN = /(?:^|[^\w@])@(\w{3,50})/g;
+
+class Mention extends BaseModel {
+  constructor() {
+    super('mentions');
+  }
+
+  /**
+   * Extract unique mentioned usernames from text
+   * @param {string} content - Post or comment content
+   * @returns {Array<string>} Usernames
+   */
+  extractUsernames(content) {
+    const usernames = new Set();
+    for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+      usernames.add(match[1]);
+    }
+    return [...usernames];
+  }
+
+  /**
+   * Resolve the usernames mentioned in text to active users
+   * Unknown usernames are ignored.
+   * @param {string} content - Post or comment content
+   * @returns {Array} User rows
+   */
+  async resolveUsers(content) {
+    const users = [];
+    for (const username of this.extractUsernames(content)) {
+      const user = await User.findByUsername(username);
+      if (user && user.is_active && !users.some(u => u.id === user.id)) {
+        users.push(user);
+      }
+    }
+    return users;
+  }
+
+  /**
+   * Replace the stored mentions of a post or comment with those in its content
+   * @param {Object} source - { content, author_id, post_id, comment_id }
+   * @returns {Array} Users mentioned for the first time (not mentioned before the edit)
+   */
+  async sync({ content, author_id, post_id, comment_id = null }) {
+    const users = await this.resolveUsers(content);
+    const userIds = users.map(user => user.id);
+
+    const existing = await this.raw(
+      `SELECT mentioned_user_id FROM mentions
+       WHERE post_id = $1 AND comment_id IS NOT DISTINCT FROM $2::integer`,
+      [post_id, comment_id]
+    );
+    const existingIds = existing.rows.map(row => row.mentioned_user_id);
+
+    await this.raw(
+      `DELETE FROM mentions
+       WHERE post_id = $1 AND comment_id IS NOT DISTINCT FROM $2::integer
+         AND NOT (mentioned_user_id = ANY($3::integer[]))`,
+      [post_id, comment_id, userIds]
+    );
+
+    const added = users.filter(user => !existingIds.includes(user.id));
+    for (const user of added) {
+      await this.raw(
+        `INSERT INTO mentions (mentioned_user_id, author_id, post_id, comment_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT DO NOTHING`,
+        [user.id, author_id, post_id, comment_id]
+      );
+    }
+
+    return added;
+  }
+}
+
+module.exports = new Mention();
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * MfaRecoveryCode model for the social media platform
+ * One-time codes that stand in for an authenticator app. Codes are shown to the
+ * user once as `xxxx-xxxx-xxxx`; only a SHA-256 hash of the normalized code is stored.
+ * Raw SQL implementation
+ */
+
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+
+const CODE_COUNT = 10;
+
+class MfaRecoveryCode extends BaseModel {
+  constructor() {
+    super('mfa_recovery_codes');
+    this.CODE_COUNT = CODE_COUNT;
+  }
+
+  /**
+   * Normalize a code as typed by the user (case, dashes and spaces are ignored)
+   * @param {string} code - Recovery code
+   * @returns {string} Normalized code
+   */
+  normalize(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Hash a recovery code for storage
+   * @param {string} code - Recovery code
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashCode(code) {
+    return crypto.createHash('sha256').update(this.normalize(code)).digest('hex');
+  }
+
+  /**
+   * Replace a user's recovery codes with a fresh set
+   * @param {number} userId - User ID
+   * @returns {Array<string>} The new codes, in the form shown to the user
+   */
+  async regenerate(userId) {
+    const codes = Array.from({ length: CODE_COUNT }, () =>
+      crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+    );
+
+    // One statement, so the old set is never gone without the new one in place
+    await this.raw(
+      `WITH removed AS (DELETE FROM mfa_recovery_codes WHERE user_id = $1)
+       INSERT INTO mfa_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::text[])`,
+      [userId, codes.map(code => this.hashCode(code))]
+    );
+
+    return codes;
+  }
+
+  /**
+   * Use up a recovery code
+   * @param {number} userId - User ID
+   * @param {string} code - Code entered by the user
+   * @returns {boolean} True if the code was valid and unused
+   */
+  async consume(userId, code) {
+    if (!this.normalize(code)) return false;
+
+    const result = await this.raw(
+      `UPDATE mfa_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, this.hashCode(code)]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Count a user's unused recovery codes
+   * @param {number} userId - User ID
+   * @returns {number} Remaining codes
+   */
+  async countRemaining(userId) {
+    const result = await this.raw(
+      'SELECT COUNT(*) FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Remove all of a user's recovery codes
+   * @param {number} userId - User ID
+   * @returns {number} Number of codes removed
+   */
+  async deleteForUser(userId) {
+    const result = await this.raw('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    return result.rowCount;
+  }
+}
+
+module.exports = new MfaRecoveryCode();
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * ModerationAction model for the social media platform
+ * Audit trail of every moderation decision
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+
+class ModerationAction extends BaseModel {
+  constructor() {
+    super('moderation_actions');
+    this.ACTIONS = ['dismiss', 'unpublish', 'delete', 'suspend'];
+  }
+
+  /**
+   * Record a moderation action
+   * @param {Object} entry - { moderator_id, action, target_type, target_id, target_user_id, report_id, note, data }
+   * @returns {Object} Recorded action data
+   */
+  async record({ moderator_id, action, target_type, target_id, target_user_id = null, report_id = null, note = null, data = {} }) {
+    const result = await this.raw(
+      `INSERT INTO moderation_actions
+         (moderator_id, action, target_type, target_id, target_user_id, report_id, note, data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [moderator_id, action, target_type, target_id, target_user_id, report_id, note, JSON.stringify(data)]
+    );
+    return this.getActionData(result.rows[0]);
+  }
+
+  /**
+   * Get the audit trail, newest first
+   * @param {Object} options - { targetType, targetId, moderatorId, limit, offset }
+   * @returns {Object} Actions and total count
+   */
+  async getLog({ targetType = null, targetId = null, moderatorId = null, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (targetType) {
+      params.push(targetType);
+      conditions.push(`a.target_type = $${params.length}`);
+    }
+    if (targetId) {
+      params.push(targetId);
+      conditions.push(`a.target_id = $${params.length}`);
+    }
+    if (moderatorId) {
+      params.push(moderatorId);
+      conditions.push(`a.moderator_id = $${params.length}`);
+    }
+
+    const result = await this.raw(
+      `SELECT a.*,
+              u.username AS moderator_username,
+              COUNT(*) OVER() AS total_count
+       FROM moderation_actions a
+       LEFT JOIN users u ON a.moderator_id = u.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      actions: result.rows.map(row => this.getActionData(row)),
+      total_count: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Get action data with the moderator's username (if joined)
+   * @param {Object} action - Raw action row
+   * @returns {Object|null} Action data
+   */
+  getActionData(action) {
+    if (!action) return null;
+
+    return {
+      id: action.id,
+      moderator_id: action.moderator_id,
+      moderator_username: action.moderator_username,
+      action: action.action,
+      target_type: action.target_type,
+      target_id: action.target_id,
+      target_user_id: action.target_user_id,
+      report_id: action.report_id,
+      note: action.note,
+      data: typeof action.data === 'string' ? JSON.parse(action.data) : (action.data || {}),
+      created_at: action.created_at
+    };
+  }
+}
+
+module.exports = new ModerationAction();
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * Notification model for the social media platform
+ * Records comments, replies, reactions and mentions addressed to a user
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+const Post = require('./Post');
+const Comment = require('./Comment');
+const realtime = require('../utils/realtime');
+const { config } = require('../../../config/app.config');
+
+class Notification extends BaseModel {
+  constructor() {
+    super('notifications');
+    this.TYPES = ['comment', 'reply', 'reaction', 'mention'];
+  }
+
+  /**
+   * Whether notifications are generated at all (config.features.enableNotifications)
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return Boolean(config.features.enableNotifications);
+  }
+
+  /**
+   * Create a notification for a single recipient
+   * Nothing is stored when notifications are disabled or users act on their own content.
+   * @param {Object} notification - { user_id, actor_id, type, post_id, comment_id, data }
+   * @returns {Object|null} Created notification data or null
+   */
+  async notify({ user_id, actor_id, type, post_id = null, comment_id = null, data = {} }) {
+    if (!this.isEnabled() || !user_id || user_id === actor_id) {
+      return null;
+    }
+
+    const notification = await this.create({
+      user_id,
+      actor_id,
+      type,
+      post_id,
+      comment_id,
+      data: JSON.stringify(data)
+    });
+    const notificationData = this.getNotificationData(notification);
+
+    // Push to the recipient's open streams; delivery failures never lose the stored notification
+    await realtime.publish(`notifications:${user_id}`, 'notification.created', { notification: notificationData })
+      .catch(error => console.error('Error publishing notification event:', error));
+
+    return notificationData;
+  }
+
+  /**
+   * Notify mentioned users who are allowed to see the post
+   * @param {Array} users - Mentioned users (see Mention.sync)
+   * @param {Object} context - { actor_id, post, comment_id, exclude }
+   * @returns {Array} Created notifications
+   */
+  async notifyMentions(users, { actor_id, post, comment_id = null, exclude = [] }) {
+    if (!this.isEnabled()) return [];
+
+    const created = [];
+    for (const user of users) {
+      if (exclude.includes(user.id)) continue;
+      if (!(await Post.canUserView(post, user))) continue;
+
+      const notification = await this.notify({
+        user_id: user.id,
+        actor_id,
+        type: 'mention',
+        post_id: post.id,
+        comment_id
+      });
+      if (notification) created.push(notification);
+    }
+    return created;
+  }
+
+  /**
+   * Notify the post author of a new comment, the parent author of a reply,
+   * and anyone mentioned in the comment. Each user is notified at most once.
+   * @param {Object} comment - Newly created comment
+   * @param {Object} post - Post the comment belongs to
+   * @param {Array} mentionedUsers - Users mentioned in the comment
+   * @returns {Array} Created notifications
+   */
+  async notifyComment(comment, post, mentionedUsers = []) {
+    if (!this.isEnabled()) return [];
+
+    const created = [];
+    const notified = [comment.user_id];
+
+    if (comment.parent_id) {
+      const parent = await Comment.findById(comment.parent_id);
+      if (parent) {
+        const reply = await this.notify({
+          user_id: parent.user_id,
+          actor_id: comment.user_id,
+          type: 'reply',
+          post_id: post.id,
+          comment_id: comment.id
+        });
+        if (reply) created.push(reply);
+        notified.push(parent.user_id);
+      }
+    }
+
+    if (!notified.includes(post.user_id)) {
+      const notification = await this.notify({
+        user_id: post.user_id,
+        actor_id: comment.user_id,
+        type: 'comment',
+        post_id: post.id,
+        comment_id: comment.id
+      });
+      if (notification) created.push(notification);
+      notified.push(post.user_id);
+    }
+
+    const mentions = await this.notifyMentions(mentionedUsers, {
+      actor_id: comment.user_id,
+      post,
+      comment_id: comment.id,
+      exclude: notified
+    });
+
+    return created.concat(mentions);
+  }
+
+  /**
+   * Notify the author of a post or comment that it received a reaction
+   * @param {Object} reaction - { user_id, emoji_name, emoji_unicode }
+   * @param {Object} target - { post } or { comment }
+   * @returns {Object|null} Created notification or null
+   */
+  async notifyReaction(reaction, { post = null, comment = null }) {
+    const owner = comment || post;
+    if (!owner) return null;
+
+    return await this.notify({
+      user_id: owner.user_id,
+      actor_id: reaction.user_id,
+      type: 'reaction',
+      post_id: comment ? comment.post_id : post.id,
+      comment_id: comment ? comment.id : null,
+      data: {
+        emoji_name: reaction.emoji_name,
+        emoji_unicode: reaction.emoji_unicode
+      }
+    });
+  }
+
+  /**
+   * Get notifications for a user, newest first
+   * @param {number} userId - Recipient user ID
+   * @param {Object} options - { limit, offset, unreadOnly }
+   * @returns {Object} Notifications and total count
+   */
+  async getForUser(userId, { limit = 20, offset = 0, unreadOnly = false } = {}) {
+    const result = await this.raw(
+      `SELECT n.*,
+              u.username, u.first_name, u.last_name, u.avatar_url,
+              LEFT(p.content, 100) AS post_excerpt,
+              LEFT(c.content, 100) AS comment_excerpt,
+              COUNT(*) OVER() AS total_count
+       FROM notifications n
+       JOIN users u ON n.actor_id = u.id
+       LEFT JOIN posts p ON n.post_id = p.id
+       LEFT JOIN comments c ON n.comment_id = c.id
+       WHERE n.user_id = $1
+         ${unreadOnly ? 'AND n.is_read = false' : ''}
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    return {
+      notifications: result.rows.map(row => this.getNotificationData(row)),
+      total_count: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Count unread notifications for a user
+   * @param {number} userId - Recipient user ID
+   * @returns {number} Unread count
+   */
+  async getUnreadCount(userId) {
+    const result = await this.raw(
+      'SELECT COUNT(*) AS count FROM notifications WHERE user_id = $1 AND is_read = false',
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Mark a single notification as read
+   * @param {number} notificationId - Notification ID
+   * @returns {Object|null} Updated notification data
+   */
+  async markRead(notificationId) {
+    const result = await this.raw(
+      `UPDATE notifications
+       SET is_read = true, read_at = COALESCE(read_at, NOW())
+       WHERE id = $1
+       RETURNING *`,
+      [notificationId]
+    );
+    return this.getNotificationData(result.rows[0]);
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {number} userId - Recipient user ID
+   * @returns {number} Number of notifications updated
+   */
+  async markAllRead(userId) {
+    const result = await this.raw(
+      `UPDATE notifications
+       SET is_read = true, read_at = NOW()
+       WHERE user_id = $1 AND is_read = false`,
+      [userId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Get notification data with the acting user's info (if joined)
+   * @param {Object} notification - Raw notification row
+   * @returns {Object|null} Notification data
+   */
+  getNotificationData(notification) {
+    if (!notification) return null;
+
+    return {
+      id: notification.id,
+      user_id: notification.user_id,
+      actor_id: notification.actor_id,
+      type: notification.type,
+      post_id: notification.post_id,
+      comment_id: notification.comment_id,
+      data: typeof notification.data === 'string' ? JSON.parse(notification.data) : (notification.data || {}),
+      is_read: notification.is_read,
+      read_at: notification.read_at,
+      created_at: notification.created_at,
+      post_excerpt: notification.post_excerpt,
+      comment_excerpt: notification.comment_excerpt,
+      actor: notification.username ? {
+        id: notification.actor_id,
+        username: notification.username,
+        first_name: notification.first_name,
+        last_name: notification.last_name,
+        avatar_url: notification.avatar_url
+      } : undefined
+    };
+  }
+}
+
+module.exports = new Notification();
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Poll model for the social media platform
+ * A poll is attached to a post and has two to ten options. Voters pick one
+ * option, or several when the poll allows it, and can change their choice until
+ * the poll closes.
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+
+class Poll extends BaseModel {
+  constructor() {
+    super('polls');
+  }
+
+  /**
+   * Attach a poll to a post
+   * @param {number} postId - Post ID
+   * @param {Object} pollData - Poll data
+   * @param {Array<string>} pollData.options - Option texts in display order
+   * @param {boolean} pollData.allows_multiple - Whether voters may pick several options
+   * @param {boolean} pollData.hide_results - Whether results stay hidden until the viewer votes
+   * @param {string|null} pollData.closes_at - When voting ends, or null to stay open
+   * @param {Object} client - Transaction client the post was created on, if any
+   * @returns {Object} Created poll row
+   */
+  async createForPost(postId, { options, allows_multiple = false, hide_results = false, closes_at = null }, client = null) {
+    const result = await this.raw(
+      `WITH poll AS (
+         INSERT INTO polls (post_id, allows_multiple, hide_results, closes_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *
+       ), inserted_options AS (
+         INSERT INTO poll_options (poll_id, position, text)
+         SELECT poll.id, option.position, option.text
+         FROM poll, unnest($5::text[]) WITH ORDINALITY AS option(text, position)
+       )
+       SELECT * FROM poll`,
+      [postId, allows_multiple, hide_results, closes_at, options],
+      client
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Get the polls of a set of posts as seen by a viewer
+   * @param {Array<number>} postIds - Post IDs
+   * @param {number|null} viewerId - Viewing user, if logged in
+   * @returns {Object} Poll data keyed by post ID; posts without a poll are left out
+   */
+  async getForPosts(postIds, viewerId = null) {
+    if (postIds.length === 0) return {};
+
+    const result = await this.raw(
+      `SELECT pl.*, p.user_id AS author_id,
+              (pl.closes_at IS NOT NULL AND pl.closes_at <= NOW()) AS is_closed,
+              (SELECT COUNT(DISTINCT v.user_id) FROM poll_votes v WHERE v.poll_id = pl.id) AS voter_count,
+              (
+                SELECT json_agg(
+                         json_build_object(
+                           'id', o.id,
+                           'text', o.text,
+                           'votes', (SELECT COUNT(*) FROM poll_votes v WHERE v.option_id = o.id)
+                         ) ORDER BY o.position
+                       )
+                FROM poll_options o
+                WHERE o.poll_id = pl.id
+              ) AS options,
+              COALESCE((
+                SELECT array_agg(v.option_id ORDER BY v.option_id)
+                FROM poll_votes v
+                WHERE v.poll_id = pl.id AND v.user_id = $2
+              ), '{}') AS viewer_votes
+       FROM polls pl
+       JOIN posts p ON pl.post_id = p.id
+       WHERE pl.post_id = ANY($1::int[])`,
+      [postIds, viewerId]
+    );
+
+    const polls = {};
+    result.rows.forEach(poll => {
+      polls[poll.post_id] = this.getPollData(poll, viewerId);
+    });
+    return polls;
+  }
+
+  /**
+   * Get a post's poll as seen by a viewer
+   * @param {number} postId - Post ID
+   * @param {number|null} viewerId - Viewing user, if logged in
+   * @returns {Object|null} Poll data, or null if the post has no poll
+   */
+  async getForPost(postId, viewerId = null) {
+    const polls = await this.getForPosts([postId], viewerId);
+    return polls[postId] || null;
+  }
+
+  /**
+   * Set the poll property on serialized posts
+   * @param {Array<Object>} posts - Posts with an id
+   * @param {number|null} viewerId - Viewing user, if logged in
+   * @returns {Array<Object>} The same posts; poll is null for posts without one
+   */
+  async attachToPosts(posts, viewerId = null) {
+    const polls = await this.getForPosts(posts.map(post => post.id), viewerId);
+    posts.forEach(post => {
+      post.poll = polls[post.id] || null;
+    });
+    return posts;
+  }
+
+  /**
+   * Replace a user's votes in a poll
+   * Options the user no longer picks are removed and new ones added, so voting
+   * again changes the vote rather than adding to it.
+   * @param {number} pollId - Poll ID
+   * @param {number} userId - Voting user
+   * @param {Array<number>} optionIds - Chosen options, all belonging to the poll
+   */
+  async vote(pollId, userId, optionIds) {
+    await this.raw(
+      `WITH removed AS (
+         DELETE FROM poll_votes
+         WHERE poll_id = $1 AND user_id = $2 AND option_id <> ALL($3::int[])
+       )
+       INSERT INTO poll_votes (poll_id, option_id, user_id)
+       SELECT $1, o.id, $2
+       FROM poll_options o
+       WHERE o.poll_id = $1 AND o.id = ANY($3::int[])
+       ON CONFLICT (option_id, user_id) DO NOTHING`,
+      [pollId, userId, optionIds]
+    );
+  }
+
+  /**
+   * Get poll data for API responses
+   * Vote counts are null while they are hidden from the viewer: the author and
+   * anyone who has voted always see them, everyone sees them once the poll closes.
+   * @param {Object} poll - Raw poll row with options, counts and the viewer's votes
+   * @param {number|null} viewerId - Viewing user, if logged in
+   * @returns {Object} Poll data
+   */
+  getPollData(poll, viewerId = null) {
+    const viewerVotes = poll.viewer_votes || [];
+    const hasVoted = viewerVotes.length > 0;
+    const resultsVisible = !poll.hide_results || hasVoted || poll.is_closed ||
+      (viewerId !== null && poll.author_id === viewerId);
+
+    return {
+      id: poll.id,
+      allows_multiple: poll.allows_multiple,
+      hide_results: poll.hide_results,
+      closes_at: poll.closes_at,
+      is_closed: poll.is_closed,
+      has_voted: hasVoted,
+      viewer_votes: viewerVotes,
+      results_visible: resultsVisible,
+      total_voters: resultsVisible ? parseInt(poll.voter_count) || 0 : null,
+      options: (poll.options || []).map(option => ({
+        id: option.id,
+        text: option.text,
+        votes: resultsVisible ? option.votes : null
+      }))
+    };
+  }
+}
+
+module.exports = new Poll();
\ No newline at end of file
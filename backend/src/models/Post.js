@@ -4,6 +4,11 @@
  */
 
 const BaseModel = require('./BaseModel');
+const Follow = require('./Follow');
+const Media = require('./Media');
+
+// Privacy levels from narrowest to widest audience
+const PRIVACY_LEVELS = ['private', 'friends', 'public'];
 
 class Post extends BaseModel {
   constructor() {
@@ -15,7 +20,7 @@ class Post extends BaseModel {
    * @param {Object} postData - Post data
    * @returns {Object} Created post
    */
-  async create(postData) {
+  async create(postData, client = null) {
     // Trim whitespace from content
     if (postData.content) {
       postData.content = postData.content.trim();
@@ -26,7 +31,7 @@ class Post extends BaseModel {
     postData.is_published = postData.is_published !== false; // default true unless explicitly false
     postData.is_archived = postData.is_archived || false;
 
-    const post = await super.create(postData);
+    const post = await super.create(postData, client);
     return this.getPostData(post);
   }
 
@@ -47,7 +52,7 @@ class Post extends BaseModel {
        JOIN users u ON p.user_id = u.id
        LEFT JOIN reactions r ON p.id = r.post_id
        LEFT JOIN comments c ON p.id = c.post_id
-       WHERE p.user_id = $1 AND p.is_published = true
+       WHERE p.user_id = $1 AND p.is_published = true AND p.is_archived = false
        GROUP BY p.id, u.id
        ORDER BY p.created_at DESC
        LIMIT $2 OFFSET $3`,
@@ -106,8 +111,96 @@ class Post extends BaseModel {
     return result.rows[0] ? this.getPostData(result.rows[0]) : null;
   }
 
+  /**
+   * Get a user's drafts: scheduled ones first by publish time, then unscheduled ones
+   * by last change. Posts a moderator unpublished are not drafts and are left out.
+   * @param {number} userId - User ID
+   * @param {number} limit - Limit
+   * @param {number} offset - Offset
+   * @returns {Object} Drafts and the total count
+   */
+  async getDrafts(userId, limit = 20, offset = 0) {
+    const result = await this.raw(
+      `SELECT p.*,
+              u.username, u.first_name, u.last_name, u.avatar_url,
+              COUNT(*) OVER() as total_count
+       FROM posts p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.user_id = $1 AND p.is_published = false
+         AND NOT ${this.moderatorUnpublishedCondition('p')}
+       ORDER BY p.publish_at ASC NULLS LAST, p.updated_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    return {
+      posts: result.rows.map(post => this.getPostData(post)),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Build a SQL condition matching posts taken down by a moderator
+   * @param {string} alias - Alias of the posts table in the query
+   * @returns {string} SQL condition
+   */
+  moderatorUnpublishedCondition(alias) {
+    return `EXISTS (
+              SELECT 1 FROM moderation_actions ma
+              WHERE ma.target_type = 'post' AND ma.target_id = ${alias}.id AND ma.action = 'unpublish'
+            )`;
+  }
+
+  /**
+   * Check whether a moderator unpublished a post (as opposed to it being a draft)
+   * @param {number} postId - Post ID
+   * @returns {Promise<boolean>} Whether the post was taken down
+   */
+  async isModeratorUnpublished(postId) {
+    const result = await this.raw(
+      `SELECT ${this.moderatorUnpublishedCondition('p')} as unpublished FROM posts p WHERE p.id = $1`,
+      [postId]
+    );
+    return Boolean(result.rows[0]?.unpublished);
+  }
+
+  /**
+   * Publish a draft now
+   * The post's created_at becomes the publish time so it lands at the top of feeds.
+   * @param {number} postId - Post ID
+   * @returns {Object|null} Published post, or null if it was not a draft
+   */
+  async publish(postId) {
+    const result = await this.raw(
+      `UPDATE posts p
+       SET is_published = true, publish_at = NULL, created_at = NOW(), updated_at = NOW()
+       WHERE p.id = $1 AND p.is_published = false AND NOT ${this.moderatorUnpublishedCondition('p')}
+       RETURNING *`,
+      [postId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Publish every scheduled post whose publish time has come
+   * Each post is claimed by this single statement, so concurrent runs never publish one twice.
+   * @returns {Array} Published posts
+   */
+  async publishDue() {
+    const result = await this.raw(
+      `UPDATE posts p
+       SET is_published = true, publish_at = NULL, created_at = NOW(), updated_at = NOW()
+       WHERE p.is_published = false AND p.publish_at IS NOT NULL AND p.publish_at <= NOW()
+         AND NOT ${this.moderatorUnpublishedCondition('p')}
+       RETURNING *`
+    );
+    return result.rows;
+  }
+
   /**
    * Archive/unarchive a post
+   * Archived posts drop out of lists and feeds and take no new comments or reactions,
+   * but stay viewable by ID.
    * @param {number} postId - Post ID
    * @param {boolean} archived - Whether to archive or unarchive
    * @returns {Object|null} Updated post
@@ -136,12 +229,14 @@ class Post extends BaseModel {
    * Check if user can view this post
    * @param {Object} post - Post object
    * @param {Object} user - User object to check permissions for
-   * @returns {boolean} Whether user can view the post
+   * @returns {Promise<boolean>} Whether user can view the post
    */
-  canUserView(post, user) {
+  async canUserView(post, user) {
+    const isAuthor = Boolean(user && user.id === post.user_id);
+
     // Post is not published
     if (!post.is_published) {
-      return user && user.id === post.user_id;
+      return isAuthor;
     }
 
     // Public posts can be viewed by anyone
@@ -151,20 +246,158 @@ class Post extends BaseModel {
 
     // Private posts can only be viewed by the author
     if (post.privacy_level === 'private') {
-      return user && user.id === post.user_id;
+      return isAuthor;
     }
 
-    // Friends posts require friend relationship (not implemented yet)
+    // Friends posts require an accepted friend relationship with the author
     if (post.privacy_level === 'friends') {
       if (!user) return false;
-      if (user.id === post.user_id) return true;
-      // TODO: Implement friend relationship check
-      return false;
+      if (isAuthor) return true;
+      return await Follow.areFriends(user.id, post.user_id);
     }
 
     return false;
   }
 
+  /**
+   * Build a SQL condition limiting posts to those a viewer may see by privacy level
+   * Published state is left to the caller.
+   * @param {string} alias - Alias of the posts table in the query
+   * @param {string|null} viewerRef - SQL parameter reference holding the viewer's ID (e.g. '$2'), or null for anonymous viewers
+   * @returns {string} SQL condition
+   */
+  buildVisibilityCondition(alias, viewerRef = null) {
+    if (!viewerRef) {
+      return `${alias}.privacy_level = 'public'`;
+    }
+
+    return `(${alias}.privacy_level = 'public'
+             OR ${alias}.user_id = ${viewerRef}
+             OR (${alias}.privacy_level = 'friends' AND ${Follow.friendshipCondition(`${alias}.user_id`, viewerRef)}))`;
+  }
+
+  /**
+   * Check whether a privacy level reaches a wider audience than another
+   * @param {string} level - Privacy level to check
+   * @param {string} than - Privacy level to compare against
+   * @returns {boolean} True if level is wider
+   */
+  isWiderPrivacy(level, than) {
+    return PRIVACY_LEVELS.indexOf(level) > PRIVACY_LEVELS.indexOf(than);
+  }
+
+  /**
+   * Get share counts and the embedded originals of shares for a set of posts
+   * An original the viewer can't see is returned as an 'unavailable' tombstone
+   * and one that was deleted as a 'deleted' tombstone.
+   * @param {Array<number>} postIds - Post IDs
+   * @param {number|null} viewerId - Viewing user, if logged in
+   * @returns {Object} { share_count, shared_post } keyed by post ID
+   */
+  async getShareData(postIds, viewerId = null) {
+    if (postIds.length === 0) return {};
+
+    const postsResult = await this.raw(
+      `SELECT p.id, p.is_share, p.shared_post_id,
+              (
+                SELECT COUNT(*)
+                FROM posts s
+                WHERE s.shared_post_id = p.id AND s.is_published = true
+              ) AS share_count
+       FROM posts p
+       WHERE p.id = ANY($1::int[])`,
+      [postIds]
+    );
+
+    const originalIds = postsResult.rows
+      .filter(post => post.shared_post_id)
+      .map(post => post.shared_post_id);
+
+    const originals = {};
+    if (originalIds.length > 0) {
+      const originalsResult = await this.raw(
+        `SELECT o.id, o.user_id, o.content, o.privacy_level, o.is_published, o.is_share, o.edited_at, o.created_at,
+                u.username, u.first_name, u.last_name, u.avatar_url,
+                (o.is_published AND ${this.buildVisibilityCondition('o', viewerId ? '$2' : null)}) AS is_visible,
+                COALESCE((
+                  SELECT json_agg(
+                           json_build_object(
+                             'id', m.id,
+                             'file_path', m.file_path,
+                             'file_url', m.file_url,
+                             'mime_type', m.mime_type,
+                             'media_type', m.media_type,
+                             'width', m.width,
+                             'height', m.height,
+                             'alt_text', m.alt_text,
+                             'thumbnail_path', m.thumbnail_path,
+                             'thumbnail_url', m.thumbnail_url,
+                             'dominant_color', m.dominant_color,
+                             'duration', m.duration,
+                             'processing_status', m.processing_status,
+                             'variants', ${Media.variantsJson('m.id')}
+                           ) ORDER BY m.created_at ASC
+                         )
+                  FROM media m
+                  WHERE m.post_id = o.id
+                ), '[]'::json) AS media
+         FROM posts o
+         LEFT JOIN users u ON o.user_id = u.id
+         WHERE o.id = ANY($1::int[])`,
+        viewerId ? [originalIds, viewerId] : [originalIds]
+      );
+
+      originalsResult.rows.forEach(original => {
+        originals[original.id] = original.is_visible ? {
+          id: original.id,
+          content: original.content,
+          privacy_level: original.privacy_level,
+          is_share: original.is_share,
+          created_at: original.created_at,
+          edited_at: original.edited_at,
+          is_edited: Boolean(original.edited_at),
+          user_id: original.user_id,
+          author: {
+            id: original.user_id,
+            username: original.username,
+            first_name: original.first_name,
+            last_name: original.last_name,
+            avatar_url: original.avatar_url
+          },
+          media: original.media.map(item => Media.withUrls(item, original))
+        } : { id: original.id, tombstone: 'unavailable' };
+      });
+    }
+
+    const shareData = {};
+    postsResult.rows.forEach(post => {
+      let sharedPost = null;
+      if (post.is_share) {
+        sharedPost = originals[post.shared_post_id] || { id: null, tombstone: 'deleted' };
+      }
+
+      shareData[post.id] = {
+        share_count: parseInt(post.share_count) || 0,
+        shared_post: sharedPost
+      };
+    });
+    return shareData;
+  }
+
+  /**
+   * Set share_count and shared_post on serialized posts
+   * @param {Array<Object>} posts - Posts with an id
+   * @param {number|null} viewerId - Viewing user, if logged in
+   * @returns {Array<Object>} The same posts; shared_post is null unless the post is a share
+   */
+  async attachShares(posts, viewerId = null) {
+    const shareData = await this.getShareData(posts.map(post => post.id), viewerId);
+    posts.forEach(post => {
+      Object.assign(post, shareData[post.id] || { share_count: 0, shared_post: null });
+    });
+    return posts;
+  }
+
   /**
    * Check if user can edit this post
    * @param {Object} post - Post object
@@ -208,7 +441,10 @@ class Post extends BaseModel {
       privacy_level: normalizedPost.privacy_level,
       is_published: normalizedPost.is_published,
       is_archived: normalizedPost.is_archived,
-      scheduled_for: normalizedPost.scheduled_for,
+      publish_at: normalizedPost.publish_at,
+      is_share: normalizedPost.is_share,
+      shared_post_id: normalizedPost.shared_post_id,
+      edited_at: normalizedPost.edited_at,
       created_at: normalizedPost.created_at,
       updated_at: normalizedPost.updated_at,
 
@@ -223,7 +459,7 @@ class Post extends BaseModel {
       } : undefined,
 
       // Additional computed fields
-      is_edited: new Date(normalizedPost.updated_at) > new Date(normalizedPost.created_at),
+      is_edited: Boolean(normalizedPost.edited_at),
       word_count: normalizedPost.content ? normalizedPost.content.split(/\s+/).length : 0,
       reaction_count: parseInt(normalizedPost.reaction_count) || 0,
       comment_count: parseInt(normalizedPost.comment_count) || 0
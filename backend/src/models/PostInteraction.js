@@ -0,0 +1,131 @@
+/**
+ * PostInteraction Model - Pure PostgreSQL implementation
+ * Handles tracking of user interactions with posts for ranked sorting
+ */
+
+const BaseModel = require('./BaseModel');
+
+class PostInteraction extends BaseModel {
+  constructor() {
+    super('post_interactions');
+  }
+
+  /**
+   * Create a new post interaction
+   * Interactions are append-only, so there is no updated_at column
+   */
+  async create(data) {
+    const {
+      post_id,
+      interaction_type,
+      user_id = null,
+      session_id = null,
+      ip_address = null,
+      user_agent = null,
+      metadata = {}
+    } = data;
+
+    const result = await this.raw(
+      `INSERT INTO post_interactions
+       (post_id, interaction_type, user_id, session_id, ip_address, user_agent, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [post_id, interaction_type, user_id, session_id, ip_address, user_agent, JSON.stringify(metadata)]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get interaction counts by type for a post
+   */
+  async getInteractionCounts(postId) {
+    const result = await this.raw(
+      `SELECT interaction_type, COUNT(*) as count
+       FROM post_interactions
+       WHERE post_id = $1
+       GROUP BY interaction_type`,
+      [postId]
+    );
+
+    return result.rows.reduce((acc, row) => {
+      acc[row.interaction_type] = parseInt(row.count);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Track a post view (with deduplication)
+   */
+  async trackView(postId, options = {}) {
+    const {
+      user_id = null,
+      session_id = null,
+      ip_address = null,
+      user_agent = null
+    } = options;
+
+    // Check for recent view to prevent spam
+    const recentView = await this.raw(
+      `SELECT id FROM post_interactions
+       WHERE post_id = $1
+       AND interaction_type = 'view'
+       AND created_at > NOW() - INTERVAL '10 minutes'
+       AND (
+         (user_id IS NOT NULL AND user_id = $2) OR
+         (session_id IS NOT NULL AND session_id = $3) OR
+         (ip_address IS NOT NULL AND ip_address = $4)
+       )
+       LIMIT 1`,
+      [postId, user_id, session_id, ip_address]
+    );
+
+    if (recentView.rows.length === 0) {
+      return await this.create({
+        post_id: postId,
+        interaction_type: 'view',
+        user_id,
+        session_id,
+        ip_address,
+        user_agent
+      });
+    }
+
+    return null; // View already tracked recently
+  }
+
+  /**
+   * Track a comment on a post
+   */
+  async trackComment(postId, options = {}) {
+    return await this.create({
+      post_id: postId,
+      interaction_type: 'comment',
+      ...options
+    });
+  }
+
+  /**
+   * Track a reaction on a post
+   */
+  async trackReaction(postId, options = {}) {
+    return await this.create({
+      post_id: postId,
+      interaction_type: 'reaction',
+      ...options
+    });
+  }
+
+  /**
+   * Track a share of a post
+   */
+  async trackShare(postId, options = {}) {
+    return await this.create({
+      post_id: postId,
+      interaction_type: 'share',
+      ...options
+    });
+  }
+}
+
+module.exports = new PostInteraction();
\ No newline at end of file
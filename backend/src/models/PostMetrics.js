@@ -0,0 +1,153 @@
+/**
+ * PostMetrics Model - Pure PostgreSQL implementation
+ * Handles aggregated post metrics and the ranked sort orders built on them
+ */
+
+const BaseModel = require('./BaseModel');
+
+// Sort orders accepted by post listing endpoints
+const SORT_OPTIONS = ['newest', 'oldest', 'hot', 'trending', 'best', 'top_day', 'top_week'];
+
+class PostMetrics extends BaseModel {
+  constructor() {
+    super('post_metrics');
+    this.SORT_OPTIONS = SORT_OPTIONS;
+  }
+
+  /**
+   * Get metrics for a specific post
+   */
+  async getByPostId(postId) {
+    const result = await this.raw(
+      'SELECT * FROM post_metrics WHERE post_id = $1',
+      [postId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get metrics for multiple posts (bulk operation)
+   */
+  async getByPostIds(postIds) {
+    if (!postIds || postIds.length === 0) return {};
+
+    const result = await this.raw(
+      'SELECT * FROM post_metrics WHERE post_id = ANY($1)',
+      [postIds]
+    );
+
+    // Return as a map for easy lookup
+    return result.rows.reduce((acc, metrics) => {
+      acc[metrics.post_id] = metrics;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Build the filter and ORDER BY for a post sort option
+   * Expects the query to alias posts as p and LEFT JOIN post_metrics as pm.
+   * Hot is computed at query time so that scores keep decaying between interactions.
+   * Its interaction rate treats posts as at least an hour old, otherwise a post seconds
+   * old with a single view would outrank everything.
+   * @param {string} sort - One of SORT_OPTIONS
+   * @returns {Object} { filter, orderClause } SQL fragments
+   */
+  getSortClause(sort) {
+    const commentCount = 'COALESCE(pm.comment_count, 0)';
+    const reactionCount = 'COALESCE(pm.reaction_count, 0)';
+    const shareCount = 'COALESCE(pm.share_count, 0)';
+    const topScore = `(${commentCount} + ${reactionCount} + ${shareCount})`;
+
+    switch (sort) {
+      case 'oldest':
+        return { filter: '', orderClause: 'ORDER BY p.created_at ASC, p.id ASC' };
+      case 'hot':
+        return {
+          filter: '',
+          orderClause: `ORDER BY (
+            calculate_recency_score(p.created_at) * 0.3 +
+            COALESCE(pm.total_interaction_count, 0) / GREATEST(EXTRACT(EPOCH FROM (NOW() - p.created_at)) / 3600, 1) * 0.4 +
+            COALESCE(pm.engagement_score, 0) * 0.3
+          ) DESC, p.created_at DESC, p.id DESC`
+        };
+      case 'trending':
+        // Interactions in the last 24 hours, ties broken by overall score
+        return {
+          filter: '',
+          orderClause: `ORDER BY (
+            SELECT COUNT(*) FROM post_interactions pi
+            WHERE pi.post_id = p.id AND pi.created_at > NOW() - INTERVAL '24 hours'
+          ) DESC, pm.combined_algorithm_score DESC NULLS LAST, p.created_at DESC, p.id DESC`
+        };
+      case 'best':
+        return {
+          filter: '',
+          orderClause: 'ORDER BY pm.engagement_score DESC NULLS LAST, p.created_at DESC, p.id DESC'
+        };
+      case 'top_day':
+        return {
+          filter: ` AND p.created_at > NOW() - INTERVAL '1 day'`,
+          orderClause: `ORDER BY ${topScore} DESC, p.created_at DESC, p.id DESC`
+        };
+      case 'top_week':
+        return {
+          filter: ` AND p.created_at > NOW() - INTERVAL '7 days'`,
+          orderClause: `ORDER BY ${topScore} DESC, p.created_at DESC, p.id DESC`
+        };
+      case 'newest':
+      default:
+        return { filter: '', orderClause: 'ORDER BY p.created_at DESC, p.id DESC' };
+    }
+  }
+
+  /**
+   * Recalculate all algorithm scores for posts
+   * Useful for batch updates or algorithm changes
+   */
+  async recalculateAllScores(postId = null) {
+    let whereClause = '';
+    const params = [];
+
+    if (postId) {
+      whereClause = 'AND p.id = $1';
+      params.push(postId);
+    }
+
+    const query = `
+      UPDATE post_metrics pm SET
+        recency_score = calculate_recency_score(p.created_at),
+        interaction_rate = calculate_interaction_rate(pm.total_interaction_count, p.created_at),
+        engagement_score = calculate_engagement_score(pm.comment_count, pm.reaction_count, pm.deep_read_count, pm.view_count),
+        combined_algorithm_score = (
+          calculate_recency_score(p.created_at) * 0.3 +
+          calculate_interaction_rate(pm.total_interaction_count, p.created_at) * 0.4 +
+          calculate_engagement_score(pm.comment_count, pm.reaction_count, pm.deep_read_count, pm.view_count) * 0.3
+        ),
+        last_updated = NOW()
+      FROM posts p
+      WHERE pm.post_id = p.id
+      ${whereClause}
+    `;
+
+    const result = await this.raw(query, params);
+    return result.rowCount;
+  }
+
+  /**
+   * Initialize metrics for a new post
+   */
+  async initializeForPost(postId) {
+    const result = await this.raw(
+      `INSERT INTO post_metrics (post_id, first_interaction_at)
+       VALUES ($1, NOW())
+       ON CONFLICT (post_id) DO NOTHING
+       RETURNING *`,
+      [postId]
+    );
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new PostMetrics();
\ No newline at end of file
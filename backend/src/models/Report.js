@@ -0,0 +1,221 @@
+/**
+ * Report model for the social media platform
+ * Users flag posts, comments, media or profiles; moderators work through the queue
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+const Post = require('./Post');
+const Comment = require('./Comment');
+const Media = require('./Media');
+const User = require('./User');
+
+class Report extends BaseModel {
+  constructor() {
+    super('reports');
+    this.TARGET_TYPES = ['post', 'comment', 'media', 'user'];
+    this.REASONS = ['spam', 'harassment', 'hate_speech', 'violence', 'nudity', 'misinformation', 'other'];
+    this.STATUSES = ['pending', 'resolved', 'dismissed'];
+  }
+
+  /**
+   * Load the reported row
+   * @param {string} targetType - 'post', 'comment', 'media' or 'user'
+   * @param {number} targetId - Target ID
+   * @returns {Object|null} Target row or null if it no longer exists
+   */
+  async findTarget(targetType, targetId) {
+    const models = { post: Post, comment: Comment, media: Media, user: User };
+    return await models[targetType].findById(targetId);
+  }
+
+  /**
+   * Get the user responsible for a target (the author, uploader or the profile itself)
+   * @param {string} targetType - Target type
+   * @param {Object} target - Target row
+   * @returns {number} User ID
+   */
+  getTargetOwnerId(targetType, target) {
+    return targetType === 'user' ? target.id : target.user_id;
+  }
+
+  /**
+   * Check whether a user can see a target (and therefore report it)
+   * Comments and media follow the privacy of the post they belong to.
+   * @param {string} targetType - Target type
+   * @param {Object} target - Target row
+   * @param {Object} user - Viewing user
+   * @returns {boolean} True if visible
+   */
+  async isVisibleTo(targetType, target, user) {
+    switch (targetType) {
+      case 'user':
+        return Boolean(target.is_active);
+      case 'post':
+        return await Post.canUserView(target, user);
+      case 'comment': {
+        if (!target.is_published) return false;
+        const post = await Post.findById(target.post_id);
+        return Boolean(post) && await Post.canUserView(post, user);
+      }
+      case 'media': {
+        const parent = target.post_id ? target : await Comment.findById(target.comment_id);
+        const post = parent && await Post.findById(parent.post_id);
+        return Boolean(post) && await Post.canUserView(post, user);
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Summarize a target for the moderation queue and the audit trail
+   * @param {string} targetType - Target type
+   * @param {Object|null} target - Target row
+   * @returns {Object|null} Summary or null if the target no longer exists
+   */
+  getTargetSummary(targetType, target) {
+    if (!target) return null;
+
+    switch (targetType) {
+      case 'post':
+      case 'comment':
+        return {
+          id: target.id,
+          user_id: target.user_id,
+          post_id: targetType === 'comment' ? target.post_id : target.id,
+          content: target.content,
+          is_published: target.is_published,
+          // Reported content may have been edited since; moderators can open its history
+          edited_at: target.edited_at
+        };
+      case 'media':
+        return {
+          id: target.id,
+          user_id: target.user_id,
+          post_id: target.post_id,
+          // The media may sit on a post only its author can see, so moderators get a signed URL
+          file_url: Media.withUrls(target, null).file_url,
+          original_name: target.original_name,
+          media_type: target.media_type
+        };
+      default:
+        return {
+          id: target.id,
+          user_id: target.id,
+          username: target.username,
+          first_name: target.first_name,
+          last_name: target.last_name,
+          is_active: target.is_active
+        };
+    }
+  }
+
+  /**
+   * Find a reporter's open report on a target
+   * @param {number} reporterId - Reporting user ID
+   * @param {string} targetType - Target type
+   * @param {number} targetId - Target ID
+   * @returns {Object|null} Pending report or null
+   */
+  async findPending(reporterId, targetType, targetId) {
+    return await this.findOne({
+      reporter_id: reporterId,
+      target_type: targetType,
+      target_id: targetId,
+      status: 'pending'
+    });
+  }
+
+  /**
+   * Get reports for the moderation queue, oldest first
+   * Each report carries the number of open reports on the same target.
+   * @param {Object} options - { status, targetType, limit, offset }
+   * @returns {Object} Reports and total count
+   */
+  async getQueue({ status = 'pending', targetType = null, limit = 20, offset = 0 } = {}) {
+    const params = [status];
+    let targetFilter = '';
+    if (targetType) {
+      params.push(targetType);
+      targetFilter = `AND r.target_type = $${params.length}`;
+    }
+
+    const result = await this.raw(
+      `SELECT r.*,
+              u.username AS reporter_username,
+              (
+                SELECT COUNT(*) FROM reports other
+                WHERE other.target_type = r.target_type
+                  AND other.target_id = r.target_id
+                  AND other.status = 'pending'
+              ) AS pending_count,
+              COUNT(*) OVER() AS total_count
+       FROM reports r
+       JOIN users u ON r.reporter_id = u.id
+       WHERE r.status = $1 ${targetFilter}
+       ORDER BY r.created_at ASC, r.id ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const reports = [];
+    for (const row of result.rows) {
+      const target = await this.findTarget(row.target_type, row.target_id);
+      reports.push({
+        ...this.getReportData(row),
+        pending_count: parseInt(row.pending_count),
+        target: this.getTargetSummary(row.target_type, target)
+      });
+    }
+
+    return {
+      reports,
+      total_count: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Close every open report on a target
+   * @param {string} targetType - Target type
+   * @param {number} targetId - Target ID
+   * @param {Object} resolution - { action, moderator_id }
+   * @returns {Array} Closed reports
+   */
+  async resolveForTarget(targetType, targetId, { action, moderator_id }) {
+    const result = await this.raw(
+      `UPDATE reports
+       SET status = $3, resolution_action = $4, resolved_by = $5, resolved_at = NOW()
+       WHERE target_type = $1 AND target_id = $2 AND status = 'pending'
+       RETURNING *`,
+      [targetType, targetId, action === 'dismiss' ? 'dismissed' : 'resolved', action, moderator_id]
+    );
+    return result.rows.map(row => this.getReportData(row));
+  }
+
+  /**
+   * Get report data with the reporter's username (if joined)
+   * @param {Object} report - Raw report row
+   * @returns {Object|null} Report data
+   */
+  getReportData(report) {
+    if (!report) return null;
+
+    return {
+      id: report.id,
+      reporter_id: report.reporter_id,
+      reporter_username: report.reporter_username,
+      target_type: report.target_type,
+      target_id: report.target_id,
+      reason: report.reason,
+      details: report.details,
+      status: report.status,
+      resolution_action: report.resolution_action,
+      resolved_by: report.resolved_by,
+      resolved_at: report.resolved_at,
+      created_at: report.created_at
+    };
+  }
+}
+
+module.exports = new Report();
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Revision models for the social media platform
+ * Edit history for posts and comments. Each revision holds the content that an
+ * edit replaced, so the versions of an item are its revisions in order followed
+ * by its current content.
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+
+class Revision extends BaseModel {
+  /**
+   * @param {string} tableName - Revision table
+   * @param {string} parentTable - Table of the edited items
+   * @param {string} parentKey - Column referencing the edited item
+   */
+  constructor(tableName, parentTable, parentKey) {
+    super(tableName);
+    this.parentTable = parentTable;
+    this.parentKey = parentKey;
+  }
+
+  /**
+   * Keep the current content of an item that is about to be edited
+   * Nothing is recorded when the new content is the same as the current content.
+   * @param {number} parentId - ID of the post or comment being edited
+   * @param {string} newContent - Content the edit will save
+   * @param {number|null} editorId - User making the edit
+   * @returns {Object|null} Created revision, or null if the content is unchanged
+   */
+  async record(parentId, newContent, editorId = null) {
+    const result = await this.raw(
+      `INSERT INTO ${this.tableName} (${this.parentKey}, content, edited_by)
+       SELECT id, content, $3 FROM ${this.parentTable}
+       WHERE id = $1 AND content IS DISTINCT FROM $2
+       RETURNING *`,
+      [parentId, newContent, editorId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List an item's earlier versions with the user who replaced each one
+   * @param {number} parentId - Post or comment ID
+   * @returns {Array} Revisions, oldest first
+   */
+  async findByParent(parentId) {
+    const result = await this.raw(
+      `SELECT r.*, u.username, u.first_name, u.last_name
+       FROM ${this.tableName} r
+       LEFT JOIN users u ON r.edited_by = u.id
+       WHERE r.${this.parentKey} = $1
+       ORDER BY r.created_at ASC, r.id ASC`,
+      [parentId]
+    );
+    return result.rows.map(revision => this.getRevisionData(revision));
+  }
+
+  /**
+   * Get revision data for API responses
+   * @param {Object} revision - Raw revision row, optionally joined with the editor
+   * @returns {Object} Revision data; created_at is when this version was replaced
+   */
+  getRevisionData(revision) {
+    return {
+      id: revision.id,
+      content: revision.content,
+      created_at: revision.created_at,
+      edited_by: revision.username ? {
+        id: revision.edited_by,
+        username: revision.username,
+        first_name: revision.first_name,
+        last_name: revision.last_name
+      } : null
+    };
+  }
+}
+
+module.exports = {
+  PostRevision: new Revision('post_revisions', 'posts', 'post_id'),
+  CommentRevision: new Revision('comment_revisions', 'comments', 'comment_id')
+};
\ No newline at end of file
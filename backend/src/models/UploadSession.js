@@ -0,0 +1,130 @@
+/**
+ * UploadSession model for the social media platform
+ * One row per resumable upload in progress. Received bytes live in a temporary file
+ * (see utils/resumableUploads); the row records how many have arrived, where the
+ * finished file is going and when the upload counts as abandoned.
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+
+class UploadSession extends BaseModel {
+  constructor() {
+    super('upload_sessions');
+  }
+
+  /**
+   * Find a user's upload that has not expired
+   * @param {string} id - Upload session ID
+   * @param {number} userId - Owner's user ID
+   * @returns {Object|null} Upload session
+   */
+  async findActive(id, userId) {
+    const result = await this.raw(
+      `SELECT * FROM upload_sessions
+       WHERE id = $1 AND user_id = $2 AND expires_at > NOW()`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count a user's open uploads, and the bytes their stored media and open uploads take up
+   * @param {number} userId - User ID
+   * @returns {Object} { count, bytes }
+   */
+  async getUsage(userId) {
+    const result = await this.raw(
+      `SELECT COUNT(*)::int AS count,
+              COALESCE(SUM(total_size), 0)::bigint
+                + (SELECT COALESCE(SUM(file_size), 0) FROM media WHERE user_id = $1)::bigint AS bytes
+       FROM upload_sessions
+       WHERE user_id = $1 AND expires_at > NOW()`,
+      [userId]
+    );
+    const { count, bytes } = result.rows[0];
+    return { count, bytes: parseInt(bytes) };
+  }
+
+  /**
+   * Lock an upload for writing a chunk at offset, until the transaction ends
+   * A request racing with the same offset waits here, then finds the offset taken.
+   * @param {string} id - Upload session ID
+   * @param {number} offset - Offset the chunk is to be written at
+   * @param {Object} client - Transaction client
+   * @returns {Object|null} Session, or null if the offset no longer matches
+   */
+  async lockForChunk(id, offset, client) {
+    const result = await this.raw(
+      `SELECT * FROM upload_sessions
+       WHERE id = $1 AND received_size = $2 AND status = 'uploading'
+       FOR UPDATE`,
+      [id, offset],
+      client
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record a chunk written at offset and push back the expiry
+   * Only succeeds if no other chunk was recorded at that offset first, so two
+   * requests racing with the same chunk can't both advance the upload.
+   * @param {string} id - Upload session ID
+   * @param {number} offset - Offset the chunk was written at
+   * @param {number} length - Chunk length in bytes
+   * @param {Date} expiresAt - New expiry
+   * @param {Object} client - Transaction client the upload was locked on, if any
+   * @returns {Object|null} Updated session, or null if the offset no longer matches
+   */
+  async recordChunk(id, offset, length, expiresAt, client = null) {
+    const result = await this.raw(
+      `UPDATE upload_sessions
+       SET received_size = received_size + $3, expires_at = $4, updated_at = NOW()
+       WHERE id = $1 AND received_size = $2 AND status = 'uploading'
+       RETURNING *`,
+      [id, offset, length, expiresAt],
+      client
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim a fully received upload for completion
+   * @param {string} id - Upload session ID
+   * @returns {Object|null} Session, or null if it is incomplete or already being completed
+   */
+  async beginCompletion(id) {
+    const result = await this.raw(
+      `UPDATE upload_sessions
+       SET status = 'completing', updated_at = NOW()
+       WHERE id = $1 AND status = 'uploading' AND received_size = total_size
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Hand an upload back after completing it failed, so the client can try again
+   * @param {string} id - Upload session ID
+   */
+  async abortCompletion(id) {
+    await this.raw(
+      `UPDATE upload_sessions SET status = 'uploading', updated_at = NOW() WHERE id = $1`,
+      [id]
+    );
+  }
+
+  /**
+   * Delete uploads nobody has sent a chunk to before their expiry
+   * @returns {Array<string>} IDs of the deleted sessions
+   */
+  async deleteExpired() {
+    const result = await this.raw(
+      `DELETE FROM upload_sessions WHERE expires_at <= NOW() RETURNING id`
+    );
+    return result.rows.map(row => row.id);
+  }
+}
+
+module.exports = new UploadSession();
\ No newline at end of file
@@ -6,6 +6,8 @@
 const BaseModel = require('./BaseModel');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const totp = require('../utils/totp');
+const MfaRecoveryCode = require('./MfaRecoveryCode');
 
 // Use require directly to avoid potential circular dependencies
 let config;
@@ -16,9 +18,19 @@ try {
   config = null;
 }
 
+// Roles from least to most privileged; each role has every permission of the roles before it
+const ROLES = ['user', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['posts.delete_any', 'reports.review', 'revisions.view_any'],
+  admin: ['posts.edit_any', 'users.modify_any', 'roles.manage']
+};
+
 class User extends BaseModel {
   constructor() {
     super('users');
+    this.ROLES = ROLES;
   }
 
   /**
@@ -86,6 +98,8 @@ class User extends BaseModel {
    * @returns {boolean} True if password matches
    */
   async comparePassword(password, hash) {
+    // Accounts created through OAuth login have no password until they set one
+    if (!hash) return false;
     return await bcrypt.compare(password, hash);
   }
 
@@ -101,13 +115,30 @@ class User extends BaseModel {
 
   /**
    * Update user's password
+   * Bumps the token version so access tokens issued before the change stop working.
    * @param {number} userId - User ID
    * @param {string} newPassword - New password
+   * @param {Object} extraFields - Additional columns to set in the same update
    * @returns {Object|null} Updated user
    */
-  async updatePassword(userId, newPassword) {
+  async updatePassword(userId, newPassword, extraFields = {}) {
     const passwordHash = await this.hashPassword(newPassword);
-    return await this.update(userId, { password_hash: passwordHash });
+    const fields = { ...extraFields, password_hash: passwordHash };
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+    const result = await this.raw(
+      `UPDATE users
+       SET ${assignments.join(', ')},
+           token_version = token_version + 1,
+           password_changed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [userId, ...columns.map(column => fields[column])]
+    );
+
+    return result.rows[0] || null;
   }
 
   /**
@@ -173,7 +204,7 @@ class User extends BaseModel {
    * Reset password using token
    * @param {string} token - Reset token
    * @param {string} newPassword - New password
-   * @returns {boolean} True if reset successful
+   * @returns {Object|null} Updated user if the token was valid, null otherwise
    */
   async resetPassword(token, newPassword) {
     const currentTime = new Date().toISOString();
@@ -184,17 +215,137 @@ class User extends BaseModel {
       [token, currentTime]
     );
 
-    if (user.rows.length === 0) return false;
+    if (user.rows.length === 0) return null;
 
-    const passwordHash = await this.hashPassword(newPassword);
-
-    await this.update(user.rows[0].id, {
-      password_hash: passwordHash,
+    // Proving control of the email also lifts any login lockout
+    return await this.updatePassword(user.rows[0].id, newPassword, {
       password_reset_token: null,
-      password_reset_expires: null
+      password_reset_expires: null,
+      failed_login_attempts: 0,
+      locked_until: null,
+      unlock_token: null,
+      unlock_token_expires: null
     });
+  }
 
-    return true;
+  /**
+   * Check whether an account is locked against password logins
+   * @param {Object} user - User row
+   * @returns {boolean} True while locked_until is in the future
+   */
+  isLocked(user) {
+    return Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+  }
+
+  /**
+   * How long a number of consecutive failures locks an account for
+   * Below config.auth.lockout.backoffAfterAttempts there is no delay; after that it doubles
+   * up to maxDelaySeconds, and at maxAttempts the account is locked for lockMinutes.
+   * @param {number} attempts - Consecutive failed logins
+   * @returns {number} Lock duration in seconds
+   */
+  getLockDuration(attempts) {
+    const lockout = config.auth.lockout;
+
+    if (attempts >= lockout.maxAttempts) {
+      return lockout.lockMinutes * 60;
+    }
+    if (attempts < lockout.backoffAfterAttempts) {
+      return 0;
+    }
+    return Math.min(
+      lockout.baseDelaySeconds * 2 ** (attempts - lockout.backoffAfterAttempts),
+      lockout.maxDelaySeconds
+    );
+  }
+
+  /**
+   * Count a failed password login and lock the account if the backoff applies
+   * @param {number} userId - User ID
+   * @returns {Object} { attempts, locked_until, locked: true once maxAttempts is reached }
+   */
+  async recordFailedLogin(userId) {
+    const { attemptWindowMinutes, maxAttempts } = config.auth.lockout;
+
+    // Failures from before the window start the count again
+    const counted = await this.raw(
+      `UPDATE users
+       SET failed_login_attempts = CASE
+             WHEN last_failed_login_at IS NULL
+               OR last_failed_login_at < NOW() - make_interval(mins => $2)
+             THEN 1
+             ELSE failed_login_attempts + 1
+           END,
+           last_failed_login_at = NOW()
+       WHERE id = $1
+       RETURNING failed_login_attempts`,
+      [userId, attemptWindowMinutes]
+    );
+
+    const attempts = counted.rows[0].failed_login_attempts;
+    const seconds = this.getLockDuration(attempts);
+    let lockedUntil = null;
+
+    if (seconds > 0) {
+      const locked = await this.raw(
+        `UPDATE users SET locked_until = NOW() + make_interval(secs => $2)
+         WHERE id = $1
+         RETURNING locked_until`,
+        [userId, seconds]
+      );
+      lockedUntil = locked.rows[0].locked_until;
+    }
+
+    return { attempts, locked_until: lockedUntil, locked: attempts >= maxAttempts };
+  }
+
+  /**
+   * Forget failed logins after a successful one
+   * @param {number} userId - User ID
+   */
+  async resetFailedLogins(userId) {
+    await this.raw(
+      `UPDATE users
+       SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL,
+           unlock_token = NULL, unlock_token_expires = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+  }
+
+  /**
+   * Generate the token for the unlock link emailed when an account is locked
+   * @param {number} userId - User ID
+   * @returns {string} Unlock token
+   */
+  async generateUnlockToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Database time throughout, like locked_until
+    await this.raw(
+      `UPDATE users SET unlock_token = $2, unlock_token_expires = NOW() + make_interval(hours => $3)
+       WHERE id = $1`,
+      [userId, token, config.auth.lockout.unlockTokenHours]
+    );
+
+    return token;
+  }
+
+  /**
+   * Lift a lockout using the emailed unlock token
+   * @param {string} token - Unlock token
+   * @returns {Object|null} Unlocked user if the token was valid, null otherwise
+   */
+  async unlockWithToken(token) {
+    const result = await this.raw(
+      `UPDATE users
+       SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL,
+           unlock_token = NULL, unlock_token_expires = NULL
+       WHERE unlock_token = $1 AND unlock_token_expires > NOW()
+       RETURNING *`,
+      [token]
+    );
+    return result.rows[0] || null;
   }
 
   /**
@@ -210,12 +361,21 @@ class User extends BaseModel {
       password_reset_token,
       password_reset_expires,
       email_verification_token,
+      token_version,
+      mfa_secret,
+      mfa_last_used_step,
+      failed_login_attempts,
+      last_failed_login_at,
+      locked_until,
+      unlock_token,
+      unlock_token_expires,
       ...publicData
     } = user;
 
     // Ensure boolean fields are properly typed
     publicData.is_active = Boolean(publicData.is_active);
     publicData.email_verified = Boolean(publicData.email_verified);
+    publicData.mfa_enabled = Boolean(publicData.mfa_enabled);
 
     // Add computed fields
     publicData.full_name = `${user.first_name} ${user.last_name}`;
@@ -294,6 +454,29 @@ class User extends BaseModel {
     return parseInt(result.rows[0].count) > 0;
   }
 
+  /**
+   * Find an unused username based on a name or email
+   * Keeps the letters and digits of the seed and appends random digits until it is free.
+   * @param {string} seed - Preferred username
+   * @returns {string} Available username
+   */
+  async generateUniqueUsername(seed) {
+    let base = String(seed || '').toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 40);
+    if (base.length < 3) base = `user${base}`;
+
+    let candidate = base;
+    for (let attempt = 1; await this.usernameExists(candidate); attempt++) {
+      if (attempt > 10) {
+        throw new Error(`Could not find a free username for "${base}"`);
+      }
+      // Widen the suffix if short ones keep colliding
+      const digits = attempt <= 5 ? 4 : 8;
+      candidate = `${base}${crypto.randomInt(10 ** (digits - 1), 10 ** digits)}`;
+    }
+
+    return candidate;
+  }
+
   /**
    * Deactivate user account
    * @param {number} userId - User ID
@@ -311,6 +494,148 @@ class User extends BaseModel {
   async activate(userId) {
     return await this.update(userId, { is_active: true });
   }
+
+  /**
+   * Check whether a user has at least the given role (admins are also moderators)
+   * @param {Object} user - User with a role (e.g. req.user)
+   * @param {string} role - Role name
+   * @returns {boolean} True if the user's role is the same or higher
+   */
+  hasRole(user, role) {
+    if (!user || !ROLES.includes(role)) return false;
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Get every permission granted to a role, including inherited ones
+   * @param {string} role - Role name
+   * @returns {Array<string>} Permissions
+   */
+  getPermissions(role) {
+    const level = ROLES.indexOf(role);
+    return ROLES.slice(0, level + 1).flatMap(name => ROLE_PERMISSIONS[name]);
+  }
+
+  /**
+   * Check whether a user's role grants a permission
+   * @param {Object} user - User with a role (e.g. req.user)
+   * @param {string} permission - Permission name, e.g. 'posts.delete_any'
+   * @returns {boolean} True if granted
+   */
+  hasPermission(user, permission) {
+    if (!user) return false;
+
+    // Staff without 2FA only keep the permissions every user has
+    const role = this.needsMfa(user) ? 'user' : user.role;
+    return this.getPermissions(role).includes(permission);
+  }
+
+  /**
+   * Check whether a staff member must enable 2FA before using their role
+   * (config.auth.mfa.requiredForStaff)
+   * @param {Object} user - User with a role (e.g. req.user)
+   * @returns {boolean} True if the user is a moderator or admin without 2FA
+   */
+  needsMfa(user) {
+    return Boolean(config?.auth?.mfa?.requiredForStaff)
+      && this.hasRole(user, 'moderator')
+      && !user.mfa_enabled;
+  }
+
+  /**
+   * Start (or restart) 2FA enrollment with a new secret
+   * The secret is not used at login until enableMfa confirms it.
+   * @param {number} userId - User ID
+   * @returns {string} Base32 secret
+   */
+  async startMfaEnrollment(userId) {
+    const secret = totp.generateSecret();
+    await this.update(userId, { mfa_secret: secret, mfa_last_used_step: null });
+    return secret;
+  }
+
+  /**
+   * Turn on 2FA for the enrolled secret and issue recovery codes
+   * @param {number} userId - User ID
+   * @returns {Array<string>} Recovery codes, shown to the user once
+   */
+  async enableMfa(userId) {
+    await this.update(userId, { mfa_enabled: true, mfa_enabled_at: new Date() });
+    return await MfaRecoveryCode.regenerate(userId);
+  }
+
+  /**
+   * Turn off 2FA and forget the secret and recovery codes
+   * @param {number} userId - User ID
+   * @returns {Object|null} Updated user
+   */
+  async disableMfa(userId) {
+    await MfaRecoveryCode.deleteForUser(userId);
+    return await this.update(userId, {
+      mfa_enabled: false,
+      mfa_secret: null,
+      mfa_enabled_at: null,
+      mfa_last_used_step: null
+    });
+  }
+
+  /**
+   * Check an authenticator code against the user's secret
+   * Each code is accepted once: a step at or before the last accepted one is rejected.
+   * @param {Object} user - Full user row (with mfa_secret)
+   * @param {string} code - 6-digit code
+   * @returns {boolean} True if the code was valid and not replayed
+   */
+  async verifyTotp(user, code) {
+    if (!user.mfa_secret) return false;
+
+    const step = totp.verifyCode(user.mfa_secret, code, { window: config?.auth?.mfa?.window ?? 1 });
+    if (step === null) return false;
+
+    const result = await this.raw(
+      `UPDATE users SET mfa_last_used_step = $2
+       WHERE id = $1 AND (mfa_last_used_step IS NULL OR mfa_last_used_step < $2)
+       RETURNING id`,
+      [user.id, step]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Check a second-factor code for a user with 2FA enabled
+   * @param {Object} user - Full user row (with mfa_secret)
+   * @param {string} code - Authenticator code or recovery code
+   * @returns {string|null} 'totp' or 'recovery' for the method that matched, null if neither did
+   */
+  async verifyMfaCode(user, code) {
+    if (/^\s*\d{6}\s*$/.test(String(code || ''))) {
+      return await this.verifyTotp(user, code) ? 'totp' : null;
+    }
+    return await MfaRecoveryCode.consume(user.id, code) ? 'recovery' : null;
+  }
+
+  /**
+   * Change a user's role
+   * @param {number} userId - User ID
+   * @param {string} role - New role
+   * @returns {Object|null} Updated user
+   */
+  async setRole(userId, role) {
+    return await this.update(userId, { role });
+  }
+
+  /**
+   * Count active users with a role
+   * @param {string} role - Role name
+   * @returns {number} Number of users
+   */
+  async countByRole(role) {
+    const result = await this.raw(
+      'SELECT COUNT(*) AS count FROM users WHERE role = $1 AND is_active = true',
+      [role]
+    );
+    return parseInt(result.rows[0].count);
+  }
 }
 
 module.exports = new User();
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * UserIdentity model for the social media platform
+ * Links an account at an OAuth provider (Google, Facebook) to a local user.
+ * A user has at most one identity per provider.
+ * Raw SQL implementation
+ */
+
+const BaseModel = require('./BaseModel');
+
+class UserIdentity extends BaseModel {
+  constructor() {
+    super('user_identities');
+  }
+
+  /**
+   * Find the identity for a provider account
+   * @param {string} provider - Provider name
+   * @param {string} providerUserId - Account ID at the provider
+   * @returns {Object|null} Identity or null if not linked
+   */
+  async findByProviderId(provider, providerUserId) {
+    return await this.findOne({ provider, provider_user_id: String(providerUserId) });
+  }
+
+  /**
+   * List the identities linked to a user
+   * @param {number} userId - User ID
+   * @returns {Array} Identities, oldest first
+   */
+  async findByUser(userId) {
+    const result = await this.raw(
+      `SELECT id, provider, email, last_used_at, created_at
+       FROM user_identities WHERE user_id = $1 ORDER BY created_at, id`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Link a provider account to a user
+   * @param {number} userId - User ID
+   * @param {string} provider - Provider name
+   * @param {Object} profile - Normalized provider profile ({ id, email })
+   * @returns {Object} Created identity
+   */
+  async link(userId, provider, profile) {
+    const result = await this.raw(
+      `INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [userId, provider, String(profile.id), profile.email || null]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Record a login through an identity, refreshing the email the provider reports
+   * @param {number} id - Identity ID
+   * @param {string|null} email - Current provider email
+   */
+  async touch(id, email = null) {
+    await this.raw(
+      'UPDATE user_identities SET last_used_at = NOW(), email = COALESCE($2, email) WHERE id = $1',
+      [id, email]
+    );
+  }
+
+  /**
+   * Unlink a user's identity at a provider
+   * @param {number} userId - User ID
+   * @param {string} provider - Provider name
+   * @returns {boolean} True if an identity was removed
+   */
+  async unlink(userId, provider) {
+    const result = await this.raw(
+      'DELETE FROM user_identities WHERE user_id = $1 AND provider = $2',
+      [userId, provider]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new UserIdentity();
\ No newline at end of file
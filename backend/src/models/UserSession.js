@@ -0,0 +1,198 @@
+/**
+ * UserSession model for the social media platform
+ * One row per login. The refresh token is `<family_id>.<secret>`; only a SHA-256 hash
+ * of the current secret is stored and it is replaced on every refresh.
+ * Raw SQL implementation
+ */
+
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+const { config } = require('../../../config/app.config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UserSession extends BaseModel {
+  constructor() {
+    super('user_sessions');
+  }
+
+  /**
+   * Hash a refresh token secret for storage
+   * @param {string} secret - Token secret
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Split a refresh token into its family ID and secret
+   * @param {string} refreshToken - Refresh token from the client
+   * @returns {Object|null} { familyId, secret } or null if malformed
+   */
+  parseToken(refreshToken) {
+    const match = /^([a-f0-9]{32})\.([a-f0-9]{64})$/.exec(refreshToken || '');
+    return match ? { familyId: match[1], secret: match[2] } : null;
+  }
+
+  /**
+   * Start a session for a user
+   * @param {number} userId - User ID
+   * @param {Object} options - { userAgent, ipAddress, rememberMe }
+   * @returns {Object} { session, refreshToken }
+   */
+  async start(userId, { userAgent = null, ipAddress = null, rememberMe = false } = {}) {
+    const familyId = crypto.randomBytes(16).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+    const days = rememberMe ? config.auth.refreshToken.rememberMeDays : config.auth.refreshToken.expiresInDays;
+
+    const result = await this.raw(
+      `INSERT INTO user_sessions
+         (user_id, family_id, refresh_token_hash, user_agent, ip_address, remember_me, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        userId,
+        familyId,
+        this.hashSecret(secret),
+        userAgent ? userAgent.slice(0, 500) : null,
+        ipAddress,
+        rememberMe,
+        new Date(Date.now() + days * DAY_MS)
+      ]
+    );
+
+    return { session: result.rows[0], refreshToken: `${familyId}.${secret}` };
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * A token from the session's family that is not the current one has already been
+   * used, so the whole session is revoked: either the client or an attacker holds a copy.
+   * @param {string} refreshToken - Refresh token from the client
+   * @param {Object} options - { userAgent, ipAddress }
+   * @returns {Object} { status: 'rotated'|'invalid'|'reused', session, refreshToken }
+   */
+  async rotate(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+    const parsed = this.parseToken(refreshToken);
+    if (!parsed) {
+      return { status: 'invalid' };
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const result = await this.raw(
+      `UPDATE user_sessions
+       SET refresh_token_hash = $3,
+           last_used_at = NOW(),
+           user_agent = COALESCE($4, user_agent),
+           ip_address = COALESCE($5, ip_address)
+       WHERE family_id = $1
+         AND refresh_token_hash = $2
+         AND revoked_at IS NULL
+         AND expires_at > NOW()
+       RETURNING *`,
+      [
+        parsed.familyId,
+        this.hashSecret(parsed.secret),
+        this.hashSecret(secret),
+        userAgent ? userAgent.slice(0, 500) : null,
+        ipAddress
+      ]
+    );
+
+    if (result.rows.length > 0) {
+      return { status: 'rotated', session: result.rows[0], refreshToken: `${parsed.familyId}.${secret}` };
+    }
+
+    const session = await this.findOne({ family_id: parsed.familyId });
+    if (session && !session.revoked_at && new Date(session.expires_at) > new Date()) {
+      await this.revoke(session.id, 'reuse_detected');
+      return { status: 'reused', session };
+    }
+
+    return { status: 'invalid' };
+  }
+
+  /**
+   * Check whether a session can still be used
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Owner the session must belong to
+   * @returns {boolean} True if the session is active
+   */
+  async isActive(sessionId, userId) {
+    const result = await this.raw(
+      `SELECT 1 FROM user_sessions
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [sessionId, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Get a user's active sessions, most recently used first
+   * @param {number} userId - User ID
+   * @returns {Array} Sessions
+   */
+  async findActiveByUser(userId) {
+    const result = await this.raw(
+      `SELECT * FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC, id DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Revoke a session
+   * @param {number} sessionId - Session ID
+   * @param {string} reason - Why it was revoked (e.g. 'logout', 'user_revoked')
+   * @returns {boolean} True if an active session was revoked
+   */
+  async revoke(sessionId, reason = 'logout') {
+    const result = await this.raw(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL`,
+      [sessionId, reason]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {number} userId - User ID
+   * @param {Object} options - { exceptId, reason }
+   * @returns {number} Number of sessions revoked
+   */
+  async revokeAllForUser(userId, { exceptId = null, reason = 'user_revoked' } = {}) {
+    const result = await this.raw(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $3
+       WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2::integer`,
+      [userId, exceptId, reason]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Get session data safe to show to its owner
+   * @param {Object} session - Raw session row
+   * @param {number|null} currentSessionId - Session of the request, flagged as current
+   * @returns {Object|null} Session data
+   */
+  getPublicData(session, currentSessionId = null) {
+    if (!session) return null;
+
+    return {
+      id: session.id,
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      remember_me: Boolean(session.remember_me),
+      created_at: session.created_at,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at,
+      current: session.id === currentSessionId
+    };
+  }
+}
+
+module.exports = new UserSession();
\ No newline at end of file
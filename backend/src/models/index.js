@@ -7,12 +7,39 @@ const User = require('./User');
 const Post = require('./Post');
 const Comment = require('./Comment');
 const Media = require('./Media');
+const MediaJob = require('./MediaJob');
+const UploadSession = require('./UploadSession');
 const Reaction = require('./Reaction');
+const Follow = require('./Follow');
+const Notification = require('./Notification');
+const Mention = require('./Mention');
+const Hashtag = require('./Hashtag');
+const Report = require('./Report');
+const ModerationAction = require('./ModerationAction');
+const UserSession = require('./UserSession');
+const MfaRecoveryCode = require('./MfaRecoveryCode');
+const UserIdentity = require('./UserIdentity');
+const { PostRevision, CommentRevision } = require('./Revision');
+const Poll = require('./Poll');
 
 module.exports = {
   User,
   Post,
   Comment,
   Media,
-  Reaction
+  MediaJob,
+  UploadSession,
+  Reaction,
+  Follow,
+  Notification,
+  Mention,
+  Hashtag,
+  Report,
+  ModerationAction,
+  UserSession,
+  MfaRecoveryCode,
+  UserIdentity,
+  PostRevision,
+  CommentRevision,
+  Poll
 };
\ No newline at end of file
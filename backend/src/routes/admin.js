@@ -0,0 +1,150 @@
+/**
+ * Admin routes for the social media platform API
+ * Staff listing and granting/revoking moderator and admin roles
+ * Pure PostgreSQL implementation - NO SEQUELIZE
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Import PostgreSQL models
+const User = require('../models/User');
+
+const router = express.Router();
+
+/**
+ * Validation middleware to check for validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+// Every admin route requires the roles.manage permission
+router.use(authenticate, requirePermission('roles.manage'));
+
+/**
+ * Change a user's role, refusing to demote the last active admin
+ * @param {Object} res - Express response
+ * @param {number} userId - Target user ID
+ * @param {string} role - New role
+ * @returns {Object|undefined} Updated public user data, or undefined if a response was sent
+ */
+const changeRole = async (res, userId, role) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'User not found',
+        type: 'NOT_FOUND'
+      }
+    });
+    return undefined;
+  }
+
+  if (user.role === 'admin' && role !== 'admin' && (await User.countByRole('admin')) <= 1) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'The last admin cannot be demoted',
+        type: 'LAST_ADMIN'
+      }
+    });
+    return undefined;
+  }
+
+  const updatedUser = user.role === role ? user : await User.setRole(userId, role);
+  return User.getPublicData(updatedUser);
+};
+
+/**
+ * GET /api/admin/staff
+ * List moderators and admins
+ */
+router.get('/staff', async (req, res, next) => {
+  try {
+    const result = await User.raw(
+      `SELECT * FROM users
+       WHERE role <> 'user'
+       ORDER BY CASE role WHEN 'admin' THEN 0 ELSE 1 END, username ASC`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        users: result.rows.map(user => User.getPublicData(user)),
+        roles: User.ROLES
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Grant a role to a user
+ */
+router.put('/users/:id/role',
+  [
+    param('id').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+    body('role').isIn(User.ROLES).withMessage(`Role must be one of: ${User.ROLES.join(', ')}`)
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await changeRole(res, parseInt(req.params.id), req.body.role);
+      if (!user) return;
+
+      res.json({
+        success: true,
+        data: user,
+        message: `Role set to ${user.role}`
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/users/:id/role
+ * Revoke a user's moderator or admin role
+ */
+router.delete('/users/:id/role',
+  [
+    param('id').isInt({ min: 1 }).withMessage('User ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await changeRole(res, parseInt(req.params.id), 'user');
+      if (!user) return;
+
+      res.json({
+        success: true,
+        data: user,
+        message: 'Role revoked'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -1,21 +1,36 @@
 /**
  * Authentication routes for the social media platform API
- * Handles user registration, login, logout, password reset, and email verification
+ * Handles user registration, login, logout, password reset, email verification,
+ * two-factor authentication and OAuth login
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const { config } = require('../../../config/app.config');
 const {
   authenticate,
+  optionalAuthenticate,
   generateToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateOAuthStateToken,
+  verifyOAuthStateToken,
   setTokenCookie,
-  clearTokenCookie
+  clearTokenCookie,
+  setRefreshTokenCookie,
+  clearRefreshTokenCookie
 } = require('../middleware/auth');
 
 // Import models
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const MfaRecoveryCode = require('../models/MfaRecoveryCode');
+const UserIdentity = require('../models/UserIdentity');
+const mailer = require('../utils/mailer');
+const totp = require('../utils/totp');
+const oauth = require('../utils/oauth');
+const { logSecurity } = require('../utils/logger');
 
 const router = express.Router();
 
@@ -57,6 +72,115 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Start a login session and send its tokens
+ * The access token is short-lived; the refresh token renews it until the session expires.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User row
+ * @param {boolean} rememberMe - Keep the session for config.auth.refreshToken.rememberMeDays
+ * @returns {Object} Token fields for the response body
+ */
+const startSession = async (req, res, user, rememberMe = false) => {
+  const { session, refreshToken } = await UserSession.start(user.id, {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip,
+    rememberMe
+  });
+
+  const token = generateToken(user, config.auth.jwt.expiresIn, session.id);
+
+  setTokenCookie(res, token);
+  setRefreshTokenCookie(res, refreshToken, session.expires_at);
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: config.auth.jwt.expiresIn,
+    refresh_expires_at: session.expires_at
+  };
+};
+
+/**
+ * Answer a successful first login step for an account with 2FA on
+ * Only a challenge token is issued; POST /login/mfa turns it and a code into a session.
+ * @param {Object} res - Express response
+ * @param {Object} user - User row
+ * @param {boolean} rememberMe - Remember me choice to carry into the second step
+ * @returns {Object} Response
+ */
+const sendMfaChallenge = (res, user, rememberMe) => res.json({
+  success: true,
+  data: {
+    mfa_required: true,
+    mfa_token: generateMfaChallengeToken(user, rememberMe),
+    expires_in: config.auth.mfa.challengeExpiresIn
+  },
+  message: 'Two-factor authentication code required'
+});
+
+/**
+ * Refuse a password login while the account is locked
+ * @param {Object} res - Express response
+ * @param {Date|string} lockedUntil - When the lock ends
+ * @param {boolean} emailed - Whether this is the long lock that comes with an unlock email
+ * @returns {Object} Response
+ */
+const sendAccountLocked = (res, lockedUntil, emailed) => {
+  const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 1000));
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    error: {
+      message: emailed
+        ? 'Your account is locked after too many failed login attempts. Check your email for a link to unlock it.'
+        : 'Too many failed login attempts. Please wait before trying again.',
+      type: 'ACCOUNT_LOCKED',
+      code: emailed ? 'ACCOUNT_LOCKED' : 'LOGIN_BACKOFF',
+      locked_until: lockedUntil,
+      retry_after: retryAfter
+    }
+  });
+};
+
+/**
+ * Count a failed login step (wrong password or wrong 2FA code) against the account
+ * Reaching maxAttempts emails an unlock link, at most once per token lifetime however
+ * often the lock is renewed.
+ * @param {Object} req - Express request
+ * @param {Object} user - User row
+ * @param {string} reason - Reason for the security log
+ * @returns {Promise<Object>} Result of User.recordFailedLogin
+ */
+const recordLoginFailure = async (req, user, reason) => {
+  const lock = await User.recordFailedLogin(user.id);
+  logSecurity('login_failed', req, { user_id: user.id, reason, attempts: lock.attempts });
+
+  if (lock.locked) {
+    logSecurity('account_locked', req, { user_id: user.id, attempts: lock.attempts, locked_until: lock.locked_until });
+
+    const hasUnlockLink = user.unlock_token_expires && new Date(user.unlock_token_expires) > new Date();
+    if (!hasUnlockLink) {
+      const unlockToken = await User.generateUnlockToken(user.id);
+      mailer.sendAccountLocked(user, unlockToken, lock)
+        .catch(error => console.error('Error sending account locked email:', error));
+    }
+  }
+
+  return lock;
+};
+
+/**
+ * Forget earlier failures once a login has fully succeeded
+ * @param {Object} user - User row
+ */
+const clearLoginFailures = async (user) => {
+  if (user.failed_login_attempts > 0 || user.locked_until) {
+    await User.resetFailedLogins(user.id);
+  }
+};
+
 /**
  * POST /api/auth/register
  * Register a new user account
@@ -138,24 +262,23 @@ router.post('/register',
         avatar_url
       });
 
-      // Generate email verification token if feature is enabled
+      // Generate email verification token if feature is enabled; it only goes out
+      // in the welcome email, since whoever holds it can verify the address
       let verificationToken = null;
       if (config.features.enableEmailVerification) {
         verificationToken = await User.generateEmailVerificationToken(user.id);
       }
 
-      // Generate JWT token
-      const token = generateToken(user);
+      mailer.sendWelcome(user, verificationToken)
+        .catch(error => console.error('Error sending welcome email:', error));
 
-      // Set token as HTTP-only cookie
-      setTokenCookie(res, token);
+      const tokens = await startSession(req, res, user);
 
       res.status(201).json({
         success: true,
         data: {
           user,
-          token,
-          verification_token: verificationToken
+          ...tokens
         },
         message: 'User registered successfully'
       });
@@ -219,6 +342,7 @@ router.post('/login',
       const user = await User.findByIdentifier(identifier);
 
       if (!user) {
+        logSecurity('login_failed', req, { identifier, reason: 'unknown_user' });
         return res.status(401).json({
           success: false,
           error: {
@@ -241,9 +365,21 @@ router.post('/login',
         });
       }
 
+      // A locked account is refused before the password is even checked
+      if (User.isLocked(user)) {
+        logSecurity('login_blocked', req, { user_id: user.id, locked_until: user.locked_until });
+        return sendAccountLocked(res, user.locked_until, user.failed_login_attempts >= config.auth.lockout.maxAttempts);
+      }
+
       // Verify password
       const isValidPassword = await User.comparePassword(password, user.password_hash);
       if (!isValidPassword) {
+        const lock = await recordLoginFailure(req, user, 'invalid_password');
+
+        if (lock.locked_until) {
+          return sendAccountLocked(res, lock.locked_until, lock.locked);
+        }
+
         return res.status(401).json({
           success: false,
           error: {
@@ -254,23 +390,27 @@ router.post('/login',
         });
       }
 
+      const rememberMe = remember_me === true || remember_me === 'true';
+
+      // With 2FA on, the password only earns a challenge token for POST /login/mfa;
+      // failures are only forgotten once the code is right too
+      if (user.mfa_enabled) {
+        return sendMfaChallenge(res, user, rememberMe);
+      }
+
+      await clearLoginFailures(user);
+
       // Update last login
       await User.updateLastLogin(user.id);
 
-      // Generate JWT token
-      const tokenExpiration = remember_me ? '30d' : config.auth.jwt.expiresIn;
-      const token = generateToken(User.getPublicData(user), tokenExpiration);
-
-      // Set token as HTTP-only cookie
-      const cookieMaxAge = remember_me ? 30 * 24 * 60 * 60 * 1000 : config.auth.session.maxAge; // 30 days or default
-      setTokenCookie(res, token, cookieMaxAge);
+      // Remember me keeps the refresh session longer; access tokens stay short-lived
+      const tokens = await startSession(req, res, user, rememberMe);
 
       res.json({
         success: true,
         data: {
           user: User.getPublicData(user),
-          token,
-          expires_in: tokenExpiration
+          ...tokens
         },
         message: 'Login successful'
       });
@@ -281,16 +421,112 @@ router.post('/login',
   }
 );
 
+/**
+ * POST /api/auth/login/mfa
+ * Second login step: exchange the challenge token and an authenticator or recovery code for a session
+ */
+router.post('/login/mfa',
+  authLimiter,
+  [
+    body('mfa_token')
+      .notEmpty()
+      .withMessage('Challenge token is required'),
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const challenge = verifyMfaChallengeToken(req.body.mfa_token);
+      const user = challenge ? await User.findById(challenge.userId) : null;
+
+      // A password change since the first step also voids the challenge
+      if (!user || !user.mfa_enabled || (challenge.tv || 0) !== (user.token_version || 0)) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Login challenge is invalid or has expired. Please log in again.',
+            type: 'AUTHENTICATION_ERROR',
+            code: 'INVALID_MFA_TOKEN'
+          }
+        });
+      }
+
+      if (!user.is_active) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Account is deactivated',
+            type: 'AUTHENTICATION_ERROR',
+            code: 'ACCOUNT_DEACTIVATED'
+          }
+        });
+      }
+
+      // Codes count towards the same lockout as passwords, or knowing the password would allow guessing them forever
+      if (User.isLocked(user)) {
+        logSecurity('login_blocked', req, { user_id: user.id, locked_until: user.locked_until });
+        return sendAccountLocked(res, user.locked_until, user.failed_login_attempts >= config.auth.lockout.maxAttempts);
+      }
+
+      const method = await User.verifyMfaCode(user, req.body.code);
+      if (!method) {
+        const lock = await recordLoginFailure(req, user, 'invalid_mfa_code');
+        if (lock.locked_until) {
+          return sendAccountLocked(res, lock.locked_until, lock.locked);
+        }
+
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Invalid authentication code',
+            type: 'AUTHENTICATION_ERROR',
+            code: 'INVALID_MFA_CODE'
+          }
+        });
+      }
+
+      await clearLoginFailures(user);
+      await User.updateLastLogin(user.id);
+      const tokens = await startSession(req, res, user, challenge.remember_me);
+
+      const data = {
+        user: User.getPublicData(user),
+        ...tokens
+      };
+      if (method === 'recovery') {
+        data.recovery_codes_remaining = await MfaRecoveryCode.countRemaining(user.id);
+      }
+
+      res.json({
+        success: true,
+        data,
+        message: 'Login successful'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/auth/logout
- * Logout current user
+ * Logout current user and revoke the current session
  */
 router.post('/logout',
   authenticate,
   async (req, res, next) => {
     try {
-      // Clear token cookie
+      if (req.sessionId) {
+        await UserSession.revoke(req.sessionId, 'logout');
+      }
+
+      // Clear token cookies
       clearTokenCookie(res);
+      clearRefreshTokenCookie(res);
 
       res.json({
         success: true,
@@ -322,23 +558,88 @@ router.get('/me',
 
 /**
  * POST /api/auth/refresh
- * Refresh JWT token
+ * Exchange a refresh token (body or cookie) for a new access token and refresh token
  */
 router.post('/refresh',
-  authenticate,
+  [
+    body('refresh_token')
+      .optional()
+      .isString()
+      .withMessage('Refresh token must be a string')
+  ],
+  handleValidationErrors,
   async (req, res, next) => {
     try {
-      // Generate new token
-      const token = generateToken(req.user);
+      const refreshToken = req.body.refresh_token || (req.cookies && req.cookies.refresh_token);
+
+      if (!refreshToken) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Access denied. No refresh token provided.',
+            type: 'AUTHENTICATION_ERROR',
+            code: 'NO_REFRESH_TOKEN'
+          }
+        });
+      }
+
+      const result = await UserSession.rotate(refreshToken, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+      });
+
+      if (result.status !== 'rotated') {
+        clearTokenCookie(res);
+        clearRefreshTokenCookie(res);
+
+        if (result.status === 'reused') {
+          console.warn(`Refresh token reuse detected for session ${result.session.id} (user ${result.session.user_id}); session revoked`);
+        }
+
+        return res.status(401).json({
+          success: false,
+          error: result.status === 'reused'
+            ? {
+              message: 'Refresh token has already been used. The session has been revoked; please log in again.',
+              type: 'AUTHENTICATION_ERROR',
+              code: 'REFRESH_TOKEN_REUSED'
+            }
+            : {
+              message: 'Invalid or expired refresh token',
+              type: 'AUTHENTICATION_ERROR',
+              code: 'INVALID_REFRESH_TOKEN'
+            }
+        });
+      }
+
+      const { session } = result;
+      const user = await User.findById(session.user_id);
+
+      if (!user || !user.is_active) {
+        await UserSession.revoke(session.id, 'account_deactivated');
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Account is deactivated',
+            type: 'AUTHENTICATION_ERROR',
+            code: 'ACCOUNT_DEACTIVATED'
+          }
+        });
+      }
+
+      const token = generateToken(user, config.auth.jwt.expiresIn, session.id);
 
-      // Set new token as HTTP-only cookie
       setTokenCookie(res, token);
+      setRefreshTokenCookie(res, result.refreshToken, session.expires_at);
 
       res.json({
         success: true,
         data: {
           token,
-          user: req.user
+          refresh_token: result.refreshToken,
+          expires_in: config.auth.jwt.expiresIn,
+          refresh_expires_at: session.expires_at,
+          user: User.getPublicData(user)
         },
         message: 'Token refreshed successfully'
       });
@@ -348,6 +649,97 @@ router.post('/refresh',
   }
 );
 
+/**
+ * GET /api/auth/sessions
+ * List the current user's active sessions (devices)
+ */
+router.get('/sessions',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const sessions = await UserSession.findActiveByUser(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => UserSession.getPublicData(session, req.sessionId))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:id',
+  authenticate,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Session ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const sessionId = parseInt(req.params.id);
+      const session = await UserSession.findById(sessionId);
+
+      // Other users' sessions are reported as missing
+      if (!session || session.user_id !== req.user.id || session.revoked_at) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Session not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      await UserSession.revoke(sessionId, 'user_revoked');
+
+      if (sessionId === req.sessionId) {
+        clearTokenCookie(res);
+        clearRefreshTokenCookie(res);
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/sessions
+ * Revoke all of the current user's sessions except the current one
+ */
+router.delete('/sessions',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const revokedCount = await UserSession.revokeAllForUser(req.user.id, {
+        exceptId: req.sessionId,
+        reason: 'user_revoked'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          revoked_count: revokedCount
+        },
+        message: `Signed out of ${revokedCount} other session${revokedCount === 1 ? '' : 's'}`
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/auth/forgot-password
  * Request password reset
@@ -378,14 +770,16 @@ router.post('/forgot-password',
       // Generate password reset token
       const resetToken = await User.generatePasswordResetToken(user.id);
 
-      // In a real application, you would send this token via email
-      // For now, we'll just return it in the response (development only)
+      // Delivery failures are logged but not reported, so the response never reveals the account exists
+      await mailer.sendPasswordReset(user, resetToken)
+        .catch(error => console.error('Error sending password reset email:', error));
+
       const responseData = {
         success: true,
         message: 'If the email exists in our system, you will receive a password reset link'
       };
 
-      // Only include token in development mode or test mode
+      // Also return the token in development and test mode so the flow works without a mail server
       if (config.isDevelopment || process.env.NODE_ENV === 'test') {
         responseData.reset_token = resetToken; // Remove this in production
       }
@@ -420,9 +814,9 @@ router.post('/reset-password',
       const { token, password } = req.body;
 
       // Reset password using token
-      const success = await User.resetPassword(token, password);
+      const user = await User.resetPassword(token, password);
 
-      if (!success) {
+      if (!user) {
         return res.status(400).json({
           success: false,
           error: {
@@ -433,6 +827,12 @@ router.post('/reset-password',
         });
       }
 
+      // Whoever held the old password loses every session
+      await UserSession.revokeAllForUser(user.id, { reason: 'password_reset' });
+
+      mailer.sendPasswordChanged(user)
+        .catch(error => console.error('Error sending password changed email:', error));
+
       res.json({
         success: true,
         message: 'Password reset successfully'
@@ -444,6 +844,46 @@ router.post('/reset-password',
   }
 );
 
+/**
+ * POST /api/auth/unlock-account
+ * Lift a login lockout with the token from the account locked email
+ */
+router.post('/unlock-account',
+  authLimiter,
+  [
+    body('token')
+      .notEmpty()
+      .withMessage('Unlock token is required')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await User.unlockWithToken(req.body.token);
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Invalid or expired unlock link',
+            type: 'VALIDATION_ERROR',
+            code: 'INVALID_TOKEN'
+          }
+        });
+      }
+
+      logSecurity('account_unlocked', req, { user_id: user.id, method: 'email' });
+
+      res.json({
+        success: true,
+        message: 'Account unlocked. You can log in again.'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/auth/verify-email
  * Verify email address with token
@@ -485,22 +925,60 @@ router.post('/verify-email',
 );
 
 /**
- * POST /api/auth/change-password
- * Change password for authenticated user
+ * POST /api/auth/resend-verification
+ * Send a new email verification link to the authenticated user
  */
-router.post('/change-password',
+router.post('/resend-verification',
+  authLimiter,
   authenticate,
-  [
-    body('current_password')
-      .notEmpty()
-      .withMessage('Current password is required'),
-    body('new_password')
-      .isLength({ min: 8, max: 128 })
-      .withMessage('New password must be between 8 and 128 characters')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
-  ],
-  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id);
+
+      if (user.email_verified) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Email is already verified',
+            type: 'VALIDATION_ERROR',
+            code: 'ALREADY_VERIFIED'
+          }
+        });
+      }
+
+      const verificationToken = await User.generateEmailVerificationToken(user.id);
+      await mailer.sendVerification(user, verificationToken);
+
+      res.json({
+        success: true,
+        message: `Verification email sent to ${user.email}`
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/change-password
+ * Change password for authenticated user
+ * Accounts created through OAuth login have no password yet and set one without current_password.
+ */
+router.post('/change-password',
+  authenticate,
+  [
+    body('current_password')
+      .optional()
+      .isString()
+      .withMessage('Current password must be a string'),
+    body('new_password')
+      .isLength({ min: 8, max: 128 })
+      .withMessage('New password must be between 8 and 128 characters')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
+  ],
+  handleValidationErrors,
   async (req, res, next) => {
     try {
       const { current_password, new_password } = req.body;
@@ -517,8 +995,9 @@ router.post('/change-password',
         });
       }
 
-      // Verify current password
-      const isValidPassword = await User.comparePassword(current_password, fullUser.password_hash);
+      // Verify current password, if the account has one
+      const isValidPassword = !fullUser.password_hash
+        || (current_password && await User.comparePassword(current_password, fullUser.password_hash));
       if (!isValidPassword) {
         return res.status(400).json({
           success: false,
@@ -530,11 +1009,27 @@ router.post('/change-password',
         });
       }
 
-      // Update password
-      await User.updatePassword(req.user.id, new_password);
+      // Update password, keeping only the session that made the change
+      const user = await User.updatePassword(req.user.id, new_password);
+      const revokedCount = await UserSession.revokeAllForUser(user.id, {
+        exceptId: req.sessionId,
+        reason: 'password_changed'
+      });
+
+      // The old access token carries the previous version, so issue a replacement
+      const token = generateToken(user, config.auth.jwt.expiresIn, req.sessionId);
+      setTokenCookie(res, token);
+
+      mailer.sendPasswordChanged(user)
+        .catch(error => console.error('Error sending password changed email:', error));
 
       res.json({
         success: true,
+        data: {
+          token,
+          expires_in: config.auth.jwt.expiresIn,
+          revoked_sessions: revokedCount
+        },
         message: 'Password changed successfully'
       });
 
@@ -544,4 +1039,684 @@ router.post('/change-password',
   }
 );
 
+/**
+ * Reject a 2FA management request whose code does not match
+ * @param {Object} res - Express response
+ * @returns {Object} Response
+ */
+const invalidMfaCode = (res) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'Invalid authentication code',
+    type: 'VALIDATION_ERROR',
+    code: 'INVALID_MFA_CODE'
+  }
+});
+
+/**
+ * GET /api/auth/mfa
+ * Two-factor authentication status for the current user
+ */
+router.get('/mfa',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          enabled: Boolean(user.mfa_enabled),
+          enabled_at: user.mfa_enabled_at,
+          recovery_codes_remaining: user.mfa_enabled ? await MfaRecoveryCode.countRemaining(user.id) : 0,
+          required: Boolean(config.auth.mfa.requiredForStaff) && User.hasRole(user, 'moderator')
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/setup
+ * Start enrollment: create a secret and return it as an otpauth URI and QR code
+ */
+router.post('/mfa/setup',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id);
+
+      if (user.mfa_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Two-factor authentication is already enabled',
+            type: 'VALIDATION_ERROR',
+            code: 'MFA_ALREADY_ENABLED'
+          }
+        });
+      }
+
+      const secret = await User.startMfaEnrollment(user.id);
+      const otpauthUrl = totp.buildOtpauthUrl({
+        secret,
+        accountName: user.email,
+        issuer: config.auth.mfa.issuer
+      });
+
+      res.json({
+        success: true,
+        data: {
+          secret,
+          otpauth_url: otpauthUrl,
+          qr_code: await totp.toQrCodeDataUrl(otpauthUrl)
+        },
+        message: 'Scan the QR code with your authenticator app, then confirm with a code'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/enable
+ * Finish enrollment by confirming a code from the authenticator app
+ */
+router.post('/mfa/enable',
+  authenticate,
+  [
+    body('code')
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id);
+
+      if (user.mfa_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Two-factor authentication is already enabled',
+            type: 'VALIDATION_ERROR',
+            code: 'MFA_ALREADY_ENABLED'
+          }
+        });
+      }
+
+      if (!user.mfa_secret) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Start two-factor setup first',
+            type: 'VALIDATION_ERROR',
+            code: 'MFA_NOT_SET_UP'
+          }
+        });
+      }
+
+      if (!(await User.verifyTotp(user, req.body.code))) {
+        return invalidMfaCode(res);
+      }
+
+      const recoveryCodes = await User.enableMfa(user.id);
+
+      res.json({
+        success: true,
+        data: {
+          recovery_codes: recoveryCodes
+        },
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn off 2FA; needs the password and a current code (or recovery code)
+ */
+router.post('/mfa/disable',
+  authenticate,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id);
+
+      if (!user.mfa_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Two-factor authentication is not enabled',
+            type: 'VALIDATION_ERROR',
+            code: 'MFA_NOT_ENABLED'
+          }
+        });
+      }
+
+      if (config.auth.mfa.requiredForStaff && User.hasRole(user, 'moderator')) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Moderators and admins must keep two-factor authentication enabled',
+            type: 'AUTHORIZATION_ERROR',
+            code: 'MFA_REQUIRED'
+          }
+        });
+      }
+
+      const isValidPassword = await User.comparePassword(req.body.password, user.password_hash);
+      if (!isValidPassword) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Password is incorrect',
+            type: 'AUTHENTICATION_ERROR',
+            code: 'INVALID_PASSWORD'
+          }
+        });
+      }
+
+      if (!(await User.verifyMfaCode(user, req.body.code))) {
+        return invalidMfaCode(res);
+      }
+
+      await User.disableMfa(user.id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Replace the recovery codes (the old ones stop working)
+ */
+router.post('/mfa/recovery-codes',
+  authenticate,
+  [
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id);
+
+      if (!user.mfa_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Two-factor authentication is not enabled',
+            type: 'VALIDATION_ERROR',
+            code: 'MFA_NOT_ENABLED'
+          }
+        });
+      }
+
+      if (!(await User.verifyMfaCode(user, req.body.code))) {
+        return invalidMfaCode(res);
+      }
+
+      const recoveryCodes = await MfaRecoveryCode.regenerate(user.id);
+
+      res.json({
+        success: true,
+        data: {
+          recovery_codes: recoveryCodes
+        },
+        message: 'New recovery codes generated'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Resolve the :provider route parameter to a configured OAuth provider
+ * Unknown providers and providers without credentials both answer 404.
+ */
+const loadOAuthProvider = (req, res, next) => {
+  const provider = oauth.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Login with this provider is not available',
+        type: 'NOT_FOUND',
+        code: 'OAUTH_PROVIDER_UNAVAILABLE'
+      }
+    });
+  }
+  req.oauthProvider = provider;
+  next();
+};
+
+/**
+ * Check the state echoed back by the provider against the flow it was issued for
+ * @param {Object} req - Express request (body.state)
+ * @param {string} intent - 'login' or 'link'
+ * @returns {Object|null} Decoded state, or null if it does not belong to this request
+ */
+const checkOAuthState = (req, intent) => {
+  const state = verifyOAuthStateToken(req.body.state);
+  if (!state || state.provider !== req.oauthProvider.name || state.intent !== intent) {
+    return null;
+  }
+  if (intent === 'link' && state.userId !== req.user.id) {
+    return null;
+  }
+  return state;
+};
+
+/**
+ * Reject a callback whose state is missing, expired or for another flow
+ * @param {Object} res - Express response
+ * @returns {Object} Response
+ */
+const invalidOAuthState = (res) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'Sign-in request is invalid or has expired. Please try again.',
+    type: 'VALIDATION_ERROR',
+    code: 'INVALID_OAUTH_STATE'
+  }
+});
+
+/**
+ * Trade the authorization code for the provider profile, answering 401 if the provider refuses
+ * @param {Object} req - Express request (body.code)
+ * @param {Object} res - Express response
+ * @returns {Object|null} Normalized profile, or null once the error response is sent
+ */
+const fetchOAuthProfile = async (req, res) => {
+  const provider = req.oauthProvider;
+  try {
+    return await oauth.getProfileFromCode(provider, req.body.code);
+  } catch (error) {
+    console.error(`Error completing ${provider.name} OAuth login:`, error.message);
+    res.status(401).json({
+      success: false,
+      error: {
+        message: 'Could not verify your account with the provider. Please try again.',
+        type: 'AUTHENTICATION_ERROR',
+        code: 'OAUTH_FAILED'
+      }
+    });
+    return null;
+  }
+};
+
+/**
+ * Create a local account for a first-time OAuth login
+ * @param {Object} profile - Normalized provider profile
+ * @returns {Object} Created user
+ */
+const createOAuthUser = async (profile) => {
+  const username = await User.generateUniqueUsername(profile.email.split('@')[0]);
+
+  const user = await User.create({
+    username,
+    email: profile.email,
+    first_name: (profile.firstName || username).slice(0, 100),
+    last_name: (profile.lastName || '').slice(0, 100),
+    avatar_url: profile.avatarUrl,
+    email_verified: profile.emailVerified
+  });
+
+  let verificationToken = null;
+  if (!profile.emailVerified && config.features.enableEmailVerification) {
+    verificationToken = await User.generateEmailVerificationToken(user.id);
+  }
+
+  mailer.sendWelcome(user, verificationToken)
+    .catch(error => console.error('Error sending welcome email:', error));
+
+  return user;
+};
+
+const oauthCallbackValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required')
+];
+
+/**
+ * GET /api/auth/oauth/providers
+ * OAuth providers that are configured on this server
+ */
+router.get('/oauth/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: oauth.getConfiguredProviders()
+    }
+  });
+});
+
+/**
+ * GET /api/auth/oauth/identities
+ * Provider accounts linked to the current user
+ */
+router.get('/oauth/identities',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const [identities, fullUser] = await Promise.all([
+        UserIdentity.findByUser(req.user.id),
+        User.findById(req.user.id)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          identities,
+          providers: oauth.getConfiguredProviders(),
+          // Without a password the last linked provider cannot be removed
+          has_password: Boolean(fullUser.password_hash)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/oauth/:provider
+ * Start an authorization-code flow; returns the provider URL to send the browser to.
+ * intent=link (signed in only) connects the provider to the current account instead of logging in.
+ */
+router.get('/oauth/:provider',
+  optionalAuthenticate,
+  [
+    query('intent')
+      .optional()
+      .isIn(['login', 'link'])
+      .withMessage('Intent must be login or link'),
+    query('remember_me')
+      .optional()
+      .isBoolean()
+      .withMessage('Remember me must be a boolean')
+  ],
+  handleValidationErrors,
+  loadOAuthProvider,
+  (req, res) => {
+    const intent = req.query.intent || 'login';
+
+    if (intent === 'link' && !req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Log in to link an account',
+          type: 'AUTHENTICATION_ERROR',
+          code: 'NO_TOKEN'
+        }
+      });
+    }
+
+    const state = generateOAuthStateToken({
+      provider: req.oauthProvider.name,
+      intent,
+      userId: intent === 'link' ? req.user.id : null,
+      rememberMe: req.query.remember_me === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        url: oauth.buildAuthorizationUrl(req.oauthProvider, state),
+        state,
+        redirect_uri: req.oauthProvider.redirectUri
+      }
+    });
+  }
+);
+
+/**
+ * POST /api/auth/oauth/:provider
+ * Finish an OAuth login with the code and state from the provider redirect.
+ * Logs in the linked account, links an existing account with the same email when both
+ * the provider and this site have verified it, or creates a new account.
+ */
+router.post('/oauth/:provider',
+  authLimiter,
+  oauthCallbackValidation,
+  handleValidationErrors,
+  loadOAuthProvider,
+  async (req, res, next) => {
+    try {
+      const provider = req.oauthProvider;
+      const state = checkOAuthState(req, 'login');
+      if (!state) {
+        return invalidOAuthState(res);
+      }
+
+      const profile = await fetchOAuthProfile(req, res);
+      if (!profile) return;
+
+      let identity = await UserIdentity.findByProviderId(provider.name, profile.id);
+      let user = identity ? await User.findById(identity.user_id) : null;
+      let created = false;
+
+      if (!user) {
+        user = profile.email ? await User.findByEmail(profile.email) : null;
+
+        // Linking by email is only safe when the provider vouches for the address and the
+        // local owner has proven it too; otherwise whoever registered the address first
+        // (and knows its password) would share the account with the provider's user
+        if (user && (!profile.emailVerified || !user.email_verified)) {
+          return res.status(409).json({
+            success: false,
+            error: {
+              message: 'An account with this email already exists. Log in with your password and link the provider from your profile.',
+              type: 'DUPLICATE_ERROR',
+              code: 'OAUTH_EMAIL_NOT_VERIFIED',
+              field: 'email'
+            }
+          });
+        }
+
+        if (!user) {
+          if (!profile.email) {
+            return res.status(400).json({
+              success: false,
+              error: {
+                message: 'The provider did not share an email address, which is needed to create an account',
+                type: 'VALIDATION_ERROR',
+                code: 'OAUTH_EMAIL_REQUIRED'
+              }
+            });
+          }
+          user = await createOAuthUser(profile);
+          created = true;
+        }
+      }
+
+      if (!user.is_active) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Account is deactivated',
+            type: 'AUTHENTICATION_ERROR',
+            code: 'ACCOUNT_DEACTIVATED'
+          }
+        });
+      }
+
+      if (identity) {
+        await UserIdentity.touch(identity.id, profile.email);
+      } else {
+        identity = await UserIdentity.link(user.id, provider.name, profile);
+      }
+
+      // The provider stands in for the password; 2FA still applies
+      if (user.mfa_enabled) {
+        return sendMfaChallenge(res, user, state.remember_me);
+      }
+
+      await User.updateLastLogin(user.id);
+      const tokens = await startSession(req, res, user, state.remember_me);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        data: {
+          user: User.getPublicData(user),
+          ...tokens,
+          created
+        },
+        message: created ? 'Account created' : 'Login successful'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/oauth/:provider/link
+ * Link a provider account to the current user with the code and state from the provider redirect
+ */
+router.post('/oauth/:provider/link',
+  authenticate,
+  oauthCallbackValidation,
+  handleValidationErrors,
+  loadOAuthProvider,
+  async (req, res, next) => {
+    try {
+      const provider = req.oauthProvider;
+      if (!checkOAuthState(req, 'link')) {
+        return invalidOAuthState(res);
+      }
+
+      const profile = await fetchOAuthProfile(req, res);
+      if (!profile) return;
+
+      const existing = await UserIdentity.findByProviderId(provider.name, profile.id);
+      if (existing && existing.user_id !== req.user.id) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: 'This account is already linked to another user',
+            type: 'DUPLICATE_ERROR',
+            code: 'OAUTH_ACCOUNT_IN_USE'
+          }
+        });
+      }
+
+      if (!existing) {
+        const linked = await UserIdentity.findByUser(req.user.id);
+        if (linked.some(identity => identity.provider === provider.name)) {
+          return res.status(409).json({
+            success: false,
+            error: {
+              message: 'A different account from this provider is already linked. Unlink it first.',
+              type: 'DUPLICATE_ERROR',
+              code: 'OAUTH_PROVIDER_ALREADY_LINKED'
+            }
+          });
+        }
+        await UserIdentity.link(req.user.id, provider.name, profile);
+      }
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        data: {
+          identities: await UserIdentity.findByUser(req.user.id)
+        },
+        message: 'Account linked'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/oauth/:provider
+ * Unlink the current user's account at a provider
+ */
+router.delete('/oauth/:provider',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const [identities, fullUser] = await Promise.all([
+        UserIdentity.findByUser(req.user.id),
+        User.findById(req.user.id)
+      ]);
+
+      if (!identities.some(identity => identity.provider === req.params.provider)) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'No linked account for this provider',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      if (!fullUser.password_hash && identities.length === 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Set a password before unlinking your only way to log in',
+            type: 'VALIDATION_ERROR',
+            code: 'LAST_LOGIN_METHOD'
+          }
+        });
+      }
+
+      await UserIdentity.unlink(req.user.id, req.params.provider);
+
+      res.json({
+        success: true,
+        data: {
+          identities: await UserIdentity.findByUser(req.user.id)
+        },
+        message: 'Account unlinked'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
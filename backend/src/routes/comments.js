@@ -6,7 +6,7 @@
 
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
 
 // Import PostgreSQL models
 const User = require('../models/User');
@@ -15,7 +15,12 @@ const Comment = require('../models/Comment');
 const Media = require('../models/Media');
 const Reaction = require('../models/Reaction');
 const CommentInteraction = require('../models/CommentInteraction');
+const PostInteraction = require('../models/PostInteraction');
 const CommentMetrics = require('../models/CommentMetrics');
+const Notification = require('../models/Notification');
+const Mention = require('../models/Mention');
+const { CommentRevision } = require('../models/Revision');
+const realtime = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -42,6 +47,7 @@ const handleValidationErrors = (req, res, next) => {
  * Get all comments for a specific post in hierarchical structure
  */
 router.get('/post/:postId',
+  optionalAuthenticate,
   [
     param('postId').isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
     query('sort').optional().isIn(['newest', 'oldest']).withMessage('Sort must be newest or oldest'),
@@ -69,6 +75,17 @@ router.get('/post/:postId',
         });
       }
 
+      // Check if user can view the post these comments belong to
+      if (!(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
       // Get total count of top-level comments for this post
       const totalCountResult = await Comment.raw(
         `SELECT COUNT(*) as total_count
@@ -242,6 +259,7 @@ router.get('/post/:postId',
  * Loads complete comment trees with all nested replies per batch
  */
 router.get('/post/:postId/hierarchical',
+  optionalAuthenticate,
   [
     param('postId').isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
     query('sort').optional().isIn(['newest', 'oldest', 'hot', 'trending', 'best']).withMessage('Sort must be newest, oldest, hot, trending, or best'),
@@ -278,6 +296,17 @@ router.get('/post/:postId/hierarchical',
         });
       }
 
+      // Check if user can view the post these comments belong to
+      if (!(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
       // Get total count of top-level comments
       const totalCountResult = await Comment.raw(
         `SELECT COUNT(*) as total_count
@@ -567,6 +596,7 @@ router.post('/track-interaction',
  * Get a single comment by ID with replies
  */
 router.get('/:id',
+  optionalAuthenticate,
   [
     param('id').isInt({ min: 1 }).withMessage('Comment ID must be a positive integer')
   ],
@@ -598,6 +628,19 @@ router.get('/:id',
       }
 
       const comment = commentResult.rows[0];
+
+      // Check if user can view the post this comment belongs to
+      const post = await Post.findById(comment.post_id);
+      if (!post || !(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
       const commentData = Comment.getCommentData(comment);
 
       // Get reaction counts separately
@@ -627,6 +670,65 @@ router.get('/:id',
   }
 );
 
+/**
+ * GET /api/comments/:id/revisions
+ * Get the edit history of a comment
+ * Visible to anyone who can view the post, and to moderators for any comment
+ */
+router.get('/:id/revisions',
+  optionalAuthenticate,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Comment ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const commentId = parseInt(req.params.id);
+
+      const comment = await Comment.findById(commentId);
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Comment not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      if (!User.hasPermission(req.user, 'revisions.view_any')) {
+        const post = await Post.findById(comment.post_id);
+        if (!post || !(await Post.canUserView(post, req.user))) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              message: 'Access denied',
+              type: 'AUTHORIZATION_ERROR'
+            }
+          });
+        }
+      }
+
+      const revisions = await CommentRevision.findByParent(commentId);
+
+      res.json({
+        success: true,
+        data: {
+          current: {
+            content: comment.content,
+            created_at: comment.created_at,
+            edited_at: comment.edited_at
+          },
+          revisions
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/comments
  * Create a new comment or reply
@@ -656,6 +758,28 @@ router.post('/',
         });
       }
 
+      // Users can only comment on posts they are allowed to see
+      if (!(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      // Archived posts are closed to new comments
+      if (post.is_archived) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'This post is archived and no longer accepts comments',
+            type: 'POST_ARCHIVED'
+          }
+        });
+      }
+
       // If parent_id is provided, verify parent comment exists and belongs to same post
       if (parent_id) {
         const parentComment = await Comment.findById(parent_id);
@@ -710,6 +834,23 @@ router.post('/',
 
       const newComment = Comment.getCommentData(commentResult.rows[0]);
 
+      // Comments feed the post ranking; tracking failures never fail the request
+      await PostInteraction.trackComment(post_id, { user_id })
+        .catch(error => console.error('Error tracking post comment:', error));
+
+      // Notify the post author, the parent comment author and anyone mentioned
+      const mentionedUsers = await Mention.sync({ content: comment.content, author_id: user_id, post_id, comment_id: comment.id })
+        .catch(error => {
+          console.error('Error recording mentions:', error);
+          return [];
+        });
+      await Notification.notifyComment(comment, post, mentionedUsers)
+        .catch(error => console.error('Error creating comment notifications:', error));
+
+      // Push the comment to clients watching the post
+      await realtime.publish(`post:${post_id}`, 'comment.created', { post_id, comment: newComment }, { post })
+        .catch(error => console.error('Error publishing comment event:', error));
+
       res.status(201).json({
         success: true,
         data: newComment,
@@ -754,9 +895,10 @@ router.post('/',
 
 /**
  * PUT /api/comments/:id
- * Update a comment
+ * Update a comment; only its author (or a user who may edit any post) can
  */
 router.put('/:id',
+  authenticate, // Require authentication
   [
     param('id').isInt({ min: 1 }).withMessage('Comment ID must be a positive integer'),
     body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Content must be between 1 and 2000 characters')
@@ -779,8 +921,20 @@ router.put('/:id',
         });
       }
 
-      // Update comment content
-      const updatedComment = await Comment.update(commentId, { content });
+      // Check if user can edit this comment
+      if (comment.user_id !== req.user.id && !User.hasPermission(req.user, 'posts.edit_any')) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied. You can only edit your own comments.',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      // Keep the version being replaced; saving the same content again is not an edit
+      const revision = await CommentRevision.record(commentId, content, req.user.id);
+      const updatedComment = await Comment.update(commentId, revision ? { content, edited_at: new Date() } : { content });
 
       // Fetch updated comment with author info
       const commentResult = await Comment.raw(
@@ -791,9 +945,28 @@ router.put('/:id',
         [commentId]
       );
 
+      const commentData = Comment.getCommentData(commentResult.rows[0]);
+
+      const post = await Post.findById(comment.post_id);
+
+      // Only users mentioned for the first time are notified of an edit
+      const mentionedUsers = await Mention.sync({
+        content: updatedComment.content,
+        author_id: comment.user_id,
+        post_id: comment.post_id,
+        comment_id: commentId
+      }).catch(error => {
+        console.error('Error recording mentions:', error);
+        return [];
+      });
+      await Notification.notifyMentions(mentionedUsers, { actor_id: comment.user_id, post, comment_id: commentId })
+        .catch(error => console.error('Error creating mention notifications:', error));
+      await realtime.publish(`post:${comment.post_id}`, 'comment.updated', { post_id: comment.post_id, comment: commentData }, { post })
+        .catch(error => console.error('Error publishing comment event:', error));
+
       res.json({
         success: true,
-        data: Comment.getCommentData(commentResult.rows[0]),
+        data: commentData,
         message: 'Comment updated successfully'
       });
 
@@ -808,6 +981,7 @@ router.put('/:id',
  * Delete a comment and all its replies
  */
 router.delete('/:id',
+  authenticate, // Require authentication
   [
     param('id').isInt({ min: 1 }).withMessage('Comment ID must be a positive integer')
   ],
@@ -828,6 +1002,17 @@ router.delete('/:id',
         });
       }
 
+      // Check if user can delete this comment
+      if (comment.user_id !== req.user.id && !User.hasPermission(req.user, 'posts.delete_any')) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied. You can only delete your own comments.',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
       // Count replies that will be deleted
       const replyCountResult = await Comment.raw(
         'SELECT COUNT(*) as count FROM comments WHERE parent_id = $1',
@@ -835,9 +1020,17 @@ router.delete('/:id',
       );
       const replyCount = parseInt(replyCountResult.rows[0].count);
 
-      // Delete the comment (cascading deletes will handle replies and reactions)
+      for (const media of await Media.getAllForComment(commentId)) {
+        await Media.removeFiles(media);
+      }
+
+      // Delete the comment (cascading deletes will handle replies, reactions and media)
       await Comment.delete(commentId);
 
+      const post = await Post.findById(comment.post_id);
+      await realtime.publish(`post:${comment.post_id}`, 'comment.deleted', { post_id: comment.post_id, comment_id: commentId }, { post })
+        .catch(error => console.error('Error publishing comment event:', error));
+
       res.json({
         success: true,
         message: `Comment deleted successfully${replyCount > 0 ? ` along with ${replyCount} replies` : ''}`
@@ -854,6 +1047,7 @@ router.delete('/:id',
  * Get all replies for a specific comment
  */
 router.get('/:id/replies',
+  optionalAuthenticate,
   [
     param('id').isInt({ min: 1 }).withMessage('Comment ID must be a positive integer'),
     query('sort').optional().isIn(['newest', 'oldest']).withMessage('Sort must be newest or oldest'),
@@ -878,6 +1072,18 @@ router.get('/:id/replies',
         });
       }
 
+      // Check if user can view the post this thread belongs to
+      const post = await Post.findById(parentComment.post_id);
+      if (!post || !(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
       // Get replies with proper sorting and media
       const orderDirection = sort === 'newest' ? 'DESC' : 'ASC';
       const repliesResult = await Comment.raw(
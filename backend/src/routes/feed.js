@@ -0,0 +1,200 @@
+/**
+ * Feed routes for the social media platform API
+ * Personalized home timeline built from the viewer's friends and their own posts
+ * Pure PostgreSQL implementation - NO SEQUELIZE
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+
+// Import PostgreSQL models
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const Media = require('../models/Media');
+const Poll = require('../models/Poll');
+
+const router = express.Router();
+
+/**
+ * Validation middleware to check for validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * Encode the position of a post in the timeline as an opaque cursor
+ * @param {Object} post - Row with cursor_ts and id
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (post) => {
+  return Buffer.from(`${post.cursor_ts}|${post.id}`).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Base64url cursor
+ * @returns {Object|null} { timestamp, id } or null if malformed
+ */
+const decodeCursor = (cursor) => {
+  const decoded = Buffer.from(cursor, 'base64url').toString('utf8');
+  const [timestamp, id] = decoded.split('|');
+  if (!timestamp || !/^\d+$/.test(id || '') || isNaN(Date.parse(timestamp))) {
+    return null;
+  }
+  return { timestamp, id: parseInt(id) };
+};
+
+/**
+ * GET /api/feed
+ * Get the authenticated user's timeline: their own posts plus posts from friends, newest first
+ */
+router.get('/',
+  authenticate,
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('cursor').optional().custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const limit = parseInt(req.query.limit) || 20;
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+      // $1 is the viewer; friend posts still go through the normal privacy check
+      const params = [req.user.id];
+      let paramIndex = 2;
+
+      let sql = `SELECT p.*,
+                        to_char(p.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') as cursor_ts,
+                        u.username, u.first_name, u.last_name, u.avatar_url,
+                        COALESCE(reaction_counts.reactions, '[]'::json) as reactions,
+                        COALESCE(media_items.media, '[]'::json) as media,
+                        (
+                          SELECT COUNT(*)
+                          FROM comments c
+                          WHERE c.post_id = p.id AND c.is_published = true
+                        ) as comment_count
+                 FROM posts p
+                 LEFT JOIN users u ON p.user_id = u.id
+                 LEFT JOIN (
+                   SELECT post_id,
+                          json_agg(
+                            json_build_object(
+                              'emoji_name', emoji_name,
+                              'emoji_unicode', emoji_unicode,
+                              'count', count
+                            )
+                          ) as reactions
+                   FROM (
+                     SELECT post_id, emoji_name, emoji_unicode, COUNT(*) as count
+                     FROM reactions
+                     WHERE post_id IS NOT NULL
+                     GROUP BY post_id, emoji_name, emoji_unicode
+                   ) grouped_reactions
+                   GROUP BY post_id
+                 ) reaction_counts ON p.id = reaction_counts.post_id
+                 LEFT JOIN (
+                   SELECT post_id,
+                          json_agg(
+                            json_build_object(
+                              'id', id,
+                              'filename', filename,
+                              'original_name', original_name,
+                              'file_path', file_path,
+                              'file_url', file_url,
+                              'file_size', file_size,
+                              'mime_type', mime_type,
+                              'media_type', media_type,
+                              'width', width,
+                              'height', height,
+                              'alt_text', alt_text,
+                              'thumbnail_path', thumbnail_path,
+                              'thumbnail_url', thumbnail_url,
+                              'dominant_color', dominant_color,
+                              'duration', duration,
+                              'processing_status', processing_status,
+                              'variants', ${Media.variantsJson('media.id')},
+                              'created_at', created_at
+                            ) ORDER BY created_at ASC
+                          ) as media
+                   FROM media
+                   WHERE post_id IS NOT NULL
+                   GROUP BY post_id
+                 ) media_items ON p.id = media_items.post_id
+                 WHERE p.is_published = true
+                   AND p.is_archived = false
+                   AND (p.user_id = $1 OR ${Follow.friendshipCondition('p.user_id', '$1')})
+                   AND ${Post.buildVisibilityCondition('p', '$1')}`;
+
+      // Keyset pagination: continue strictly after the last post of the previous page
+      if (cursor) {
+        sql += ` AND (p.created_at, p.id) < ($${paramIndex}::timestamp, $${paramIndex + 1})`;
+        params.push(cursor.timestamp, cursor.id);
+        paramIndex += 2;
+      }
+
+      // Fetch one extra row to know whether another page exists
+      sql += ` ORDER BY p.created_at DESC, p.id DESC LIMIT $${paramIndex}`;
+      params.push(limit + 1);
+
+      const postsResult = await Post.raw(sql, params);
+      const hasMore = postsResult.rows.length > limit;
+      const rows = hasMore ? postsResult.rows.slice(0, limit) : postsResult.rows;
+
+      const posts = rows.map(post => ({
+        id: post.id,
+        content: post.content,
+        privacy_level: post.privacy_level,
+        is_published: post.is_published,
+        views_count: post.views_count || 0,
+        created_at: post.created_at,
+        updated_at: post.updated_at,
+        edited_at: post.edited_at,
+        is_edited: Boolean(post.edited_at),
+        user_id: post.user_id,
+        author: {
+          id: post.user_id,
+          username: post.username,
+          first_name: post.first_name,
+          last_name: post.last_name,
+          avatar_url: post.avatar_url
+        },
+        reaction_counts: post.reactions || [],
+        comment_count: parseInt(post.comment_count) || 0,
+        media: (post.media || []).map(item => Media.withUrls(item, post))
+      }));
+      await Poll.attachToPosts(posts, req.user.id);
+      await Post.attachShares(posts, req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          posts,
+          pagination: {
+            limit,
+            has_more: hasMore,
+            next_cursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,319 @@
+/**
+ * Follows routes for the social media platform API
+ * Handles friend requests, accepting/declining them and unfriending
+ * Pure PostgreSQL implementation - NO SEQUELIZE
+ */
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+
+// Import PostgreSQL models
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+const router = express.Router();
+
+/**
+ * Validation middleware to check for validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/follows/requests
+ * Get pending friend requests for the authenticated user
+ */
+router.get('/requests',
+  authenticate,
+  [
+    query('direction').optional().isIn(['incoming', 'outgoing']).withMessage('Direction must be incoming or outgoing')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const direction = req.query.direction || 'incoming';
+      const requests = await Follow.getPendingRequests(req.user.id, direction);
+
+      res.json({
+        success: true,
+        data: {
+          direction,
+          requests,
+          count: requests.length
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/follows/status/:userId
+ * Get the relationship between the authenticated user and another user
+ */
+router.get('/status/:userId',
+  authenticate,
+  [
+    param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      const status = await Follow.getRelationshipStatus(req.user.id, userId);
+
+      res.json({
+        success: true,
+        data: {
+          user_id: userId,
+          status
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/follows/user/:userId
+ * Get a user's friends with follower/following counts
+ */
+router.get('/user/:userId',
+  [
+    param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'User not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      const { friends, total_count } = await Follow.getFriends(userId, limit, offset);
+      const counts = await Follow.getCounts(userId);
+      const totalPages = Math.ceil(total_count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          user_id: userId,
+          friends,
+          ...counts,
+          pagination: {
+            current_page: page,
+            total_pages: totalPages,
+            total_count,
+            limit,
+            has_next_page: page < totalPages,
+            has_prev_page: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/follows/:userId
+ * Send a friend request to a user (accepts theirs if one is already pending)
+ */
+router.post('/:userId',
+  authenticate,
+  [
+    param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer')
+      .custom((value, { req }) => parseInt(value) !== req.user.id).withMessage('You cannot send a friend request to yourself')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const userId = parseInt(req.params.userId);
+
+      const target = await User.findById(userId);
+      if (!target || !target.is_active) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'User not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      const existing = await Follow.findBetween(req.user.id, userId);
+      if (existing && (existing.status === 'accepted' || existing.follower_id === req.user.id)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: existing.status === 'accepted'
+              ? 'You are already friends with this user'
+              : 'Friend request already sent',
+            type: 'DUPLICATE_ERROR'
+          }
+        });
+      }
+
+      const follow = await Follow.request(req.user.id, userId);
+      const accepted = follow.status === 'accepted';
+
+      res.status(accepted ? 200 : 201).json({
+        success: true,
+        data: follow,
+        message: accepted ? 'Friend request accepted' : 'Friend request sent'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/follows/:userId/accept
+ * Accept a pending friend request sent by a user
+ */
+router.post('/:userId/accept',
+  authenticate,
+  [
+    param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const userId = parseInt(req.params.userId);
+
+      const pending = await Follow.findPendingRequest(userId, req.user.id);
+      if (!pending) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Friend request not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      const follow = await Follow.accept(pending.id);
+
+      res.json({
+        success: true,
+        data: follow,
+        message: 'Friend request accepted'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/follows/:userId/decline
+ * Decline a pending friend request sent by a user
+ */
+router.post('/:userId/decline',
+  authenticate,
+  [
+    param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const userId = parseInt(req.params.userId);
+
+      const pending = await Follow.findPendingRequest(userId, req.user.id);
+      if (!pending) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Friend request not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      await Follow.delete(pending.id);
+
+      res.json({
+        success: true,
+        message: 'Friend request declined'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/follows/:userId
+ * Unfriend a user, or cancel a friend request sent to them
+ */
+router.delete('/:userId',
+  authenticate,
+  [
+    param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const userId = parseInt(req.params.userId);
+
+      const existing = await Follow.findBetween(req.user.id, userId);
+      if (!existing || (existing.status === 'pending' && existing.follower_id !== req.user.id)) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Friendship not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      await Follow.removeBetween(req.user.id, userId);
+
+      res.json({
+        success: true,
+        message: existing.status === 'accepted' ? 'Friend removed successfully' : 'Friend request cancelled'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
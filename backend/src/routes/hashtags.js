@@ -0,0 +1,222 @@
+/**
+ * Hashtag routes for the social media platform API
+ * Trending tags and posts tagged with a given #hashtag
+ * Pure PostgreSQL implementation - NO SEQUELIZE
+ */
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { optionalAuthenticate } = require('../middleware/auth');
+
+// Import PostgreSQL models
+const Post = require('../models/Post');
+const Hashtag = require('../models/Hashtag');
+const Media = require('../models/Media');
+const Poll = require('../models/Poll');
+
+const router = express.Router();
+
+/**
+ * Validation middleware to check for validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/hashtags/trending
+ * Get the most used hashtags on public posts in a recent time window
+ */
+router.get('/trending',
+  [
+    query('hours').optional().isInt({ min: 1, max: 720 }).withMessage('Hours must be between 1 and 720'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const hours = parseInt(req.query.hours) || 24;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const hashtags = await Hashtag.getTrending({ hours, limit });
+
+      res.json({
+        success: true,
+        data: {
+          hashtags,
+          hours
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/hashtags/:tag/posts
+ * Get posts tagged with a hashtag that the viewer is allowed to see, newest first
+ */
+router.get('/:tag/posts',
+  optionalAuthenticate,
+  [
+    param('tag').matches(/^#?[\p{L}\p{N}_]{1,100}$/u).withMessage('Invalid hashtag'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const hashtag = await Hashtag.findByTag(req.params.tag);
+      if (!hashtag) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Hashtag not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      // $1 is the hashtag, $2 the viewer (if any) for the privacy check
+      const params = [hashtag.id];
+      const viewerRef = req.user ? '$2' : null;
+      if (req.user) params.push(req.user.id);
+
+      const whereClause = `WHERE ph.hashtag_id = $1
+                             AND p.is_published = true
+                             AND p.is_archived = false
+                             AND ${Post.buildVisibilityCondition('p', viewerRef)}`;
+
+      const postsResult = await Post.raw(
+        `SELECT p.*,
+                u.username, u.first_name, u.last_name, u.avatar_url,
+                COALESCE(reaction_counts.reactions, '[]'::json) as reactions,
+                COALESCE(media_items.media, '[]'::json) as media,
+                (
+                  SELECT COUNT(*)
+                  FROM comments c
+                  WHERE c.post_id = p.id AND c.is_published = true
+                ) as comment_count,
+                COUNT(*) OVER() as total_count
+         FROM post_hashtags ph
+         JOIN posts p ON ph.post_id = p.id
+         LEFT JOIN users u ON p.user_id = u.id
+         LEFT JOIN (
+           SELECT post_id,
+                  json_agg(
+                    json_build_object(
+                      'emoji_name', emoji_name,
+                      'emoji_unicode', emoji_unicode,
+                      'count', count
+                    )
+                  ) as reactions
+           FROM (
+             SELECT post_id, emoji_name, emoji_unicode, COUNT(*) as count
+             FROM reactions
+             WHERE post_id IS NOT NULL
+             GROUP BY post_id, emoji_name, emoji_unicode
+           ) grouped_reactions
+           GROUP BY post_id
+         ) reaction_counts ON p.id = reaction_counts.post_id
+         LEFT JOIN (
+           SELECT post_id,
+                  json_agg(
+                    json_build_object(
+                      'id', id,
+                      'filename', filename,
+                      'original_name', original_name,
+                      'file_path', file_path,
+                      'file_url', file_url,
+                      'file_size', file_size,
+                      'mime_type', mime_type,
+                      'media_type', media_type,
+                      'width', width,
+                      'height', height,
+                      'alt_text', alt_text,
+                      'thumbnail_path', thumbnail_path,
+                      'thumbnail_url', thumbnail_url,
+                      'dominant_color', dominant_color,
+                      'duration', duration,
+                      'processing_status', processing_status,
+                      'variants', ${Media.variantsJson('media.id')},
+                      'created_at', created_at
+                    ) ORDER BY created_at ASC
+                  ) as media
+           FROM media
+           WHERE post_id IS NOT NULL
+           GROUP BY post_id
+         ) media_items ON p.id = media_items.post_id
+         ${whereClause}
+         ORDER BY p.created_at DESC, p.id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      const totalCount = postsResult.rows.length > 0 ? parseInt(postsResult.rows[0].total_count) : 0;
+      const totalPages = Math.ceil(totalCount / limit);
+
+      const posts = postsResult.rows.map(post => ({
+        id: post.id,
+        content: post.content,
+        privacy_level: post.privacy_level,
+        is_published: post.is_published,
+        views_count: post.views_count || 0,
+        created_at: post.created_at,
+        updated_at: post.updated_at,
+        edited_at: post.edited_at,
+        is_edited: Boolean(post.edited_at),
+        user_id: post.user_id,
+        author: {
+          id: post.user_id,
+          username: post.username,
+          first_name: post.first_name,
+          last_name: post.last_name,
+          avatar_url: post.avatar_url
+        },
+        reaction_counts: post.reactions || [],
+        comment_count: parseInt(post.comment_count) || 0,
+        media: (post.media || []).map(item => Media.withUrls(item, post))
+      }));
+      await Poll.attachToPosts(posts, req.user?.id || null);
+      await Post.attachShares(posts, req.user?.id || null);
+
+      res.json({
+        success: true,
+        data: {
+          tag: hashtag.tag,
+          posts,
+          pagination: {
+            current_page: page,
+            total_pages: totalPages,
+            total_count: totalCount,
+            limit,
+            has_next_page: page < totalPages,
+            has_prev_page: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -6,11 +6,16 @@
 const express = require('express');
 const multer = require('multer');
 const sharp = require('sharp');
-const { body, param, query, validationResult } = require('express-validator');
+const { body, param, query, header, validationResult } = require('express-validator');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const fileStorage = require('../utils/storage');
+const { buildImageMetadata } = require('../utils/exif');
+const { processor: mediaProcessor } = require('../utils/mediaProcessing');
+const resumableUploads = require('../utils/resumableUploads');
 
 // Import centralized configuration
 const { config } = require('../../../config/app.config');
@@ -20,6 +25,8 @@ const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Media = require('../models/Media');
+const MediaJob = require('../models/MediaJob');
+const UploadSession = require('../models/UploadSession');
 
 const router = express.Router();
 
@@ -43,37 +50,25 @@ const handleValidationErrors = (req, res, next) => {
 
 /**
  * Multer configuration for file uploads
+ * Files are kept in memory and written to the configured storage driver once processed
  */
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, config.upload.uploadDir);
-    const subDir = file.mimetype.startsWith('image/') ? 'images' : 'media';
-    const fullPath = path.join(uploadDir, subDir);
+const storage = multer.memoryStorage();
 
-    try {
-      await fs.mkdir(fullPath, { recursive: true });
-      cb(null, fullPath);
-    } catch (error) {
-      cb(error);
-    }
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename with original extension
-    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
-  }
-});
+/**
+ * Check a MIME type is one of the configured image, video, audio or document types
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} Whether files of this type may be uploaded
+ */
+const isAllowedType = (mimeType) => [
+  ...config.upload.allowedImageTypes,
+  ...config.upload.allowedVideoTypes,
+  ...config.upload.allowedAudioTypes,
+  ...config.upload.allowedDocumentTypes
+].includes(mimeType);
 
 // File filter to allow only specific file types
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    ...config.upload.allowedImageTypes,
-    ...config.upload.allowedVideoTypes,
-    ...config.upload.allowedAudioTypes,
-    ...config.upload.allowedDocumentTypes
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (isAllowedType(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error(`File type ${file.mimetype} is not allowed`), false);
@@ -90,6 +85,204 @@ const upload = multer({
   }
 });
 
+// Image formats re-encoded on upload to strip EXIF; GIFs have no EXIF and would lose their animation
+const REENCODED_IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'tiff'];
+
+/**
+ * Average colour of an image as #rrggbb, used as a placeholder while it loads
+ * @param {Buffer} contents - Image data
+ * @returns {Promise<string>} Hex colour
+ */
+const getDominantColor = async (contents) => {
+  const { dominant } = await sharp(contents).stats();
+  return `#${[dominant.r, dominant.g, dominant.b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * Resize an image to each configured width narrower than the original, in each
+ * configured format, and store the results next to the original
+ * @param {Buffer} contents - Image data
+ * @param {string} baseKey - Storage key of the original without its extension
+ * @param {number} originalWidth - Width of the original in pixels
+ * @param {Array<string>} storedKeys - Stored keys are added here so callers can clean up
+ * @returns {Promise<Array<Object>>} Variants as { format, width, height, file_path, file_size }
+ */
+const storeImageVariants = async (contents, baseKey, originalWidth, storedKeys) => {
+  const variants = [];
+  const widths = config.upload.imageVariantWidths.filter(width => width < originalWidth);
+
+  for (const format of config.upload.imageVariantFormats) {
+    for (const width of widths) {
+      const { data, info } = await sharp(contents)
+        .resize({ width })
+        .toFormat(format, { quality: config.upload.imageQuality })
+        .toBuffer({ resolveWithObject: true });
+
+      const variantPath = `${baseKey}_${width}w.${format}`;
+      await fileStorage.put(variantPath, data, { contentType: `image/${format}` });
+      storedKeys.push(variantPath);
+
+      variants.push({
+        format,
+        width: info.width,
+        height: info.height,
+        file_path: variantPath,
+        file_size: data.length
+      });
+    }
+  }
+
+  return variants;
+};
+
+/**
+ * Check where uploaded media is going: exactly one of a post or a comment, which must exist
+ * @param {string|number|undefined} postId - Post ID from the request
+ * @param {string|number|undefined} commentId - Comment ID from the request
+ * @returns {Promise<Object>} { parentPost } or { error: { status, message, type } };
+ *   the parent post decides whether media URLs need signing
+ */
+const findUploadTarget = async (postId, commentId) => {
+  if (!postId && !commentId) {
+    return { error: { status: 400, message: 'Media must belong to either a post or comment', type: 'INVALID_ASSOCIATION' } };
+  }
+
+  if (postId && commentId) {
+    return { error: { status: 400, message: 'Media cannot belong to both a post and comment', type: 'INVALID_ASSOCIATION' } };
+  }
+
+  if (postId) {
+    const post = await Post.findById(postId);
+    if (!post) {
+      return { error: { status: 404, message: 'Post not found', type: 'NOT_FOUND' } };
+    }
+    return { parentPost: post };
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    return { error: { status: 404, message: 'Comment not found', type: 'NOT_FOUND' } };
+  }
+  return { parentPost: await Post.findById(comment.post_id) };
+};
+
+/**
+ * Process and store one uploaded file and create its media record
+ * Images are re-encoded, thumbnailed and resized; videos are queued for background
+ * processing. Anything stored is removed again if a later step fails.
+ * @param {Object} file - { buffer, originalname, mimetype, size } as multer provides it, or
+ *   { path, ... } for a file on disk, which is streamed into storage unless it is an image
+ * @param {Object} owner - { postId, commentId, userId, altText }
+ * @returns {Promise<Object>} Created media with its variants
+ */
+const storeUploadedFile = async (file, { postId, commentId, userId, altText }) => {
+  // Images go under images/, everything else under media/, named by a fresh UUID
+  const extension = path.extname(file.originalname).toLowerCase();
+  const baseKey = `${file.mimetype.startsWith('image/') ? 'images' : 'media'}/${uuidv4()}`;
+  const filePath = `${baseKey}${extension}`;
+  const storedKeys = [];
+  let mediaId = null;
+
+  try {
+    let width = null;
+    let height = null;
+    // Images are processed in memory (they are capped at config.upload.maxFileSize);
+    // other files on disk are never read in full
+    const isImage = file.mimetype.startsWith('image/');
+    let contents = file.buffer || (isImage ? await fs.readFile(file.path) : null);
+    let thumbnailPath = null;
+    let dominantColor = null;
+    let variants = [];
+    let imageMetadata = null;
+    const processVideo = file.mimetype.startsWith('video/') && config.videoProcessing.enabled;
+
+    // Process images for orientation, metadata and optimization
+    if (isImage) {
+      const metadata = await sharp(contents).metadata();
+      width = metadata.width;
+      height = metadata.height;
+
+      // Re-encode so the stored image is upright and carries no EXIF: sharp only writes
+      // metadata when asked to, so GPS position and camera details are dropped
+      if (REENCODED_IMAGE_FORMATS.includes(metadata.format)) {
+        const { data, info } = await sharp(contents)
+          .rotate()
+          // Optimize image (reduce quality for large images)
+          .toFormat(metadata.format, file.size > 1024 * 1024 ? { quality: config.upload.imageQuality } : {})
+          .toBuffer({ resolveWithObject: true });
+
+        contents = data;
+        width = info.width;
+        height = info.height;
+      }
+
+      imageMetadata = buildImageMetadata({ width, height, format: metadata.format, exif: metadata.exif });
+
+      // Generate thumbnail for images
+      const thumbnail = await sharp(contents)
+        .resize(config.upload.thumbnailSize, config.upload.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+        .toBuffer();
+
+      thumbnailPath = `${baseKey}_thumb${extension}`;
+      await fileStorage.put(thumbnailPath, thumbnail, { contentType: file.mimetype });
+      storedKeys.push(thumbnailPath);
+
+      // Smaller copies in modern formats for srcset, and a colour to show until they load
+      dominantColor = await getDominantColor(contents);
+      if (width) {
+        variants = await storeImageVariants(contents, baseKey, width, storedKeys);
+      }
+    }
+
+    if (contents) {
+      await fileStorage.put(filePath, contents, { contentType: file.mimetype });
+    } else {
+      await fileStorage.putFile(filePath, file.path, { contentType: file.mimetype });
+    }
+    storedKeys.push(filePath);
+
+    // Create media record in database
+    const media = await Media.create({
+      post_id: postId || null,
+      comment_id: commentId || null,
+      user_id: parseInt(userId),
+      filename: path.basename(filePath),
+      original_name: file.originalname,
+      file_path: filePath,
+      file_url: fileStorage.getUrl(filePath),
+      file_size: contents ? contents.length : file.size,
+      mime_type: file.mimetype,
+      alt_text: altText || null,
+      width,
+      height,
+      thumbnail_path: thumbnailPath,
+      thumbnail_url: thumbnailPath ? fileStorage.getUrl(thumbnailPath) : null,
+      dominant_color: dominantColor,
+      metadata: imageMetadata,
+      processing_status: processVideo ? 'pending' : 'ready'
+    });
+    mediaId = media.id;
+
+    media.variants = await Media.createVariants(media.id, variants);
+
+    // Videos are probed, given a poster and transcoded in the background
+    if (processVideo) {
+      await MediaJob.enqueue(media.id);
+    }
+
+    return media;
+  } catch (error) {
+    // Clean up stored files and any half-written record if processing or the database inserts fail
+    if (mediaId) {
+      await Media.delete(mediaId)
+        .catch(deleteError => console.error('Failed to clean up media record:', mediaId, deleteError));
+    }
+    await Promise.all(storedKeys.map(key => fileStorage.remove(key)
+      .catch(removeError => console.error('Failed to clean up file:', key, removeError))));
+    throw error;
+  }
+};
+
 /**
  * POST /api/media/upload
  * Upload media files (images, videos, audio, documents)
@@ -108,9 +301,6 @@ router.post('/upload',
       // Models already imported
       const { post_id, comment_id, alt_text } = req.body;
 
-      // Use authenticated user's ID
-      const user_id = req.user.id;
-
       // Validate that files were uploaded
       if (!req.files || req.files.length === 0) {
         return res.status(400).json({
@@ -122,153 +312,460 @@ router.post('/upload',
         });
       }
 
-      // Validate association (must belong to either post or comment, not both)
-      if (!post_id && !comment_id) {
-        return res.status(400).json({
+      // Verify the post or comment the files belong to
+      const { parentPost, error } = await findUploadTarget(post_id, comment_id);
+      if (error) {
+        return res.status(error.status).json({
           success: false,
           error: {
-            message: 'Media must belong to either a post or comment',
-            type: 'INVALID_ASSOCIATION'
+            message: error.message,
+            type: error.type
           }
         });
       }
 
-      if (post_id && comment_id) {
-        return res.status(400).json({
+      // Process uploaded files
+      const uploadedMedia = [];
+      let queuedVideos = false;
+
+      for (const file of req.files) {
+        const media = await storeUploadedFile(file, {
+          postId: post_id,
+          commentId: comment_id,
+          userId: req.user.id,
+          altText: alt_text
+        });
+        queuedVideos = queuedVideos || media.processing_status === 'pending';
+        uploadedMedia.push(Media.withUrls(media, parentPost));
+      }
+
+      if (queuedVideos) {
+        mediaProcessor.wake();
+      }
+
+      res.status(201).json({
+        success: true,
+        data: uploadedMedia,
+        message: `${uploadedMedia.length} file(s) uploaded successfully`
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Read a resumable upload chunk into req.body as a Buffer, up to the configured chunk size
+ */
+const receiveChunk = (req, res, next) => express.raw({
+  type: 'application/offset+octet-stream',
+  limit: config.upload.resumable.chunkSize
+})(req, res, next);
+
+/**
+ * Shape an upload session for clients; offset is where the next chunk starts
+ * @param {Object} session - Upload session row
+ * @returns {Object} Session as returned by the API
+ */
+const formatUploadSession = (session) => ({
+  id: session.id,
+  filename: session.filename,
+  mime_type: session.mime_type,
+  total_size: parseInt(session.total_size),
+  offset: parseInt(session.received_size),
+  chunk_size: config.upload.resumable.chunkSize,
+  expires_at: session.expires_at
+});
+
+const uploadSessionNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Upload not found or expired',
+    type: 'NOT_FOUND'
+  }
+});
+
+const uploadBeingCompleted = (res) => res.status(409).json({
+  success: false,
+  error: {
+    message: 'Upload is already being completed',
+    type: 'UPLOAD_COMPLETING'
+  }
+});
+
+/**
+ * POST /api/media/uploads
+ * Start a resumable upload for a file of up to config.upload.resumable.maxFileSize
+ * Chunks are then sent with PATCH /api/media/uploads/:id and the file is processed
+ * like a normal upload by POST /api/media/uploads/:id/complete.
+ */
+router.post('/uploads',
+  authenticate,
+  [
+    body('filename').trim().isLength({ min: 1, max: 255 }).withMessage('Filename is required and cannot exceed 255 characters'),
+    body('mime_type').custom(isAllowedType).withMessage('File type is not allowed'),
+    body('total_size').isInt({ min: 1 }).withMessage('Total size must be a positive integer'),
+    body('post_id').optional().isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
+    body('comment_id').optional().isInt({ min: 1 }).withMessage('Comment ID must be a positive integer'),
+    body('alt_text').optional().trim().isLength({ max: 500 }).withMessage('Alt text cannot exceed 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { filename, mime_type, post_id, comment_id, alt_text } = req.body;
+      const totalSize = parseInt(req.body.total_size);
+      const limits = config.upload.resumable;
+
+      // Images are processed in memory, so they keep the normal upload limit
+      const maxSize = mime_type.startsWith('image/') ? config.upload.maxFileSize : limits.maxFileSize;
+      if (totalSize > maxSize) {
+        return res.status(413).json({
+          success: false,
+          error: {
+            message: `File cannot exceed ${maxSize} bytes`,
+            type: 'FILE_TOO_LARGE'
+          }
+        });
+      }
+
+      const { error } = await findUploadTarget(post_id, comment_id);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          error: {
+            message: error.message,
+            type: error.type
+          }
+        });
+      }
+
+      // Open uploads count against the quota until they are cancelled or expire, and the
+      // media they turn into counts once they are completed
+      const usage = await UploadSession.getUsage(req.user.id);
+      if (usage.count >= limits.maxSessions || usage.bytes + totalSize > limits.userQuota) {
+        return res.status(403).json({
           success: false,
           error: {
-            message: 'Media cannot belong to both a post and comment',
-            type: 'INVALID_ASSOCIATION'
+            message: usage.count >= limits.maxSessions
+              ? 'You have too many uploads in progress'
+              : 'This upload would exceed your upload quota',
+            type: 'UPLOAD_QUOTA_EXCEEDED'
           }
         });
       }
 
-      // Verify post or comment exists
-      if (post_id) {
-        const post = await Post.findById(post_id);
-        if (!post) {
-          return res.status(404).json({
-            success: false,
-            error: {
-              message: 'Post not found',
-              type: 'NOT_FOUND'
-            }
-          });
+      const session = await UploadSession.create({
+        user_id: req.user.id,
+        post_id: post_id || null,
+        comment_id: comment_id || null,
+        filename,
+        mime_type,
+        alt_text: alt_text || null,
+        total_size: totalSize,
+        expires_at: new Date(Date.now() + limits.expiry)
+      });
+
+      try {
+        await resumableUploads.createPart(session.id);
+      } catch (error) {
+        await UploadSession.delete(session.id);
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        data: formatUploadSession(session),
+        message: 'Upload started'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/media/uploads/:id
+ * Get an upload's progress, to find where to resume from
+ */
+router.get('/uploads/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Upload ID must be a UUID')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const session = await UploadSession.findActive(req.params.id, req.user.id);
+      if (!session) {
+        return uploadSessionNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: formatUploadSession(session)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/media/uploads/:id
+ * Send the next chunk of an upload as application/offset+octet-stream, with the
+ * Upload-Offset header giving the byte it starts at and Upload-Checksum the chunk's
+ * SHA-256 ("sha256 <base64 digest>"). An offset other than the upload's current one
+ * is rejected with that offset, so the client can carry on from there (e.g. after a
+ * response was lost); a chunk that doesn't match its checksum is not written and
+ * can be sent again.
+ */
+router.patch('/uploads/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Upload ID must be a UUID'),
+    header('upload-offset').isInt({ min: 0 }).withMessage('Upload-Offset header must be a non-negative integer'),
+    header('upload-checksum').matches(/^sha256 [A-Za-z0-9+/]{43}=$/)
+      .withMessage('Upload-Checksum header must be "sha256" and a base64 SHA-256 digest')
+  ],
+  handleValidationErrors,
+  receiveChunk,
+  async (req, res, next) => {
+    try {
+      const chunk = req.body;
+      if (!Buffer.isBuffer(chunk)) {
+        return res.status(415).json({
+          success: false,
+          error: {
+            message: 'Chunks must be sent as application/offset+octet-stream',
+            type: 'UNSUPPORTED_MEDIA_TYPE'
+          }
+        });
+      }
+
+      const session = await UploadSession.findActive(req.params.id, req.user.id);
+      if (!session) {
+        return uploadSessionNotFound(res);
+      }
+      if (session.status === 'completing') {
+        return uploadBeingCompleted(res);
+      }
+
+      const offset = parseInt(req.get('upload-offset'));
+      const received = parseInt(session.received_size);
+      const offsetMismatch = (current) => res.status(409).json({
+        success: false,
+        error: {
+          message: 'Upload-Offset does not match the upload',
+          type: 'OFFSET_MISMATCH',
+          offset: current
         }
+      });
+
+      if (offset !== received) {
+        return offsetMismatch(received);
       }
 
-      if (comment_id) {
-        const comment = await Comment.findById(comment_id);
-        if (!comment) {
-          return res.status(404).json({
-            success: false,
-            error: {
-              message: 'Comment not found',
-              type: 'NOT_FOUND'
-            }
-          });
+      if (chunk.length === 0 || offset + chunk.length > parseInt(session.total_size)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Chunk must be non-empty and end within the file',
+            type: 'INVALID_CHUNK'
+          }
+        });
+      }
+
+      const checksum = crypto.createHash('sha256').update(chunk).digest('base64');
+      if (checksum !== req.get('upload-checksum').slice('sha256 '.length)) {
+        return res.status(422).json({
+          success: false,
+          error: {
+            message: 'Chunk does not match its checksum',
+            type: 'CHECKSUM_MISMATCH'
+          }
+        });
+      }
+
+      // Claim the offset before writing, so a request racing with this one at the same
+      // offset can't overwrite the chunk once it is recorded
+      const updated = await UploadSession.transaction(async (client) => {
+        if (!(await UploadSession.lockForChunk(session.id, offset, client))) {
+          return null;
         }
+
+        await resumableUploads.writeChunk(session.id, offset, chunk);
+        return await UploadSession.recordChunk(
+          session.id,
+          offset,
+          chunk.length,
+          new Date(Date.now() + config.upload.resumable.expiry),
+          client
+        );
+      });
+      if (!updated) {
+        // Another request with this chunk got there first
+        const current = await UploadSession.findActive(session.id, req.user.id);
+        return current ? offsetMismatch(parseInt(current.received_size)) : uploadSessionNotFound(res);
       }
 
-      // Process uploaded files
-      const uploadedMedia = [];
+      res.json({
+        success: true,
+        data: formatUploadSession(updated)
+      });
 
-      for (const file of req.files) {
-        try {
-          let width = null;
-          let height = null;
-          let processedPath = file.path;
-
-          // Process images for optimization and metadata
-          if (file.mimetype.startsWith('image/')) {
-            const metadata = await sharp(file.path).metadata();
-            width = metadata.width;
-            height = metadata.height;
-
-            // Optimize image (reduce quality for large images)
-            if (file.size > 1024 * 1024) { // If larger than 1MB
-              const optimizedPath = file.path.replace(path.extname(file.path), '_optimized' + path.extname(file.path));
-              await sharp(file.path)
-                .jpeg({ quality: config.upload.imageQuality })
-                .png({ quality: config.upload.imageQuality })
-                .webp({ quality: config.upload.imageQuality })
-                .toFile(optimizedPath);
-
-              // Replace original with optimized version
-              await fs.unlink(file.path);
-              await fs.rename(optimizedPath, file.path);
-              processedPath = file.path;
-            }
-
-            // Generate thumbnail for images
-            const thumbnailPath = file.path.replace(path.extname(file.path), '_thumb' + path.extname(file.path));
-            await sharp(file.path)
-              .resize(config.upload.thumbnailSize, config.upload.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
-              .toFile(thumbnailPath);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/media/uploads/:id/complete
+ * Turn a fully sent upload into media
+ * Every chunk was checked on arrival; clients that also hashed the whole file can send
+ * its SHA-256 as checksum, and a file that doesn't match is discarded and has to be
+ * uploaded again.
+ */
+router.post('/uploads/:id/complete',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Upload ID must be a UUID'),
+    body('checksum').optional().isHash('sha256').withMessage('Checksum must be a hex SHA-256 digest')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    let session = null;
+
+    try {
+      // Claim the upload so a repeated request can't turn it into media twice
+      const found = await UploadSession.findActive(req.params.id, req.user.id);
+      if (!found) {
+        return uploadSessionNotFound(res);
+      }
+
+      if (parseInt(found.received_size) < parseInt(found.total_size)) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: 'Upload is not complete',
+            type: 'UPLOAD_INCOMPLETE',
+            offset: parseInt(found.received_size)
           }
+        });
+      }
 
-          // Get relative path for database storage
-          const relativePath = path.relative(path.join(__dirname, config.upload.uploadDir), processedPath);
-          const fileUrl = `/uploads/${relativePath.replace(/\\/g, '/')}`;
-
-          // Create media record in database
-          const media = await Media.create({
-            post_id: post_id || null,
-            comment_id: comment_id || null,
-            user_id: parseInt(user_id),
-            filename: path.basename(processedPath),
-            original_name: file.originalname,
-            file_path: relativePath,
-            file_url: fileUrl,
-            file_size: file.size,
-            mime_type: file.mimetype,
-            alt_text: alt_text || null,
-            width,
-            height
-          });
-
-          uploadedMedia.push(media);
-
-        } catch (error) {
-          // Clean up file if database insert fails
-          try {
-            await fs.unlink(file.path);
-          } catch (unlinkError) {
-            console.error('Failed to clean up file:', file.path, unlinkError);
+      session = await UploadSession.beginCompletion(found.id);
+      if (!session) {
+        return uploadBeingCompleted(res);
+      }
+
+      if (req.body.checksum && await resumableUploads.checksumPart(session.id) !== req.body.checksum.toLowerCase()) {
+        await UploadSession.delete(session.id);
+        await resumableUploads.removePart(session.id);
+        return res.status(422).json({
+          success: false,
+          error: {
+            message: 'Uploaded file does not match its checksum',
+            type: 'CHECKSUM_MISMATCH'
           }
-          throw error;
-        }
+        });
+      }
+
+      const { parentPost, error } = await findUploadTarget(session.post_id, session.comment_id);
+      if (error) {
+        await UploadSession.abortCompletion(session.id);
+        return res.status(error.status).json({
+          success: false,
+          error: {
+            message: error.message,
+            type: error.type
+          }
+        });
+      }
+
+      const media = await storeUploadedFile({
+        path: resumableUploads.getPartPath(session.id),
+        originalname: session.filename,
+        mimetype: session.mime_type,
+        size: parseInt(session.total_size)
+      }, {
+        postId: session.post_id,
+        commentId: session.comment_id,
+        userId: session.user_id,
+        altText: session.alt_text
+      });
+
+      await UploadSession.delete(session.id);
+      await resumableUploads.removePart(session.id);
+
+      if (media.processing_status === 'pending') {
+        mediaProcessor.wake();
       }
 
       res.status(201).json({
         success: true,
-        data: uploadedMedia,
-        message: `${uploadedMedia.length} file(s) uploaded successfully`
+        data: Media.withUrls(media, parentPost),
+        message: 'File uploaded successfully'
       });
 
     } catch (error) {
-      // Clean up any uploaded files on error
-      if (req.files) {
-        for (const file of req.files) {
-          try {
-            await fs.unlink(file.path);
-          } catch (unlinkError) {
-            console.error('Failed to clean up file:', file.path, unlinkError);
-          }
-        }
+      // Let the client retry completion; the received bytes are still there
+      if (session) {
+        await UploadSession.abortCompletion(session.id)
+          .catch(abortError => console.error('Failed to release upload:', session.id, abortError));
       }
       next(error);
     }
   }
 );
 
+/**
+ * DELETE /api/media/uploads/:id
+ * Cancel an upload and discard what was received
+ */
+router.delete('/uploads/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Upload ID must be a UUID')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const session = await UploadSession.findActive(req.params.id, req.user.id);
+      if (!session) {
+        return uploadSessionNotFound(res);
+      }
+      if (session.status === 'completing') {
+        return uploadBeingCompleted(res);
+      }
+
+      await UploadSession.delete(session.id);
+      await resumableUploads.removePart(session.id);
+
+      res.json({
+        success: true,
+        message: 'Upload cancelled'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/media/:id
  * Get media file metadata by ID
+ * Pass include_metadata=true for the image details kept from the upload (dimensions, format, capture time)
  */
 router.get('/:id',
+  optionalAuthenticate,
   [
-    param('id').isInt({ min: 1 }).withMessage('Media ID must be a positive integer')
+    param('id').isInt({ min: 1 }).withMessage('Media ID must be a positive integer'),
+    query('include_metadata').optional().isBoolean().withMessage('Include metadata must be boolean')
   ],
   handleValidationErrors,
   async (req, res, next) => {
@@ -278,7 +775,8 @@ router.get('/:id',
 
       // Find media with uploader info using raw SQL
       const mediaResult = await Media.raw(
-        `SELECT m.*, u.username, u.first_name, u.last_name, u.avatar_url
+        `SELECT m.*, u.username, u.first_name, u.last_name, u.avatar_url,
+                ${Media.variantsJson('m.id')} AS variants
          FROM media m
          LEFT JOIN users u ON m.user_id = u.id
          WHERE m.id = $1`,
@@ -296,9 +794,30 @@ router.get('/:id',
         });
       }
 
+      // Media inherits the visibility of the post it is attached to; media not
+      // attached to anything yet is only visible to its uploader
+      const post = await Media.findParentPost(media);
+      const canView = post
+        ? await Post.canUserView(post, req.user)
+        : media.user_id === req.user?.id;
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      const data = Media.withUrls(media, post);
+      if (req.query.include_metadata === 'true') {
+        data.metadata = media.metadata || {};
+      }
+
       res.json({
         success: true,
-        data: media
+        data
       });
 
     } catch (error) {
@@ -312,6 +831,7 @@ router.get('/:id',
  * Get all media files for a specific post
  */
 router.get('/post/:postId',
+  optionalAuthenticate,
   [
     param('postId').isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
     query('type').optional().isIn(['image', 'video', 'audio', 'document']).withMessage('Invalid media type')
@@ -335,8 +855,20 @@ router.get('/post/:postId',
         });
       }
 
+      // Check if user can view this post
+      if (!(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
       // Get media files with uploader info using raw SQL
-      let sql = `SELECT m.*, u.username, u.first_name, u.last_name, u.avatar_url
+      let sql = `SELECT m.*, u.username, u.first_name, u.last_name, u.avatar_url,
+                        ${Media.variantsJson('m.id')} AS variants
                  FROM media m
                  LEFT JOIN users u ON m.user_id = u.id
                  WHERE m.post_id = $1`;
@@ -350,7 +882,7 @@ router.get('/post/:postId',
       sql += ` ORDER BY m.created_at ASC`;
 
       const mediaResult = await Media.raw(sql, params);
-      const media = mediaResult.rows;
+      const media = mediaResult.rows.map(item => Media.withUrls(item, post));
 
       res.json({
         success: true,
@@ -372,6 +904,7 @@ router.get('/post/:postId',
  * Get all media files for a specific comment
  */
 router.get('/comment/:commentId',
+  optionalAuthenticate,
   [
     param('commentId').isInt({ min: 1 }).withMessage('Comment ID must be a positive integer'),
     query('type').optional().isIn(['image', 'video', 'audio', 'document']).withMessage('Invalid media type')
@@ -395,8 +928,21 @@ router.get('/comment/:commentId',
         });
       }
 
+      // Check if user can view the post this comment belongs to
+      const post = await Post.findById(comment.post_id);
+      if (!post || !(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
       // Get media files with uploader info using raw SQL
-      let sql = `SELECT m.*, u.username, u.first_name, u.last_name, u.avatar_url
+      let sql = `SELECT m.*, u.username, u.first_name, u.last_name, u.avatar_url,
+                        ${Media.variantsJson('m.id')} AS variants
                  FROM media m
                  LEFT JOIN users u ON m.user_id = u.id
                  WHERE m.comment_id = $1`;
@@ -410,7 +956,7 @@ router.get('/comment/:commentId',
       sql += ` ORDER BY m.created_at ASC`;
 
       const mediaResult = await Media.raw(sql, params);
-      const media = mediaResult.rows;
+      const media = mediaResult.rows.map(item => Media.withUrls(item, post));
 
       res.json({
         success: true,
@@ -466,7 +1012,7 @@ router.put('/:id',
 
       res.json({
         success: true,
-        data: updatedMedia,
+        data: Media.withUrls(updatedMedia, await Media.findParentPost(updatedMedia)),
         message: 'Media updated successfully'
       });
 
@@ -505,24 +1051,8 @@ router.delete('/:id',
       // Check if user can delete this media (TODO: Implement proper authentication)
       // For now, assume any user can delete any media (will be fixed with authentication)
 
-      // Delete the physical file
-      const filePath = path.join(__dirname, '../../../uploads', media.file_path);
-      try {
-        await fs.unlink(filePath);
-
-        // Also delete thumbnail if it's an image
-        if (media.media_type === 'image') {
-          const thumbnailPath = filePath.replace(path.extname(filePath), '_thumb' + path.extname(filePath));
-          try {
-            await fs.unlink(thumbnailPath);
-          } catch (thumbError) {
-            console.error('Failed to delete thumbnail:', thumbnailPath, thumbError);
-          }
-        }
-      } catch (fileError) {
-        console.error('Failed to delete file:', filePath, fileError);
-        // Continue with database deletion even if file deletion fails
-      }
+      // Delete the stored file and thumbnail; the record goes even if that fails
+      await Media.removeFiles(media);
 
       // Delete the media record
       await Media.delete(mediaId);
@@ -543,6 +1073,7 @@ router.delete('/:id',
  * Get all media files uploaded by a specific user
  */
 router.get('/user/:userId',
+  optionalAuthenticate,
   [
     param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -571,36 +1102,53 @@ router.get('/user/:userId',
         });
       }
 
-      // Get total count
-      let countSql = `SELECT COUNT(*) as count FROM media WHERE user_id = $1`;
-      const countParams = [userId];
-      if (mediaType) {
-        countSql += ` AND media_type = $2`;
-        countParams.push(mediaType);
-      }
-
-      const countResult = await Media.raw(countSql, countParams);
-      const count = parseInt(countResult.rows[0].count);
-
-      // Get media files with uploader info using raw SQL
-      let sql = `SELECT m.*, u.username, u.first_name, u.last_name, u.avatar_url
-                 FROM media m
-                 LEFT JOIN users u ON m.user_id = u.id
-                 WHERE m.user_id = $1`;
+      // Only include media attached to posts the viewer is allowed to see
       const params = [userId];
       let paramIndex = 2;
+      let viewerRef = null;
+      if (req.user) {
+        viewerRef = `$${paramIndex}`;
+        params.push(req.user.id);
+        paramIndex++;
+      }
+
+      let whereClause = `m.user_id = $1
+                 AND (p.is_published = true${viewerRef ? ` OR p.user_id = ${viewerRef}` : ''})
+                 AND ${Post.buildVisibilityCondition('p', viewerRef)}`;
 
       if (mediaType) {
-        sql += ` AND m.media_type = $${paramIndex}`;
+        whereClause += ` AND m.media_type = $${paramIndex}`;
         params.push(mediaType);
         paramIndex++;
       }
 
-      sql += ` ORDER BY m.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+      const visibilityJoin = `LEFT JOIN comments mc ON m.comment_id = mc.id
+                 JOIN posts p ON p.id = COALESCE(m.post_id, mc.post_id)`;
+
+      // Get total count
+      const countResult = await Media.raw(
+        `SELECT COUNT(*) as count
+         FROM media m
+         ${visibilityJoin}
+         WHERE ${whereClause}`,
+        params
+      );
+      const count = parseInt(countResult.rows[0].count);
+
+      // Get media files with uploader info using raw SQL
+      const sql = `SELECT m.*, u.username, u.first_name, u.last_name, u.avatar_url,
+                        ${Media.variantsJson('m.id')} AS variants,
+                        p.privacy_level AS post_privacy_level, p.is_published AS post_is_published
+                 FROM media m
+                 LEFT JOIN users u ON m.user_id = u.id
+                 ${visibilityJoin}
+                 WHERE ${whereClause}
+                 ORDER BY m.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
       params.push(limit, offset);
 
       const mediaResult = await Media.raw(sql, params);
-      const media = mediaResult.rows;
+      const media = mediaResult.rows.map(({ post_privacy_level, post_is_published, ...item }) =>
+        Media.withUrls(item, { privacy_level: post_privacy_level, is_published: post_is_published }));
 
       // Calculate pagination info
       const totalPages = Math.ceil(count / limit);
@@ -0,0 +1,323 @@
+/**
+ * Moderation routes for the social media platform API
+ * Report queue, resolve actions and the moderation audit trail
+ * Pure PostgreSQL implementation - NO SEQUELIZE
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const realtime = require('../utils/realtime');
+
+// Import PostgreSQL models
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Media = require('../models/Media');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+
+const router = express.Router();
+
+// Actions that only make sense for some target types
+const ACTION_TARGETS = {
+  dismiss: ['post', 'comment', 'media', 'user'],
+  unpublish: ['post', 'comment'],
+  delete: ['post', 'comment', 'media'],
+  suspend: ['post', 'comment', 'media', 'user']
+};
+
+/**
+ * Validation middleware to check for validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+// Every moderation route requires the reports.review permission
+router.use(authenticate, requirePermission('reports.review'));
+
+/**
+ * Apply a moderation action to a reported target
+ * @param {string} action - 'unpublish', 'delete' or 'suspend'
+ * @param {string} targetType - Target type
+ * @param {Object} target - Target row
+ */
+const applyAction = async (action, targetType, target) => {
+  if (action === 'suspend') {
+    await User.deactivate(Report.getTargetOwnerId(targetType, target));
+    return;
+  }
+
+  if (targetType === 'post') {
+    if (action === 'unpublish') {
+      await Post.update(target.id, { is_published: false });
+    } else {
+      for (const media of await Media.getAllForPost(target.id)) {
+        await Media.removeFiles(media);
+      }
+      await Post.delete(target.id);
+    }
+    for (const channel of [`post:${target.id}`, `user:${target.user_id}`]) {
+      await realtime.publish(channel, 'post.deleted', { post_id: target.id, user_id: target.user_id }, { post: target })
+        .catch(error => console.error('Error publishing post event:', error));
+    }
+    return;
+  }
+
+  if (targetType === 'comment') {
+    if (action === 'unpublish') {
+      await Comment.update(target.id, { is_published: false });
+    } else {
+      for (const media of await Media.getAllForComment(target.id)) {
+        await Media.removeFiles(media);
+      }
+      await Comment.delete(target.id);
+    }
+    const post = await Post.findById(target.post_id);
+    if (post) {
+      await realtime.publish(`post:${post.id}`, 'comment.deleted', { post_id: post.id, comment_id: target.id }, { post })
+        .catch(error => console.error('Error publishing comment event:', error));
+    }
+    return;
+  }
+
+  await Media.removeFiles(target);
+  await Media.delete(target.id);
+};
+
+/**
+ * GET /api/moderation/reports
+ * Get the report queue, oldest first
+ */
+router.get('/reports',
+  [
+    query('status').optional().isIn(Report.STATUSES).withMessage(`Status must be one of: ${Report.STATUSES.join(', ')}`),
+    query('target_type').optional().isIn(Report.TARGET_TYPES).withMessage(`Target type must be one of: ${Report.TARGET_TYPES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const { reports, total_count } = await Report.getQueue({
+        status: req.query.status || 'pending',
+        targetType: req.query.target_type || null,
+        limit,
+        offset
+      });
+
+      const totalPages = Math.ceil(total_count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          reports,
+          pagination: {
+            current_page: page,
+            total_pages: totalPages,
+            total_count,
+            limit,
+            has_next_page: page < totalPages,
+            has_prev_page: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/moderation/reports/:id/resolve
+ * Resolve a report and every other open report on the same target
+ */
+router.post('/reports/:id/resolve',
+  [
+    param('id').isInt({ min: 1 }).withMessage('Report ID must be a positive integer'),
+    body('action')
+      .isIn(ModerationAction.ACTIONS)
+      .withMessage(`Action must be one of: ${ModerationAction.ACTIONS.join(', ')}`),
+    body('note')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Note must be 1000 characters or less')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { action } = req.body;
+
+      const report = await Report.findById(parseInt(req.params.id));
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Report not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      if (report.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: 'Report has already been resolved',
+            type: 'ALREADY_RESOLVED'
+          }
+        });
+      }
+
+      const target = await Report.findTarget(report.target_type, report.target_id);
+
+      // Reports on content that is already gone can only be dismissed
+      if (!ACTION_TARGETS[action].includes(report.target_type) || (!target && action !== 'dismiss')) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: target
+              ? `Cannot ${action} a reported ${report.target_type}`
+              : 'The reported content no longer exists and can only be dismissed',
+            type: 'INVALID_ACTION'
+          }
+        });
+      }
+
+      const targetUserId = target ? Report.getTargetOwnerId(report.target_type, target) : null;
+
+      if (action === 'suspend') {
+        if (targetUserId === req.user.id) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: 'You cannot suspend your own account',
+              type: 'INVALID_ACTION'
+            }
+          });
+        }
+
+        const owner = await User.findById(targetUserId);
+        if (User.hasRole(owner, 'moderator') && !User.hasRole(req.user, 'admin')) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              message: 'Access denied. Only admins can suspend staff accounts.',
+              type: 'AUTHORIZATION_ERROR'
+            }
+          });
+        }
+      }
+
+      // Snapshot the target before it is changed so the audit trail keeps what was acted on
+      const snapshot = Report.getTargetSummary(report.target_type, target);
+
+      if (action !== 'dismiss') {
+        await applyAction(action, report.target_type, target);
+      }
+
+      const resolved = await Report.resolveForTarget(report.target_type, report.target_id, {
+        action,
+        moderator_id: req.user.id
+      });
+
+      const moderationAction = await ModerationAction.record({
+        moderator_id: req.user.id,
+        action,
+        target_type: report.target_type,
+        target_id: report.target_id,
+        target_user_id: targetUserId,
+        report_id: report.id,
+        note: req.body.note || null,
+        data: {
+          target: snapshot,
+          report_ids: resolved.map(r => r.id)
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          report: resolved.find(r => r.id === report.id),
+          resolved_count: resolved.length,
+          action: moderationAction
+        },
+        message: action === 'dismiss' ? 'Report dismissed' : 'Report resolved'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/moderation/actions
+ * Get the moderation audit trail, newest first
+ */
+router.get('/actions',
+  [
+    query('target_type').optional().isIn(Report.TARGET_TYPES).withMessage(`Target type must be one of: ${Report.TARGET_TYPES.join(', ')}`),
+    query('target_id').optional().isInt({ min: 1 }).withMessage('Target ID must be a positive integer'),
+    query('moderator_id').optional().isInt({ min: 1 }).withMessage('Moderator ID must be a positive integer'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const { actions, total_count } = await ModerationAction.getLog({
+        targetType: req.query.target_type || null,
+        targetId: parseInt(req.query.target_id) || null,
+        moderatorId: parseInt(req.query.moderator_id) || null,
+        limit,
+        offset
+      });
+
+      const totalPages = Math.ceil(total_count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          actions,
+          pagination: {
+            current_page: page,
+            total_pages: totalPages,
+            total_count,
+            limit,
+            has_next_page: page < totalPages,
+            has_prev_page: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * Notifications routes for the social media platform API
+ * Lists the authenticated user's notifications and tracks what has been read
+ * Pure PostgreSQL implementation - NO SEQUELIZE
+ */
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+
+// Import PostgreSQL models
+const Notification = require('../models/Notification');
+
+const router = express.Router();
+
+/**
+ * Validation middleware to check for validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/notifications
+ * Get the authenticated user's notifications, newest first
+ */
+router.get('/',
+  authenticate,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('unread_only').optional().isBoolean().withMessage('unread_only must be a boolean')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+      const unreadOnly = req.query.unread_only === 'true';
+
+      const { notifications, total_count } = await Notification.getForUser(req.user.id, {
+        limit,
+        offset,
+        unreadOnly
+      });
+      const unreadCount = await Notification.getUnreadCount(req.user.id);
+      const totalPages = Math.ceil(total_count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          notifications,
+          unread_count: unreadCount,
+          pagination: {
+            current_page: page,
+            total_pages: totalPages,
+            total_count,
+            limit,
+            has_next_page: page < totalPages,
+            has_prev_page: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/notifications/unread-count
+ * Get the number of unread notifications (used for the header badge)
+ */
+router.get('/unread-count',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          unread_count: unreadCount
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/notifications/read-all
+ * Mark all of the authenticated user's notifications as read
+ */
+router.put('/read-all',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const updatedCount = await Notification.markAllRead(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          updated_count: updatedCount,
+          unread_count: 0
+        },
+        message: 'All notifications marked as read'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/notifications/:id/read
+ * Mark a single notification as read
+ */
+router.put('/:id/read',
+  authenticate,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Notification ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const notificationId = parseInt(req.params.id);
+
+      const notification = await Notification.findById(notificationId);
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Notification not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      // Users can only mark their own notifications
+      if (notification.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      const updated = await Notification.markRead(notificationId);
+      const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          notification: updated,
+          unread_count: unreadCount
+        },
+        message: 'Notification marked as read'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
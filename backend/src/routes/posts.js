@@ -6,6 +6,7 @@
 
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
+const { config } = require('../../../config/app.config');
 const {
   authenticate,
   optionalAuthenticate,
@@ -18,6 +19,15 @@ const User = require('../models/User');
 const Comment = require('../models/Comment');
 const Media = require('../models/Media');
 const Reaction = require('../models/Reaction');
+const PostInteraction = require('../models/PostInteraction');
+const PostMetrics = require('../models/PostMetrics');
+const Notification = require('../models/Notification');
+const Mention = require('../models/Mention');
+const Hashtag = require('../models/Hashtag');
+const { PostRevision } = require('../models/Revision');
+const Poll = require('../models/Poll');
+const realtime = require('../utils/realtime');
+const { loadPostData, announcePost } = require('../utils/publishing');
 
 const router = express.Router();
 
@@ -39,6 +49,59 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Check that a publish_at time is in the future and within the scheduling window
+ * null is allowed and clears the schedule.
+ * @param {string|null} value - ISO 8601 publish time
+ * @returns {boolean} True if valid
+ */
+const validatePublishAt = (value) => {
+  if (value === null) return true;
+
+  const publishAt = new Date(value);
+  if (publishAt <= new Date()) {
+    throw new Error('Publish time must be in the future');
+  }
+
+  const maxDays = config.scheduler.maxScheduleDays;
+  if (publishAt - Date.now() > maxDays * 24 * 60 * 60 * 1000) {
+    throw new Error(`Posts can be scheduled at most ${maxDays} days ahead`);
+  }
+  return true;
+};
+
+/**
+ * Check that a poll's closing time is in the future and, on a scheduled post,
+ * after the post goes live
+ * @param {string|null} value - ISO 8601 closing time
+ * @param {Object} context - express-validator context
+ * @returns {boolean} True if valid
+ */
+const validatePollClosesAt = (value, { req }) => {
+  if (value === null) return true;
+
+  const closesAt = new Date(value);
+  if (closesAt <= new Date()) {
+    throw new Error('Poll closing time must be in the future');
+  }
+
+  if (req.body.publish_at && closesAt <= new Date(req.body.publish_at)) {
+    throw new Error('Poll closing time must be after the post is published');
+  }
+  return true;
+};
+
+/**
+ * Check that a share doesn't reach a wider audience than the post it shares
+ * @param {Object} original - Shared post
+ * @param {string} privacyLevel - Privacy level of the share
+ * @returns {string|null} Error message, or null if the share is allowed
+ */
+const sharePrivacyError = (original, privacyLevel) => {
+  if (!Post.isWiderPrivacy(privacyLevel, original.privacy_level)) return null;
+  return `A ${original.privacy_level} post can only be shared as ${original.privacy_level === 'private' ? 'private' : 'friends or private'}`;
+};
+
 /**
  * GET /api/posts
  * Get all posts with pagination, filtering, and sorting
@@ -48,7 +111,7 @@ router.get('/',
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-    query('sort').optional().isIn(['newest', 'oldest']).withMessage('Sort must be newest or oldest'),
+    query('sort').optional().isIn(PostMetrics.SORT_OPTIONS).withMessage('Sort must be newest, oldest, hot, trending, best, top_day, or top_week'),
     query('privacy').optional().isIn(['public', 'friends', 'private']).withMessage('Invalid privacy level'),
     query('user_id').optional().isInt({ min: 1 }).withMessage('User ID must be a positive integer')
   ],
@@ -112,7 +175,12 @@ router.get('/',
                               'width', width,
                               'height', height,
                               'alt_text', alt_text,
+                              'thumbnail_path', thumbnail_path,
                               'thumbnail_url', thumbnail_url,
+                              'dominant_color', dominant_color,
+                              'duration', duration,
+                              'processing_status', processing_status,
+                              'variants', ${Media.variantsJson('media.id')},
                               'created_at', created_at
                             ) ORDER BY created_at ASC
                           ) as media
@@ -120,23 +188,27 @@ router.get('/',
                    WHERE post_id IS NOT NULL
                    GROUP BY post_id
                  ) media_items ON p.id = media_items.post_id
-                 WHERE p.is_published = true`;
+                 LEFT JOIN post_metrics pm ON p.id = pm.post_id
+                 WHERE p.is_published = true
+                   AND p.is_archived = false`;
 
       const params = [];
       let paramIndex = 1;
 
-      // Add privacy filter
-      if (!req.user) {
-        sql += ` AND p.privacy_level = 'public'`;
-      } else if (privacy) {
+      // Add privacy filter: public posts, plus the viewer's own posts and
+      // friends-only posts from people they are friends with
+      let viewerRef = null;
+      if (req.user) {
+        viewerRef = `$${paramIndex}`;
+        params.push(req.user.id);
+        paramIndex++;
+      }
+      sql += ` AND ${Post.buildVisibilityCondition('p', viewerRef)}`;
+
+      if (privacy) {
         sql += ` AND p.privacy_level = $${paramIndex}`;
         params.push(privacy);
         paramIndex++;
-      } else {
-        // For authenticated users, show public posts + their own private/friends posts
-        sql += ` AND (p.privacy_level = 'public' OR p.user_id = $${paramIndex})`;
-        params.push(req.user.id);
-        paramIndex++;
       }
 
       // Add user filter
@@ -146,9 +218,9 @@ router.get('/',
         paramIndex++;
       }
 
-      // Add ordering
-      const orderDirection = sort === 'newest' ? 'DESC' : 'ASC';
-      sql += ` ORDER BY p.created_at ${orderDirection}`;
+      // Add ordering (ranked sorts use post_metrics, top_* also limit the time window)
+      const { filter, orderClause } = PostMetrics.getSortClause(sort);
+      sql += `${filter} ${orderClause}`;
 
       // Add pagination
       sql += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
@@ -167,6 +239,8 @@ router.get('/',
         views_count: post.views_count || 0,
         created_at: post.created_at,
         updated_at: post.updated_at,
+        edited_at: post.edited_at,
+        is_edited: Boolean(post.edited_at),
         user_id: post.user_id,
         author: {
           id: post.user_id,
@@ -177,8 +251,10 @@ router.get('/',
         },
         reaction_counts: post.reactions || [],
         comment_count: parseInt(post.comment_count) || 0,
-        media: post.media || []
+        media: (post.media || []).map(item => Media.withUrls(item, post))
       }));
+      await Poll.attachToPosts(processedPosts, req.user?.id || null);
+      await Post.attachShares(processedPosts, req.user?.id || null);
 
       // Calculate pagination info
       const totalPages = Math.ceil(count / limit);
@@ -206,6 +282,111 @@ router.get('/',
   }
 );
 
+/**
+ * POST /api/posts/track-interaction
+ * Track user interactions with posts for hot/trending/best sorting
+ */
+router.post('/track-interaction',
+  optionalAuthenticate,
+  [
+    body('post_id').isInt({ min: 1 }).withMessage('Post ID is required and must be a positive integer'),
+    body('interaction_type').isIn(['view', 'share', 'deep_read', 'quote'])
+      .withMessage('Invalid interaction type'),
+    body('metadata').optional().isObject().withMessage('Metadata must be an object')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { post_id, interaction_type, metadata = {} } = req.body;
+      const options = {
+        user_id: req.user?.id || null,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      };
+
+      // Verify post exists and is visible to the viewer
+      const post = await Post.findById(post_id);
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Post not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      if (!(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      // Views are deduplicated; other interactions are always recorded
+      const interaction = interaction_type === 'view'
+        ? await PostInteraction.trackView(post_id, options)
+        : await PostInteraction.create({ post_id, interaction_type, metadata, ...options });
+
+      res.json({
+        success: true,
+        data: {
+          interaction_id: interaction ? interaction.id : null,
+          tracked: Boolean(interaction),
+          message: 'Interaction tracked successfully'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/posts/drafts
+ * Get the current user's drafts, scheduled ones first in publishing order
+ */
+router.get('/drafts',
+  authenticate,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const { posts, total } = await Post.getDrafts(req.user.id, limit, offset);
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          posts,
+          pagination: {
+            current_page: page,
+            total_pages: totalPages,
+            total_count: total,
+            limit,
+            has_next_page: page < totalPages,
+            has_prev_page: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/posts/:id
  * Get a single post by ID with all details
@@ -243,8 +424,9 @@ router.get('/:id',
         });
       }
 
-      // Check if post is published
-      if (!post.is_published && (!req.user || post.user_id !== req.user.id)) {
+      // Check if user can view this post (published state, privacy level and friendship)
+      const canView = await Post.canUserView(post, req.user);
+      if (!canView) {
         return res.status(403).json({
           success: false,
           error: {
@@ -254,26 +436,12 @@ router.get('/:id',
         });
       }
 
-      // Check if user can view this post
-      if (post.privacy_level === 'private' && (!req.user || post.user_id !== req.user.id)) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            message: 'Access denied',
-            type: 'AUTHORIZATION_ERROR'
-          }
-        });
-      }
-
-      if (post.privacy_level === 'friends' && !req.user) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            message: 'Access denied',
-            type: 'AUTHORIZATION_ERROR'
-          }
-        });
-      }
+      // Track this as a view for post ranking (deduplicated per user/session)
+      await PostInteraction.trackView(postId, {
+        user_id: req.user?.id || null,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      }).catch(error => console.error('Error tracking post view:', error));
 
       // Get comments for this post with hierarchical structure
       const commentsResult = await Comment.raw(
@@ -299,7 +467,8 @@ router.get('/:id',
 
       // Get media for this post
       const mediaResult = await Media.raw(
-        `SELECT m.*, u.username as uploader_username
+        `SELECT m.*, u.username as uploader_username,
+                ${Media.variantsJson('m.id')} AS variants
          FROM media m
          LEFT JOIN users u ON m.user_id = u.id
          WHERE m.post_id = $1
@@ -322,6 +491,8 @@ router.get('/:id',
           is_published: comment.is_published,
           created_at: comment.created_at,
           updated_at: comment.updated_at,
+          edited_at: comment.edited_at,
+          is_edited: Boolean(comment.edited_at),
           author: {
             id: comment.user_id,
             username: comment.username,
@@ -342,31 +513,39 @@ router.get('/:id',
       });
 
       // Process media data
-      const media = mediaResult.rows.map(m => ({
+      const media = mediaResult.rows.map(m => Media.withUrls({
         id: m.id,
         filename: m.filename,
         original_name: m.original_name,
         file_path: m.file_path,
+        thumbnail_path: m.thumbnail_path,
         file_size: m.file_size,
         mime_type: m.mime_type,
         media_type: m.media_type,
         width: m.width,
         height: m.height,
         alt_text: m.alt_text,
+        dominant_color: m.dominant_color,
+        duration: m.duration,
+        processing_status: m.processing_status,
+        variants: m.variants,
         created_at: m.created_at,
         uploader: {
           username: m.uploader_username
         }
-      }));
+      }, post));
 
       const postData = {
         id: post.id,
         content: post.content,
         privacy_level: post.privacy_level,
         is_published: post.is_published,
+        is_archived: post.is_archived,
         views_count: post.views_count || 0,
         created_at: post.created_at,
         updated_at: post.updated_at,
+        edited_at: post.edited_at,
+        is_edited: Boolean(post.edited_at),
         user_id: post.user_id,
         author: {
           id: post.user_id,
@@ -376,8 +555,10 @@ router.get('/:id',
           avatar_url: post.avatar_url
         },
         comments: comments,
-        media: media
+        media: media,
+        poll: await Poll.getForPost(postId, req.user?.id || null)
       };
+      await Post.attachShares([postData], req.user?.id || null);
 
       res.json({
         success: true,
@@ -390,64 +571,156 @@ router.get('/:id',
   }
 );
 
+/**
+ * GET /api/posts/:id/revisions
+ * Get the edit history of a post
+ * Visible to anyone who can view the post, and to moderators for any post
+ */
+router.get('/:id/revisions',
+  optionalAuthenticate,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Post ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const postId = parseInt(req.params.id);
+
+      const post = await Post.findById(postId);
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Post not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      const canView = User.hasPermission(req.user, 'revisions.view_any') || await Post.canUserView(post, req.user);
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      const revisions = await PostRevision.findByParent(postId);
+
+      res.json({
+        success: true,
+        data: {
+          current: {
+            content: post.content,
+            created_at: post.created_at,
+            edited_at: post.edited_at
+          },
+          revisions
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/posts
  * Create a new post
+ * is_published: false saves a draft; publish_at schedules the post, which stays
+ * a draft until the scheduler publishes it
+ * poll attaches a poll: { options, allows_multiple, hide_results, closes_at }
  */
 router.post('/',
   authenticate, // Require authentication
   [
     body('content').trim().isLength({ min: 1, max: 10000 }).withMessage('Content must be between 1 and 10000 characters'),
-    body('privacy_level').optional().isIn(['public', 'friends', 'private']).withMessage('Invalid privacy level')
+    body('privacy_level').optional().isIn(['public', 'friends', 'private']).withMessage('Invalid privacy level'),
+    body('is_published').optional().isBoolean({ strict: true }).withMessage('is_published must be a boolean'),
+    body('publish_at').optional({ nullable: true }).isISO8601().withMessage('Publish time must be a valid date')
+      .bail().custom(validatePublishAt),
+    body('poll').optional({ nullable: true }).isObject().withMessage('Poll must be an object'),
+    body('poll.options').if(body('poll').isObject())
+      .isArray({ min: 2, max: 10 }).withMessage('A poll must have between 2 and 10 options'),
+    body('poll.options.*').if(body('poll').isObject())
+      .isString().withMessage('Poll options must be text')
+      .bail().trim().isLength({ min: 1, max: 200 }).withMessage('Poll options must be between 1 and 200 characters'),
+    body('poll.options').if(body('poll').isObject()).if(body('poll.options').isArray())
+      .custom(options => {
+        const texts = options.map(option => String(option).toLowerCase());
+        if (new Set(texts).size !== texts.length) {
+          throw new Error('Poll options must be different from each other');
+        }
+        return true;
+      }),
+    body('poll.allows_multiple').optional().isBoolean({ strict: true }).withMessage('allows_multiple must be a boolean'),
+    body('poll.hide_results').optional().isBoolean({ strict: true }).withMessage('hide_results must be a boolean'),
+    body('poll.closes_at').optional({ nullable: true }).isISO8601().withMessage('Poll closing time must be a valid date')
+      .bail().custom(validatePollClosesAt)
   ],
   handleValidationErrors,
   async (req, res, next) => {
     try {
       // Using PostgreSQL models directly
-      const { content, privacy_level = 'public' } = req.body;
+      const { content, privacy_level = 'public', is_published, publish_at, poll } = req.body;
+
+      if (is_published === true && publish_at) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'A scheduled post cannot also be published now',
+            type: 'VALIDATION_ERROR'
+          }
+        });
+      }
 
       // Use authenticated user's ID
       const user_id = req.user.id;
+      const publishNow = is_published !== false && !publish_at;
 
-      // Create the post
-      const post = await Post.create({
-        user_id,
-        content,
-        privacy_level
+      // Create the post and its poll together, so a poll that fails to save
+      // doesn't leave a post without it behind
+      const post = await Post.transaction(async (client) => {
+        const created = await Post.create({
+          user_id,
+          content,
+          privacy_level,
+          is_published: publishNow,
+          publish_at: publish_at ? new Date(publish_at) : null
+        }, client);
+
+        if (poll) {
+          await Poll.createForPost(created.id, {
+            options: poll.options,
+            allows_multiple: poll.allows_multiple,
+            hide_results: poll.hide_results,
+            closes_at: poll.closes_at ? new Date(poll.closes_at) : null
+          }, client);
+        }
+
+        return created;
       });
 
-      // Fetch the post with author info using raw SQL
-      const postResult = await Post.raw(
-        `SELECT p.*,
-                u.username, u.first_name, u.last_name, u.avatar_url
-         FROM posts p
-         LEFT JOIN users u ON p.user_id = u.id
-         WHERE p.id = $1`,
-        [post.id]
-      );
+      // Fetch the post with author info
+      const createdPost = await loadPostData(post.id);
 
-      const postData = postResult.rows[0];
+      // Index hashtags and mentions, notify and push the post to followers once it is live
+      if (publishNow) {
+        await announcePost(post, createdPost);
+      }
+
+      let message = 'Post created successfully';
+      if (publish_at) message = 'Post scheduled';
+      else if (!publishNow) message = 'Draft saved';
 
       res.status(201).json({
         success: true,
-        data: {
-          id: postData.id,
-          content: postData.content,
-          privacy_level: postData.privacy_level,
-          is_published: postData.is_published,
-          views_count: postData.views_count || 0,
-          created_at: postData.created_at,
-          updated_at: postData.updated_at,
-          user_id: postData.user_id,
-          author: {
-            id: postData.user_id,
-            username: postData.username,
-            first_name: postData.first_name,
-            last_name: postData.last_name,
-            avatar_url: postData.avatar_url
-          }
-        },
-        message: 'Post created successfully'
+        data: createdPost,
+        message
       });
 
     } catch (error) {
@@ -459,20 +732,25 @@ router.post('/',
 /**
  * PUT /api/posts/:id
  * Update a post
+ * On a draft, the author can also publish it (is_published: true), schedule or
+ * reschedule it (publish_at) or unschedule it (publish_at: null)
  */
 router.put('/:id',
   authenticate, // Require authentication
   [
     param('id').isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
     body('content').optional().trim().isLength({ min: 1, max: 10000 }).withMessage('Content must be between 1 and 10000 characters'),
-    body('privacy_level').optional().isIn(['public', 'friends', 'private']).withMessage('Invalid privacy level')
+    body('privacy_level').optional().isIn(['public', 'friends', 'private']).withMessage('Invalid privacy level'),
+    body('is_published').optional().isBoolean({ strict: true }).withMessage('is_published must be a boolean'),
+    body('publish_at').optional({ nullable: true }).isISO8601().withMessage('Publish time must be a valid date')
+      .bail().custom(validatePublishAt)
   ],
   handleValidationErrors,
   async (req, res, next) => {
     try {
       // Using PostgreSQL models directly
       const postId = parseInt(req.params.id);
-      const { content, privacy_level } = req.body;
+      const { content, privacy_level, is_published, publish_at } = req.body;
 
       // Find the post
       const post = await Post.findById(postId);
@@ -487,7 +765,7 @@ router.put('/:id',
       }
 
       // Check if user can edit this post
-      if (post.user_id !== req.user.id && req.user.id !== 1) { // Allow admin (user ID 1) to edit any post
+      if (post.user_id !== req.user.id && !User.hasPermission(req.user, 'posts.edit_any')) {
         return res.status(403).json({
           success: false,
           error: {
@@ -497,44 +775,443 @@ router.put('/:id',
         });
       }
 
+      const isDraft = !post.is_published;
+
+      if (is_published !== undefined || publish_at !== undefined) {
+        // Only the author decides when their post goes out
+        if (post.user_id !== req.user.id) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              message: 'Access denied. Only the author can publish or schedule a post.',
+              type: 'AUTHORIZATION_ERROR'
+            }
+          });
+        }
+
+        if (is_published === true && publish_at) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: 'A scheduled post cannot also be published now',
+              type: 'VALIDATION_ERROR'
+            }
+          });
+        }
+
+        if (!isDraft && (is_published === false || publish_at)) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: 'A published post cannot be turned back into a draft or scheduled',
+              type: 'VALIDATION_ERROR'
+            }
+          });
+        }
+
+        if (isDraft && await Post.isModeratorUnpublished(postId)) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              message: 'This post was removed by a moderator and cannot be published again',
+              type: 'AUTHORIZATION_ERROR'
+            }
+          });
+        }
+      }
+
+      // A share can't be opened up to more people than the post it shares
+      if (privacy_level !== undefined && post.shared_post_id) {
+        const original = await Post.findById(post.shared_post_id);
+        const privacyError = original && sharePrivacyError(original, privacy_level);
+        if (privacyError) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: privacyError,
+              type: 'VALIDATION_ERROR'
+            }
+          });
+        }
+      }
+
       // Update post fields
       const updateData = {};
-      if (content !== undefined) updateData.content = content;
+      if (content !== undefined) {
+        // Keep the version being replaced; saving the same content again is not an edit.
+        // Drafts have no history until they are published.
+        if (!isDraft) {
+          const revision = await PostRevision.record(postId, content, req.user.id);
+          if (revision) updateData.edited_at = new Date();
+        }
+        updateData.content = content;
+      }
       if (privacy_level !== undefined) updateData.privacy_level = privacy_level;
+      if (isDraft && publish_at !== undefined) {
+        updateData.publish_at = publish_at ? new Date(publish_at) : null;
+      }
 
-      const updatedPost = await Post.update(postId, updateData);
+      let updatedPost = await Post.update(postId, updateData);
 
-      // Fetch updated post with author info using raw SQL
-      const postResult = await Post.raw(
-        `SELECT p.*,
-                u.username, u.first_name, u.last_name, u.avatar_url
-         FROM posts p
-         LEFT JOIN users u ON p.user_id = u.id
-         WHERE p.id = $1`,
-        [postId]
-      );
+      const publishing = isDraft && is_published === true;
+      if (publishing) {
+        updatedPost = await Post.publish(postId);
+      }
+
+      // Re-index edited content; only users mentioned for the first time are notified
+      if (!isDraft && content !== undefined) {
+        await Hashtag.syncForPost(postId, updatedPost.content)
+          .catch(error => console.error('Error indexing hashtags:', error));
+        const mentionedUsers = await Mention.sync({ content: updatedPost.content, author_id: post.user_id, post_id: postId })
+          .catch(error => {
+            console.error('Error recording mentions:', error);
+            return [];
+          });
+        await Notification.notifyMentions(mentionedUsers, { actor_id: req.user.id, post: updatedPost })
+          .catch(error => console.error('Error creating mention notifications:', error));
+      }
 
-      const postData = postResult.rows[0];
+      // Fetch updated post with author info
+      const responseData = await loadPostData(postId);
+
+      if (publishing) {
+        await announcePost(updatedPost, responseData);
+      } else {
+        // Visibility is checked against the updated privacy level
+        for (const channel of [`post:${postId}`, `user:${post.user_id}`]) {
+          await realtime.publish(channel, 'post.updated', { post: responseData }, { post: updatedPost })
+            .catch(error => console.error('Error publishing post event:', error));
+        }
+      }
 
       res.json({
         success: true,
-        data: {
-          id: postData.id,
-          content: postData.content,
-          privacy_level: postData.privacy_level,
-          is_published: postData.is_published,
-          created_at: postData.created_at,
-          updated_at: postData.updated_at,
-          user_id: postData.user_id,
-          author: {
-            id: postData.user_id,
-            username: postData.username,
-            first_name: postData.first_name,
-            last_name: postData.last_name,
-            avatar_url: postData.avatar_url
+        data: responseData,
+        message: publishing ? 'Post published' : 'Post updated successfully'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Archive or unarchive a post for its author
+ * @param {boolean} archived - Whether to archive or unarchive
+ * @returns {Function} Route handler
+ */
+const setArchivedHandler = (archived) => async (req, res, next) => {
+  try {
+    const postId = parseInt(req.params.id);
+
+    const post = await Post.findById(postId);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Post not found',
+          type: 'NOT_FOUND'
+        }
+      });
+    }
+
+    if (post.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only archive your own posts.',
+          type: 'AUTHORIZATION_ERROR'
+        }
+      });
+    }
+
+    // Drafts are already out of every list
+    if (!post.is_published) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only published posts can be archived',
+          type: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const updatedPost = post.is_archived === archived ? post : await Post.setArchived(postId, archived);
+    const postData = await loadPostData(postId);
+
+    // Clients refetch their lists, which now leave the post out (or bring it back)
+    if (updatedPost !== post) {
+      for (const channel of [`post:${postId}`, `user:${post.user_id}`]) {
+        await realtime.publish(channel, 'post.updated', { post: postData }, { post: updatedPost })
+          .catch(error => console.error('Error publishing post event:', error));
+      }
+    }
+
+    res.json({
+      success: true,
+      data: postData,
+      message: archived ? 'Post archived' : 'Post unarchived'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/posts/:id/archive
+ * Archive a post: it leaves lists and feeds and stops taking comments and reactions
+ */
+router.post('/:id/archive',
+  authenticate,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Post ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  setArchivedHandler(true)
+);
+
+/**
+ * POST /api/posts/:id/unarchive
+ * Restore an archived post
+ */
+router.post('/:id/unarchive',
+  authenticate,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Post ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  setArchivedHandler(false)
+);
+
+/**
+ * POST /api/posts/:id/poll/vote
+ * Vote in a post's poll, replacing any earlier vote
+ * Single-choice polls take exactly one option; multi-select polls take one or more
+ */
+router.post('/:id/poll/vote',
+  authenticate, // Require authentication
+  [
+    param('id').isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
+    body('option_ids').isArray({ min: 1 }).withMessage('Choose at least one option'),
+    body('option_ids.*').isInt({ min: 1 }).withMessage('Option IDs must be positive integers').toInt()
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const postId = parseInt(req.params.id);
+      const optionIds = [...new Set(req.body.option_ids)];
+
+      const post = await Post.findById(postId);
+      const poll = post ? await Poll.getForPost(postId, req.user.id) : null;
+      if (!poll) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: post ? 'This post has no poll' : 'Post not found',
+            type: 'NOT_FOUND'
           }
-        },
-        message: 'Post updated successfully'
+        });
+      }
+
+      const canView = await Post.canUserView(post, req.user);
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      if (post.is_archived) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'This post is archived and no longer accepts votes',
+            type: 'POST_ARCHIVED'
+          }
+        });
+      }
+
+      if (poll.is_closed) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'This poll is closed',
+            type: 'POLL_CLOSED'
+          }
+        });
+      }
+
+      if (!poll.allows_multiple && optionIds.length !== 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'This poll allows only one choice',
+            type: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const pollOptionIds = poll.options.map(option => option.id);
+      if (!optionIds.every(optionId => pollOptionIds.includes(optionId))) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Option does not belong to this poll',
+            type: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      await Poll.vote(poll.id, req.user.id, optionIds);
+
+      // Counts may be hidden from some viewers, so clients refetch the poll
+      await realtime.publish(`post:${postId}`, 'poll.updated', { post_id: postId, poll_id: poll.id }, { post })
+        .catch(error => console.error('Error publishing poll event:', error));
+
+      res.json({
+        success: true,
+        data: await Poll.getForPost(postId, req.user.id),
+        message: 'Vote recorded'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/posts/:id/share
+ * Share (repost) a post, with optional commentary
+ * The share gets the original's privacy level unless a narrower one is given and
+ * can never reach a wider audience. Resharing a share without commentary shares
+ * the post it points to.
+ */
+router.post('/:id/share',
+  authenticate, // Require authentication
+  [
+    param('id').isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
+    body('content').optional().isString().withMessage('Content must be text')
+      .bail().trim().isLength({ max: 10000 }).withMessage('Content must be at most 10000 characters'),
+    body('privacy_level').optional().isIn(['public', 'friends', 'private']).withMessage('Invalid privacy level')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const postId = parseInt(req.params.id);
+      const { content = '', privacy_level } = req.body;
+
+      let original = await Post.findById(postId);
+      if (!original) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Post not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      if (original.is_share && !original.content) {
+        if (!(await Post.canUserView(original, req.user))) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              message: 'Access denied',
+              type: 'AUTHORIZATION_ERROR'
+            }
+          });
+        }
+
+        original = original.shared_post_id ? await Post.findById(original.shared_post_id) : null;
+        if (!original) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              message: 'The shared post has been deleted',
+              type: 'NOT_FOUND'
+            }
+          });
+        }
+      }
+
+      if (!(await Post.canUserView(original, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      if (!original.is_published) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Only published posts can be shared',
+            type: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      if (original.is_archived) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'This post is archived and can no longer be shared',
+            type: 'POST_ARCHIVED'
+          }
+        });
+      }
+
+      const privacyLevel = privacy_level || original.privacy_level;
+      const privacyError = sharePrivacyError(original, privacyLevel);
+      if (privacyError) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: privacyError,
+            type: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const share = await Post.create({
+        user_id: req.user.id,
+        content,
+        privacy_level: privacyLevel,
+        is_share: true,
+        shared_post_id: original.id
+      });
+
+      const shareData = await loadPostData(share.id);
+      await announcePost(share, shareData);
+
+      // Shares count towards the original's ranking
+      await PostInteraction.create({
+        post_id: original.id,
+        interaction_type: content ? 'quote' : 'share',
+        metadata: { share_id: share.id },
+        user_id: req.user.id,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      }).catch(error => console.error('Error tracking post share:', error));
+
+      // The original's share count changed
+      await realtime.publish(`post:${original.id}`, 'post.updated', { post: await loadPostData(original.id) }, { post: original })
+        .catch(error => console.error('Error publishing post event:', error));
+
+      // The embedded original is shown as the sharer sees it
+      res.status(201).json({
+        success: true,
+        data: (await Post.attachShares([{ ...shareData }], req.user.id))[0],
+        message: 'Post shared'
       });
 
     } catch (error) {
@@ -571,7 +1248,7 @@ router.delete('/:id',
       }
 
       // Check if user can delete this post
-      if (post.user_id !== req.user.id && req.user.id !== 1) { // Allow admin (user ID 1) to delete any post
+      if (post.user_id !== req.user.id && !User.hasPermission(req.user, 'posts.delete_any')) {
         return res.status(403).json({
           success: false,
           error: {
@@ -581,9 +1258,19 @@ router.delete('/:id',
         });
       }
 
+      // The cascade takes the media rows but not their files
+      for (const media of await Media.getAllForPost(postId)) {
+        await Media.removeFiles(media);
+      }
+
       // Delete the post (cascading deletes will handle comments, reactions, media)
       await Post.delete(postId);
 
+      for (const channel of [`post:${postId}`, `user:${post.user_id}`]) {
+        await realtime.publish(channel, 'post.deleted', { post_id: postId, user_id: post.user_id }, { post })
+          .catch(error => console.error('Error publishing post event:', error));
+      }
+
       res.json({
         success: true,
         message: 'Post deleted successfully'
@@ -6,13 +6,16 @@
 
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
 
 // Import PostgreSQL models
 const Reaction = require('../models/Reaction');
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const PostInteraction = require('../models/PostInteraction');
+const Notification = require('../models/Notification');
+const realtime = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -103,12 +106,50 @@ router.post('/post/:postId',
         });
       }
 
+      // Check if user can view this post
+      if (!(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      // Reactions on an archived post are frozen
+      if (post.is_archived) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'This post is archived and no longer accepts reactions',
+            type: 'POST_ARCHIVED'
+          }
+        });
+      }
+
       // Toggle reaction
       const result = await Reaction.togglePostReaction(req.user.id, postId, normalizedType, emojiUnicode);
 
+      // New reactions feed the post ranking; tracking failures never fail the request
+      if (result.action === 'added') {
+        await PostInteraction.trackReaction(postId, { user_id: req.user.id })
+          .catch(error => console.error('Error tracking post reaction:', error));
+        await Notification.notifyReaction(result.reaction, { post })
+          .catch(error => console.error('Error creating reaction notification:', error));
+      }
+
       // Get updated reaction counts
       const counts = await Reaction.getPostReactionCounts(postId);
 
+      await realtime.publish(`post:${postId}`, 'reaction.updated', {
+        post_id: postId,
+        comment_id: null,
+        action: result.action,
+        user_id: req.user.id,
+        reaction_counts: counts
+      }, { post }).catch(error => console.error('Error publishing reaction event:', error));
+
       res.json({
         success: true,
         data: {
@@ -161,12 +202,49 @@ router.post('/comment/:commentId',
         });
       }
 
+      // Check if user can view the post this comment belongs to
+      const post = await Post.findById(comment.post_id);
+      if (!post || !(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
+      // Comments on an archived post take no new reactions either
+      if (post.is_archived) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'This post is archived and no longer accepts reactions',
+            type: 'POST_ARCHIVED'
+          }
+        });
+      }
+
       // Toggle reaction
       const result = await Reaction.toggleCommentReaction(req.user.id, commentId, normalizedType, emojiUnicode);
 
+      // Only new reactions notify the comment author; changing the emoji does not
+      if (result.action === 'added') {
+        await Notification.notifyReaction(result.reaction, { comment })
+          .catch(error => console.error('Error creating reaction notification:', error));
+      }
+
       // Get updated reaction counts
       const counts = await Reaction.getCommentReactionCounts(commentId);
 
+      await realtime.publish(`post:${comment.post_id}`, 'reaction.updated', {
+        post_id: comment.post_id,
+        comment_id: commentId,
+        action: result.action,
+        user_id: req.user.id,
+        reaction_counts: counts
+      }, { post }).catch(error => console.error('Error publishing reaction event:', error));
+
       res.json({
         success: true,
         data: {
@@ -188,6 +266,7 @@ router.post('/comment/:commentId',
  * Get reaction counts and details for a post
  */
 router.get('/post/:postId',
+  optionalAuthenticate,
   [
     param('postId').isInt().withMessage('Post ID must be an integer'),
     query('include_users').optional().isBoolean().withMessage('Include users must be boolean'),
@@ -214,6 +293,17 @@ router.get('/post/:postId',
         });
       }
 
+      // Check if user can view this post
+      if (!(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
       // Get reaction counts
       const counts = await Reaction.getPostReactionCounts(postId);
 
@@ -244,6 +334,7 @@ router.get('/post/:postId',
  * Get reaction counts and details for a comment
  */
 router.get('/comment/:commentId',
+  optionalAuthenticate,
   [
     param('commentId').isInt().withMessage('Comment ID must be an integer'),
     query('include_users').optional().isBoolean().withMessage('Include users must be boolean'),
@@ -270,6 +361,18 @@ router.get('/comment/:commentId',
         });
       }
 
+      // Check if user can view the post this comment belongs to
+      const post = await Post.findById(comment.post_id);
+      if (!post || !(await Post.canUserView(post, req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
+
       // Get reaction counts
       const counts = await Reaction.getCommentReactionCounts(commentId);
 
@@ -300,6 +403,7 @@ router.get('/comment/:commentId',
  * Get paginated reactions by a user
  */
 router.get('/user/:userId',
+  optionalAuthenticate,
   [
     param('userId').isInt().withMessage('User ID must be an integer'),
     query('type').optional().isIn(['post', 'comment']).withMessage('Type must be post or comment'),
@@ -335,9 +439,19 @@ router.get('/user/:userId',
       }
 
       // Build query conditions
-      let whereClause = 'r.user_id = $1';
       const params = [userId];
       let paramIndex = 2;
+      let viewerRef = null;
+      if (req.user) {
+        viewerRef = `$${paramIndex}`;
+        params.push(req.user.id);
+        paramIndex++;
+      }
+
+      // Only include reactions on posts (or comments of posts) the viewer can see
+      let whereClause = `r.user_id = $1
+        AND (vp.is_published = true${viewerRef ? ` OR vp.user_id = ${viewerRef}` : ''})
+        AND ${Post.buildVisibilityCondition('vp', viewerRef)}`;
 
       if (type === 'post') {
         whereClause += ` AND r.post_id IS NOT NULL`;
@@ -394,6 +508,8 @@ router.get('/user/:userId',
                  ELSE NULL
                END as comment_info
         FROM reactions r
+        LEFT JOIN comments vc ON r.comment_id = vc.id
+        JOIN posts vp ON vp.id = COALESCE(r.post_id, vc.post_id)
         WHERE ${whereClause}
         ORDER BY r.created_at DESC
         ${limitClause}
@@ -483,6 +599,20 @@ router.delete('/:id',
         counts = await Reaction.getCommentReactionCounts(reaction.comment_id);
       }
 
+      // Reactions on comments are published on the comment's post channel
+      const comment = reaction.comment_id ? await Comment.findById(reaction.comment_id) : null;
+      const postId = reaction.post_id || (comment && comment.post_id);
+      if (postId) {
+        const post = await Post.findById(postId);
+        await realtime.publish(`post:${postId}`, 'reaction.updated', {
+          post_id: postId,
+          comment_id: reaction.comment_id,
+          action: 'removed',
+          user_id: req.user.id,
+          reaction_counts: counts
+        }, { post }).catch(error => console.error('Error publishing reaction event:', error));
+      }
+
       res.json({
         success: true,
         data: {
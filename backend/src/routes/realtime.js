@@ -0,0 +1,171 @@
+/**
+ * Real-time routes for the social media platform API
+ * Streams post, user and notification events over Server-Sent Events
+ * Pure PostgreSQL implementation - NO SEQUELIZE
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const realtime = require('../utils/realtime');
+
+// Import PostgreSQL models
+const Post = require('../models/Post');
+const User = require('../models/User');
+
+const router = express.Router();
+
+// Upper bound on post and user channels per connection
+const MAX_SUBSCRIPTIONS = 50;
+
+/**
+ * Validation middleware to check for validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * Parse a comma-separated list of IDs from a query value
+ * @param {string} value - e.g. "1,2,3"
+ * @returns {Array<number>} Unique IDs
+ */
+const parseIdList = (value) => {
+  if (!value) return [];
+  return [...new Set(String(value).split(',').map(id => parseInt(id.trim())))];
+};
+
+/**
+ * Validator for comma-separated ID lists
+ */
+const isIdList = (value) => {
+  const ids = String(value).split(',');
+  if (ids.length > MAX_SUBSCRIPTIONS) {
+    throw new Error(`At most ${MAX_SUBSCRIPTIONS} IDs can be subscribed to`);
+  }
+  if (!ids.every(id => /^\d+$/.test(id.trim()) && parseInt(id) > 0)) {
+    throw new Error('Must be a comma-separated list of positive integers');
+  }
+  return true;
+};
+
+/**
+ * Reject stream requests while real-time updates are turned off
+ */
+const requireRealtimeEnabled = (req, res, next) => {
+  if (!realtime.isEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Real-time updates are disabled',
+        type: 'FEATURE_DISABLED'
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/realtime/stream
+ * Open an event stream for posts, users and/or the caller's notifications
+ * Query: posts=1,2  users=3  notifications=true
+ */
+router.get('/stream',
+  requireRealtimeEnabled,
+  authenticate,
+  [
+    query('posts').optional().custom(isIdList),
+    query('users').optional().custom(isIdList),
+    query('notifications').optional().isBoolean().withMessage('notifications must be a boolean')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const postIds = parseIdList(req.query.posts);
+      const userIds = parseIdList(req.query.users);
+      const channels = [];
+
+      // Users can only follow posts they are allowed to see
+      for (const postId of postIds) {
+        const post = await Post.findById(postId);
+        if (!post) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              message: 'Post not found',
+              type: 'NOT_FOUND'
+            }
+          });
+        }
+        if (!(await Post.canUserView(post, req.user))) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              message: 'Access denied',
+              type: 'AUTHORIZATION_ERROR'
+            }
+          });
+        }
+        channels.push(`post:${postId}`);
+      }
+
+      for (const userId of userIds) {
+        const user = await User.findById(userId);
+        if (!user) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              message: 'User not found',
+              type: 'NOT_FOUND'
+            }
+          });
+        }
+        channels.push(`user:${userId}`);
+      }
+
+      if (req.query.notifications === 'true') {
+        channels.push(`notifications:${req.user.id}`);
+      }
+
+      if (channels.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Subscribe to at least one post, user or your notifications',
+            type: 'VALIDATION_ERROR',
+            details: []
+          }
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      const client = realtime.addClient(res, req.user, channels);
+      realtime.send(client, 'ready', { client_id: client.id, channels });
+
+      req.on('close', () => realtime.removeClient(client));
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Report routes for the social media platform API
+ * Lets users flag posts, comments, media and profiles for moderator review
+ * Pure PostgreSQL implementation - NO SEQUELIZE
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+
+// Import PostgreSQL models
+const Report = require('../models/Report');
+
+const router = express.Router();
+
+/**
+ * Validation middleware to check for validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * POST /api/reports
+ * Report a post, comment, media item or user profile
+ */
+router.post('/',
+  authenticate,
+  [
+    body('target_type')
+      .isIn(Report.TARGET_TYPES)
+      .withMessage(`Target type must be one of: ${Report.TARGET_TYPES.join(', ')}`),
+    body('target_id')
+      .isInt({ min: 1 })
+      .withMessage('Target ID must be a positive integer'),
+    body('reason')
+      .isIn(Report.REASONS)
+      .withMessage(`Reason must be one of: ${Report.REASONS.join(', ')}`),
+    body('details')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Details must be 1000 characters or less')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { target_type, reason } = req.body;
+      const target_id = parseInt(req.body.target_id);
+
+      // Content the reporter cannot see is treated as missing
+      const target = await Report.findTarget(target_type, target_id);
+      if (!target || !(await Report.isVisibleTo(target_type, target, req.user))) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Reported content not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      if (Report.getTargetOwnerId(target_type, target) === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'You cannot report your own content',
+            type: 'INVALID_TARGET'
+          }
+        });
+      }
+
+      const existing = await Report.findPending(req.user.id, target_type, target_id);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: 'You have already reported this content',
+            type: 'DUPLICATE_ERROR'
+          }
+        });
+      }
+
+      const report = await Report.create({
+        reporter_id: req.user.id,
+        target_type,
+        target_id,
+        reason,
+        details: req.body.details || null
+      });
+
+      res.status(201).json({
+        success: true,
+        data: Report.getReportData(report),
+        message: 'Report submitted. Thank you for helping keep the community safe.'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,307 @@
+/**
+ * Search routes for the social media platform API
+ * Full-text search across posts, comments and users using tsvector columns
+ * Pure PostgreSQL implementation - NO SEQUELIZE
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { optionalAuthenticate } = require('../middleware/auth');
+
+// Import PostgreSQL models
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+
+const router = express.Router();
+
+// Result types that can be searched
+const SEARCH_TYPES = ['posts', 'comments', 'users'];
+
+// Matched terms are wrapped in <mark> tags; the client renders everything else as plain text
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+/**
+ * Validation middleware to check for validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * Append author and date range filters for posts or comments
+ * A date-only `to` value includes the whole day.
+ * @param {string} alias - Table alias of the searched rows
+ * @param {Object} filters - { author, from, to }
+ * @param {Array} params - Query parameters (mutated)
+ * @returns {string} SQL conditions prefixed with AND
+ */
+const buildFilterConditions = (alias, filters, params) => {
+  let conditions = '';
+
+  if (filters.author) {
+    params.push(filters.author);
+    conditions += ` AND LOWER(u.username) = LOWER($${params.length})`;
+  }
+
+  if (filters.from) {
+    params.push(filters.from);
+    conditions += ` AND ${alias}.created_at >= $${params.length}::timestamp`;
+  }
+
+  if (filters.to) {
+    params.push(filters.to);
+    conditions += /^\d{4}-\d{2}-\d{2}$/.test(filters.to)
+      ? ` AND ${alias}.created_at < $${params.length}::date + INTERVAL '1 day'`
+      : ` AND ${alias}.created_at <= $${params.length}::timestamp`;
+  }
+
+  return conditions;
+};
+
+/**
+ * Search posts the viewer is allowed to see
+ * @param {Object} search - { q, viewerId, filters, limit, offset }
+ * @returns {Object} { results, total }
+ */
+const searchPosts = async ({ q, viewerId, filters, limit, offset }) => {
+  const params = [q];
+  let viewerRef = null;
+  if (viewerId) {
+    params.push(viewerId);
+    viewerRef = `$${params.length}`;
+  }
+
+  const conditions = buildFilterConditions('p', filters, params);
+  params.push(limit, offset);
+
+  // Rank and page first so ts_headline only runs on the returned rows
+  const result = await Post.raw(
+    `SELECT ranked.*,
+            ts_headline('english', ranked.content, websearch_to_tsquery('english', $1), '${HEADLINE_OPTIONS}') as snippet
+     FROM (
+       SELECT p.id, p.user_id, p.content, p.privacy_level, p.created_at, p.updated_at,
+              u.username, u.first_name, u.last_name, u.avatar_url,
+              ts_rank_cd(p.search_vector, websearch_to_tsquery('english', $1)) as rank,
+              COUNT(*) OVER() as total_count
+       FROM posts p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.search_vector @@ websearch_to_tsquery('english', $1)
+         AND p.is_published = true
+         AND p.is_archived = false
+         AND ${Post.buildVisibilityCondition('p', viewerRef)}
+         ${conditions}
+       ORDER BY rank DESC, p.created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}
+     ) ranked
+     ORDER BY ranked.rank DESC, ranked.created_at DESC`,
+    params
+  );
+
+  return {
+    results: result.rows.map(row => ({
+      id: row.id,
+      content: row.content,
+      snippet: row.snippet,
+      rank: parseFloat(row.rank),
+      privacy_level: row.privacy_level,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      user_id: row.user_id,
+      author: {
+        id: row.user_id,
+        username: row.username,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        avatar_url: row.avatar_url
+      }
+    })),
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+  };
+};
+
+/**
+ * Search comments on posts the viewer is allowed to see
+ * @param {Object} search - { q, viewerId, filters, limit, offset }
+ * @returns {Object} { results, total }
+ */
+const searchComments = async ({ q, viewerId, filters, limit, offset }) => {
+  const params = [q];
+  let viewerRef = null;
+  if (viewerId) {
+    params.push(viewerId);
+    viewerRef = `$${params.length}`;
+  }
+
+  const conditions = buildFilterConditions('c', filters, params);
+  params.push(limit, offset);
+
+  const result = await Comment.raw(
+    `SELECT ranked.*,
+            ts_headline('english', ranked.content, websearch_to_tsquery('english', $1), '${HEADLINE_OPTIONS}') as snippet
+     FROM (
+       SELECT c.id, c.post_id, c.parent_id, c.user_id, c.content, c.created_at, c.updated_at,
+              u.username, u.first_name, u.last_name, u.avatar_url,
+              ts_rank_cd(c.search_vector, websearch_to_tsquery('english', $1)) as rank,
+              COUNT(*) OVER() as total_count
+       FROM comments c
+       JOIN posts p ON c.post_id = p.id
+       JOIN users u ON c.user_id = u.id
+       WHERE c.search_vector @@ websearch_to_tsquery('english', $1)
+         AND c.is_published = true
+         AND p.is_published = true
+         AND ${Post.buildVisibilityCondition('p', viewerRef)}
+         ${conditions}
+       ORDER BY rank DESC, c.created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}
+     ) ranked
+     ORDER BY ranked.rank DESC, ranked.created_at DESC`,
+    params
+  );
+
+  return {
+    results: result.rows.map(row => ({
+      id: row.id,
+      post_id: row.post_id,
+      parent_id: row.parent_id,
+      content: row.content,
+      snippet: row.snippet,
+      rank: parseFloat(row.rank),
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      user_id: row.user_id,
+      author: {
+        id: row.user_id,
+        username: row.username,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        avatar_url: row.avatar_url
+      }
+    })),
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+  };
+};
+
+/**
+ * Search active users by name, username and bio
+ * Author and date filters do not apply to users.
+ * @param {Object} search - { q, limit, offset }
+ * @returns {Object} { results, total }
+ */
+const searchUsers = async ({ q, limit, offset }) => {
+  const result = await User.raw(
+    `SELECT ranked.*,
+            CASE WHEN ranked.bio IS NOT NULL AND ranked.bio <> ''
+                 THEN ts_headline('simple', ranked.bio, websearch_to_tsquery('simple', $1), '${HEADLINE_OPTIONS}')
+            END as snippet
+     FROM (
+       SELECT u.id, u.username, u.first_name, u.last_name, u.avatar_url, u.bio, u.created_at,
+              ts_rank_cd(u.search_vector, websearch_to_tsquery('simple', $1)) as rank,
+              COUNT(*) OVER() as total_count
+       FROM users u
+       WHERE u.search_vector @@ websearch_to_tsquery('simple', $1)
+         AND u.is_active = true
+       ORDER BY rank DESC, u.username ASC
+       LIMIT $2 OFFSET $3
+     ) ranked
+     ORDER BY ranked.rank DESC, ranked.username ASC`,
+    [q, limit, offset]
+  );
+
+  return {
+    results: result.rows.map(row => ({
+      id: row.id,
+      username: row.username,
+      first_name: row.first_name,
+      last_name: row.last_name,
+      avatar_url: row.avatar_url,
+      bio: row.bio,
+      snippet: row.snippet,
+      rank: parseFloat(row.rank),
+      created_at: row.created_at
+    })),
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+  };
+};
+
+const searchers = {
+  posts: searchPosts,
+  comments: searchComments,
+  users: searchUsers
+};
+
+/**
+ * GET /api/search
+ * Search posts, comments and users with ranked, highlighted results
+ */
+router.get('/',
+  optionalAuthenticate, // Optional authentication to include friends-only and own posts
+  [
+    query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be between 1 and 200 characters'),
+    query('type').optional().isIn(['all', ...SEARCH_TYPES]).withMessage('Type must be all, posts, comments, or users'),
+    query('author').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Author must be a username'),
+    query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const q = req.query.q;
+      const type = req.query.type || 'all';
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+      const filters = {
+        author: req.query.author,
+        from: req.query.from,
+        to: req.query.to
+      };
+
+      const types = type === 'all' ? SEARCH_TYPES : [type];
+      const search = { q, viewerId: req.user ? req.user.id : null, filters, limit, offset };
+
+      const data = { query: q, type, totals: {} };
+      for (const searchType of types) {
+        const { results, total } = await searchers[searchType](search);
+        data[searchType] = results;
+        data.totals[searchType] = total;
+      }
+
+      // With type=all each section is paged in parallel, so a page exists while any section has one
+      const totalCount = Object.values(data.totals).reduce((sum, total) => sum + total, 0);
+      const totalPages = Math.max(...Object.values(data.totals).map(total => Math.ceil(total / limit)));
+
+      data.pagination = {
+        current_page: page,
+        total_pages: totalPages,
+        total_count: totalCount,
+        limit,
+        has_next_page: page < totalPages,
+        has_prev_page: page > 1
+      };
+
+      res.json({
+        success: true,
+        data
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -6,13 +6,16 @@
 
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { authenticate, requireModifyPermission } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate, requireModifyPermission } = require('../middleware/auth');
 
 // Import PostgreSQL models
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Reaction = require('../models/Reaction');
+const PostMetrics = require('../models/PostMetrics');
+const Poll = require('../models/Poll');
+const mailer = require('../utils/mailer');
 
 const router = express.Router();
 
@@ -124,11 +127,45 @@ router.get('/',
   }
 );
 
+/**
+ * GET /api/users/username/:username
+ * Look up a user by username (used to resolve @mentions)
+ */
+router.get('/username/:username',
+  [
+    param('username').matches(/^\w{3,50}$/).withMessage('Invalid username')
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await User.findByUsername(req.params.username);
+      if (!user || !user.is_active) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'User not found',
+            type: 'NOT_FOUND'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: User.getUserData(user)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/users/:id
  * Get a single user by ID with their posts
  */
 router.get('/:id',
+  optionalAuthenticate,
   [
     param('id').isInt({ min: 1 }).withMessage('User ID must be a positive integer')
   ],
@@ -149,6 +186,10 @@ router.get('/:id',
         });
       }
 
+      // Only list posts the viewer is allowed to see
+      const viewerRef = req.user ? '$2' : null;
+      const postParams = req.user ? [userId, req.user.id] : [userId];
+
       // Get recent posts with reaction counts (fixed to match new schema)
       const postsResult = await Post.raw(
         `SELECT p.*,
@@ -172,9 +213,10 @@ router.get('/:id',
            GROUP BY post_id
          ) reaction_counts ON p.id = reaction_counts.post_id
          WHERE p.user_id = $1 AND p.is_published = true
+           AND ${Post.buildVisibilityCondition('p', viewerRef)}
          ORDER BY p.created_at DESC
          LIMIT 10`,
-        [userId]
+        postParams
       );
 
       // Get user statistics
@@ -194,6 +236,8 @@ router.get('/:id',
         views_count: post.views_count || 0,
         created_at: post.created_at,
         updated_at: post.updated_at,
+        edited_at: post.edited_at,
+        is_edited: Boolean(post.edited_at),
         user_id: post.user_id,
         reaction_counts: post.reactions || []
       }));
@@ -232,6 +276,7 @@ router.post('/',
 /**
  * PUT /api/users/:id
  * Update a user profile
+ * A new email address starts out unverified and is sent a verification link.
  */
 router.put('/:id',
   authenticate, // Require authentication
@@ -311,8 +356,19 @@ router.put('/:id',
       if (avatar_url !== undefined) updateData.avatar_url = avatar_url;
       if (is_active !== undefined) updateData.is_active = is_active;
 
+      // OAuth logins are linked to accounts by verified email, so a changed
+      // address must not keep the old one's verification
+      const emailChanged = email !== undefined && email !== user.email;
+      if (emailChanged) updateData.email_verified = false;
+
       const updatedUser = await User.update(userId, updateData);
 
+      if (emailChanged) {
+        const verificationToken = await User.generateEmailVerificationToken(userId);
+        mailer.sendVerification(updatedUser, verificationToken)
+          .catch(error => console.error('Error sending verification email:', error));
+      }
+
       res.json({
         success: true,
         data: User.getUserData(updatedUser),
@@ -371,10 +427,13 @@ router.delete('/:id',
  * Get all posts by a specific user
  */
 router.get('/:id/posts',
+  optionalAuthenticate,
   [
     param('id').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('sort').optional().isIn(PostMetrics.SORT_OPTIONS).withMessage('Sort must be newest, oldest, hot, trending, best, top_day, or top_week'),
+    query('archived').optional().isBoolean().withMessage('Archived must be true or false')
   ],
   handleValidationErrors,
   async (req, res, next) => {
@@ -383,6 +442,19 @@ router.get('/:id/posts',
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
       const offset = (page - 1) * limit;
+      const sort = req.query.sort || 'newest';
+      const archived = req.query.archived === 'true';
+
+      // Archived posts are listed for their author only
+      if (archived && (!req.user || req.user.id !== userId)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied. You can only list your own archived posts.',
+            type: 'AUTHORIZATION_ERROR'
+          }
+        });
+      }
 
       // Verify user exists
       const user = await User.findById(userId);
@@ -396,10 +468,19 @@ router.get('/:id/posts',
         });
       }
 
+      // Only count and list posts the viewer is allowed to see
+      const viewerRef = req.user ? '$2' : null;
+      const visibilityCondition = Post.buildVisibilityCondition('p', viewerRef);
+      const baseParams = req.user ? [userId, req.user.id] : [userId];
+      const limitRef = baseParams.length + 1;
+      const { filter, orderClause } = PostMetrics.getSortClause(sort);
+
       // Get total count of user's posts
       const countResult = await Post.raw(
-        'SELECT COUNT(*) as count FROM posts WHERE user_id = $1 AND is_published = true',
-        [userId]
+        `SELECT COUNT(*) as count FROM posts p
+         WHERE p.user_id = $1 AND p.is_published = true AND p.is_archived = ${archived}
+           AND ${visibilityCondition}${filter}`,
+        baseParams
       );
       const totalCount = parseInt(countResult.rows[0].count);
 
@@ -427,10 +508,12 @@ router.get('/:id/posts',
            ) grouped_reactions
            GROUP BY post_id
          ) reaction_counts ON p.id = reaction_counts.post_id
-         WHERE p.user_id = $1 AND p.is_published = true
-         ORDER BY p.created_at DESC
-         LIMIT $2 OFFSET $3`,
-        [userId, limit, offset]
+         LEFT JOIN post_metrics pm ON p.id = pm.post_id
+         WHERE p.user_id = $1 AND p.is_published = true AND p.is_archived = ${archived}
+           AND ${visibilityCondition}${filter}
+         ${orderClause}
+         LIMIT $${limitRef} OFFSET $${limitRef + 1}`,
+        [...baseParams, limit, offset]
       );
 
       const processedPosts = postsResult.rows.map(post => ({
@@ -438,9 +521,12 @@ router.get('/:id/posts',
         content: post.content,
         privacy_level: post.privacy_level,
         is_published: post.is_published,
+        is_archived: post.is_archived,
         views_count: post.views_count || 0,
         created_at: post.created_at,
         updated_at: post.updated_at,
+        edited_at: post.edited_at,
+        is_edited: Boolean(post.edited_at),
         user_id: post.user_id,
         author: {
           id: post.user_id,
@@ -451,6 +537,8 @@ router.get('/:id/posts',
         },
         reaction_counts: post.reactions || []
       }));
+      await Poll.attachToPosts(processedPosts, req.user?.id || null);
+      await Post.attachShares(processedPosts, req.user?.id || null);
 
       // Calculate pagination info
       const totalPages = Math.ceil(totalCount / limit);
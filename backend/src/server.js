@@ -9,7 +9,6 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
-const path = require('path');
 require('dotenv').config();
 
 // Import centralized configuration
@@ -25,10 +24,35 @@ const usersRoutes = require('./routes/users');
 const commentsRoutes = require('./routes/comments');
 const mediaRoutes = require('./routes/media');
 const reactionsRoutes = require('./routes/reactions');
+const followsRoutes = require('./routes/follows');
+const feedRoutes = require('./routes/feed');
+const searchRoutes = require('./routes/search');
+const notificationsRoutes = require('./routes/notifications');
+const realtimeRoutes = require('./routes/realtime');
+const hashtagsRoutes = require('./routes/hashtags');
+const adminRoutes = require('./routes/admin');
+const reportsRoutes = require('./routes/reports');
+const moderationRoutes = require('./routes/moderation');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
+const { protectUploads } = require('./middleware/uploads');
+
+// Real-time event hub (Server-Sent Events)
+const realtime = require('./utils/realtime');
+
+// Uploaded file storage (local disk or S3-compatible)
+const storage = require('./utils/storage');
+
+// Scheduled post publishing
+const { scheduler } = require('./utils/publishing');
+
+// Background video processing
+const { processor: mediaProcessor } = require('./utils/mediaProcessing');
+
+// Cleanup of abandoned resumable uploads
+const { sweeper: uploadSweeper } = require('./utils/resumableUploads');
 
 // Initialize Express app
 const app = express();
@@ -71,9 +95,13 @@ if (config.database.logging) {
   app.use(morgan(format));
 }
 
-// Static file serving for uploaded media
-// Note: Files are uploaded to src/uploads by the media routes
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Static file serving for uploaded media when it is stored on local disk, with media
+// that isn't public only served through signed URLs; with the s3 driver clients load
+// files from the bucket (or its public URL) directly
+const fileStorage = storage.getDriver();
+if (fileStorage.name === 'local') {
+  app.use('/uploads', protectUploads(fileStorage), express.static(fileStorage.root));
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -93,6 +121,15 @@ app.use('/api/users', usersRoutes);
 app.use('/api/comments', commentsRoutes);
 app.use('/api/media', mediaRoutes);
 app.use('/api/reactions', reactionsRoutes);
+app.use('/api/follows', followsRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/hashtags', hashtagsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/moderation', moderationRoutes);
 
 // Catch-all route for undefined endpoints
 app.use(notFound);
@@ -120,6 +157,15 @@ async function startServer() {
       console.log(`📡 API endpoints available at: http://localhost:${PORT}/api`);
     });
 
+    // Publish scheduled posts as they fall due
+    scheduler.start();
+
+    // Probe, poster and transcode uploaded videos
+    mediaProcessor.start();
+
+    // Delete resumable uploads nobody finished
+    uploadSweeper.start();
+
   } catch (error) {
     console.error('❌ Unable to start server:', error);
     process.exit(1);
@@ -131,12 +177,20 @@ async function startServer() {
  */
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
+  realtime.closeAll();
+  scheduler.stop();
+  mediaProcessor.stop();
+  uploadSweeper.stop();
   await closeConnection();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
+  realtime.closeAll();
+  scheduler.stop();
+  mediaProcessor.stop();
+  uploadSweeper.stop();
   await closeConnection();
   process.exit(0);
 });
@@ -0,0 +1,125 @@
+/**
+ * EXIF reading for uploaded photos
+ * Uploaded images are re-encoded without their metadata, so this reads the handful of
+ * EXIF tags worth keeping out of the raw block first and builds the whitelisted
+ * summary stored in media.metadata. GPS and camera details are never copied over.
+ */
+
+// The APP1 payload sharp returns starts with this before the TIFF header
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+
+const TAGS = {
+  ORIENTATION: 0x0112,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011
+};
+
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+
+/**
+ * Read the tags we care about from a raw EXIF block
+ * Malformed or truncated blocks give whatever could be read before the damage.
+ * @param {Buffer} exif - EXIF block, with or without the "Exif\0\0" header
+ * @returns {Object} { orientation, takenAt, hasGps }
+ */
+const readExif = (exif) => {
+  const result = { orientation: null, takenAt: null, hasGps: false };
+  if (!exif) return result;
+
+  const tiff = exif.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER) ? exif.subarray(EXIF_HEADER.length) : exif;
+  if (tiff.length < 8) return result;
+
+  const byteOrder = tiff.toString('ascii', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return result;
+  const littleEndian = byteOrder === 'II';
+
+  const readUInt16 = (offset) => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const readUInt32 = (offset) => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  // Each IFD is a count followed by 12-byte entries; values of 4 bytes or less sit in the entry itself
+  const readIfd = (offset) => {
+    const entries = new Map();
+    if (!offset || offset + 2 > tiff.length) return entries;
+
+    const count = readUInt16(offset);
+    for (let i = 0; i < count; i++) {
+      const entryOffset = offset + 2 + i * 12;
+      if (entryOffset + 12 > tiff.length) break;
+      entries.set(readUInt16(entryOffset), {
+        type: readUInt16(entryOffset + 2),
+        count: readUInt32(entryOffset + 4),
+        valueOffset: entryOffset + 8
+      });
+    }
+    return entries;
+  };
+
+  const readAscii = (entry) => {
+    if (!entry || entry.type !== TYPE_ASCII) return null;
+    const start = entry.count > 4 ? readUInt32(entry.valueOffset) : entry.valueOffset;
+    if (start + entry.count > tiff.length) return null;
+    return tiff.toString('ascii', start, start + entry.count).replace(/\0+$/, '');
+  };
+
+  const readInteger = (entry) => {
+    if (!entry) return null;
+    if (entry.type === TYPE_SHORT) return readUInt16(entry.valueOffset);
+    if (entry.type === TYPE_LONG) return readUInt32(entry.valueOffset);
+    return null;
+  };
+
+  const ifd0 = readIfd(readUInt32(4));
+  const exifIfd = readIfd(readInteger(ifd0.get(TAGS.EXIF_IFD)));
+
+  result.orientation = readInteger(ifd0.get(TAGS.ORIENTATION));
+  result.takenAt = parseExifDate(
+    readAscii(exifIfd.get(TAGS.DATE_TIME_ORIGINAL)) || readAscii(ifd0.get(TAGS.DATE_TIME)),
+    readAscii(exifIfd.get(TAGS.OFFSET_TIME_ORIGINAL))
+  );
+  result.hasGps = ifd0.has(TAGS.GPS_IFD);
+
+  return result;
+};
+
+/**
+ * Turn an EXIF "YYYY:MM:DD HH:MM:SS" date into ISO 8601
+ * Cameras record local time; the offset is only known when the camera wrote one.
+ * @param {string|null} value - EXIF date
+ * @param {string|null} offset - EXIF offset such as "+02:00"
+ * @returns {string|null} ISO 8601 date, or null if missing or unset
+ */
+const parseExifDate = (value, offset) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match || match[1] === '0000') return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${zone}`;
+};
+
+/**
+ * Build the metadata kept for an uploaded image
+ * @param {Object} image - { width, height, format } of the stored image and its original exif block
+ * @returns {Object} Whitelisted metadata
+ */
+const buildImageMetadata = ({ width, height, format, exif }) => {
+  const { takenAt } = readExif(exif);
+
+  return {
+    width: width || null,
+    height: height || null,
+    format: format || null,
+    taken_at: takenAt
+  };
+};
+
+module.exports = {
+  readExif,
+  parseExifDate,
+  buildImageMetadata
+};
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * Mailer
+ * Renders the email templates named in config.email.templates and delivers them
+ * through the transport selected by config.email.transport (smtp, file or console).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { config, getFrontendBaseUrl } = require('../../../config/app.config');
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/email');
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Fill in a template body
+ * `{{name}}` inserts a variable; `{{#name}}...{{/name}}` keeps its block only when the variable is set.
+ * @param {string} source - Template source
+ * @param {Object} variables - Template variables
+ * @param {boolean} escapeHtml - Escape inserted values for HTML bodies
+ * @returns {string} Rendered body
+ */
+function interpolate(source, variables, escapeHtml) {
+  const sections = source.replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g,
+    (match, name, block) => (variables[name] ? block : ''));
+
+  return sections.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    const value = variables[name] === undefined || variables[name] === null ? '' : String(variables[name]);
+    return escapeHtml ? value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]) : value;
+  });
+}
+
+class Mailer {
+  constructor() {
+    this.transport = null;
+    this.transportSettings = null;
+  }
+
+  /**
+   * Render a template into a subject, HTML body and text body
+   * The text template starts with a `Subject:` line followed by a blank line.
+   * @param {string} name - Template file name without extension (e.g. 'welcome')
+   * @param {Object} variables - Template variables
+   * @returns {Object} { subject, html, text }
+   */
+  async render(name, variables = {}) {
+    const values = { app_name: config.email.appName, ...variables };
+
+    const [textSource, htmlSource] = await Promise.all([
+      fs.readFile(path.join(TEMPLATE_DIR, `${name}.txt`), 'utf8'),
+      fs.readFile(path.join(TEMPLATE_DIR, `${name}.html`), 'utf8')
+    ]);
+
+    const [subjectLine, ...body] = interpolate(textSource, values, false).split('\n');
+    if (!subjectLine.startsWith('Subject:')) {
+      throw new Error(`Email template "${name}" is missing a Subject line`);
+    }
+
+    return {
+      subject: subjectLine.slice('Subject:'.length).trim(),
+      text: body.join('\n').trim(),
+      html: interpolate(htmlSource, values, true)
+    };
+  }
+
+  /**
+   * Create the nodemailer transport for the configured delivery method
+   * @returns {Object} Nodemailer transport
+   */
+  createTransport() {
+    const { transport, smtp } = config.email;
+
+    switch (transport) {
+      case 'smtp':
+        if (!smtp.host) {
+          throw new Error('SMTP transport selected but SMTP_HOST is not set');
+        }
+        return nodemailer.createTransport({
+          host: smtp.host,
+          port: smtp.port,
+          secure: smtp.secure,
+          auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+        });
+      case 'file':
+      case 'console':
+        return nodemailer.createTransport({ jsonTransport: true });
+      default:
+        throw new Error(`Unknown email transport "${transport}"`);
+    }
+  }
+
+  /**
+   * Get the transport, creating it on first use and reusing it after that
+   * It is only created again when the delivery settings change, as they do in tests.
+   * @returns {Object} Nodemailer transport
+   */
+  getTransport() {
+    const settings = JSON.stringify([config.email.transport, config.email.smtp]);
+
+    if (!this.transport || this.transportSettings !== settings) {
+      const transport = this.createTransport();
+      if (this.transport) this.transport.close();
+
+      this.transport = transport;
+      this.transportSettings = settings;
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, html, text }
+   * @returns {Object} { messageId, transport, file }
+   */
+  async send({ to, subject, html, text }) {
+    const { transport } = config.email;
+    const info = await this.getTransport().sendMail({
+      from: config.email.from,
+      to,
+      subject,
+      html,
+      text
+    });
+
+    const result = { messageId: info.messageId, transport, file: null };
+
+    if (transport === 'file') {
+      const outputDir = path.resolve(config.email.outputDir);
+      await fs.mkdir(outputDir, { recursive: true });
+
+      result.file = path.join(outputDir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+
+      // Write then rename, so anything watching the directory never reads a half-written message
+      const partialFile = `${result.file}.partial`;
+      await fs.writeFile(partialFile, JSON.stringify(JSON.parse(info.message), null, 2));
+      await fs.rename(partialFile, result.file);
+    } else if (transport === 'console' && config.logging.console) {
+      console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Render one of the templates in config.email.templates and send it
+   * @param {string} key - Template key ('welcome', 'resetPassword' or 'verify')
+   * @param {string} to - Recipient address
+   * @param {Object} variables - Template variables
+   * @returns {Object} Send result
+   */
+  async sendTemplate(key, to, variables = {}) {
+    const name = config.email.templates[key];
+    if (!name) {
+      throw new Error(`No email template configured for "${key}"`);
+    }
+
+    const { subject, html, text } = await this.render(name, variables);
+    return await this.send({ to, subject, html, text });
+  }
+
+  /**
+   * Welcome a new user, including the verification link when verification is enabled
+   * @param {Object} user - User row
+   * @param {string|null} verificationToken - Email verification token
+   * @returns {Object} Send result
+   */
+  async sendWelcome(user, verificationToken = null) {
+    return await this.sendTemplate('welcome', user.email, {
+      first_name: user.first_name,
+      username: user.username,
+      verify_url: verificationToken ? this.buildUrl('/verify-email', verificationToken) : null
+    });
+  }
+
+  /**
+   * Send an email verification link
+   * @param {Object} user - User row
+   * @param {string} token - Email verification token
+   * @returns {Object} Send result
+   */
+  async sendVerification(user, token) {
+    return await this.sendTemplate('verify', user.email, {
+      first_name: user.first_name,
+      email: user.email,
+      verify_url: this.buildUrl('/verify-email', token)
+    });
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User row
+   * @param {string} token - Password reset token
+   * @returns {Object} Send result
+   */
+  async sendPasswordReset(user, token) {
+    return await this.sendTemplate('resetPassword', user.email, {
+      first_name: user.first_name,
+      reset_url: this.buildUrl('/reset-password', token),
+      expires_in: '1 hour'
+    });
+  }
+
+  /**
+   * Tell a user their password was changed, so an unexpected change can be noticed
+   * @param {Object} user - User row
+   * @returns {Object} Send result
+   */
+  async sendPasswordChanged(user) {
+    return await this.sendTemplate('passwordChanged', user.email, {
+      first_name: user.first_name,
+      changed_at: new Date(user.password_changed_at || Date.now()).toUTCString(),
+      login_url: `${getFrontendBaseUrl()}/login`
+    });
+  }
+
+  /**
+   * Tell a user their account was locked after repeated failed logins, with a link to unlock it
+   * @param {Object} user - User row
+   * @param {string} token - Unlock token
+   * @param {Object} lock - { attempts, locked_until }
+   * @returns {Object} Send result
+   */
+  async sendAccountLocked(user, token, { attempts, locked_until }) {
+    const hours = config.auth.lockout.unlockTokenHours;
+    return await this.sendTemplate('accountLocked', user.email, {
+      first_name: user.first_name,
+      attempts,
+      locked_until: new Date(locked_until).toUTCString(),
+      unlock_url: this.buildUrl('/unlock-account', token),
+      expires_in: hours === 1 ? '1 hour' : `${hours} hours`
+    });
+  }
+
+  /**
+   * Build a frontend link carrying a token
+   * @param {string} pathname - Frontend route
+   * @param {string} token - Token to include
+   * @returns {string} Absolute URL
+   */
+  buildUrl(pathname, token) {
+    return `${getFrontendBaseUrl()}${pathname}?token=${encodeURIComponent(token)}`;
+  }
+}
+
+module.exports = new Mailer();
\ No newline at end of file
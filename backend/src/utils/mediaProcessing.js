@@ -0,0 +1,314 @@
+/**
+ * Video processing
+ * Background jobs that run ffprobe/ffmpeg over uploaded videos: reading duration,
+ * dimensions and codecs, taking a poster frame and optionally transcoding to H.264/AAC
+ * MP4 renditions. Files are copied from storage into a temporary directory for ffmpeg
+ * and the results are put back next to the original.
+ */
+
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { config } = require('../../../config/app.config');
+const Media = require('../models/Media');
+const MediaJob = require('../models/MediaJob');
+const storage = require('./storage');
+const realtime = require('./realtime');
+
+/**
+ * Run a command, killing it after config.videoProcessing.timeout
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<string>} Standard output
+ */
+const runCommand = (command, args) => new Promise((resolve, reject) => {
+  execFile(command, args, { timeout: config.videoProcessing.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error) {
+      // ffmpeg explains itself in the last lines of stderr
+      const detail = String(stderr || '').trim().split('\n').slice(-3).join(' ');
+      reject(new Error(`${path.basename(command)} failed: ${detail || error.message}`));
+      return;
+    }
+    resolve(stdout);
+  });
+});
+
+/**
+ * Read a video's duration, display dimensions and codecs with ffprobe
+ * @param {string} filePath - Local video file
+ * @returns {Promise<Object>} { duration, width, height, videoCodec, audioCodec }
+ */
+const probe = async (filePath) => {
+  const output = await runCommand(config.videoProcessing.ffprobePath, [
+    '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath
+  ]);
+  const { format = {}, streams = [] } = JSON.parse(output);
+
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  if (!video) {
+    throw new Error('No video stream found');
+  }
+
+  // Phones store portrait video as landscape frames plus a rotation that players apply
+  const rotationData = (video.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = parseInt((video.tags && video.tags.rotate) || (rotationData && rotationData.rotation) || 0);
+  const sideways = Math.abs(rotation) % 180 === 90;
+
+  const duration = parseFloat(format.duration || video.duration);
+
+  return {
+    duration: Number.isFinite(duration) ? Math.round(duration) : null,
+    width: sideways ? video.height : video.width,
+    height: sideways ? video.width : video.height,
+    videoCodec: video.codec_name || null,
+    audioCodec: audio ? audio.codec_name : null
+  };
+};
+
+/**
+ * Save one frame as a JPEG poster
+ * @param {string} input - Local video file
+ * @param {string} output - JPEG file to write
+ * @param {number|null} duration - Video duration in seconds
+ */
+const extractPoster = async (input, output, duration) => {
+  // Clips shorter than the poster time get their middle frame instead
+  const seconds = duration ? Math.min(config.videoProcessing.posterTime, duration / 2) : 0;
+
+  await runCommand(config.videoProcessing.ffmpegPath, [
+    '-y', '-v', 'error', '-ss', String(seconds), '-i', input, '-frames:v', '1', '-q:v', '3', output
+  ]);
+};
+
+/**
+ * Transcode to an H.264/AAC MP4 that starts playing before it has fully downloaded
+ * @param {string} input - Local video file
+ * @param {string} output - MP4 file to write
+ * @param {number} height - Output height in pixels
+ * @param {boolean} hasAudio - Whether the input has an audio stream
+ */
+const transcode = async (input, output, height, hasAudio) => {
+  await runCommand(config.videoProcessing.ffmpegPath, [
+    '-y', '-v', 'error', '-i', input,
+    '-vf', `scale=-2:${height}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+    ...(hasAudio ? ['-c:a', 'aac', '-b:a', '128k'] : ['-an']),
+    // Drop container metadata such as recording location
+    '-map_metadata', '-1',
+    '-movflags', '+faststart',
+    output
+  ]);
+};
+
+/**
+ * Heights to transcode a video to: the configured ones, capped at the video's own height
+ * @param {number} sourceHeight - Display height of the original
+ * @returns {Array<number>} Distinct heights, tallest first
+ */
+const renditionHeights = (sourceHeight) => {
+  const heights = config.videoProcessing.renditionHeights
+    .map(height => Math.min(height, sourceHeight))
+    // libx264 needs even dimensions
+    .map(height => height - (height % 2));
+
+  return [...new Set(heights)].filter(height => height > 0).sort((a, b) => b - a);
+};
+
+/**
+ * Probe a video, store its poster and renditions and record the results on the media
+ * Anything stored by a failed run is removed again before the error is rethrown.
+ * @param {Object} media - Media row
+ * @param {Object} options - { onStep }: called before each ffprobe/ffmpeg run
+ * @returns {Promise<Object>} Updated media row
+ */
+const processVideo = async (media, { onStep = async () => {} } = {}) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-processing-'));
+  const baseKey = media.file_path.replace(/\.[^./]*$/, '');
+  const storedKeys = [];
+
+  try {
+    // Videos can be hundreds of megabytes, so they go to and from storage as files
+    const input = path.join(workDir, `original${path.extname(media.file_path)}`);
+    await storage.getFile(media.file_path, input);
+
+    await onStep();
+    const info = await probe(input);
+
+    const posterFile = path.join(workDir, 'poster.jpg');
+    await onStep();
+    await extractPoster(input, posterFile, info.duration);
+    const posterPath = `${baseKey}_poster.jpg`;
+    await storage.putFile(posterPath, posterFile, { contentType: 'image/jpeg' });
+    storedKeys.push(posterPath);
+
+    const renditions = [];
+    for (const height of info.height ? renditionHeights(info.height) : []) {
+      const outputFile = path.join(workDir, `${height}p.mp4`);
+      await onStep();
+      await transcode(input, outputFile, height, Boolean(info.audioCodec));
+
+      await onStep();
+      const output = await probe(outputFile);
+      const { size } = await fs.stat(outputFile);
+      const renditionPath = `${baseKey}_${height}p.mp4`;
+      await storage.putFile(renditionPath, outputFile, { contentType: 'video/mp4' });
+      storedKeys.push(renditionPath);
+
+      renditions.push({
+        format: 'mp4',
+        width: output.width,
+        height: output.height,
+        file_path: renditionPath,
+        file_size: size
+      });
+    }
+
+    // A retried job may have recorded renditions before it failed
+    await Media.removeVariants(media.id, 'mp4');
+    await Media.createVariants(media.id, renditions);
+
+    return await Media.update(media.id, {
+      duration: info.duration,
+      width: info.width,
+      height: info.height,
+      thumbnail_path: posterPath,
+      thumbnail_url: storage.getUrl(posterPath),
+      metadata: JSON.stringify({
+        width: info.width,
+        height: info.height,
+        duration: info.duration,
+        video_codec: info.videoCodec,
+        audio_codec: info.audioCodec
+      }),
+      is_processed: true,
+      processing_status: 'ready'
+    });
+  } catch (error) {
+    await Promise.all(storedKeys.map(key => storage.remove(key)
+      .catch(removeError => console.error('Failed to clean up file:', key, removeError))));
+    throw error;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Works through the media job queue
+ */
+class MediaProcessor {
+  constructor() {
+    this.timer = null;
+    this.pass = null;
+  }
+
+  /**
+   * Tell viewers of a post that one of its videos has settled
+   * @param {Object} media - Media row
+   * @param {string} status - 'ready' or 'failed'
+   */
+  async announce(media, status) {
+    const post = await Media.findParentPost(media);
+    if (post) {
+      await realtime.publish(`post:${post.id}`, 'media.processed', {
+        post_id: post.id,
+        media_id: media.id,
+        processing_status: status
+      }, { post }).catch(error => console.error('Error publishing media event:', error));
+    }
+  }
+
+  /**
+   * Process one claimed job and tell viewers of the post once it has settled
+   * @param {Object} job - Claimed job
+   * @returns {Promise<string|null>} Resulting processing status of the media, or null if it is gone
+   */
+  async processJob(job) {
+    const media = await Media.findById(job.media_id);
+    if (!media) return null; // Deleted since it was queued; its job goes with it
+
+    let status = 'ready';
+
+    try {
+      // A job runs several ffmpeg commands in a row; keep its claim fresh between them
+      await processVideo(media, { onStep: () => MediaJob.touch(job.id) });
+      await MediaJob.complete(job.id);
+    } catch (error) {
+      const failed = await MediaJob.fail(job, error.message, config.videoProcessing);
+      status = failed.status === 'failed' ? 'failed' : 'pending';
+      console.error(`Error processing media ${media.id} (attempt ${job.attempts}):`, error.message);
+    }
+
+    if (status !== 'pending') {
+      await this.announce(media, status);
+    }
+
+    return status;
+  }
+
+  /**
+   * Process due jobs until none are left
+   * Only one pass runs at a time in a process; ffmpeg is busy enough on its own.
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  run() {
+    if (!this.pass) {
+      this.pass = (async () => {
+        for (const abandoned of await MediaJob.failAbandoned(config.videoProcessing)) {
+          console.error(`Media ${abandoned.media_id} failed: its worker stopped on the last attempt`);
+          const media = await Media.findById(abandoned.media_id);
+          if (media) await this.announce(media, 'failed');
+        }
+
+        let processed = 0;
+        let job;
+        while ((job = await MediaJob.claimNext(config.videoProcessing))) {
+          await this.processJob(job);
+          processed++;
+        }
+        return processed;
+      })().finally(() => {
+        this.pass = null;
+      });
+    }
+    return this.pass;
+  }
+
+  /**
+   * Start on newly queued jobs now rather than at the next interval
+   */
+  wake() {
+    if (!this.timer) return;
+    this.run().catch(error => console.error('Error processing media:', error));
+  }
+
+  /**
+   * Start checking for queued jobs every config.videoProcessing.interval milliseconds
+   */
+  start() {
+    if (this.timer || !config.videoProcessing.enabled) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('Error processing media:', error));
+    }, config.videoProcessing.interval);
+
+    // Don't keep the process alive just for the processor
+    this.timer.unref();
+  }
+
+  /**
+   * Stop checking for queued jobs
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  probe,
+  renditionHeights,
+  processVideo,
+  processor: new MediaProcessor()
+};
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * OAuth login providers
+ * Builds authorization URLs, exchanges authorization codes and fetches the user's
+ * profile for each provider in config.external. Endpoint URLs come from config, so
+ * tests (or a proxy) can point them at another server.
+ */
+
+const http = require('http');
+const https = require('https');
+const { config, getFrontendBaseUrl } = require('../../../config/app.config');
+
+/**
+ * Provider definitions
+ * `credentials` maps the provider's config section to a client ID and secret;
+ * `normalizeProfile` maps its user info response to { id, email, emailVerified,
+ * firstName, lastName, avatarUrl }.
+ */
+const PROVIDERS = {
+  google: {
+    scope: 'openid email profile',
+    credentials: (settings) => ({ clientId: settings.clientId, clientSecret: settings.clientSecret }),
+    tokenMethod: 'POST',
+    normalizeProfile: (profile) => ({
+      id: profile.sub,
+      email: profile.email || null,
+      emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+      firstName: profile.given_name || null,
+      lastName: profile.family_name || null,
+      avatarUrl: profile.picture || null
+    })
+  },
+  facebook: {
+    scope: 'email,public_profile',
+    credentials: (settings) => ({ clientId: settings.appId, clientSecret: settings.appSecret }),
+    tokenMethod: 'GET',
+    userInfoParams: { fields: 'id,email,first_name,last_name,picture.type(large)' },
+    normalizeProfile: (profile) => ({
+      id: profile.id,
+      email: profile.email || null,
+      // Facebook only returns an email address once the user has confirmed it
+      emailVerified: Boolean(profile.email),
+      firstName: profile.first_name || null,
+      lastName: profile.last_name || null,
+      avatarUrl: profile.picture?.data?.url || null
+    })
+  }
+};
+
+/**
+ * Make an HTTP request and parse the JSON response
+ * @param {string} url - Request URL
+ * @param {Object} options - { method, headers, body }
+ * @returns {Promise<Object>} Parsed response body
+ */
+const requestJson = (url, { method = 'GET', headers = {}, body = null } = {}) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const req = client.request(target, {
+      method,
+      headers: { Accept: 'application/json', ...headers },
+      timeout: config.auth.oauth.requestTimeout
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = data ? JSON.parse(data) : {};
+        } catch (error) {
+          return reject(new Error(`${target.host} returned invalid JSON (status ${res.statusCode})`));
+        }
+
+        if (res.statusCode >= 400) {
+          const detail = parsed.error_description || parsed.error?.message || parsed.error || 'request failed';
+          return reject(new Error(`${target.host} returned ${res.statusCode}: ${detail}`));
+        }
+        resolve(parsed);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`${target.host} did not respond in time`)));
+    req.on('error', reject);
+
+    if (body) req.write(body);
+    req.end();
+  });
+
+/**
+ * Get a provider's definition merged with its config, if it is configured
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider, or null if unknown or missing credentials
+ */
+const getProvider = (name) => {
+  const definition = Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
+  const settings = config.external[name];
+  if (!definition || !settings) return null;
+
+  const { clientId, clientSecret } = definition.credentials(settings);
+  if (!clientId || !clientSecret) return null;
+
+  return {
+    ...definition,
+    name,
+    clientId,
+    clientSecret,
+    authorizeUrl: settings.authorizeUrl,
+    tokenUrl: settings.tokenUrl,
+    userInfoUrl: settings.userInfoUrl,
+    redirectUri: settings.redirectUri || `${getFrontendBaseUrl()}/oauth/${name}/callback`
+  };
+};
+
+/**
+ * List the providers that have credentials configured
+ * @returns {Array<string>} Provider names
+ */
+const getConfiguredProviders = () => Object.keys(PROVIDERS).filter(name => getProvider(name));
+
+/**
+ * Build the URL that sends the user to the provider's consent screen
+ * @param {Object} provider - Provider from getProvider
+ * @param {string} state - Signed state to be echoed back on the redirect
+ * @returns {string} Authorization URL
+ */
+const buildAuthorizationUrl = (provider, state) => {
+  const url = new URL(provider.authorizeUrl);
+  url.search = new URLSearchParams({
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    response_type: 'code',
+    scope: provider.scope,
+    state
+  }).toString();
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for an access token
+ * @param {Object} provider - Provider from getProvider
+ * @param {string} code - Code from the provider redirect
+ * @returns {Promise<string>} Provider access token
+ */
+const exchangeCode = async (provider, code) => {
+  const params = new URLSearchParams({
+    client_id: provider.clientId,
+    client_secret: provider.clientSecret,
+    redirect_uri: provider.redirectUri,
+    grant_type: 'authorization_code',
+    code
+  });
+
+  const response = provider.tokenMethod === 'GET'
+    ? await requestJson(`${provider.tokenUrl}?${params}`)
+    : await requestJson(provider.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: params.toString()
+      });
+
+  if (!response.access_token) {
+    throw new Error(`${provider.name} token response did not include an access token`);
+  }
+  return response.access_token;
+};
+
+/**
+ * Fetch and normalize the signed-in user's profile
+ * @param {Object} provider - Provider from getProvider
+ * @param {string} accessToken - Provider access token
+ * @returns {Promise<Object>} Normalized profile
+ */
+const fetchProfile = async (provider, accessToken) => {
+  const url = provider.userInfoParams
+    ? `${provider.userInfoUrl}?${new URLSearchParams(provider.userInfoParams)}`
+    : provider.userInfoUrl;
+
+  const profile = provider.normalizeProfile(await requestJson(url, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  }));
+
+  if (!profile.id) {
+    throw new Error(`${provider.name} profile did not include an account ID`);
+  }
+  return profile;
+};
+
+/**
+ * Complete the provider side of a login: trade the code for the user's profile
+ * @param {Object} provider - Provider from getProvider
+ * @param {string} code - Code from the provider redirect
+ * @returns {Promise<Object>} Normalized profile
+ */
+const getProfileFromCode = async (provider, code) => {
+  const accessToken = await exchangeCode(provider, code);
+  return await fetchProfile(provider, accessToken);
+};
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  getConfiguredProviders,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchProfile,
+  getProfileFromCode
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Post publishing
+ * Side effects of a post going live, shared by posts published straight away,
+ * drafts published later and scheduled posts, plus the scheduler that publishes
+ * scheduled posts when their time comes.
+ */
+
+const { config } = require('../../../config/app.config');
+const Post = require('../models/Post');
+const Hashtag = require('../models/Hashtag');
+const Mention = require('../models/Mention');
+const Notification = require('../models/Notification');
+const Poll = require('../models/Poll');
+const realtime = require('./realtime');
+
+/**
+ * Load a post with its author, poll and shared post in the shape returned when a
+ * post is created
+ * The same data goes out in real-time events, so the poll and shared post are
+ * shown as a logged out viewer would see them.
+ * @param {number} postId - Post ID
+ * @returns {Object|null} Post data
+ */
+const loadPostData = async (postId) => {
+  const result = await Post.raw(
+    `SELECT p.*,
+            u.username, u.first_name, u.last_name, u.avatar_url
+     FROM posts p
+     LEFT JOIN users u ON p.user_id = u.id
+     WHERE p.id = $1`,
+    [postId]
+  );
+
+  const post = result.rows[0];
+  if (!post) return null;
+
+  const postData = {
+    id: post.id,
+    content: post.content,
+    privacy_level: post.privacy_level,
+    is_published: post.is_published,
+    is_archived: post.is_archived,
+    publish_at: post.publish_at,
+    views_count: post.views_count || 0,
+    created_at: post.created_at,
+    updated_at: post.updated_at,
+    edited_at: post.edited_at,
+    is_edited: Boolean(post.edited_at),
+    user_id: post.user_id,
+    author: {
+      id: post.user_id,
+      username: post.username,
+      first_name: post.first_name,
+      last_name: post.last_name,
+      avatar_url: post.avatar_url
+    },
+    poll: await Poll.getForPost(post.id)
+  };
+  await Post.attachShares([postData]);
+
+  return postData;
+};
+
+/**
+ * Index a newly published post's #hashtags and @mentions, notify the mentioned
+ * users who can see it and push it to clients following the author
+ * Drafts skip all of this until they are published.
+ * @param {Object} post - Published post row
+ * @param {Object} postData - Post data sent with the real-time event
+ */
+const announcePost = async (post, postData) => {
+  await Hashtag.syncForPost(post.id, post.content)
+    .catch(error => console.error('Error indexing hashtags:', error));
+  const mentionedUsers = await Mention.sync({ content: post.content, author_id: post.user_id, post_id: post.id })
+    .catch(error => {
+      console.error('Error recording mentions:', error);
+      return [];
+    });
+  await Notification.notifyMentions(mentionedUsers, { actor_id: post.user_id, post })
+    .catch(error => console.error('Error creating mention notifications:', error));
+
+  await realtime.publish(`user:${post.user_id}`, 'post.created', { post: postData }, { post })
+    .catch(error => console.error('Error publishing post event:', error));
+};
+
+/**
+ * Publishes scheduled posts once their publish_at time has passed
+ */
+class PostScheduler {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Publish and announce every post that is due
+   * @returns {Array} Posts published by this run
+   */
+  async run() {
+    const posts = await Post.publishDue();
+
+    for (const post of posts) {
+      try {
+        await announcePost(post, await loadPostData(post.id));
+      } catch (error) {
+        console.error('Error announcing scheduled post:', error);
+      }
+    }
+
+    return posts;
+  }
+
+  /**
+   * Start checking for due posts every config.scheduler.interval milliseconds
+   */
+  start() {
+    if (this.timer || !config.scheduler.enabled) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('Error publishing scheduled posts:', error));
+    }, config.scheduler.interval);
+
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  loadPostData,
+  announcePost,
+  scheduler: new PostScheduler()
+};
\ No newline at end of file
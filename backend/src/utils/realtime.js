@@ -0,0 +1,104 @@
+/**
+ * Real-time event hub
+ * Keeps open Server-Sent Events streams and pushes events to the clients
+ * subscribed to a channel. Channels are named `post:<id>`, `user:<id>` and
+ * `notifications:<userId>`.
+ */
+
+const { config } = require('../../../config/app.config');
+const Post = require('../models/Post');
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+class RealtimeHub {
+  constructor() {
+    this.clients = new Set();
+    this.nextClientId = 1;
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Whether real-time updates are enabled (config.features.enableRealTime)
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return Boolean(config.features.enableRealTime);
+  }
+
+  /**
+   * Register an open SSE response as a client
+   * @param {Object} res - Express response with event-stream headers already sent
+   * @param {Object} user - Authenticated user (public data)
+   * @param {Array<string>} channels - Channels the client listens to
+   * @returns {Object} Client record
+   */
+  addClient(res, user, channels) {
+    const client = {
+      id: this.nextClientId++,
+      res,
+      user,
+      channels: new Set(channels)
+    };
+
+    client.heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+    client.heartbeat.unref();
+
+    this.clients.add(client);
+    return client;
+  }
+
+  /**
+   * Forget a client once its connection has closed
+   * @param {Object} client - Client record from addClient
+   */
+  removeClient(client) {
+    clearInterval(client.heartbeat);
+    this.clients.delete(client);
+  }
+
+  /**
+   * Write a single event to a client
+   * @param {Object} client - Client record
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   */
+  send(client, event, data) {
+    client.res.write(`id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Publish an event to every client subscribed to a channel
+   * When a post is given, only clients allowed to view it receive the event.
+   * @param {string} channel - Channel name
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @param {Object} options - { post }
+   * @returns {number} Number of clients the event was delivered to
+   */
+  async publish(channel, event, data, { post = null } = {}) {
+    if (!this.isEnabled()) return 0;
+
+    let delivered = 0;
+    for (const client of [...this.clients]) {
+      if (!client.channels.has(channel)) continue;
+      if (post && !(await Post.canUserView(post, client.user))) continue;
+
+      this.send(client, event, { channel, ...data });
+      delivered++;
+    }
+    return delivered;
+  }
+
+  /**
+   * End every open stream (used on shutdown)
+   */
+  closeAll() {
+    for (const client of [...this.clients]) {
+      client.res.end();
+      this.removeClient(client);
+    }
+  }
+}
+
+module.exports = new RealtimeHub();
\ No newline at end of file
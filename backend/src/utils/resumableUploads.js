@@ -0,0 +1,144 @@
+/**
+ * Resumable uploads
+ * Chunks sent to an upload session are written into a temporary file on local disk at
+ * the offset they start from, whatever the storage driver; once every byte is in, the
+ * file is streamed into storage like a normal upload.
+ * A sweeper deletes sessions and files that stopped receiving chunks.
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../../../config/app.config');
+const UploadSession = require('../models/UploadSession');
+
+/**
+ * Directory received chunks are kept in
+ * @returns {string} Absolute path
+ */
+const getTempDir = () => config.upload.resumable.tempDir || path.join(os.tmpdir(), 'resumable-uploads');
+
+/**
+ * Path of an upload's temporary file
+ * @param {string} sessionId - Upload session ID (a UUID, so safe as a file name)
+ * @returns {string} Absolute path
+ */
+const getPartPath = (sessionId) => path.join(getTempDir(), `${sessionId}.part`);
+
+/**
+ * Create the empty temporary file for a new upload
+ * @param {string} sessionId - Upload session ID
+ */
+const createPart = async (sessionId) => {
+  await fs.promises.mkdir(getTempDir(), { recursive: true });
+  await fs.promises.writeFile(getPartPath(sessionId), '');
+};
+
+/**
+ * Write a chunk at its offset
+ * Writing at a position rather than appending means a chunk retried after a
+ * dropped response overwrites its first copy instead of duplicating it.
+ * @param {string} sessionId - Upload session ID
+ * @param {number} offset - Byte offset the chunk starts at
+ * @param {Buffer} chunk - Chunk data
+ */
+const writeChunk = async (sessionId, offset, chunk) => {
+  const handle = await fs.promises.open(getPartPath(sessionId), 'r+');
+  try {
+    await handle.write(chunk, 0, chunk.length, offset);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * SHA-256 of an upload's received bytes
+ * @param {string} sessionId - Upload session ID
+ * @returns {Promise<string>} Hex digest
+ */
+const checksumPart = (sessionId) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(getPartPath(sessionId))
+    .on('error', reject)
+    .on('data', data => hash.update(data))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Delete an upload's temporary file; one that is already gone is not an error
+ * @param {string} sessionId - Upload session ID
+ */
+const removePart = (sessionId) => fs.promises.rm(getPartPath(sessionId), { force: true });
+
+/**
+ * Deletes abandoned uploads
+ */
+class UploadSweeper {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Delete expired sessions and their files, and any file left without a session
+   * (the post it was for was deleted, or the server stopped mid-completion)
+   * @returns {Promise<number>} Number of files removed
+   */
+  async run() {
+    const expiredIds = await UploadSession.deleteExpired();
+    await Promise.all(expiredIds.map(id => removePart(id)));
+
+    let removed = expiredIds.length;
+    let names = [];
+    try {
+      names = await fs.promises.readdir(getTempDir());
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // A file still being written to has been touched within the expiry
+    const cutoff = Date.now() - config.upload.resumable.expiry;
+    for (const name of names.filter(name => name.endsWith('.part'))) {
+      const filePath = path.join(getTempDir(), name);
+      const stats = await fs.promises.stat(filePath).catch(() => null);
+      if (stats && stats.mtimeMs < cutoff) {
+        await fs.promises.rm(filePath, { force: true });
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Start sweeping every config.upload.resumable.cleanupInterval milliseconds
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('Error cleaning up uploads:', error));
+    }, config.upload.resumable.cleanupInterval);
+
+    // Don't keep the process alive just for the sweeper
+    this.timer.unref();
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  getTempDir,
+  getPartPath,
+  createPart,
+  writeChunk,
+  checksumPart,
+  removePart,
+  sweeper: new UploadSweeper()
+};
\ No newline at end of file
@@ -0,0 +1,512 @@
+/**
+ * File storage
+ * Stores uploaded files through the driver selected by config.storage.driver:
+ * 'local' keeps them under config.upload.uploadDir and serves them from /uploads,
+ * 's3' puts them in a bucket on any S3-compatible service (AWS S3, MinIO, ...).
+ * Files are addressed by key, a relative path such as images/<uuid>.jpg; media rows
+ * keep keys in file_path and thumbnail_path and URLs are built from them on the way out.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { config } = require('../../../config/app.config');
+
+/**
+ * Percent-encode a string the way SigV4 expects (RFC 3986 unreserved characters only)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Encode a key for use in a URL path, keeping its slashes
+ * @param {string} key - Storage key
+ * @returns {string} Encoded path
+ */
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+/**
+ * Check a key is a plain relative path, so it can't escape the storage root
+ * @param {string} key - Storage key
+ * @returns {string} Key with forward slashes
+ */
+const normalizeKey = (key) => {
+  const normalized = String(key || '').replace(/\\/g, '/');
+  if (!normalized || normalized.startsWith('/') || normalized.split('/').some(part => part === '' || part === '.' || part === '..')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return normalized;
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Files on the local disk, served by the API server from /uploads
+ * Signed URLs carry an expiry time and an HMAC of the key and expiry, which
+ * middleware/uploads checks before serving files that aren't public.
+ */
+class LocalStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Directory files are written under
+   * @param {string} options.baseUrl - URL path the directory is served from
+   * @param {string} options.secret - Key signed URLs are signed with
+   */
+  constructor({ root, baseUrl = '/uploads', secret = null }) {
+    this.name = 'local';
+    this.root = root;
+    this.baseUrl = baseUrl;
+    this.secret = secret;
+    // Files on public posts are served from /uploads without a signature
+    this.publicReads = true;
+  }
+
+  /**
+   * Get the path on disk for a key
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    return path.join(this.root, normalizeKey(key));
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer|string} body - File contents
+   */
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+  }
+
+  /**
+   * Store a file from disk by copying it into place
+   * @param {string} key - Storage key
+   * @param {string} sourcePath - Path of the file to store
+   */
+  async putFile(key, sourcePath) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.copyFile(sourcePath, filePath);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} File contents
+   */
+  async get(key) {
+    return await fs.readFile(this.resolve(key));
+  }
+
+  /**
+   * Copy a file out of storage to disk
+   * @param {string} key - Storage key
+   * @param {string} destinationPath - Path to write the file to
+   */
+  async getFile(key, destinationPath) {
+    await fs.copyFile(this.resolve(key), destinationPath);
+  }
+
+  /**
+   * Delete a file; deleting a file that is already gone is not an error
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Get the URL a file is served from
+   * @param {string} key - Storage key
+   * @returns {string} URL path relative to the API server
+   */
+  getUrl(key) {
+    return `${this.baseUrl}/${encodeKey(normalizeKey(key))}`;
+  }
+
+  /**
+   * Sign a key and expiry time
+   * @param {string} key - Storage key
+   * @param {number|string} expires - Expiry as a Unix timestamp in seconds
+   * @returns {string} Hex signature
+   */
+  signature(key, expires) {
+    if (!this.secret) {
+      throw new Error('Local storage needs a secret to sign URLs');
+    }
+    return hmac(this.secret, `${normalizeKey(key)}\n${expires}`).toString('hex');
+  }
+
+  /**
+   * Get a time-limited URL for a file
+   * @param {string} key - Storage key
+   * @param {number} expiresIn - Lifetime in seconds
+   * @param {Date} date - Signing time
+   * @returns {string} URL path relative to the API server
+   */
+  getSignedUrl(key, expiresIn = 3600, date = new Date()) {
+    const expires = Math.floor(date.getTime() / 1000) + expiresIn;
+    return `${this.getUrl(key)}?expires=${expires}&signature=${this.signature(key, expires)}`;
+  }
+
+  /**
+   * Check the expires and signature query parameters of a signed URL
+   * @param {string} key - Storage key the URL points at
+   * @param {string} expires - expires parameter
+   * @param {string} signature - signature parameter
+   * @param {Date} date - Time to check expiry against
+   * @returns {boolean} Whether the URL was signed by this server and hasn't expired
+   */
+  verifySignedUrl(key, expires, signature, date = new Date()) {
+    if (!/^\d+$/.test(String(expires)) || parseInt(expires) * 1000 < date.getTime()) {
+      return false;
+    }
+
+    let expected;
+    try {
+      expected = Buffer.from(this.signature(key, expires));
+    } catch (error) {
+      return false;
+    }
+    const given = Buffer.from(String(signature));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+}
+
+/**
+ * Objects in a bucket on an S3-compatible service, signed with AWS Signature Version 4
+ */
+class S3Storage {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.endpoint - Service URL, e.g. http://localhost:9000 for MinIO;
+   *   defaults to AWS S3 in the given region
+   * @param {string} options.region - Region used in signatures
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.accessKeyId - Access key
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {boolean} options.forcePathStyle - Address the bucket as a path (endpoint/bucket/key)
+   *   instead of a subdomain (bucket.endpoint/key); MinIO needs this
+   * @param {string|null} options.publicUrl - Base URL objects are publicly readable from
+   *   (a CDN or a bucket with an anonymous read policy); without it reads need signed URLs
+   * @param {number} options.signedUrlTtl - Default lifetime of signed URLs in seconds
+   * @param {number} options.requestTimeout - Request timeout in milliseconds
+   */
+  constructor({
+    endpoint = null,
+    region = 'us-east-1',
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = false,
+    publicUrl = null,
+    signedUrlTtl = 3600,
+    requestTimeout = 30000
+  }) {
+    this.name = 's3';
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+    this.publicReads = Boolean(this.publicUrl);
+    this.signedUrlTtl = signedUrlTtl;
+    this.requestTimeout = requestTimeout;
+  }
+
+  /**
+   * Get the unsigned URL of an object on the service
+   * @param {string} key - Storage key
+   * @returns {URL} Object URL
+   */
+  objectUrl(key) {
+    const url = new URL(this.endpoint);
+    const basePath = url.pathname.replace(/\/+$/, '');
+    const encodedKey = encodeKey(normalizeKey(key));
+
+    if (this.forcePathStyle) {
+      url.pathname = `${basePath}/${encodeRfc3986(this.bucket)}/${encodedKey}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${basePath}/${encodedKey}`;
+    }
+    return url;
+  }
+
+  /**
+   * Derive the signing key and credential scope for a date
+   * @param {Date} date - Request time
+   * @returns {Object} { amzDate, scope, signingKey }
+   */
+  signingContext(date) {
+    const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${this.region}/s3/aws4_request`;
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, day), this.region)
+    );
+    return { amzDate, scope, signingKey };
+  }
+
+  /**
+   * Sign a canonical request
+   * @param {Object} request - { method, url, headers, payloadHash }; headers must include host
+   *   and anything else that should be signed, with lower-case names
+   * @param {Object} context - Result of signingContext
+   * @returns {Object} { signature, signedHeaders }
+   */
+  sign({ method, url, headers, payloadHash }, { amzDate, scope, signingKey }) {
+    const names = Object.keys(headers).sort();
+    const signedHeaders = names.join(';');
+    const canonicalHeaders = names.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+
+    const canonicalQuery = [...url.searchParams.entries()]
+      .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    return { signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'), signedHeaders };
+  }
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Storage key
+   * @param {Object} options - { body, file, output, headers, date }; file is { path, size } of a file
+   *   on disk to stream as the body, sent with an unsigned payload rather than read into memory
+   *   to hash it; output is a path to stream a successful response body to instead of returning it
+   * @returns {Promise<Object>} { statusCode, body }
+   */
+  request(method, key, { body = null, file = null, output = null, headers = {}, date = new Date() } = {}) {
+    const url = this.objectUrl(key);
+    const payload = body === null ? Buffer.alloc(0) : Buffer.from(body);
+    const payloadHash = file ? 'UNSIGNED-PAYLOAD' : sha256(payload);
+    const context = this.signingContext(date);
+
+    const signedRequestHeaders = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': context.amzDate
+    };
+    Object.entries(headers).forEach(([name, value]) => {
+      signedRequestHeaders[name.toLowerCase()] = value;
+    });
+
+    const { signature, signedHeaders } = this.sign({ method, url, headers: signedRequestHeaders, payloadHash }, context);
+    const authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${context.scope}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    return new Promise((resolve, reject) => {
+      const client = url.protocol === 'https:' ? https : http;
+      const req = client.request(url, {
+        method,
+        headers: {
+          ...signedRequestHeaders,
+          'content-length': file ? file.size : payload.length,
+          authorization
+        },
+        timeout: this.requestTimeout
+      }, (res) => {
+        if (output && res.statusCode < 300) {
+          return pipeline(res, createWriteStream(output), (error) => (
+            error ? reject(error) : resolve({ statusCode: res.statusCode, body: null })
+          ));
+        }
+
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          const responseBody = Buffer.concat(chunks);
+          if (res.statusCode >= 300) {
+            // S3 errors are XML; the Code element is enough to tell what went wrong
+            const code = /<Code>([^<]+)<\/Code>/.exec(responseBody.toString('utf8'));
+            const error = new Error(`${method} ${key} failed with ${res.statusCode}${code ? `: ${code[1]}` : ''}`);
+            error.statusCode = res.statusCode;
+            return reject(error);
+          }
+          resolve({ statusCode: res.statusCode, body: responseBody });
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`${url.host} did not respond in time`)));
+      req.on('error', reject);
+
+      if (file) {
+        createReadStream(file.path)
+          .on('error', error => req.destroy(error))
+          .pipe(req);
+      } else {
+        req.end(payload);
+      }
+    });
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Storage key
+   * @param {Buffer|string} body - File contents
+   * @param {Object} options - { contentType }
+   */
+  async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+    await this.request('PUT', key, { body, headers: { 'Content-Type': contentType } });
+  }
+
+  /**
+   * Store an object from a file on disk, streaming it to the service
+   * @param {string} key - Storage key
+   * @param {string} sourcePath - Path of the file to store
+   * @param {Object} options - { contentType }
+   */
+  async putFile(key, sourcePath, { contentType = 'application/octet-stream' } = {}) {
+    const { size } = await fs.stat(sourcePath);
+    await this.request('PUT', key, { file: { path: sourcePath, size }, headers: { 'Content-Type': contentType } });
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} File contents
+   */
+  async get(key) {
+    const response = await this.request('GET', key);
+    return response.body;
+  }
+
+  /**
+   * Download an object to disk, streaming it rather than holding it in memory
+   * @param {string} key - Storage key
+   * @param {string} destinationPath - Path to write the object to
+   */
+  async getFile(key, destinationPath) {
+    await this.request('GET', key, { output: destinationPath });
+  }
+
+  /**
+   * Delete an object; S3 treats deleting a missing key as success
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    await this.request('DELETE', key);
+  }
+
+  /**
+   * Get a presigned GET URL
+   * @param {string} key - Storage key
+   * @param {number} expiresIn - Lifetime in seconds (at most 7 days)
+   * @param {Date} date - Signing time
+   * @returns {string} URL
+   */
+  getSignedUrl(key, expiresIn = this.signedUrlTtl, date = new Date()) {
+    const url = this.objectUrl(key);
+    const context = this.signingContext(date);
+
+    url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential', `${this.accessKeyId}/${context.scope}`);
+    url.searchParams.set('X-Amz-Date', context.amzDate);
+    url.searchParams.set('X-Amz-Expires', String(Math.min(expiresIn, 604800)));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const { signature } = this.sign({ method: 'GET', url, headers: { host: url.host }, payloadHash: 'UNSIGNED-PAYLOAD' }, context);
+    url.searchParams.set('X-Amz-Signature', signature);
+    return url.toString();
+  }
+
+  /**
+   * Get the permanent URL of an object
+   * Only readable without a signature when publicUrl is configured (or the bucket allows
+   * anonymous reads); use getSignedUrl otherwise.
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    if (!this.publicUrl) {
+      return this.objectUrl(key).toString();
+    }
+    return `${this.publicUrl}/${encodeKey(normalizeKey(key))}`;
+  }
+}
+
+/**
+ * Create the driver for the current configuration
+ * Built on each call so tests (and config reloads) can switch drivers.
+ * @returns {LocalStorage|S3Storage} Storage driver
+ */
+const getDriver = () => {
+  const { driver, signedUrlTtl, s3 } = config.storage;
+
+  switch (driver) {
+    case 'local':
+      // Relative upload directories have always been resolved from src/routes (the
+      // default ../uploads is src/uploads); keep that so existing files stay where they are
+      return new LocalStorage({
+        root: path.resolve(__dirname, '../routes', config.upload.uploadDir),
+        secret: config.storage.signingSecret
+      });
+    case 's3':
+      if (!s3.bucket) {
+        throw new Error('S3 storage selected but S3_BUCKET is not set');
+      }
+      if (!s3.accessKeyId || !s3.secretAccessKey) {
+        throw new Error('S3 storage selected but S3_ACCESS_KEY_ID or S3_SECRET_ACCESS_KEY is not set');
+      }
+      return new S3Storage({ ...s3, signedUrlTtl });
+    default:
+      throw new Error(`Unknown storage driver "${driver}"`);
+  }
+};
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  getDriver,
+  put: (key, body, options) => getDriver().put(key, body, options),
+  putFile: (key, sourcePath, options) => getDriver().putFile(key, sourcePath, options),
+  get: (key) => getDriver().get(key),
+  getFile: (key, destinationPath) => getDriver().getFile(key, destinationPath),
+  remove: (key) => getDriver().remove(key),
+  getUrl: (key) => getDriver().getUrl(key),
+  getSignedUrl: (key) => getDriver().getSignedUrl(key, config.storage.signedUrlTtl),
+
+  /**
+   * Get a URL for showing a file to a viewer
+   * Files anyone may see get their permanent URL when the driver allows unsigned
+   * reads; everything else gets a signed URL.
+   * @param {string} key - Storage key
+   * @param {boolean} isPublic - Whether the file is meant to be public
+   * @returns {string} URL
+   */
+  getReadUrl: (key, isPublic) => {
+    const driver = getDriver();
+    return isPublic && driver.publicReads
+      ? driver.getUrl(key)
+      : driver.getSignedUrl(key, config.storage.signedUrlTtl);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Time-based one-time passwords (RFC 6238)
+ * Generates and checks the 6-digit codes shown by authenticator apps, and builds
+ * the otpauth:// URI and QR code used to enroll a secret.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator apps assume these values unless told otherwise
+const DIGITS = 6;
+const PERIOD = 30;
+const ALGORITHM = 'sha1';
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret
+ * @returns {string} Base32-encoded 160-bit secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+/**
+ * Generate the code for a time step (HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac(ALGORITHM, base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and its neighbours (to allow for clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: steps either side to accept, time: ms since epoch }
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = getTimeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps use to add an account
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: ALGORITHM.toUpperCase(),
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Render an otpauth URI as a QR code image
+ * @param {string} otpauthUrl - otpauth URI
+ * @returns {Promise<string>} PNG data URL
+ */
+const toQrCodeDataUrl = (otpauthUrl) => QRCode.toDataURL(otpauthUrl, { margin: 1, width: 240 });
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  toQrCodeDataUrl
+};
\ No newline at end of file
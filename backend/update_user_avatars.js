@@ -5,14 +5,19 @@
 const fs = require('fs');
 const path = require('path');
 const { initializeDatabase } = require('./src/config/database');
+const storage = require('./src/utils/storage');
 
 async function updateUserAvatars() {
   try {
     console.log('🔗 Connecting to database...');
     const db = await initializeDatabase();
 
-    // Get avatar files
-    const avatarsDir = path.join(__dirname, 'uploads', 'avatars');
+    // Get avatar files; this relinks files on local disk, so it only applies to the local driver
+    const driver = storage.getDriver();
+    if (driver.name !== 'local') {
+      throw new Error(`Avatar files can only be listed with the local storage driver (configured: ${driver.name})`);
+    }
+    const avatarsDir = path.join(driver.root, 'avatars');
     const files = fs.readdirSync(avatarsDir);
 
     console.log(`📋 Found ${files.length} avatar files to update in database`);
@@ -26,7 +31,7 @@ async function updateUserAvatars() {
       }
 
       const userId = parseInt(match[1]);
-      const avatarUrl = `/uploads/avatars/${file}`;
+      const avatarUrl = driver.getUrl(`avatars/${file}`);
 
       try {
         // Update user avatar URL using raw SQL
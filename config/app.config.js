@@ -61,11 +61,51 @@ const config = {
     // JWT configuration
     jwt: {
       secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
-      expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+      // Access tokens are short-lived; clients renew them with a refresh token
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
       issuer: process.env.JWT_ISSUER || 'social-media-platform',
       audience: process.env.JWT_AUDIENCE || 'social-media-users'
     },
 
+    // Refresh tokens (one per login session, rotated on every use)
+    refreshToken: {
+      expiresInDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7,
+      rememberMeDays: parseInt(process.env.REFRESH_TOKEN_REMEMBER_DAYS) || 30
+    },
+
+    // TOTP two-factor authentication
+    mfa: {
+      issuer: process.env.MFA_ISSUER || process.env.APP_NAME || 'Social Media Platform',
+      // Lifetime of the challenge token handed out between the password and code steps
+      challengeExpiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+      // Time steps (30s each) either side of now in which a code is accepted
+      window: parseInt(process.env.MFA_WINDOW) || 1,
+      // Moderators and admins keep their staff permissions only while 2FA is enabled
+      requiredForStaff: process.env.MFA_REQUIRED_FOR_STAFF !== 'false'
+    },
+
+    // Per-account lockout after failed password logins (rateLimiting.auth only limits per IP)
+    lockout: {
+      // From this many consecutive failures, each failure locks the account for a doubling delay
+      backoffAfterAttempts: parseInt(process.env.LOCKOUT_BACKOFF_AFTER_ATTEMPTS) || 3,
+      baseDelaySeconds: parseInt(process.env.LOCKOUT_BASE_DELAY_SECONDS) || 30,
+      maxDelaySeconds: parseInt(process.env.LOCKOUT_MAX_DELAY_SECONDS) || 900,
+      // At this many failures the account is locked for lockMinutes and the owner is emailed an unlock link
+      maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS) || 10,
+      lockMinutes: parseInt(process.env.LOCKOUT_LOCK_MINUTES) || 60,
+      unlockTokenHours: parseInt(process.env.LOCKOUT_UNLOCK_TOKEN_HOURS) || 24,
+      // Failures older than this are forgotten
+      attemptWindowMinutes: parseInt(process.env.LOCKOUT_ATTEMPT_WINDOW_MINUTES) || 1440
+    },
+
+    // OAuth login (provider credentials live under external)
+    oauth: {
+      // Lifetime of the signed state parameter carried through the provider redirect
+      stateExpiresIn: process.env.OAUTH_STATE_EXPIRES_IN || '10m',
+      // Timeout for calls to the provider's token and user info endpoints
+      requestTimeout: parseInt(process.env.OAUTH_REQUEST_TIMEOUT) || 10000
+    },
+
     // Password hashing
     bcrypt: {
       saltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12
@@ -99,7 +139,51 @@ const config = {
     // Image processing
     imageQuality: parseInt(process.env.IMAGE_QUALITY) || 80,
     thumbnailSize: parseInt(process.env.THUMBNAIL_SIZE) || 300,
-    avatarSize: parseInt(process.env.AVATAR_SIZE) || 150
+    avatarSize: parseInt(process.env.AVATAR_SIZE) || 150,
+
+    // Responsive variants: each uploaded image is resized to every width below its own,
+    // in every format (webp, avif, jpeg or png), for srcset/<picture> on the client
+    imageVariantWidths: (process.env.IMAGE_VARIANT_WIDTHS || '320,640,1280,2048')
+      .split(',').map(width => parseInt(width)).filter(width => width > 0),
+    imageVariantFormats: (process.env.IMAGE_VARIANT_FORMATS || 'webp,avif').split(',').map(format => format.trim()),
+
+    // Resumable uploads (/api/media/uploads) take files larger than maxFileSize in chunks;
+    // received bytes are kept in tempDir until the upload is completed or expires
+    resumable: {
+      maxFileSize: parseInt(process.env.RESUMABLE_MAX_FILE_SIZE) || 524288000, // 500MB
+      chunkSize: parseInt(process.env.RESUMABLE_CHUNK_SIZE) || 5242880, // 5MB, the largest chunk accepted
+      // Per user: open uploads at once, and the bytes their stored media and open uploads may add up to
+      maxSessions: parseInt(process.env.RESUMABLE_MAX_SESSIONS) || 10,
+      userQuota: parseInt(process.env.RESUMABLE_USER_QUOTA) || 2147483648, // 2GB
+      expiry: parseInt(process.env.RESUMABLE_EXPIRY) || 86400000, // 24 hours after the last chunk
+      cleanupInterval: parseInt(process.env.RESUMABLE_CLEANUP_INTERVAL) || 900000, // 15 minutes
+      tempDir: process.env.RESUMABLE_TEMP_DIR || null // Defaults to a directory in the OS temp dir
+    }
+  },
+
+  // Uploaded file storage
+  storage: {
+    // 'local' writes under upload.uploadDir and the API serves it from /uploads;
+    // 's3' stores files in a bucket on AWS S3 or an S3-compatible service such as MinIO
+    driver: process.env.STORAGE_DRIVER || 'local',
+    // Lifetime (seconds) of the signed URLs handed out for media on non-public posts
+    signedUrlTtl: parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 3600,
+    // Key the local driver signs its URLs with
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || 'your-storage-signing-secret-change-in-production',
+    s3: {
+      // Defaults to AWS S3 in the region below; e.g. http://localhost:9000 for MinIO
+      endpoint: process.env.S3_ENDPOINT || null,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET || null,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+      // Address the bucket as endpoint/bucket rather than bucket.endpoint (needed for MinIO)
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      // Where public objects can be read without a signature (a CDN, or the bucket URL
+      // when it allows anonymous reads); when unset every URL is signed
+      publicUrl: process.env.S3_PUBLIC_URL || null,
+      requestTimeout: parseInt(process.env.S3_REQUEST_TIMEOUT) || 30000
+    }
   },
 
   // Rate Limiting
@@ -125,7 +209,7 @@ const config = {
     origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000', 'http://localhost:3004'],
     credentials: process.env.CORS_CREDENTIALS === 'true' || true,
     methods: (process.env.CORS_METHODS || 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS').split(','),
-    allowedHeaders: (process.env.CORS_ALLOWED_HEADERS || 'Content-Type,Authorization,X-Requested-With').split(','),
+    allowedHeaders: (process.env.CORS_ALLOWED_HEADERS || 'Content-Type,Authorization,X-Requested-With,Upload-Offset,Upload-Checksum').split(','),
     maxAge: parseInt(process.env.CORS_MAX_AGE) || 86400 // 24 hours
   },
 
@@ -139,6 +223,7 @@ const config = {
     enableUserProfiles: process.env.ENABLE_USER_PROFILES !== 'false',
     enableNotifications: process.env.ENABLE_NOTIFICATIONS === 'true',
     enableRealTime: process.env.ENABLE_REAL_TIME === 'true',
+    enableEmailVerification: process.env.ENABLE_EMAIL_VERIFICATION === 'true',
 
     // Limits
     maxCommentDepth: parseInt(process.env.MAX_COMMENT_DEPTH) || 5,
@@ -147,6 +232,39 @@ const config = {
     maxBioLength: parseInt(process.env.MAX_BIO_LENGTH) || 500
   },
 
+  // Scheduled post publishing
+  scheduler: {
+    // Checks for due posts in the API process; each check claims posts in a single
+    // statement, so it is safe to leave enabled on several instances
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    interval: parseInt(process.env.SCHEDULER_INTERVAL_MS) || 30000,
+    // How far ahead a post can be scheduled
+    maxScheduleDays: parseInt(process.env.MAX_SCHEDULE_DAYS) || 365
+  },
+
+  // Background processing of uploaded videos with ffprobe/ffmpeg
+  videoProcessing: {
+    // Runs a worker in the API process; jobs are claimed with row locks, so several
+    // instances can share the queue
+    enabled: process.env.VIDEO_PROCESSING_ENABLED !== 'false',
+    interval: parseInt(process.env.VIDEO_PROCESSING_INTERVAL_MS) || 5000,
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    // Heights of the H.264/AAC MP4 renditions to make (e.g. 720,360); none by default
+    renditionHeights: (process.env.VIDEO_RENDITION_HEIGHTS || '')
+      .split(',').map(height => parseInt(height)).filter(height => height > 0),
+    // Seconds into the video the poster frame is taken from
+    posterTime: parseFloat(process.env.VIDEO_POSTER_TIME) || 1,
+    maxAttempts: parseInt(process.env.VIDEO_PROCESSING_MAX_ATTEMPTS) || 3,
+    retryDelay: parseInt(process.env.VIDEO_PROCESSING_RETRY_DELAY_MS) || 60000,
+    // Longest a single ffmpeg run may take
+    timeout: parseInt(process.env.VIDEO_PROCESSING_TIMEOUT_MS) || 1800000,
+    // A running job whose worker hasn't moved on to a new step for this long is assumed
+    // abandoned by a crashed worker and picked up again, or failed once it is out of
+    // attempts; keep it above the timeout
+    staleAfter: parseInt(process.env.VIDEO_PROCESSING_STALE_AFTER_MS) || 2400000
+  },
+
   // Logging Configuration
   logging: {
     level: process.env.LOG_LEVEL || (environment === 'development' ? 'debug' : 'info'),
@@ -168,8 +286,12 @@ const config = {
     }
   },
 
-  // Email Configuration (for future features)
+  // Email Configuration
   email: {
+    // 'smtp' delivers through the server below; 'file' writes each message to outputDir
+    // as JSON and 'console' logs it (the default when no SMTP host is configured)
+    transport: process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+    outputDir: process.env.EMAIL_OUTPUT_DIR || 'mail',
     smtp: {
       host: process.env.SMTP_HOST || null,
       port: parseInt(process.env.SMTP_PORT) || 587,
@@ -178,29 +300,37 @@ const config = {
       password: process.env.SMTP_PASSWORD || null
     },
     from: process.env.EMAIL_FROM || 'noreply@localhost',
+    appName: process.env.APP_NAME || 'Posting System',
     templates: {
       welcome: process.env.EMAIL_TEMPLATE_WELCOME || 'welcome',
-      resetPassword: process.env.EMAIL_TEMPLATE_RESET || 'reset-password'
+      resetPassword: process.env.EMAIL_TEMPLATE_RESET || 'reset-password',
+      verify: process.env.EMAIL_TEMPLATE_VERIFY || 'verify-email',
+      passwordChanged: process.env.EMAIL_TEMPLATE_PASSWORD_CHANGED || 'password-changed',
+      accountLocked: process.env.EMAIL_TEMPLATE_ACCOUNT_LOCKED || 'account-locked'
     }
   },
 
   // Social/External APIs (for future integrations)
   external: {
     // Social media integrations
+    // OAuth login; the endpoint URLs can be pointed elsewhere (e.g. a local stub in tests)
     facebook: {
       appId: process.env.FACEBOOK_APP_ID || null,
-      appSecret: process.env.FACEBOOK_APP_SECRET || null
+      appSecret: process.env.FACEBOOK_APP_SECRET || null,
+      authorizeUrl: process.env.FACEBOOK_AUTHORIZE_URL || 'https://www.facebook.com/v18.0/dialog/oauth',
+      tokenUrl: process.env.FACEBOOK_TOKEN_URL || 'https://graph.facebook.com/v18.0/oauth/access_token',
+      userInfoUrl: process.env.FACEBOOK_USERINFO_URL || 'https://graph.facebook.com/v18.0/me',
+      // Defaults to <frontend>/oauth/facebook/callback
+      redirectUri: process.env.FACEBOOK_REDIRECT_URI || null
     },
     google: {
       clientId: process.env.GOOGLE_CLIENT_ID || null,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET || null
-    },
-
-    // Media processing
-    cloudinary: {
-      cloudName: process.env.CLOUDINARY_CLOUD_NAME || null,
-      apiKey: process.env.CLOUDINARY_API_KEY || null,
-      apiSecret: process.env.CLOUDINARY_API_SECRET || null
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET || null,
+      authorizeUrl: process.env.GOOGLE_AUTHORIZE_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenUrl: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+      userInfoUrl: process.env.GOOGLE_USERINFO_URL || 'https://openidconnect.googleapis.com/v1/userinfo',
+      // Defaults to <frontend>/oauth/google/callback
+      redirectUri: process.env.GOOGLE_REDIRECT_URI || null
     }
   },
 
@@ -242,6 +372,20 @@ const environmentConfigs = {
     logging: {
       level: 'error',
       console: false
+    },
+    email: {
+      transport: 'console'
+    },
+    auth: {
+      mfa: {
+        requiredForStaff: false
+      }
+    },
+    scheduler: {
+      enabled: false
+    },
+    videoProcessing: {
+      enabled: false
     }
   },
 
@@ -14,6 +14,7 @@ import { config } from './config/app.config';
 
 // Import contexts
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { RealtimeProvider } from './contexts/RealtimeContext';
 
 // Import pages
 import LoginPage from './pages/LoginPage';
@@ -21,6 +22,14 @@ import HomePage from './pages/HomePage';
 import PostPage from './pages/PostPage';
 import UserProfilePage from './pages/UserProfilePage';
 import CreatePostPage from './pages/CreatePostPage';
+import SearchPage from './pages/SearchPage';
+import HashtagPage from './pages/HashtagPage';
+import UsernameRedirectPage from './pages/UsernameRedirectPage';
+import ModerationPage from './pages/ModerationPage';
+import OAuthCallbackPage from './pages/OAuthCallbackPage';
+import UnlockAccountPage from './pages/UnlockAccountPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
 import NotFoundPage from './pages/NotFoundPage';
 
 // Import components
@@ -235,6 +244,16 @@ const AuthenticatedApp: React.FC = () => {
             {/* User profile */}
             <Route path="/user/:userId" element={<UserProfilePage />} />
             <Route path="/profile/:userId" element={<UserProfilePage />} />
+            <Route path="/u/:username" element={<UsernameRedirectPage />} />
+
+            {/* Search results */}
+            <Route path="/search" element={<SearchPage />} />
+
+            {/* Posts tagged with a hashtag */}
+            <Route path="/hashtag/:tag" element={<HashtagPage />} />
+
+            {/* Report queue for moderators and admins */}
+            <Route path="/moderation" element={<ModerationPage />} />
 
             {/* Redirect to home for any other routes */}
             <Route path="*" element={<Navigate to="/" replace />} />
@@ -255,17 +274,29 @@ const App: React.FC = () => {
         <GlobalStyle />
         <Router>
           <AuthProvider>
-            <Routes>
-              {/* Login page for unauthenticated users */}
-              <Route path="/login" element={<LoginPage />} />
-
-              {/* All other routes require authentication */}
-              <Route path="/*" element={
-                <ProtectedRoute>
-                  <AuthenticatedApp />
-                </ProtectedRoute>
-              } />
-            </Routes>
+            <RealtimeProvider>
+              <Routes>
+                {/* Login page for unauthenticated users */}
+                <Route path="/login" element={<LoginPage />} />
+
+                {/* Return from Google/Facebook login or account linking */}
+                <Route path="/oauth/:provider/callback" element={<OAuthCallbackPage />} />
+
+                {/* Link from the account locked email */}
+                <Route path="/unlock-account" element={<UnlockAccountPage />} />
+
+                {/* Links from the welcome, verification and password reset emails */}
+                <Route path="/verify-email" element={<VerifyEmailPage />} />
+                <Route path="/reset-password" element={<ResetPasswordPage />} />
+
+                {/* All other routes require authentication */}
+                <Route path="/*" element={
+                  <ProtectedRoute>
+                    <AuthenticatedApp />
+                  </ProtectedRoute>
+                } />
+              </Routes>
+            </RealtimeProvider>
           </AuthProvider>
         </Router>
 
@@ -0,0 +1,286 @@
+/**
+ * EditHistory component - side-by-side diff of the versions of an edited post or comment
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { postsApi, commentsApi } from '../services/api';
+
+interface DiffPart {
+  text: string;
+  changed: boolean;
+}
+
+// Above this many word pairs the comparison is skipped and the whole text shown as replaced
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Word-level diff of two versions (longest common subsequence)
+ * Whitespace is kept as its own token so the text reads exactly as written.
+ */
+const diffWords = (before: string, after: string): { before: DiffPart[]; after: DiffPart[] } => {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return { before: [{ text: before, changed: true }], after: [{ text: after, changed: true }] };
+  }
+
+  // lengths[i * width + j] is the common subsequence length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const result = { before: [] as DiffPart[], after: [] as DiffPart[] };
+  const push = (parts: DiffPart[], text: string, changed: boolean) => {
+    const last = parts[parts.length - 1];
+    if (last && last.changed === changed) {
+      last.text += text;
+    } else {
+      parts.push({ text, changed });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(result.before, a[i++], false);
+      push(result.after, b[j++], false);
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push(result.before, a[i++], true);
+    } else {
+      push(result.after, b[j++], true);
+    }
+  }
+  while (i < a.length) push(result.before, a[i++], true);
+  while (j < b.length) push(result.after, b[j++], true);
+
+  return result;
+};
+
+const Backdrop = styled.div`
+  position: fixed;
+  inset: 0;
+  background: rgba(0, 0, 0, 0.5);
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: ${({ theme }) => theme.spacing.md};
+  z-index: 1100;
+`;
+
+const Dialog = styled.div`
+  background: ${({ theme }) => theme.colors.surface};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  box-shadow: ${({ theme }) => theme.shadows.lg};
+  width: 100%;
+  max-width: 860px;
+  max-height: 90vh;
+  overflow-y: auto;
+  padding: ${({ theme }) => theme.spacing.lg};
+  color: ${({ theme }) => theme.colors.text.primary};
+`;
+
+const DialogHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+
+  h2 {
+    font-size: 1.25rem;
+  }
+`;
+
+const CloseButton = styled.button`
+  background: none;
+  border: none;
+  font-size: 1.5rem;
+  line-height: 1;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  cursor: pointer;
+`;
+
+const VersionList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing.sm};
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+`;
+
+const VersionButton = styled.button<{ $active: boolean }>`
+  background: ${({ theme, $active }) => $active ? theme.colors.primary : 'none'};
+  color: ${({ theme, $active }) => $active ? 'white' : theme.colors.text.secondary};
+  border: 1px solid ${({ theme, $active }) => $active ? theme.colors.primary : theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.sm};
+  font-size: 0.8rem;
+  cursor: pointer;
+`;
+
+const Columns = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: ${({ theme }) => theme.spacing.md};
+
+  @media (max-width: 600px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+const Column = styled.div`
+  min-width: 0;
+
+  h3 {
+    font-size: 0.85rem;
+    font-weight: 500;
+    color: ${({ theme }) => theme.colors.text.secondary};
+    margin-bottom: ${({ theme }) => theme.spacing.xs};
+  }
+`;
+
+const VersionText = styled.div`
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  padding: ${({ theme }) => theme.spacing.sm};
+  white-space: pre-wrap;
+  word-break: break-word;
+  line-height: 1.5;
+
+  del {
+    background: ${({ theme }) => theme.colors.error}33;
+  }
+
+  ins {
+    background: ${({ theme }) => theme.colors.success}33;
+    text-decoration: none;
+  }
+`;
+
+const Message = styled.p<{ $error?: boolean }>`
+  color: ${({ theme, $error }) => $error ? theme.colors.error : theme.colors.text.secondary};
+`;
+
+interface EditHistoryProps {
+  targetType: 'post' | 'comment';
+  targetId: number;
+  onClose: () => void;
+}
+
+const formatDate = (dateString: string) => new Date(dateString).toLocaleString();
+
+const EditHistory: React.FC<EditHistoryProps> = ({ targetType, targetId, onClose }) => {
+  // Index of the version compared with the one before it; null means the latest
+  const [selected, setSelected] = useState<number | null>(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['revisions', targetType, targetId],
+    queryFn: () => targetType === 'post'
+      ? postsApi.getPostRevisions(targetId)
+      : commentsApi.getCommentRevisions(targetId),
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const history = data?.data;
+
+  // Version 0 is the original; version k was written by the edit that created revision k - 1
+  const versions = history ? [
+    ...history.revisions.map(revision => revision.content),
+    history.current.content,
+  ] : [];
+  const edits = history ? history.revisions.map((revision, index) => ({
+    index: index + 1,
+    written_at: revision.created_at,
+    editor: revision.edited_by,
+  })) : [];
+
+  const current = selected ?? edits.length;
+  const diff = current > 0 ? diffWords(versions[current - 1], versions[current]) : null;
+
+  return (
+    <Backdrop onClick={onClose}>
+      <Dialog role="dialog" aria-modal="true" aria-label="Edit history" onClick={(e) => e.stopPropagation()}>
+        <DialogHeader>
+          <h2>Edit history</h2>
+          <CloseButton type="button" onClick={onClose} aria-label="Close">×</CloseButton>
+        </DialogHeader>
+
+        {isLoading && <Message>Loading history...</Message>}
+
+        {error && (
+          <Message $error>
+            {(error as any)?.response?.data?.error?.message || 'Failed to load the edit history.'}
+          </Message>
+        )}
+
+        {history && edits.length === 0 && (
+          <Message>No earlier versions were recorded.</Message>
+        )}
+
+        {history && diff && (
+          <>
+            {edits.length > 1 && (
+              <VersionList>
+                {edits.map(edit => (
+                  <VersionButton
+                    key={edit.index}
+                    type="button"
+                    $active={edit.index === current}
+                    onClick={() => setSelected(edit.index)}
+                  >
+                    Edit {edit.index} · {formatDate(edit.written_at)}
+                  </VersionButton>
+                ))}
+              </VersionList>
+            )}
+
+            <Columns>
+              <Column>
+                <h3>
+                  {current === 1 ? 'Original' : `After edit ${current - 1}`}
+                  {' · '}
+                  {formatDate(current === 1 ? history.current.created_at : edits[current - 2].written_at)}
+                </h3>
+                <VersionText>
+                  {diff.before.map((part, index) =>
+                    part.changed ? <del key={index}>{part.text}</del> : <span key={index}>{part.text}</span>
+                  )}
+                </VersionText>
+              </Column>
+              <Column>
+                <h3>
+                  {current === edits.length ? 'Current' : `After edit ${current}`}
+                  {' · '}
+                  {formatDate(edits[current - 1].written_at)}
+                  {edits[current - 1].editor && ` by @${edits[current - 1].editor?.username}`}
+                </h3>
+                <VersionText>
+                  {diff.after.map((part, index) =>
+                    part.changed ? <ins key={index}>{part.text}</ins> : <span key={index}>{part.text}</span>
+                  )}
+                </VersionText>
+              </Column>
+            </Columns>
+          </>
+        )}
+      </Dialog>
+    </Backdrop>
+  );
+};
+
+export default EditHistory;
\ No newline at end of file
@@ -3,10 +3,12 @@
  */
 
 import React, { useState, useRef, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import styled from 'styled-components';
 import { useAuth } from '../contexts/AuthContext';
 import { getUserAvatarUrl } from '../services/api';
+import { config } from '../config/app.config';
+import NotificationBell from './NotificationBell';
 
 // Styled components
 const HeaderContainer = styled.header`
@@ -90,6 +92,31 @@ const CreateButton = styled(Link)`
   }
 `;
 
+const SearchForm = styled.form`
+  flex: 1;
+  max-width: 320px;
+  margin: 0 ${({ theme }) => theme.spacing.lg};
+
+  @media (max-width: ${({ theme }) => theme.breakpoints.mobile}) {
+    margin: 0 ${({ theme }) => theme.spacing.sm};
+  }
+`;
+
+const SearchInput = styled.input`
+  width: 100%;
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme }) => theme.colors.background};
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: 0.9rem;
+
+  &:focus {
+    outline: none;
+    border-color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
 const UserSection = styled.div`
   display: flex;
   align-items: center;
@@ -204,10 +231,19 @@ const UserInfo = styled.div`
  */
 const Header: React.FC = () => {
   const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { state, logout } = useAuth();
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
   const dropdownRef = useRef<HTMLDivElement>(null);
 
+  // Keep the search box in sync with the results page query
+  const currentQuery = location.pathname === '/search' ? searchParams.get('q') || '' : '';
+  useEffect(() => {
+    setSearchTerm(currentQuery);
+  }, [currentQuery]);
+
   // Close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event: MouseEvent) => {
@@ -236,6 +272,14 @@ const Header: React.FC = () => {
     setIsDropdownOpen(!isDropdownOpen);
   };
 
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    const term = searchTerm.trim();
+    if (term) {
+      navigate(`/search?q=${encodeURIComponent(term)}`);
+    }
+  };
+
   const user = state.user;
   if (!user) return null;
 
@@ -260,8 +304,22 @@ const Header: React.FC = () => {
           </CreateButton>
         </Nav>
 
+        {/* Search */}
+        <SearchForm role="search" onSubmit={handleSearch}>
+          <SearchInput
+            type="search"
+            placeholder="Search posts, comments and people"
+            aria-label="Search"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            maxLength={200}
+          />
+        </SearchForm>
+
         {/* User Section */}
         <UserSection>
+          {config.features.enableNotifications && <NotificationBell />}
+
           <DropdownContainer ref={dropdownRef}>
             <UserAvatar
               onClick={toggleDropdown}
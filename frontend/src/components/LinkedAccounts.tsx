@@ -0,0 +1,159 @@
+/**
+ * LinkedAccounts component - connect Google or Facebook to the current account
+ * for login, and disconnect them again
+ */
+
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { authApi } from '../services/api';
+import { OAUTH_PROVIDER_LABELS, beginOAuth } from '../services/oauth';
+import { OAuthProvider } from '../types';
+
+const Container = styled.div`
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  padding: ${({ theme }) => theme.spacing.lg};
+  margin-top: ${({ theme }) => theme.spacing.xl};
+
+  h2 {
+    color: ${({ theme }) => theme.colors.text.primary};
+    font-size: 1.25rem;
+    margin-bottom: ${({ theme }) => theme.spacing.sm};
+  }
+`;
+
+const ProviderRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md} 0;
+  border-top: 1px solid ${({ theme }) => theme.colors.border};
+`;
+
+const ProviderDetails = styled.div`
+  min-width: 0;
+  font-size: 0.9rem;
+  color: ${({ theme }) => theme.colors.text.primary};
+
+  .meta {
+    margin-top: 2px;
+    font-size: 0.8rem;
+    color: ${({ theme }) => theme.colors.text.muted};
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+`;
+
+const ActionButton = styled.button`
+  flex-shrink: 0;
+  background: none;
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.md};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    border-color: ${({ theme }) => theme.colors.primary};
+    color: ${({ theme }) => theme.colors.primary};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Message = styled.p<{ $error?: boolean }>`
+  font-size: 0.9rem;
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+  color: ${({ theme, $error }) => $error ? theme.colors.error : theme.colors.text.secondary};
+`;
+
+const LinkedAccounts: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [linkError, setLinkError] = useState<string | null>(null);
+  const [linking, setLinking] = useState<OAuthProvider | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['auth', 'oauth', 'identities'],
+    queryFn: () => authApi.getOAuthIdentities(),
+  });
+
+  const unlinkMutation = useMutation({
+    mutationFn: (provider: OAuthProvider) => authApi.unlinkOAuth(provider),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['auth', 'oauth', 'identities'] });
+    },
+  });
+
+  const handleLink = async (provider: OAuthProvider) => {
+    setLinkError(null);
+    setLinking(provider);
+
+    try {
+      await beginOAuth(provider, 'link', { returnTo: window.location.pathname });
+    } catch (error: any) {
+      setLinkError(error.response?.data?.error?.message || 'Could not start linking. Please try again.');
+      setLinking(null);
+    }
+  };
+
+  // Nothing to manage when the server has no providers configured
+  if (isLoading || !data?.data || data.data.providers.length === 0) {
+    return null;
+  }
+
+  const { identities, providers, has_password: hasPassword } = data.data;
+  const error = linkError
+    || (unlinkMutation.error as any)?.response?.data?.error?.message
+    || (unlinkMutation.error ? 'Failed to unlink the account.' : null);
+
+  return (
+    <Container>
+      <h2>Linked accounts</h2>
+      <Message>Log in with a linked account instead of your password.</Message>
+
+      {error && <Message $error>{error}</Message>}
+
+      {providers.map(provider => {
+        const identity = identities.find(linked => linked.provider === provider);
+        // The last linked account is the only way into a passwordless account
+        const isLastLogin = !!identity && !hasPassword && identities.length === 1;
+
+        return (
+          <ProviderRow key={provider}>
+            <ProviderDetails>
+              <div>{OAUTH_PROVIDER_LABELS[provider]}</div>
+              <div className="meta">
+                {identity
+                  ? `Linked${identity.email ? ` as ${identity.email}` : ''} · ${new Date(identity.created_at).toLocaleDateString()}`
+                  : 'Not linked'}
+              </div>
+            </ProviderDetails>
+            {identity ? (
+              <ActionButton
+                onClick={() => unlinkMutation.mutate(provider)}
+                disabled={isLastLogin || unlinkMutation.isPending}
+                title={isLastLogin ? 'Set a password before unlinking your only way to log in' : undefined}
+              >
+                Unlink
+              </ActionButton>
+            ) : (
+              <ActionButton onClick={() => handleLink(provider)} disabled={linking !== null}>
+                Link
+              </ActionButton>
+            )}
+          </ProviderRow>
+        );
+      })}
+    </Container>
+  );
+};
+
+export default LinkedAccounts;
\ No newline at end of file
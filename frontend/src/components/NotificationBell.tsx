@@ -0,0 +1,276 @@
+/**
+ * NotificationBell component - header bell with unread badge and a dropdown of recent notifications
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { notificationsApi } from '../services/api';
+import { Notification } from '../types';
+import { useAuth } from '../contexts/AuthContext';
+import { useRealtime } from '../contexts/RealtimeContext';
+import { config } from '../config/app.config';
+
+// Without real-time updates the unread count is polled instead
+const UNREAD_POLL_INTERVAL = 60 * 1000;
+
+const BellContainer = styled.div`
+  position: relative;
+`;
+
+const BellButton = styled.button`
+  position: relative;
+  background: none;
+  border: none;
+  padding: ${({ theme }) => theme.spacing.sm};
+  border-radius: 50%;
+  font-size: 1.2rem;
+  line-height: 1;
+  cursor: pointer;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: ${({ theme }) => theme.colors.background};
+  }
+`;
+
+const Badge = styled.span`
+  position: absolute;
+  top: 0;
+  right: 0;
+  min-width: 18px;
+  height: 18px;
+  padding: 0 4px;
+  border-radius: 9px;
+  background: ${({ theme }) => theme.colors.error};
+  color: white;
+  font-size: 0.7rem;
+  font-weight: 600;
+  line-height: 18px;
+  text-align: center;
+`;
+
+const Dropdown = styled.div`
+  position: absolute;
+  top: 100%;
+  right: 0;
+  width: 340px;
+  max-height: 420px;
+  overflow-y: auto;
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  box-shadow: ${({ theme }) => theme.shadows.lg};
+  margin-top: ${({ theme }) => theme.spacing.sm};
+  z-index: 1000;
+
+  @media (max-width: ${({ theme }) => theme.breakpoints.mobile}) {
+    width: 280px;
+  }
+`;
+
+const DropdownHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: ${({ theme }) => theme.spacing.md};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border};
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.text.primary};
+`;
+
+const MarkAllButton = styled.button`
+  background: none;
+  border: none;
+  color: ${({ theme }) => theme.colors.primary};
+  font-size: 0.8rem;
+  cursor: pointer;
+
+  &:disabled {
+    color: ${({ theme }) => theme.colors.text.muted};
+    cursor: default;
+  }
+`;
+
+const NotificationItem = styled.button<{ $unread: boolean }>`
+  display: block;
+  width: 100%;
+  padding: ${({ theme }) => theme.spacing.md};
+  background: ${({ theme, $unread }) => $unread ? `${theme.colors.primary}11` : 'none'};
+  border: none;
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border};
+  text-align: left;
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:hover {
+    background: ${({ theme }) => theme.colors.background};
+  }
+
+  &:last-child {
+    border-bottom: none;
+  }
+
+  .excerpt {
+    margin-top: 2px;
+    color: ${({ theme }) => theme.colors.text.secondary};
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  .time {
+    margin-top: 2px;
+    font-size: 0.75rem;
+    color: ${({ theme }) => theme.colors.text.muted};
+  }
+`;
+
+const EmptyMessage = styled.div`
+  padding: ${({ theme }) => theme.spacing.lg};
+  text-align: center;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: 0.9rem;
+`;
+
+/**
+ * Describe what happened in a notification
+ */
+const describeNotification = (notification: Notification): string => {
+  const actor = notification.actor
+    ? `${notification.actor.first_name} ${notification.actor.last_name}`
+    : 'Someone';
+
+  switch (notification.type) {
+    case 'comment':
+      return `${actor} commented on your post`;
+    case 'reply':
+      return `${actor} replied to your comment`;
+    case 'reaction': {
+      const emoji = notification.data.emoji_unicode ? ` ${notification.data.emoji_unicode}` : '';
+      return notification.comment_id
+        ? `${actor} reacted${emoji} to your comment`
+        : `${actor} reacted${emoji} to your post`;
+    }
+    case 'mention':
+      return `${actor} mentioned you`;
+    default:
+      return `${actor} interacted with you`;
+  }
+};
+
+const NotificationBell: React.FC = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { state } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  const { data: countData } = useQuery({
+    queryKey: ['notifications', 'unread-count'],
+    queryFn: () => notificationsApi.getUnreadCount(),
+    refetchInterval: config.features.enableRealTime ? false : UNREAD_POLL_INTERVAL,
+  });
+
+  useRealtime(state.user ? [`notifications:${state.user.id}`] : [], () => {
+    queryClient.invalidateQueries({ queryKey: ['notifications'] });
+  });
+
+  const { data: listData, isLoading } = useQuery({
+    queryKey: ['notifications', 'list'],
+    queryFn: () => notificationsApi.getNotifications({ limit: 10 }),
+    enabled: isOpen,
+  });
+
+  const markReadMutation = useMutation({
+    mutationFn: (notificationId: number) => notificationsApi.markRead(notificationId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['notifications'] });
+    },
+  });
+
+  const markAllReadMutation = useMutation({
+    mutationFn: () => notificationsApi.markAllRead(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['notifications'] });
+    },
+  });
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSelect = (notification: Notification) => {
+    if (!notification.is_read) {
+      markReadMutation.mutate(notification.id);
+    }
+    setIsOpen(false);
+    if (notification.post_id) {
+      navigate(`/post/${notification.post_id}`);
+    }
+  };
+
+  const unreadCount = countData?.data?.unread_count ?? 0;
+  const notifications = listData?.data?.notifications ?? [];
+
+  return (
+    <BellContainer ref={containerRef}>
+      <BellButton
+        onClick={() => setIsOpen(!isOpen)}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        title="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && <Badge>{unreadCount > 99 ? '99+' : unreadCount}</Badge>}
+      </BellButton>
+
+      {isOpen && (
+        <Dropdown>
+          <DropdownHeader>
+            Notifications
+            <MarkAllButton
+              onClick={() => markAllReadMutation.mutate()}
+              disabled={unreadCount === 0 || markAllReadMutation.isPending}
+            >
+              Mark all as read
+            </MarkAllButton>
+          </DropdownHeader>
+
+          {isLoading && <EmptyMessage>Loading...</EmptyMessage>}
+
+          {!isLoading && notifications.length === 0 && (
+            <EmptyMessage>You have no notifications yet.</EmptyMessage>
+          )}
+
+          {notifications.map(notification => (
+            <NotificationItem
+              key={notification.id}
+              $unread={!notification.is_read}
+              onClick={() => handleSelect(notification)}
+            >
+              <div>{describeNotification(notification)}</div>
+              {(notification.comment_excerpt || notification.post_excerpt) && (
+                <div className="excerpt">
+                  {notification.comment_excerpt || notification.post_excerpt}
+                </div>
+              )}
+              <div className="time">{new Date(notification.created_at).toLocaleString()}</div>
+            </NotificationItem>
+          ))}
+        </Dropdown>
+      )}
+    </BellContainer>
+  );
+};
+
+export default NotificationBell;
\ No newline at end of file
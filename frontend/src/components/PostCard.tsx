@@ -5,14 +5,19 @@
 import React, { useState, useRef, useEffect, useLayoutEffect } from 'react';
 import { Link } from 'react-router-dom';
 import styled from 'styled-components';
-import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
-import { Post, Comment } from '../types';
-import { reactionsApi, commentsApi, getUserAvatarUrl } from '../services/api';
+import { QueryClient, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Post, Comment, Poll, SharedPost, Media } from '../types';
+import { reactionsApi, commentsApi, postsApi, getUserAvatarUrl, getMediaUrl, getMediaThumbnailUrl, getMediaVariantUrl } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import { useRealtime } from '../contexts/RealtimeContext';
 import ReactionPicker from './ReactionPicker';
 import ReactionsPopup from './ReactionsPopup';
 import CommentForm from './CommentForm';
-import { getApiBaseUrl } from '../config/app.config';
+import RichText from './RichText';
+import ReportButton from './ReportButton';
+import ShareButton from './ShareButton';
+import EditHistory from './EditHistory';
+import ResponsiveImage from './ResponsiveImage';
 
 // Utility function for formatting time ago
 const formatTimeAgo = (dateString: string) => {
@@ -92,6 +97,19 @@ const PostMeta = styled.div`
   gap: ${({ theme }) => theme.spacing.sm};
 `;
 
+const EditedLink = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  font-size: inherit;
+  color: inherit;
+  cursor: pointer;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
 const PostContent = styled.div`
   padding: 0 ${({ theme }) => theme.spacing.md} ${({ theme }) => theme.spacing.md};
 `;
@@ -155,6 +173,17 @@ const VideoOverlay = styled.div`
   pointer-events: none;
 `;
 
+const VideoProcessing = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 100%;
+  height: 100%;
+  background: ${({ theme }) => theme.colors.border};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: 0.9rem;
+`;
+
 const MediaCount = styled.div`
   position: absolute;
   bottom: 8px;
@@ -198,6 +227,131 @@ const ActionButton = styled.button<{ $active?: boolean }>`
   }
 `;
 
+const ClosedNotice = styled.p`
+  padding: ${({ theme }) => theme.spacing.md};
+  border-top: 1px solid ${({ theme }) => theme.colors.border};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: 0.9rem;
+  text-align: center;
+`;
+
+const SharedEmbed = styled(Link)`
+  display: block;
+  margin-top: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  color: inherit;
+  text-decoration: none;
+
+  &:hover {
+    background: ${({ theme }) => theme.colors.background};
+  }
+
+  img {
+    display: block;
+    max-width: 100%;
+    max-height: 240px;
+    margin-top: ${({ theme }) => theme.spacing.sm};
+    border-radius: ${({ theme }) => theme.borderRadius.sm};
+    object-fit: cover;
+  }
+`;
+
+const SharedHeader = styled.div`
+  font-size: 0.85rem;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  margin-bottom: ${({ theme }) => theme.spacing.xs};
+
+  strong {
+    color: ${({ theme }) => theme.colors.text.primary};
+  }
+`;
+
+const Tombstone = styled.div`
+  margin-top: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  border: 1px dashed ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: 0.9rem;
+  font-style: italic;
+`;
+
+const PollBox = styled.div`
+  margin-top: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+`;
+
+const PollChoice = styled.label<{ $chosen: boolean; $disabled: boolean }>`
+  position: relative;
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.sm};
+  padding: ${({ theme }) => theme.spacing.sm};
+  margin-bottom: ${({ theme }) => theme.spacing.xs};
+  border: 1px solid ${({ theme, $chosen }) => $chosen ? theme.colors.primary : theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  overflow: hidden;
+  cursor: ${({ $disabled }) => $disabled ? 'default' : 'pointer'};
+
+  input, span {
+    position: relative;
+  }
+`;
+
+const PollBar = styled.div<{ $percent: number }>`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  left: 0;
+  width: ${({ $percent }) => $percent}%;
+  background: ${({ theme }) => theme.colors.primary}22;
+  transition: width 0.3s ease;
+`;
+
+const PollChoiceText = styled.span`
+  flex: 1;
+  word-break: break-word;
+`;
+
+const PollPercent = styled.span`
+  font-size: 0.85rem;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const PollFooter = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.sm};
+  margin-top: ${({ theme }) => theme.spacing.sm};
+  font-size: 0.85rem;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const PollVoteButton = styled.button`
+  background: ${({ theme }) => theme.colors.primary};
+  color: white;
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.md};
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const PollError = styled.span`
+  color: ${({ theme }) => theme.colors.error};
+`;
+
 const CommentsSection = styled.div<{ $isOpen: boolean; $isLoading?: boolean }>`
   border-top: 1px solid ${({ theme }) => theme.colors.border};
   display: ${({ $isOpen }) => $isOpen ? 'block' : 'none'};
@@ -356,8 +510,165 @@ interface PostCardProps {
   onUpdate?: () => void;
 }
 
+// The original post of a share, or a tombstone once it is gone or hidden from the viewer
+const SharedPostEmbed: React.FC<{ sharedPost: SharedPost }> = ({ sharedPost }) => {
+  if (sharedPost.tombstone) {
+    return (
+      <Tombstone>
+        {sharedPost.tombstone === 'deleted'
+          ? 'This post has been deleted.'
+          : 'This post is unavailable.'}
+      </Tombstone>
+    );
+  }
+
+  const image = sharedPost.media?.find(media => media.media_type === 'image');
+
+  return (
+    <SharedEmbed to={`/post/${sharedPost.id}`}>
+      <SharedHeader>
+        <strong>
+          {sharedPost.author ? `${sharedPost.author.first_name} ${sharedPost.author.last_name}` : 'Unknown User'}
+        </strong>
+        {' '}@{sharedPost.author?.username || 'unknown'} · {formatTimeAgo(sharedPost.created_at)}
+        {sharedPost.is_edited && ' · edited'}
+      </SharedHeader>
+      {sharedPost.content && <PostText><RichText text={sharedPost.content} /></PostText>}
+      {image && (
+        <ResponsiveImage
+          media={image}
+          alt={image.alt_text || 'Post image'}
+          sizes="(max-width: 640px) 90vw, 560px"
+        />
+      )}
+    </SharedEmbed>
+  );
+};
+
+// Uploaded video, or a placeholder while it is processed; the H.264 renditions come
+// before the original so browsers that can't play its format still find a source
+const PostVideo: React.FC<{ media: Media }> = ({ media }) => {
+  if (media.processing_status === 'pending' || media.processing_status === 'processing') {
+    return <VideoProcessing>Processing video…</VideoProcessing>;
+  }
+
+  const renditions = (media.variants || [])
+    .filter(variant => variant.format === 'mp4')
+    .sort((a, b) => b.height - a.height);
+
+  return (
+    <>
+      <video poster={getMediaThumbnailUrl(media)} preload="metadata">
+        {renditions.map(rendition => (
+          <source key={rendition.height} src={getMediaVariantUrl(rendition)} type="video/mp4" />
+        ))}
+        <source src={getMediaUrl(media)} type={media.mime_type} />
+      </video>
+      <VideoOverlay>▶</VideoOverlay>
+    </>
+  );
+};
+
+// Post lists carry each post's poll and the processing state of its videos, so they
+// are refetched when votes come in or a video finishes processing
+const refreshPostLists = (queryClient: QueryClient) => {
+  queryClient.invalidateQueries({ queryKey: ['posts'] });
+  queryClient.invalidateQueries({ queryKey: ['user-posts'] });
+  queryClient.invalidateQueries({ queryKey: ['hashtag-posts'] });
+};
+
+// Poll attached to a post; results stay hidden until the viewer votes if the author chose that
+const PollRenderer: React.FC<{ postId: number; poll: Poll; closed: boolean }> = ({ postId, poll, closed }) => {
+  const { state } = useAuth();
+  const queryClient = useQueryClient();
+  const [selected, setSelected] = useState<number[]>(poll.viewer_votes);
+  const [error, setError] = useState('');
+
+  // Start again from the saved vote whenever it changes
+  const savedVotes = poll.viewer_votes.join(',');
+  useEffect(() => {
+    setSelected(savedVotes ? savedVotes.split(',').map(Number) : []);
+  }, [savedVotes]);
+
+  const voteMutation = useMutation({
+    mutationFn: (optionIds: number[]) => postsApi.votePoll(postId, optionIds),
+    onSuccess: () => {
+      setError('');
+      refreshPostLists(queryClient);
+    },
+    onError: (err: any) => {
+      setError(err.response?.data?.error?.message || 'Failed to record your vote.');
+    },
+  });
+
+  const canVote = state.isAuthenticated && !poll.is_closed && !closed;
+  const inputType = poll.allows_multiple ? 'checkbox' : 'radio';
+  const changed = selected.join(',') !== savedVotes;
+
+  const toggle = (optionId: number) => {
+    if (!poll.allows_multiple) {
+      setSelected([optionId]);
+    } else {
+      setSelected(current => current.includes(optionId)
+        ? current.filter(id => id !== optionId)
+        : [...current, optionId]);
+    }
+  };
+
+  const percentOf = (votes: number | null) => {
+    const total = poll.options.reduce((sum, option) => sum + (option.votes || 0), 0);
+    return total > 0 && votes ? Math.round((votes / total) * 100) : 0;
+  };
+
+  let status = poll.allows_multiple ? 'Choose one or more' : 'Choose one';
+  if (poll.is_closed) {
+    status = 'Poll closed';
+  } else if (poll.closes_at) {
+    status += ` · closes ${new Date(poll.closes_at).toLocaleString()}`;
+  }
+
+  return (
+    <PollBox role="group" aria-label="Poll">
+      {poll.options.map(option => (
+        <PollChoice key={option.id} $chosen={selected.includes(option.id)} $disabled={!canVote}>
+          {poll.results_visible && <PollBar $percent={percentOf(option.votes)} />}
+          <input
+            type={inputType}
+            name={`poll-${poll.id}`}
+            checked={selected.includes(option.id)}
+            disabled={!canVote}
+            onChange={() => toggle(option.id)}
+          />
+          <PollChoiceText>{option.text}</PollChoiceText>
+          {poll.results_visible && <PollPercent>{percentOf(option.votes)}%</PollPercent>}
+        </PollChoice>
+      ))}
+
+      <PollFooter>
+        {canVote && (
+          <PollVoteButton
+            type="button"
+            disabled={selected.length === 0 || !changed || voteMutation.isPending}
+            onClick={() => voteMutation.mutate(selected)}
+          >
+            {poll.has_voted ? 'Change vote' : 'Vote'}
+          </PollVoteButton>
+        )}
+        {poll.results_visible ? (
+          <span>{poll.total_voters} {poll.total_voters === 1 ? 'vote' : 'votes'}</span>
+        ) : (
+          <span>Results are shown after you vote</span>
+        )}
+        <span>· {status}</span>
+        {error && <PollError>{error}</PollError>}
+      </PollFooter>
+    </PollBox>
+  );
+};
+
 // Recursive comment rendering component
 const CommentRenderer: React.FC<{ comment: Comment; depth?: number }> = ({ comment, depth = 0 }) => {
+  const [showHistory, setShowHistory] = useState(false);
   const commentAvatarUrl = comment.author ? getUserAvatarUrl(comment.author) : '';
   const hasCommentAvatar = Boolean(comment.author?.avatar_url);
   const isReply = depth > 0;
@@ -389,11 +700,23 @@ const CommentRenderer: React.FC<{ comment: Comment; depth?: number }> = ({ comme
               {comment.author ? `${comment.author.first_name} ${comment.author.last_name}` : 'Unknown User'}
             </Author>
           </div>
-          <Text>{comment.content}</Text>
-          <Time>{formatTimeAgo(comment.created_at)}</Time>
+          <Text><RichText text={comment.content} /></Text>
+          <Time>
+            {formatTimeAgo(comment.created_at)}
+            {comment.is_edited && (
+              <>
+                {' · '}
+                <EditedLink type="button" onClick={() => setShowHistory(true)}>edited</EditedLink>
+              </>
+            )}
+          </Time>
         </Content>
       </Item>
 
+      {showHistory && (
+        <EditHistory targetType="comment" targetId={comment.id} onClose={() => setShowHistory(false)} />
+      )}
+
       {/* Recursively render all nested replies */}
       {comment.replies && comment.replies.length > 0 && (
         <div>
@@ -410,6 +733,7 @@ const PostCard: React.FC<PostCardProps> = ({ post, onUpdate }) => {
   const { state } = useAuth();
   const queryClient = useQueryClient();
   const [showComments, setShowComments] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [allComments, setAllComments] = useState<Comment[]>([]);
   const [hasMoreComments, setHasMoreComments] = useState(false);
@@ -433,6 +757,22 @@ const PostCard: React.FC<PostCardProps> = ({ post, onUpdate }) => {
     queryFn: () => reactionsApi.getPostReactions(post.id, { include_users: true }),
   });
 
+  // Refresh reactions and comments when other users change them
+  useRealtime([`post:${post.id}`], ({ event }) => {
+    if (event === 'reaction.updated') {
+      queryClient.invalidateQueries({ queryKey: ['reactions', 'post', post.id] });
+    }
+    if (event.startsWith('comment.') || event === 'reaction.updated') {
+      queryClient.invalidateQueries({ queryKey: ['comments', 'post', post.id] });
+    }
+    if (event === 'post.updated' || event === 'post.deleted') {
+      queryClient.invalidateQueries({ queryKey: ['posts'] });
+    }
+    if (event === 'poll.updated' || event === 'media.processed') {
+      refreshPostLists(queryClient);
+    }
+  });
+
   // Fetch initial comments when shown
   const { data: commentsData, isLoading: commentsLoading } = useQuery({
     queryKey: ['comments', 'post', post.id, 'page', currentPage],
@@ -655,6 +995,22 @@ const PostCard: React.FC<PostCardProps> = ({ post, onUpdate }) => {
     },
   });
 
+  // Archived posts leave lists and feeds and are closed to comments and reactions
+  const archiveMutation = useMutation({
+    mutationFn: () => post.is_archived ? postsApi.unarchivePost(post.id) : postsApi.archivePost(post.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['posts'] });
+      queryClient.invalidateQueries({ queryKey: ['user-posts'] });
+      onUpdate?.();
+    },
+  });
+
+  // Resharing a share without commentary shares its original, so that is what caps the audience
+  const isPlainShare = Boolean(post.is_share && !post.content);
+  const shareTarget = isPlainShare
+    ? (post.shared_post && !post.shared_post.tombstone ? post.shared_post : null)
+    : post;
+
   const reactions = reactionsData?.data?.reaction_counts || [];
   const detailedReactions = reactionsData?.data?.detailed_reactions || [];
   const comments = allComments;
@@ -701,19 +1057,47 @@ const PostCard: React.FC<PostCardProps> = ({ post, onUpdate }) => {
             <span>@{post.author?.username || 'unknown'}</span>
             <span>•</span>
             <span>{formatTimeAgo(post.created_at)}</span>
+            {post.is_edited && (
+              <>
+                <span>•</span>
+                <EditedLink
+                  type="button"
+                  onClick={() => setShowHistory(true)}
+                  title={post.edited_at ? `Edited ${new Date(post.edited_at).toLocaleString()}` : undefined}
+                >
+                  edited
+                </EditedLink>
+              </>
+            )}
             {post.privacy_level !== 'public' && (
               <>
                 <span>•</span>
                 <span>{post.privacy_level}</span>
               </>
             )}
+            {post.is_archived && (
+              <>
+                <span>•</span>
+                <span>archived</span>
+              </>
+            )}
+            {post.is_share && (
+              <>
+                <span>•</span>
+                <span>shared a post</span>
+              </>
+            )}
           </PostMeta>
         </AuthorInfo>
       </PostHeader>
 
+      {showHistory && (
+        <EditHistory targetType="post" targetId={post.id} onClose={() => setShowHistory(false)} />
+      )}
+
       {/* Post Content */}
       <PostContent>
-        <PostText>{post.content}</PostText>
+        {post.content && <PostText><RichText text={post.content} /></PostText>}
 
         {/* Media Gallery */}
         {post.media && post.media.length > 0 && (
@@ -721,20 +1105,13 @@ const PostCard: React.FC<PostCardProps> = ({ post, onUpdate }) => {
             {post.media.slice(0, 4).map((media, index) => (
               <MediaItem key={media.id} $isVideo={media.media_type === 'video'}>
                 {media.media_type === 'image' && (
-                  <img
-                    src={`${getApiBaseUrl()}${media.file_url || `/uploads/${media.file_path}`}`}
+                  <ResponsiveImage
+                    media={media}
                     alt={media.alt_text || 'Post image'}
+                    sizes={post.media && post.media.length > 1 ? '(max-width: 640px) 50vw, 300px' : '(max-width: 640px) 100vw, 600px'}
                   />
                 )}
-                {media.media_type === 'video' && (
-                  <>
-                    <video
-                      src={`${getApiBaseUrl()}${media.file_url || `/uploads/${media.file_path}`}`}
-                      poster={media.thumbnail_url ? `${getApiBaseUrl()}${media.thumbnail_url}` : undefined}
-                    />
-                    <VideoOverlay>▶</VideoOverlay>
-                  </>
-                )}
+                {media.media_type === 'video' && <PostVideo media={media} />}
                 {index === 3 && post.media && post.media.length > 4 && (
                   <MediaCount>+{post.media.length - 4} more</MediaCount>
                 )}
@@ -742,23 +1119,48 @@ const PostCard: React.FC<PostCardProps> = ({ post, onUpdate }) => {
             ))}
           </MediaGrid>
         )}
+
+        {post.poll && <PollRenderer postId={post.id} poll={post.poll} closed={Boolean(post.is_archived)} />}
+
+        {post.shared_post && <SharedPostEmbed sharedPost={post.shared_post} />}
       </PostContent>
 
       {/* Post Actions */}
       <PostActions>
-        <ReactionPicker
-          currentReaction={currentUserReaction?.emoji_name || null}
-          totalReactions={totalReactions}
-          reactionCounts={reactions}
-          onReactionSelect={handleReaction}
-          onReactionRemove={handleRemoveReaction}
-        />
+        {!post.is_archived && (
+          <ReactionPicker
+            currentReaction={currentUserReaction?.emoji_name || null}
+            totalReactions={totalReactions}
+            reactionCounts={reactions}
+            onReactionSelect={handleReaction}
+            onReactionRemove={handleRemoveReaction}
+          />
+        )}
 
         <ActionButton onClick={toggleComments}>
           <span>💬</span>
           <span>{post.comment_count || 0} Comment{(post.comment_count || 0) === 1 ? '' : 's'}</span>
         </ActionButton>
 
+        {state.user && post.is_published && !post.is_archived && shareTarget && (
+          <ShareButton
+            postId={post.id}
+            privacyLevel={shareTarget.privacy_level}
+            shareCount={post.share_count || 0}
+          />
+        )}
+
+        {state.user && state.user.id !== post.user_id && (
+          <ReportButton targetType="post" targetId={post.id} />
+        )}
+
+        {state.user && state.user.id === post.user_id && post.is_published && (
+          <ActionButton onClick={() => archiveMutation.mutate()} disabled={archiveMutation.isPending}>
+            <span>🗄️</span>
+            <span>{post.is_archived ? 'Unarchive' : 'Archive'}</span>
+          </ActionButton>
+        )}
+
         {totalReactions > 0 && (
           <ReactionsPopup
             reactionCounts={reactions}
@@ -803,17 +1205,21 @@ const PostCard: React.FC<PostCardProps> = ({ post, onUpdate }) => {
         )}
 
         {/* Comment Form */}
-        <CommentForm
-          postId={post.id}
-          onSuccess={() => {
-            // Refresh comments after successful creation
-            queryClient.invalidateQueries({ queryKey: ['comments', 'post', post.id] });
-            // Also invalidate posts cache to update comment counts in feed
-            queryClient.invalidateQueries({ queryKey: ['posts'] });
-            // Call the parent onUpdate callback if provided
-            onUpdate?.();
-          }}
-        />
+        {post.is_archived ? (
+          <ClosedNotice>Comments are closed on archived posts.</ClosedNotice>
+        ) : (
+          <CommentForm
+            postId={post.id}
+            onSuccess={() => {
+              // Refresh comments after successful creation
+              queryClient.invalidateQueries({ queryKey: ['comments', 'post', post.id] });
+              // Also invalidate posts cache to update comment counts in feed
+              queryClient.invalidateQueries({ queryKey: ['posts'] });
+              // Call the parent onUpdate callback if provided
+              onUpdate?.();
+            }}
+          />
+        )}
       </CommentsSection>
     </Card>
   );
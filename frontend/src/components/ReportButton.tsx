@@ -0,0 +1,187 @@
+/**
+ * ReportButton component - flag a post, comment, media item or profile for moderator review
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { reportsApi } from '../services/api';
+import { ReportReason, ReportTargetType } from '../types';
+
+const REASON_LABELS: Record<ReportReason, string> = {
+  spam: 'Spam',
+  harassment: 'Harassment or bullying',
+  hate_speech: 'Hate speech',
+  violence: 'Violence or threats',
+  nudity: 'Nudity or sexual content',
+  misinformation: 'False information',
+  other: 'Something else',
+};
+
+const Container = styled.div`
+  position: relative;
+`;
+
+const TriggerButton = styled.button`
+  background: none;
+  border: none;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: 0.9rem;
+  cursor: pointer;
+  padding: ${({ theme }) => theme.spacing.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+
+  &:hover:not(:disabled) {
+    background: ${({ theme }) => theme.colors.background};
+    color: ${({ theme }) => theme.colors.error};
+  }
+
+  &:disabled {
+    cursor: default;
+  }
+`;
+
+const Dialog = styled.form`
+  position: absolute;
+  top: 100%;
+  right: 0;
+  width: 280px;
+  padding: ${({ theme }) => theme.spacing.md};
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  box-shadow: ${({ theme }) => theme.shadows.lg};
+  z-index: 1000;
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.sm};
+  font-size: 0.85rem;
+  color: ${({ theme }) => theme.colors.text.primary};
+
+  select,
+  textarea {
+    width: 100%;
+    padding: ${({ theme }) => theme.spacing.sm};
+    border: 1px solid ${({ theme }) => theme.colors.border};
+    border-radius: ${({ theme }) => theme.borderRadius.sm};
+    font-family: inherit;
+    font-size: 0.85rem;
+  }
+
+  textarea {
+    resize: vertical;
+    min-height: 60px;
+  }
+`;
+
+const DialogActions = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+const DialogButton = styled.button<{ $primary?: boolean }>`
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme, $primary }) => $primary ? theme.colors.error : theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: ${({ theme, $primary }) => $primary ? theme.colors.error : theme.colors.surface};
+  color: ${({ theme, $primary }) => $primary ? 'white' : theme.colors.text.primary};
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+const ErrorText = styled.div`
+  color: ${({ theme }) => theme.colors.error};
+`;
+
+interface ReportButtonProps {
+  targetType: ReportTargetType;
+  targetId: number;
+  label?: string;
+}
+
+const ReportButton: React.FC<ReportButtonProps> = ({ targetType, targetId, label = 'Report' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState<ReportReason>('spam');
+  const [details, setDetails] = useState('');
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  const reportMutation = useMutation({
+    mutationFn: () => reportsApi.createReport({
+      target_type: targetType,
+      target_id: targetId,
+      reason,
+      details: details.trim() || undefined,
+    }),
+    onSuccess: () => {
+      setIsOpen(false);
+    },
+  });
+
+  // Close dialog when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    reportMutation.mutate();
+  };
+
+  const errorMessage = (reportMutation.error as any)?.response?.data?.error?.message;
+
+  return (
+    <Container ref={containerRef}>
+      <TriggerButton
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={reportMutation.isSuccess}
+        title={`Report this ${targetType === 'user' ? 'profile' : targetType}`}
+      >
+        {reportMutation.isSuccess ? '🚩 Reported' : `🚩 ${label}`}
+      </TriggerButton>
+
+      {isOpen && (
+        <Dialog onSubmit={handleSubmit}>
+          <label htmlFor={`report-reason-${targetType}-${targetId}`}>Why are you reporting this?</label>
+          <select
+            id={`report-reason-${targetType}-${targetId}`}
+            value={reason}
+            onChange={(e) => setReason(e.target.value as ReportReason)}
+          >
+            {(Object.keys(REASON_LABELS) as ReportReason[]).map(key => (
+              <option key={key} value={key}>{REASON_LABELS[key]}</option>
+            ))}
+          </select>
+          <textarea
+            placeholder="Add details (optional)"
+            maxLength={1000}
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+          />
+          {errorMessage && <ErrorText>{errorMessage}</ErrorText>}
+          <DialogActions>
+            <DialogButton type="button" onClick={() => setIsOpen(false)}>Cancel</DialogButton>
+            <DialogButton type="submit" $primary disabled={reportMutation.isPending}>
+              {reportMutation.isPending ? 'Sending...' : 'Submit report'}
+            </DialogButton>
+          </DialogActions>
+        </Dialog>
+      )}
+    </Container>
+  );
+};
+
+export default ReportButton;
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * ResponsiveImage component - an uploaded image with its resized AVIF/WebP variants offered
+ * through <picture>, so browsers fetch the smallest copy that fits, and its average colour
+ * painted underneath until the image arrives
+ */
+
+import React from 'react';
+import { Media, MediaVariantFormat } from '../types';
+import { getMediaUrl, getMediaSrcSet } from '../services/api';
+
+// Most compact first; browsers take the first source whose type they support
+const SOURCE_FORMATS: MediaVariantFormat[] = ['avif', 'webp', 'jpeg', 'png'];
+
+interface ResponsiveImageProps {
+  media: Media;
+  alt: string;
+  // Rendered width of the image, as in the <img> sizes attribute
+  sizes: string;
+}
+
+const ResponsiveImage: React.FC<ResponsiveImageProps> = ({ media, alt, sizes }) => {
+  const sources = SOURCE_FORMATS
+    .map(format => ({ format, srcSet: getMediaSrcSet(media, format) }))
+    .filter(source => source.srcSet);
+
+  return (
+    <picture>
+      {sources.map(source => (
+        <source key={source.format} type={`image/${source.format}`} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      <img
+        src={getMediaUrl(media)}
+        alt={alt}
+        width={media.width}
+        height={media.height}
+        loading="lazy"
+        decoding="async"
+        style={media.dominant_color ? { backgroundColor: media.dominant_color } : undefined}
+      />
+    </picture>
+  );
+};
+
+export default ResponsiveImage;
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * RichText component - renders post and comment text with @mentions and #hashtags as links
+ * Mirrors the backend parsing rules; everything else is rendered as plain text.
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+
+// Group 2 is a mention (after group 1's boundary), group 4 a hashtag (after group 3's boundary)
+const TOKEN_PATTERN = /(^|[^\w@])@(\w{3,50})|(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]{1,100})/gu;
+
+const TokenLink = styled(Link)`
+  color: ${({ theme }) => theme.colors.primary};
+  font-weight: 500;
+  text-decoration: none;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+const RichText: React.FC<{ text: string }> = ({ text }) => {
+  const parts: React.ReactNode[] = [];
+  const pattern = new RegExp(TOKEN_PATTERN.source, TOKEN_PATTERN.flags);
+  let lastIndex = 0;
+  let match: RegExpExecArray | null;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, mentionBoundary, username, tagBoundary, tag] = match;
+
+    // Purely numeric tags such as "#1" are not hashtags
+    if (tag && /^\d+$/.test(tag)) continue;
+
+    const boundary = username ? mentionBoundary : tagBoundary;
+    const tokenStart = match.index + boundary.length;
+    parts.push(text.slice(lastIndex, tokenStart));
+
+    parts.push(username ? (
+      <TokenLink key={tokenStart} to={`/u/${username}`}>@{username}</TokenLink>
+    ) : (
+      <TokenLink key={tokenStart} to={`/hashtag/${encodeURIComponent(tag.toLowerCase())}`}>#{tag}</TokenLink>
+    ));
+    lastIndex = match.index + whole.length;
+  }
+
+  parts.push(text.slice(lastIndex));
+  return <>{parts}</>;
+};
+
+export default RichText;
\ No newline at end of file
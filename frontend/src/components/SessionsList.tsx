@@ -0,0 +1,174 @@
+/**
+ * SessionsList component - shows the devices signed in to the current account
+ * and lets the user sign them out
+ */
+
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { authApi } from '../services/api';
+import { Session } from '../types';
+
+const Container = styled.div`
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  padding: ${({ theme }) => theme.spacing.lg};
+  margin-top: ${({ theme }) => theme.spacing.xl};
+`;
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+
+  h2 {
+    color: ${({ theme }) => theme.colors.text.primary};
+    font-size: 1.25rem;
+  }
+`;
+
+const SessionRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md} 0;
+  border-top: 1px solid ${({ theme }) => theme.colors.border};
+`;
+
+const SessionDetails = styled.div`
+  min-width: 0;
+  font-size: 0.9rem;
+  color: ${({ theme }) => theme.colors.text.primary};
+
+  .agent {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  .meta {
+    margin-top: 2px;
+    font-size: 0.8rem;
+    color: ${({ theme }) => theme.colors.text.muted};
+  }
+`;
+
+const CurrentBadge = styled.span`
+  margin-left: ${({ theme }) => theme.spacing.sm};
+  padding: 2px 8px;
+  border-radius: 10px;
+  background: ${({ theme }) => theme.colors.success}20;
+  color: ${({ theme }) => theme.colors.success};
+  font-size: 0.75rem;
+  font-weight: 600;
+`;
+
+const SignOutButton = styled.button`
+  flex-shrink: 0;
+  background: none;
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.md};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    border-color: ${({ theme }) => theme.colors.error};
+    color: ${({ theme }) => theme.colors.error};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Message = styled.p<{ $error?: boolean }>`
+  font-size: 0.9rem;
+  color: ${({ theme, $error }) => $error ? theme.colors.error : theme.colors.text.secondary};
+`;
+
+/**
+ * Describe a session for display
+ */
+const describeSession = (session: Session): string => {
+  const parts = [`Signed in ${new Date(session.created_at).toLocaleString()}`];
+  parts.push(`last active ${new Date(session.last_used_at).toLocaleString()}`);
+  if (session.ip_address) parts.push(session.ip_address);
+  return parts.join(' · ');
+};
+
+const SessionsList: React.FC = () => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['auth', 'sessions'],
+    queryFn: () => authApi.getSessions(),
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (sessionId: number) => authApi.revokeSession(sessionId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['auth', 'sessions'] });
+    },
+  });
+
+  const revokeOthersMutation = useMutation({
+    mutationFn: () => authApi.revokeOtherSessions(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['auth', 'sessions'] });
+    },
+  });
+
+  const sessions = data?.data?.sessions ?? [];
+  const hasOtherSessions = sessions.some(session => !session.current);
+  const mutationError = revokeMutation.error || revokeOthersMutation.error;
+
+  return (
+    <Container>
+      <Header>
+        <h2>Where you're signed in</h2>
+        <SignOutButton
+          onClick={() => revokeOthersMutation.mutate()}
+          disabled={!hasOtherSessions || revokeOthersMutation.isPending}
+        >
+          Sign out other devices
+        </SignOutButton>
+      </Header>
+
+      {isLoading && <Message>Loading sessions...</Message>}
+      {error && <Message $error>Failed to load sessions.</Message>}
+      {mutationError && (
+        <Message $error>
+          {(mutationError as any)?.response?.data?.error?.message || 'Failed to sign out the session.'}
+        </Message>
+      )}
+
+      {sessions.map(session => (
+        <SessionRow key={session.id}>
+          <SessionDetails>
+            <div className="agent">
+              {session.user_agent || 'Unknown device'}
+              {session.current && <CurrentBadge>This device</CurrentBadge>}
+            </div>
+            <div className="meta">{describeSession(session)}</div>
+          </SessionDetails>
+          {!session.current && (
+            <SignOutButton
+              onClick={() => revokeMutation.mutate(session.id)}
+              disabled={revokeMutation.isPending}
+            >
+              Sign out
+            </SignOutButton>
+          )}
+        </SessionRow>
+      ))}
+    </Container>
+  );
+};
+
+export default SessionsList;
\ No newline at end of file
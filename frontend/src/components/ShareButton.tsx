@@ -0,0 +1,190 @@
+/**
+ * ShareButton component - reshare a post to the user's own followers, with optional commentary
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { postsApi } from '../services/api';
+import { PrivacyLevel } from '../types';
+
+// Narrowest audience first; a share can't reach further than the post it shares
+const PRIVACY_LEVELS: PrivacyLevel[] = ['private', 'friends', 'public'];
+
+const PRIVACY_LABELS: Record<PrivacyLevel, string> = {
+  public: 'Public',
+  friends: 'Friends',
+  private: 'Only me',
+};
+
+const Container = styled.div`
+  position: relative;
+`;
+
+const TriggerButton = styled.button`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.xs};
+  background: none;
+  border: none;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: 0.9rem;
+  cursor: pointer;
+  padding: ${({ theme }) => theme.spacing.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+
+  &:hover:not(:disabled) {
+    background: ${({ theme }) => theme.colors.background};
+    color: ${({ theme }) => theme.colors.primary};
+  }
+
+  &:disabled {
+    cursor: default;
+  }
+`;
+
+const Dialog = styled.form`
+  position: absolute;
+  top: 100%;
+  left: 0;
+  width: 300px;
+  padding: ${({ theme }) => theme.spacing.md};
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  box-shadow: ${({ theme }) => theme.shadows.lg};
+  z-index: 1000;
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.sm};
+  font-size: 0.85rem;
+  color: ${({ theme }) => theme.colors.text.primary};
+
+  select,
+  textarea {
+    width: 100%;
+    padding: ${({ theme }) => theme.spacing.sm};
+    border: 1px solid ${({ theme }) => theme.colors.border};
+    border-radius: ${({ theme }) => theme.borderRadius.sm};
+    font-family: inherit;
+    font-size: 0.85rem;
+  }
+
+  textarea {
+    resize: vertical;
+    min-height: 60px;
+  }
+`;
+
+const DialogActions = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+const DialogButton = styled.button<{ $primary?: boolean }>`
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme, $primary }) => $primary ? theme.colors.primary : theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: ${({ theme, $primary }) => $primary ? theme.colors.primary : theme.colors.surface};
+  color: ${({ theme, $primary }) => $primary ? 'white' : theme.colors.text.primary};
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+const ErrorText = styled.div`
+  color: ${({ theme }) => theme.colors.error};
+`;
+
+interface ShareButtonProps {
+  postId: number;
+  // Privacy level of the post being shared, which caps the share's audience
+  privacyLevel: PrivacyLevel;
+  shareCount: number;
+}
+
+const ShareButton: React.FC<ShareButtonProps> = ({ postId, privacyLevel, shareCount }) => {
+  const queryClient = useQueryClient();
+  const [isOpen, setIsOpen] = useState(false);
+  const [content, setContent] = useState('');
+  const [audience, setAudience] = useState<PrivacyLevel>(privacyLevel);
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  const allowedLevels = PRIVACY_LEVELS.slice(0, PRIVACY_LEVELS.indexOf(privacyLevel) + 1);
+
+  const shareMutation = useMutation({
+    mutationFn: () => postsApi.sharePost(postId, {
+      content: content.trim() || undefined,
+      privacy_level: audience,
+    }),
+    onSuccess: () => {
+      setIsOpen(false);
+      setContent('');
+      queryClient.invalidateQueries({ queryKey: ['posts'] });
+      queryClient.invalidateQueries({ queryKey: ['user-posts'] });
+    },
+  });
+
+  // Close dialog when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    shareMutation.mutate();
+  };
+
+  const errorMessage = (shareMutation.error as any)?.response?.data?.error?.message;
+
+  return (
+    <Container ref={containerRef}>
+      <TriggerButton type="button" onClick={() => setIsOpen(!isOpen)} title="Share this post">
+        <span>🔁</span>
+        <span>{shareCount} Share{shareCount === 1 ? '' : 's'}</span>
+      </TriggerButton>
+
+      {isOpen && (
+        <Dialog onSubmit={handleSubmit}>
+          <textarea
+            placeholder="Say something about this (optional)"
+            maxLength={10000}
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+          />
+          <label htmlFor={`share-audience-${postId}`}>Who can see your share?</label>
+          <select
+            id={`share-audience-${postId}`}
+            value={audience}
+            onChange={(e) => setAudience(e.target.value as PrivacyLevel)}
+          >
+            {allowedLevels.map(level => (
+              <option key={level} value={level}>{PRIVACY_LABELS[level]}</option>
+            ))}
+          </select>
+          {errorMessage && <ErrorText>{errorMessage}</ErrorText>}
+          <DialogActions>
+            <DialogButton type="button" onClick={() => setIsOpen(false)}>Cancel</DialogButton>
+            <DialogButton type="submit" $primary disabled={shareMutation.isPending}>
+              {shareMutation.isPending ? 'Sharing...' : 'Share'}
+            </DialogButton>
+          </DialogActions>
+        </Dialog>
+      )}
+    </Container>
+  );
+};
+
+export default ShareButton;
\ No newline at end of file
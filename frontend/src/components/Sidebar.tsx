@@ -4,7 +4,10 @@
 
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
 import styled from 'styled-components';
+import { hashtagsApi } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
 
 // Styled components
 const SidebarContent = styled.div`
@@ -99,11 +102,27 @@ const StatValue = styled.span`
   font-weight: 600;
 `;
 
+const TagLink = styled(Link)`
+  color: ${({ theme }) => theme.colors.primary};
+  text-decoration: none;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
 /**
  * Sidebar Component
  */
 const Sidebar: React.FC = () => {
   const location = useLocation();
+  const { state } = useAuth();
+
+  const { data: trendingData } = useQuery({
+    queryKey: ['hashtags', 'trending'],
+    queryFn: () => hashtagsApi.getTrending({ limit: 5 }),
+  });
+  const trending = trendingData?.data?.hashtags ?? [];
 
   // Mock user data
   const mockUser = {
@@ -145,9 +164,32 @@ const Sidebar: React.FC = () => {
               My Profile
             </NavLink>
           </NavItem>
+          {(state.user?.role === 'moderator' || state.user?.role === 'admin') && (
+            <NavItem>
+              <NavLink to="/moderation" $isActive={isActive('/moderation')}>
+                <IconPlaceholder>🛡️</IconPlaceholder>
+                Moderation
+              </NavLink>
+            </NavItem>
+          )}
         </NavList>
       </Section>
 
+      {/* Trending Hashtags */}
+      {trending.length > 0 && (
+        <Section>
+          <SectionTitle>Trending</SectionTitle>
+          <QuickStats>
+            {trending.map(hashtag => (
+              <StatItem key={hashtag.tag}>
+                <TagLink to={`/hashtag/${encodeURIComponent(hashtag.tag)}`}>#{hashtag.tag}</TagLink>
+                <StatValue>{hashtag.post_count}</StatValue>
+              </StatItem>
+            ))}
+          </QuickStats>
+        </Section>
+      )}
+
       {/* Quick Stats */}
       <Section>
         <SectionTitle>Quick Stats</SectionTitle>
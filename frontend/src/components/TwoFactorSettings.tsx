@@ -0,0 +1,284 @@
+/**
+ * TwoFactorSettings component - enroll an authenticator app, manage recovery
+ * codes and turn two-factor authentication off
+ */
+
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { authApi } from '../services/api';
+import { MfaSetup } from '../types';
+
+const Container = styled.div`
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  padding: ${({ theme }) => theme.spacing.lg};
+  margin-top: ${({ theme }) => theme.spacing.xl};
+
+  h2 {
+    color: ${({ theme }) => theme.colors.text.primary};
+    font-size: 1.25rem;
+    margin-bottom: ${({ theme }) => theme.spacing.sm};
+  }
+`;
+
+const Text = styled.p<{ $error?: boolean }>`
+  font-size: 0.9rem;
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+  color: ${({ theme, $error }) => $error ? theme.colors.error : theme.colors.text.secondary};
+`;
+
+const Row = styled.form`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing.sm};
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+`;
+
+const Input = styled.input`
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  font-size: 0.9rem;
+  background: ${({ theme }) => theme.colors.background};
+  color: ${({ theme }) => theme.colors.text.primary};
+
+  &:focus {
+    outline: none;
+    border-color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
+const Button = styled.button<{ variant?: 'primary' | 'danger' }>`
+  background: ${({ theme, variant }) =>
+    variant === 'danger' ? theme.colors.error : variant === 'primary' ? theme.colors.primary : 'none'};
+  color: ${({ theme, variant }) => variant ? 'white' : theme.colors.text.secondary};
+  border: 1px solid ${({ theme, variant }) =>
+    variant === 'danger' ? theme.colors.error : variant === 'primary' ? theme.colors.primary : theme.colors.border};
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const QrCode = styled.img`
+  display: block;
+  width: 180px;
+  height: 180px;
+  margin-bottom: ${({ theme }) => theme.spacing.sm};
+`;
+
+const Secret = styled.code`
+  display: inline-block;
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.sm};
+  background: ${({ theme }) => theme.colors.background};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  font-size: 0.85rem;
+  letter-spacing: 1px;
+  word-break: break-all;
+`;
+
+const CodeList = styled.ul`
+  display: grid;
+  grid-template-columns: repeat(2, max-content);
+  gap: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.xl};
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  list-style: none;
+  background: ${({ theme }) => theme.colors.background};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  font-family: monospace;
+  font-size: 0.95rem;
+`;
+
+/**
+ * Pull the API error message out of a failed mutation
+ */
+const errorMessage = (error: unknown, fallback: string): string =>
+  (error as any)?.response?.data?.error?.message || fallback;
+
+const TwoFactorSettings: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [setup, setSetup] = useState<MfaSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [showDisable, setShowDisable] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['auth', 'mfa'],
+    queryFn: () => authApi.getMfaStatus(),
+  });
+
+  const refreshStatus = () => queryClient.invalidateQueries({ queryKey: ['auth', 'mfa'] });
+
+  const setupMutation = useMutation({
+    mutationFn: () => authApi.setupMfa(),
+    onSuccess: (response) => {
+      setSetup(response.data);
+      setRecoveryCodes(null);
+      setCode('');
+    },
+  });
+
+  const enableMutation = useMutation({
+    mutationFn: (value: string) => authApi.enableMfa(value),
+    onSuccess: (response) => {
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(response.data.recovery_codes);
+      refreshStatus();
+    },
+  });
+
+  const regenerateMutation = useMutation({
+    mutationFn: (value: string) => authApi.regenerateRecoveryCodes(value),
+    onSuccess: (response) => {
+      setCode('');
+      setRecoveryCodes(response.data.recovery_codes);
+      refreshStatus();
+    },
+  });
+
+  const disableMutation = useMutation({
+    mutationFn: () => authApi.disableMfa({ password, code }),
+    onSuccess: () => {
+      setCode('');
+      setPassword('');
+      setShowDisable(false);
+      setRecoveryCodes(null);
+      refreshStatus();
+    },
+  });
+
+  if (isLoading || !data?.data) {
+    return null;
+  }
+
+  const status = data.data;
+  const mutationError = setupMutation.error || enableMutation.error
+    || regenerateMutation.error || disableMutation.error;
+
+  return (
+    <Container>
+      <h2>Two-factor authentication</h2>
+
+      {status.required && !status.enabled && (
+        <Text $error>Moderators and admins must turn on two-factor authentication to use staff tools.</Text>
+      )}
+
+      {mutationError && <Text $error>{errorMessage(mutationError, 'Something went wrong. Please try again.')}</Text>}
+
+      {recoveryCodes && (
+        <>
+          <Text>
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+            authenticator app, and they will not be shown again.
+          </Text>
+          <CodeList>
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </CodeList>
+        </>
+      )}
+
+      {!status.enabled && !setup && (
+        <>
+          <Text>Protect your account with a code from an authenticator app in addition to your password.</Text>
+          <Button variant="primary" onClick={() => setupMutation.mutate()} disabled={setupMutation.isPending}>
+            Set up two-factor authentication
+          </Button>
+        </>
+      )}
+
+      {!status.enabled && setup && (
+        <>
+          <Text>Scan this QR code with your authenticator app, or enter the key manually.</Text>
+          <QrCode src={setup.qr_code} alt="Two-factor authentication QR code" />
+          <Secret>{setup.secret}</Secret>
+          <Row onSubmit={(e) => { e.preventDefault(); enableMutation.mutate(code.trim()); }}>
+            <Input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="6-digit code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              maxLength={6}
+            />
+            <Button type="submit" variant="primary" disabled={code.trim().length !== 6 || enableMutation.isPending}>
+              Confirm
+            </Button>
+            <Button type="button" onClick={() => setSetup(null)}>
+              Cancel
+            </Button>
+          </Row>
+        </>
+      )}
+
+      {status.enabled && (
+        <>
+          <Text>
+            Two-factor authentication is on. You have {status.recovery_codes_remaining} unused recovery
+            code{status.recovery_codes_remaining === 1 ? '' : 's'}.
+          </Text>
+          <Row
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (showDisable) {
+                disableMutation.mutate();
+              } else {
+                regenerateMutation.mutate(code.trim());
+              }
+            }}
+          >
+            <Input
+              type="text"
+              autoComplete="one-time-code"
+              placeholder="Authentication code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            {showDisable && (
+              <Input
+                type="password"
+                placeholder="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            )}
+            {showDisable ? (
+              <>
+                <Button type="submit" variant="danger" disabled={!code.trim() || !password || disableMutation.isPending}>
+                  Turn off
+                </Button>
+                <Button type="button" onClick={() => setShowDisable(false)}>
+                  Cancel
+                </Button>
+              </>
+            ) : (
+              <>
+                <Button type="submit" disabled={!code.trim() || regenerateMutation.isPending}>
+                  New recovery codes
+                </Button>
+                {!status.required && (
+                  <Button type="button" onClick={() => setShowDisable(true)}>
+                    Turn off…
+                  </Button>
+                )}
+              </>
+            )}
+          </Row>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default TwoFactorSettings;
\ No newline at end of file
@@ -3,8 +3,13 @@
  */
 
 import React, { createContext, useContext, useReducer, ReactNode, useEffect } from 'react';
-import { User } from '../types';
-import { authApi } from '../services/api';
+import { User, AuthResponse, MfaChallenge, OAuthProvider } from '../types';
+import {
+  authApi,
+  storeAuthTokens,
+  AUTH_TOKENS_REFRESHED_EVENT,
+  AUTH_SESSION_ENDED_EVENT
+} from '../services/api';
 
 // Auth state interface
 interface AuthState {
@@ -20,6 +25,7 @@ type AuthAction =
   | { type: 'AUTH_START' }
   | { type: 'AUTH_SUCCESS'; payload: { user: User; token: string } }
   | { type: 'AUTH_FAILURE'; payload: string }
+  | { type: 'AUTH_MFA_REQUIRED' }
   | { type: 'AUTH_LOGOUT' }
   | { type: 'AUTH_CLEAR_ERROR' }
   | { type: 'AUTH_UPDATE_USER'; payload: User };
@@ -27,7 +33,9 @@ type AuthAction =
 // Auth context interface
 interface AuthContextType {
   state: AuthState;
-  login: (username: string, password: string) => Promise<void>;
+  login: (username: string, password: string) => Promise<MfaChallenge | null>;
+  completeMfaLogin: (mfaToken: string, code: string) => Promise<void>;
+  loginWithOAuth: (provider: OAuthProvider, code: string, state: string) => Promise<MfaChallenge | null>;
   register: (data: RegisterData) => Promise<void>;
   logout: () => void;
   clearError: () => void;
@@ -79,6 +87,12 @@ const authReducer = (state: AuthState, action: AuthAction): AuthState => {
         token: null,
         error: action.payload,
       };
+    case 'AUTH_MFA_REQUIRED':
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+      };
     case 'AUTH_LOGOUT':
       return {
         ...state,
@@ -124,29 +138,71 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
       } catch (error) {
         // Invalid stored data, clear it
         localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('userData');
       }
     }
   }, []);
 
-  // Login function
-  const login = async (username: string, password: string): Promise<void> => {
+  // Follow token changes made by the API client (refresh, revoked session)
+  useEffect(() => {
+    const handleRefreshed = (event: Event) => {
+      const { user, token } = (event as CustomEvent).detail;
+      dispatch({ type: 'AUTH_SUCCESS', payload: { user, token } });
+    };
+    const handleEnded = () => dispatch({ type: 'AUTH_LOGOUT' });
+
+    window.addEventListener(AUTH_TOKENS_REFRESHED_EVENT, handleRefreshed);
+    window.addEventListener(AUTH_SESSION_ENDED_EVENT, handleEnded);
+    return () => {
+      window.removeEventListener(AUTH_TOKENS_REFRESHED_EVENT, handleRefreshed);
+      window.removeEventListener(AUTH_SESSION_ENDED_EVENT, handleEnded);
+    };
+  }, []);
+
+  // Store a completed login and mark the user as authenticated
+  const finishLogin = (data: AuthResponse): void => {
+    storeAuthTokens(data);
+
+    dispatch({
+      type: 'AUTH_SUCCESS',
+      payload: { user: data.user, token: data.token },
+    });
+  };
+
+  // Login function; resolves with a challenge when a second factor is needed
+  const login = async (username: string, password: string): Promise<MfaChallenge | null> => {
     dispatch({ type: 'AUTH_START' });
 
     try {
       const response = await authApi.login({ username, password });
-      const { user, token } = response.data;
 
-      // Store in localStorage
-      localStorage.setItem('authToken', token);
-      localStorage.setItem('userData', JSON.stringify(user));
+      if ('mfa_required' in response.data) {
+        dispatch({ type: 'AUTH_MFA_REQUIRED' });
+        return response.data;
+      }
 
+      finishLogin(response.data);
+      return null;
+    } catch (error: any) {
+      const errorMessage = error.response?.data?.error?.message || 'Login failed';
       dispatch({
-        type: 'AUTH_SUCCESS',
-        payload: { user, token },
+        type: 'AUTH_FAILURE',
+        payload: errorMessage,
       });
+      throw error;
+    }
+  };
+
+  // Second login step with an authenticator or recovery code
+  const completeMfaLogin = async (mfaToken: string, code: string): Promise<void> => {
+    dispatch({ type: 'AUTH_START' });
+
+    try {
+      const response = await authApi.verifyMfaLogin({ mfa_token: mfaToken, code });
+      finishLogin(response.data);
     } catch (error: any) {
-      const errorMessage = error.response?.data?.error?.message || 'Login failed';
+      const errorMessage = error.response?.data?.error?.message || 'Verification failed';
       dispatch({
         type: 'AUTH_FAILURE',
         payload: errorMessage,
@@ -155,22 +211,41 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   };
 
-  // Register function
-  const register = async (data: RegisterData): Promise<void> => {
+  // Finish an OAuth login from the provider redirect; 2FA applies as for passwords
+  const loginWithOAuth = async (
+    provider: OAuthProvider,
+    code: string,
+    oauthState: string
+  ): Promise<MfaChallenge | null> => {
     dispatch({ type: 'AUTH_START' });
 
     try {
-      const response = await authApi.register(data);
-      const { user, token } = response.data;
+      const response = await authApi.oauthLogin(provider, { code, state: oauthState });
 
-      // Store in localStorage
-      localStorage.setItem('authToken', token);
-      localStorage.setItem('userData', JSON.stringify(user));
+      if ('mfa_required' in response.data) {
+        dispatch({ type: 'AUTH_MFA_REQUIRED' });
+        return response.data;
+      }
 
+      finishLogin(response.data);
+      return null;
+    } catch (error: any) {
+      const errorMessage = error.response?.data?.error?.message || 'Login failed';
       dispatch({
-        type: 'AUTH_SUCCESS',
-        payload: { user, token },
+        type: 'AUTH_FAILURE',
+        payload: errorMessage,
       });
+      throw error;
+    }
+  };
+
+  // Register function
+  const register = async (data: RegisterData): Promise<void> => {
+    dispatch({ type: 'AUTH_START' });
+
+    try {
+      const response = await authApi.register(data);
+      finishLogin(response.data);
     } catch (error: any) {
       const errorMessage = error.response?.data?.error?.message || 'Registration failed';
       dispatch({
@@ -183,12 +258,15 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
 
   // Logout function
   const logout = (): void => {
+    const token = localStorage.getItem('authToken');
+
     // Clear localStorage
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('userData');
 
-    // Call logout API (fire and forget)
-    authApi.logout().catch(() => {
+    // Call logout API (fire and forget) so the server revokes this session
+    authApi.logout(token).catch(() => {
       // Ignore errors during logout API call
     });
 
@@ -212,6 +290,8 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
   const contextValue: AuthContextType = {
     state,
     login,
+    completeMfaLogin,
+    loginWithOAuth,
     register,
     logout,
     clearError,
@@ -0,0 +1,186 @@
+/**
+ * Realtime Context - shares one Server-Sent Events connection between components
+ * Components register the channels they care about with useRealtime and the
+ * provider keeps a single stream open for all of them.
+ */
+
+import React, { createContext, useContext, useCallback, useEffect, useRef, useState, ReactNode } from 'react';
+import { useAuth } from './AuthContext';
+import { config, getApiBaseUrl } from '../config/app.config';
+import { RealtimeEvent } from '../types';
+
+type RealtimeHandler = (event: RealtimeEvent) => void;
+
+interface RealtimeContextType {
+  subscribe: (channels: string[], handler: RealtimeHandler) => () => void;
+}
+
+// The API accepts at most this many post and user channels per stream
+const MAX_CHANNELS_PER_KIND = 50;
+
+// Wait before reconnecting after the stream drops
+const RECONNECT_DELAY = 5000;
+
+// Batch subscription changes (e.g. a page of posts mounting) into one reconnect
+const RESUBSCRIBE_DELAY = 300;
+
+const RealtimeContext = createContext<RealtimeContextType>({
+  subscribe: () => () => {},
+});
+
+/**
+ * Build the stream query string from channel names
+ */
+const buildStreamQuery = (channels: string[]): string => {
+  const posts: string[] = [];
+  const users: string[] = [];
+  let notifications = false;
+
+  channels.forEach(channel => {
+    const [kind, id] = channel.split(':');
+    if (kind === 'post') posts.push(id);
+    if (kind === 'user') users.push(id);
+    if (kind === 'notifications') notifications = true;
+  });
+
+  const params = new URLSearchParams();
+  if (posts.length) params.append('posts', posts.slice(0, MAX_CHANNELS_PER_KIND).join(','));
+  if (users.length) params.append('users', users.slice(0, MAX_CHANNELS_PER_KIND).join(','));
+  if (notifications) params.append('notifications', 'true');
+  return params.toString();
+};
+
+/**
+ * Parse one "event: ...\ndata: ..." block from the stream
+ */
+const parseEventBlock = (block: string): RealtimeEvent | null => {
+  let event = 'message';
+  let data = '';
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event: ')) event = line.slice(7);
+    if (line.startsWith('data: ')) data += line.slice(6);
+  });
+
+  if (!data) return null;
+  return { event, data: JSON.parse(data) };
+};
+
+export const RealtimeProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
+  const { state } = useAuth();
+  const subscribersRef = useRef(new Map<number, { channels: string[]; handler: RealtimeHandler }>());
+  const nextIdRef = useRef(1);
+  const [channelKey, setChannelKey] = useState('');
+
+  const refreshChannels = useCallback(() => {
+    const channels = new Set<string>();
+    subscribersRef.current.forEach(subscriber => subscriber.channels.forEach(channel => channels.add(channel)));
+    setChannelKey(Array.from(channels).sort().join(','));
+  }, []);
+
+  const subscribe = useCallback((channels: string[], handler: RealtimeHandler) => {
+    if (!config.features.enableRealTime) {
+      return () => {};
+    }
+
+    const id = nextIdRef.current++;
+    subscribersRef.current.set(id, { channels, handler });
+    refreshChannels();
+
+    return () => {
+      subscribersRef.current.delete(id);
+      refreshChannels();
+    };
+  }, [refreshChannels]);
+
+  useEffect(() => {
+    const token = state.token;
+    if (!config.features.enableRealTime || !token || !channelKey) {
+      return;
+    }
+
+    const controller = new AbortController();
+    let reconnectTimer: ReturnType<typeof setTimeout>;
+
+    const dispatch = (event: RealtimeEvent) => {
+      subscribersRef.current.forEach(subscriber => {
+        if (subscriber.channels.includes(event.data.channel)) {
+          subscriber.handler(event);
+        }
+      });
+    };
+
+    const connect = async () => {
+      try {
+        const response = await fetch(
+          `${getApiBaseUrl()}/api/realtime/stream?${buildStreamQuery(channelKey.split(','))}`,
+          {
+            headers: { Authorization: `Bearer ${token}` },
+            signal: controller.signal,
+          }
+        );
+
+        // Rejected subscriptions (disabled feature, lost access) are not retried
+        if (!response.ok || !response.body) {
+          return;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          let boundary;
+          while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const event = parseEventBlock(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (event && event.event !== 'ready') {
+              dispatch(event);
+            }
+          }
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+      }
+
+      if (!controller.signal.aborted) {
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+      }
+    };
+
+    const startTimer = setTimeout(connect, RESUBSCRIBE_DELAY);
+
+    return () => {
+      clearTimeout(startTimer);
+      clearTimeout(reconnectTimer);
+      controller.abort();
+    };
+  }, [channelKey, state.token]);
+
+  return (
+    <RealtimeContext.Provider value={{ subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+/**
+ * Receive real-time events for the given channels (e.g. 'post:12', 'user:3', 'notifications:5')
+ * The handler may change between renders without resubscribing.
+ */
+export const useRealtime = (channels: string[], handler: RealtimeHandler): void => {
+  const { subscribe } = useContext(RealtimeContext);
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  const channelList = channels.join(',');
+
+  useEffect(() => {
+    if (!channelList) return;
+    return subscribe(channelList.split(','), event => handlerRef.current(event));
+  }, [channelList, subscribe]);
+};
\ No newline at end of file
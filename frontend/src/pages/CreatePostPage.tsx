@@ -1,12 +1,15 @@
 /**
- * Create post page component - form for creating new posts
+ * Create post page component - form for creating new posts, with an optional
+ * poll, saving drafts and scheduling posts, with the user's pending drafts listed below
  */
 
 import React, { useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import styled from 'styled-components';
-import { postsApi, mediaApi } from '../services/api';
+import { postsApi } from '../services/api';
+import { ResumableUpload, ResumableUploadProgress } from '../services/resumableUpload';
+import { Post, PostFormData } from '../types';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
 
@@ -93,6 +96,61 @@ const Select = styled.select<{ hasError?: boolean }>`
   }
 `;
 
+const ScheduleToggle = styled.label`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.sm};
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: 0.95rem;
+  cursor: pointer;
+`;
+
+const DateTimeInput = styled.input`
+  padding: ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  font-size: 1rem;
+  font-family: inherit;
+  background: ${({ theme }) => theme.colors.surface};
+  color: ${({ theme }) => theme.colors.text.primary};
+
+  &:focus {
+    outline: none;
+    border-color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
+const PollEditor = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.sm};
+  padding: ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+`;
+
+const PollOptionRow = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.spacing.sm};
+  align-items: center;
+`;
+
+const PollOptionInput = styled(DateTimeInput)`
+  flex: 1;
+  padding: ${({ theme }) => theme.spacing.sm};
+`;
+
+const PollEditorButton = styled.button`
+  align-self: flex-start;
+  background: none;
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  color: ${({ theme }) => theme.colors.text.primary};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.sm};
+  font-size: 0.85rem;
+  cursor: pointer;
+`;
+
 const MediaSection = styled.div`
   border: 2px dashed ${({ theme }) => theme.colors.border};
   border-radius: ${({ theme }) => theme.borderRadius.md};
@@ -173,6 +231,48 @@ const RemoveMediaButton = styled.button`
   }
 `;
 
+const UploadList = styled.ul`
+  list-style: none;
+  margin: ${({ theme }) => theme.spacing.md} 0 0;
+  padding: 0;
+  text-align: left;
+`;
+
+const UploadRow = styled.li`
+  display: grid;
+  grid-template-columns: 1fr auto;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.sm} 0;
+  font-size: 0.85rem;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const ProgressTrack = styled.div`
+  grid-column: 1 / -1;
+  height: 6px;
+  border-radius: 3px;
+  background: ${({ theme }) => theme.colors.border};
+  overflow: hidden;
+`;
+
+const ProgressFill = styled.div<{ $percent: number; $status: ResumableUploadProgress['status'] }>`
+  width: ${({ $percent }) => $percent}%;
+  height: 100%;
+  background: ${({ theme, $status }) => $status === 'failed'
+    ? theme.colors.error
+    : $status === 'paused' ? theme.colors.warning : theme.colors.primary};
+  transition: width 0.2s ease;
+`;
+
+const UploadControl = styled.button`
+  background: none;
+  border: none;
+  color: ${({ theme }) => theme.colors.primary};
+  font-size: 0.85rem;
+  cursor: pointer;
+`;
+
 const CharacterCount = styled.div<{ isOverLimit?: boolean }>`
   font-size: 0.85rem;
   color: ${({ theme, isOverLimit }) => isOverLimit ? theme.colors.error : theme.colors.text.muted};
@@ -226,6 +326,75 @@ const ErrorMessage = styled.div`
   margin-top: ${({ theme }) => theme.spacing.md};
 `;
 
+const NoticeMessage = styled.div`
+  background: ${({ theme }) => theme.colors.success}20;
+  color: ${({ theme }) => theme.colors.success};
+  padding: ${({ theme }) => theme.spacing.md};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  font-size: 0.9rem;
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+`;
+
+const DraftsCard = styled(FormCard)`
+  margin-top: ${({ theme }) => theme.spacing.xl};
+  padding: ${({ theme }) => theme.spacing.lg};
+
+  h2 {
+    font-size: 1.1rem;
+    margin-bottom: ${({ theme }) => theme.spacing.md};
+    color: ${({ theme }) => theme.colors.text.primary};
+  }
+`;
+
+const DraftItem = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.sm} 0;
+  border-top: 1px solid ${({ theme }) => theme.colors.border};
+
+  &:first-of-type {
+    border-top: none;
+  }
+`;
+
+const DraftText = styled.div`
+  min-width: 0;
+
+  p {
+    color: ${({ theme }) => theme.colors.text.primary};
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  small {
+    color: ${({ theme }) => theme.colors.text.secondary};
+  }
+`;
+
+const DraftActions = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.spacing.sm};
+  flex-shrink: 0;
+`;
+
+const DraftButton = styled.button<{ $danger?: boolean }>`
+  background: none;
+  border: 1px solid ${({ theme, $danger }) => $danger ? theme.colors.error : theme.colors.border};
+  color: ${({ theme, $danger }) => $danger ? theme.colors.error : theme.colors.text.primary};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.sm};
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
 interface FormData {
   content: string;
   privacy_level: 'public' | 'friends' | 'private';
@@ -233,6 +402,25 @@ interface FormData {
 
 const MAX_CONTENT_LENGTH = 10000;
 const MAX_FILES = 5;
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_POLL_OPTION_LENGTH = 200;
+
+/**
+ * Format a date as the local "YYYY-MM-DDTHH:mm" value a datetime-local input expects
+ */
+const toDateTimeLocal = (date: Date) =>
+  new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+const formatDate = (dateString: string) => new Date(dateString).toLocaleString();
+
+const UPLOAD_STATUS_LABELS: Record<ResumableUploadProgress['status'], string> = {
+  uploading: 'Uploading',
+  paused: 'Paused',
+  verifying: 'Finishing',
+  done: 'Uploaded',
+  failed: 'Failed',
+};
 
 const CreatePostPage: React.FC = () => {
   const navigate = useNavigate();
@@ -246,31 +434,76 @@ const CreatePostPage: React.FC = () => {
   });
 
   const [selectedFiles, setSelectedFiles] = useState<File[]>([]);
+  // Files go up as resumable uploads once the post exists, tracked by their index in selectedFiles
+  const [uploadProgress, setUploadProgress] = useState<Record<number, ResumableUploadProgress>>({});
+  const uploadsRef = useRef<Record<number, ResumableUpload>>({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  // Scheduling: the post stays a draft until publishAt (a datetime-local value)
+  const [isScheduling, setIsScheduling] = useState(false);
+  const [publishAt, setPublishAt] = useState('');
+
+  // Poll: option texts in order, plus when it closes (a datetime-local value, empty for never)
+  const [hasPoll, setHasPoll] = useState(false);
+  const [pollOptions, setPollOptions] = useState<string[]>(['', '']);
+  const [pollAllowsMultiple, setPollAllowsMultiple] = useState(false);
+  const [pollHideResults, setPollHideResults] = useState(false);
+  const [pollClosesAt, setPollClosesAt] = useState('');
+
+  const { data: draftsData } = useQuery({
+    queryKey: ['drafts'],
+    queryFn: () => postsApi.getDrafts(),
+  });
+  const drafts = (draftsData?.data?.posts as Post[] | undefined) ?? [];
 
   // Create post mutation
   const createPostMutation = useMutation({
     mutationFn: postsApi.createPost,
-    onSuccess: (response) => {
-      // Invalidate posts cache to refresh feed
+    onSuccess: (response, variables) => {
+      // Drafts and scheduled posts stay on this page to show up in the drafts list
+      if (variables.is_published === false || variables.publish_at) {
+        queryClient.invalidateQueries({ queryKey: ['drafts'] });
+        return;
+      }
+
+      // Invalidate posts cache to refresh feed; submitPost navigates away once media is uploaded
       queryClient.invalidateQueries({ queryKey: ['posts'] });
       queryClient.invalidateQueries({ queryKey: ['user-posts'] });
-      navigate('/');
     },
     onError: (error: any) => {
       setError(error.response?.data?.error?.message || 'Failed to create post');
     }
   });
 
-  // Upload media mutation
-  const uploadMediaMutation = useMutation({
-    mutationFn: mediaApi.uploadFiles,
+  const publishDraftMutation = useMutation({
+    mutationFn: (postId: number) => postsApi.updatePost(postId, { is_published: true }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['drafts'] });
+      queryClient.invalidateQueries({ queryKey: ['posts'] });
+      queryClient.invalidateQueries({ queryKey: ['user-posts'] });
+      setNotice('Your draft has been published');
+    },
+    onError: (error: any) => {
+      setError(error.response?.data?.error?.message || 'Failed to publish draft');
+    }
+  });
+
+  const deleteDraftMutation = useMutation({
+    mutationFn: postsApi.deletePost,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['drafts'] });
+    },
+    onError: (error: any) => {
+      setError(error.response?.data?.error?.message || 'Failed to delete draft');
+    }
   });
 
   const handleInputChange = (field: keyof FormData, value: string) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     if (error) setError(null);
+    if (notice) setNotice(null);
   };
 
   const handleFileSelect = () => {
@@ -286,12 +519,61 @@ const CreatePostPage: React.FC = () => {
     setSelectedFiles(prev => [...prev, ...files]);
   };
 
+  // One file at a time, so each keeps its bandwidth and can be paused on its own
+  const uploadFiles = async (postId: number) => {
+    for (let index = 0; index < selectedFiles.length; index++) {
+      const upload = new ResumableUpload(selectedFiles[index], { post_id: postId }, progress => {
+        setUploadProgress(prev => ({ ...prev, [index]: progress }));
+      });
+      uploadsRef.current[index] = upload;
+      await upload.start();
+    }
+  };
+
   const handleFileRemove = (index: number) => {
     setSelectedFiles(prev => prev.filter((_, i) => i !== index));
   };
 
-  const handleSubmit = async (event: React.FormEvent) => {
-    event.preventDefault();
+  const handlePollOptionChange = (index: number, value: string) => {
+    setPollOptions(prev => prev.map((option, i) => i === index ? value : option));
+    if (error) setError(null);
+  };
+
+  const resetPoll = () => {
+    setHasPoll(false);
+    setPollOptions(['', '']);
+    setPollAllowsMultiple(false);
+    setPollHideResults(false);
+    setPollClosesAt('');
+  };
+
+  /**
+   * Check the poll the same way the API does, returning an error message if it is invalid
+   */
+  const validatePoll = (scheduledFor: string | null): string | null => {
+    const options = pollOptions.map(option => option.trim());
+    if (options.some(option => !option)) {
+      return 'Please fill in every poll option or remove the empty ones';
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      return 'Poll options must be different from each other';
+    }
+    if (pollClosesAt) {
+      const closesAt = new Date(pollClosesAt);
+      if (closesAt <= new Date()) {
+        return 'Please pick a time in the future for the poll to close';
+      }
+      if (scheduledFor && closesAt <= new Date(scheduledFor)) {
+        return 'The poll must close after the post is published';
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Create the post: publish it now (or at publishAt when scheduling), or save it as a draft
+   */
+  const submitPost = async (asDraft: boolean) => {
     if (isSubmitting) return;
 
     // Validate form
@@ -305,30 +587,75 @@ const CreatePostPage: React.FC = () => {
       return;
     }
 
+    const scheduled = !asDraft && isScheduling;
+    if (scheduled && (!publishAt || new Date(publishAt) <= new Date())) {
+      setError('Please pick a time in the future to schedule your post');
+      return;
+    }
+
+    const postData: PostFormData = { ...formData };
+    if (asDraft) {
+      postData.is_published = false;
+    } else if (scheduled) {
+      postData.publish_at = new Date(publishAt).toISOString();
+    }
+
+    if (hasPoll) {
+      const pollError = validatePoll(postData.publish_at || null);
+      if (pollError) {
+        setError(pollError);
+        return;
+      }
+      postData.poll = {
+        options: pollOptions.map(option => option.trim()),
+        allows_multiple: pollAllowsMultiple,
+        hide_results: pollHideResults,
+        closes_at: pollClosesAt ? new Date(pollClosesAt).toISOString() : null,
+      };
+    }
+
     setIsSubmitting(true);
     setError(null);
+    setNotice(null);
 
+    let newPost: Post | null = null;
     try {
       // Create the post first
-      const postResponse = await createPostMutation.mutateAsync(formData);
-      const newPost = postResponse.data;
+      const postResponse = await createPostMutation.mutateAsync(postData);
+      newPost = postResponse.data;
 
       // Upload media files if any
       if (selectedFiles.length > 0) {
-        await uploadMediaMutation.mutateAsync({
-          files: selectedFiles,
-          post_id: newPost.id
-        });
+        await uploadFiles(newPost.id);
       }
 
-      // Navigation happens in the mutation success callback
-    } catch (err) {
-      // Error handling is done in mutation onError
+      if (asDraft || scheduled) {
+        setFormData({ content: '', privacy_level: formData.privacy_level });
+        setSelectedFiles([]);
+        setUploadProgress({});
+        uploadsRef.current = {};
+        setIsScheduling(false);
+        setPublishAt('');
+        resetPoll();
+        setNotice(scheduled ? `Your post is scheduled for ${formatDate(postData.publish_at as string)}` : 'Draft saved');
+      } else {
+        navigate('/');
+      }
+    } catch (err: any) {
+      // Errors creating the post are handled in the mutation's onError
+      if (newPost) {
+        setError(`Your post was saved, but uploading media failed: ${err.response?.data?.error?.message || err.message}`);
+      }
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    submitPost(false);
+  };
+
   const handleCancel = () => {
     navigate('/');
   };
@@ -343,6 +670,8 @@ const CreatePostPage: React.FC = () => {
         <Subtitle>Share your thoughts, photos, and updates with your network</Subtitle>
       </PageHeader>
 
+      {notice && <NoticeMessage role="status">{notice}</NoticeMessage>}
+
       <FormCard>
         <Form onSubmit={handleSubmit}>
           {/* Content Input */}
@@ -374,6 +703,93 @@ const CreatePostPage: React.FC = () => {
             </Select>
           </FormGroup>
 
+          {/* Scheduling */}
+          <FormGroup>
+            <ScheduleToggle>
+              <input
+                type="checkbox"
+                checked={isScheduling}
+                onChange={(e) => setIsScheduling(e.target.checked)}
+              />
+              Schedule for later
+            </ScheduleToggle>
+            {isScheduling && (
+              <DateTimeInput
+                type="datetime-local"
+                aria-label="Publish time"
+                value={publishAt}
+                min={toDateTimeLocal(new Date())}
+                onChange={(e) => setPublishAt(e.target.value)}
+              />
+            )}
+          </FormGroup>
+
+          {/* Poll */}
+          <FormGroup>
+            <ScheduleToggle>
+              <input
+                type="checkbox"
+                checked={hasPoll}
+                onChange={(e) => e.target.checked ? setHasPoll(true) : resetPoll()}
+              />
+              Add a poll
+            </ScheduleToggle>
+            {hasPoll && (
+              <PollEditor>
+                {pollOptions.map((option, index) => (
+                  <PollOptionRow key={index}>
+                    <PollOptionInput
+                      type="text"
+                      aria-label={`Option ${index + 1}`}
+                      placeholder={`Option ${index + 1}`}
+                      value={option}
+                      maxLength={MAX_POLL_OPTION_LENGTH}
+                      onChange={(e) => handlePollOptionChange(index, e.target.value)}
+                    />
+                    {pollOptions.length > MIN_POLL_OPTIONS && (
+                      <PollEditorButton
+                        type="button"
+                        onClick={() => setPollOptions(prev => prev.filter((_, i) => i !== index))}
+                        title="Remove option"
+                      >
+                        ×
+                      </PollEditorButton>
+                    )}
+                  </PollOptionRow>
+                ))}
+                {pollOptions.length < MAX_POLL_OPTIONS && (
+                  <PollEditorButton type="button" onClick={() => setPollOptions(prev => [...prev, ''])}>
+                    + Add option
+                  </PollEditorButton>
+                )}
+                <ScheduleToggle>
+                  <input
+                    type="checkbox"
+                    checked={pollAllowsMultiple}
+                    onChange={(e) => setPollAllowsMultiple(e.target.checked)}
+                  />
+                  Let people choose more than one option
+                </ScheduleToggle>
+                <ScheduleToggle>
+                  <input
+                    type="checkbox"
+                    checked={pollHideResults}
+                    onChange={(e) => setPollHideResults(e.target.checked)}
+                  />
+                  Hide results until people have voted
+                </ScheduleToggle>
+                <Label htmlFor="poll-closes-at">Closes (optional)</Label>
+                <DateTimeInput
+                  id="poll-closes-at"
+                  type="datetime-local"
+                  value={pollClosesAt}
+                  min={toDateTimeLocal(new Date())}
+                  onChange={(e) => setPollClosesAt(e.target.value)}
+                />
+              </PollEditor>
+            )}
+          </FormGroup>
+
           {/* Media Upload */}
           <FormGroup>
             <Label>Add Photos or Videos</Label>
@@ -414,17 +830,54 @@ const CreatePostPage: React.FC = () => {
                           {file.name}
                         </div>
                       )}
-                      <RemoveMediaButton
-                        type="button"
-                        onClick={() => handleFileRemove(index)}
-                        title="Remove file"
-                      >
-                        ×
-                      </RemoveMediaButton>
+                      {!isSubmitting && (
+                        <RemoveMediaButton
+                          type="button"
+                          onClick={() => handleFileRemove(index)}
+                          title="Remove file"
+                        >
+                          ×
+                        </RemoveMediaButton>
+                      )}
                     </MediaItem>
                   ))}
                 </MediaPreview>
               )}
+
+              {Object.keys(uploadProgress).length > 0 && (
+                <UploadList>
+                  {selectedFiles.map((file, index) => {
+                    const progress = uploadProgress[index];
+                    if (!progress) return null;
+                    const percent = progress.total ? Math.round((progress.uploaded / progress.total) * 100) : 100;
+
+                    return (
+                      <UploadRow key={index}>
+                        <span>{file.name} · {UPLOAD_STATUS_LABELS[progress.status]} {percent}%</span>
+                        {progress.status === 'uploading' && (
+                          <UploadControl type="button" onClick={() => uploadsRef.current[index]?.pause()}>
+                            Pause
+                          </UploadControl>
+                        )}
+                        {progress.status === 'paused' && (
+                          <UploadControl type="button" onClick={() => uploadsRef.current[index]?.resume()}>
+                            Resume
+                          </UploadControl>
+                        )}
+                        <ProgressTrack
+                          role="progressbar"
+                          aria-label={`Upload of ${file.name}`}
+                          aria-valuemin={0}
+                          aria-valuemax={100}
+                          aria-valuenow={percent}
+                        >
+                          <ProgressFill $percent={percent} $status={progress.status} />
+                        </ProgressTrack>
+                      </UploadRow>
+                    );
+                  })}
+                </UploadList>
+              )}
             </MediaSection>
           </FormGroup>
 
@@ -435,12 +888,52 @@ const CreatePostPage: React.FC = () => {
             <Button type="button" variant="secondary" onClick={handleCancel}>
               Cancel
             </Button>
+            <Button type="button" variant="secondary" disabled={!canSubmit} onClick={() => submitPost(true)}>
+              Save Draft
+            </Button>
             <Button type="submit" variant="primary" disabled={!canSubmit}>
-              {isSubmitting ? <LoadingSpinner size="small" /> : 'Publish Post'}
+              {isSubmitting ? <LoadingSpinner size="small" /> : isScheduling ? 'Schedule Post' : 'Publish Post'}
             </Button>
           </ButtonGroup>
         </Form>
       </FormCard>
+
+      {drafts.length > 0 && (
+        <DraftsCard>
+          <h2>Your drafts</h2>
+          {drafts.map(draft => (
+            <DraftItem key={draft.id}>
+              <DraftText>
+                <p>{draft.preview || draft.content}</p>
+                <small>
+                  {draft.publish_at
+                    ? `Scheduled for ${formatDate(draft.publish_at)}`
+                    : `Saved ${formatDate(draft.updated_at ?? draft.created_at)}`}
+                </small>
+              </DraftText>
+              <DraftActions>
+                <DraftButton
+                  type="button"
+                  onClick={() => publishDraftMutation.mutate(draft.id)}
+                  disabled={publishDraftMutation.isPending}
+                >
+                  Publish now
+                </DraftButton>
+                <DraftButton
+                  type="button"
+                  $danger
+                  onClick={() => {
+                    if (window.confirm('Delete this draft?')) deleteDraftMutation.mutate(draft.id);
+                  }}
+                  disabled={deleteDraftMutation.isPending}
+                >
+                  Delete
+                </DraftButton>
+              </DraftActions>
+            </DraftItem>
+          ))}
+        </DraftsCard>
+      )}
     </Container>
   );
 };
@@ -0,0 +1,129 @@
+/**
+ * Hashtag page component - posts tagged with a #hashtag, newest first
+ */
+
+import React from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { hashtagsApi } from '../services/api';
+import PostCard from '../components/PostCard';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const Container = styled.div`
+  max-width: 680px;
+  margin: 0 auto;
+  padding: ${({ theme }) => theme.spacing.md};
+`;
+
+const Title = styled.h1`
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: 1.5rem;
+  margin-bottom: ${({ theme }) => theme.spacing.xs};
+  word-break: break-word;
+`;
+
+const Subtitle = styled.p`
+  color: ${({ theme }) => theme.colors.text.secondary};
+  margin-bottom: ${({ theme }) => theme.spacing.lg};
+`;
+
+const PostsContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.lg};
+  margin-bottom: ${({ theme }) => theme.spacing.lg};
+`;
+
+const EmptyState = styled.div`
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  padding: ${({ theme }) => theme.spacing.xl};
+  text-align: center;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const Pager = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const Button = styled.button`
+  background: ${({ theme }) => theme.colors.primary};
+  color: white;
+  border: none;
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:disabled {
+    background: ${({ theme }) => theme.colors.text.muted};
+    cursor: not-allowed;
+  }
+`;
+
+const HashtagPage: React.FC = () => {
+  const { tag = '' } = useParams<{ tag: string }>();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const page = parseInt(searchParams.get('page') || '1') || 1;
+
+  const { data, isLoading, error, refetch } = useQuery({
+    queryKey: ['hashtag-posts', tag.toLowerCase(), page],
+    queryFn: () => hashtagsApi.getHashtagPosts(tag, { page, limit: 20 }),
+    enabled: tag.length > 0,
+  });
+
+  const goToPage = (nextPage: number) => {
+    setSearchParams(nextPage > 1 ? { page: String(nextPage) } : {});
+  };
+
+  const posts = data?.data?.posts ?? [];
+  const pagination = data?.data?.pagination;
+
+  return (
+    <Container>
+      <Title>#{data?.data?.tag ?? tag.toLowerCase()}</Title>
+      {pagination && (
+        <Subtitle>
+          {pagination.total_count === 1 ? '1 post' : `${pagination.total_count} posts`}
+        </Subtitle>
+      )}
+
+      {isLoading && <LoadingSpinner size="large" />}
+
+      {error && (
+        <EmptyState>No posts have been tagged #{tag.toLowerCase()} yet.</EmptyState>
+      )}
+
+      {!isLoading && !error && posts.length === 0 && (
+        <EmptyState>No posts you can see are tagged #{tag.toLowerCase()}.</EmptyState>
+      )}
+
+      {posts.length > 0 && (
+        <PostsContainer>
+          {posts.map(post => (
+            <PostCard key={post.id} post={post} onUpdate={() => refetch()} />
+          ))}
+        </PostsContainer>
+      )}
+
+      {pagination && pagination.total_pages > 1 && (
+        <Pager>
+          <Button disabled={!pagination.has_prev_page} onClick={() => goToPage(page - 1)}>
+            Previous
+          </Button>
+          <span>Page {pagination.current_page} of {pagination.total_pages}</span>
+          <Button disabled={!pagination.has_next_page} onClick={() => goToPage(page + 1)}>
+            Next
+          </Button>
+        </Pager>
+      )}
+    </Container>
+  );
+};
+
+export default HashtagPage;
\ No newline at end of file
@@ -2,12 +2,12 @@
  * Home page component - displays the main post feed
  */
 
-import React from 'react';
-import { useQuery } from '@tanstack/react-query';
+import React, { useState } from 'react';
+import { useQuery, useInfiniteQuery } from '@tanstack/react-query';
 import styled from 'styled-components';
-import { postsApi } from '../services/api';
+import { postsApi, feedApi } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
-import { Post } from '../types';
+import { Post, PostSortOrder } from '../types';
 import PostCard from '../components/PostCard';
 import LoadingSpinner from '../components/LoadingSpinner';
 
@@ -109,26 +109,80 @@ const LoadMoreButton = styled.button`
   }
 `;
 
+const SortTabs = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing.xs};
+  margin-bottom: ${({ theme }) => theme.spacing.lg};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border};
+`;
+
+const SortTab = styled.button<{ $active: boolean }>`
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  background: none;
+  border: none;
+  font-size: 0.95rem;
+  font-weight: 500;
+  color: ${({ theme, $active }) => $active ? theme.colors.primary : theme.colors.text.secondary};
+  border-bottom: 2px solid ${({ theme, $active }) => $active ? theme.colors.primary : 'transparent'};
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover {
+    color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
+type HomeView = 'feed' | PostSortOrder;
+
+const RANKED_VIEWS: { value: PostSortOrder; label: string }[] = [
+  { value: 'hot', label: 'Hot' },
+  { value: 'best', label: 'Best' },
+  { value: 'top_day', label: 'Top Today' },
+  { value: 'top_week', label: 'Top This Week' }
+];
+
 const HomePage: React.FC = () => {
   const { state } = useAuth();
   const user = state.user;
+  const isLoggedIn = state.isAuthenticated && !!user;
+  const [view, setView] = useState<HomeView>('feed');
+
+  // The personal timeline needs a user; anonymous visitors fall back to the latest posts
+  const showTimeline = isLoggedIn && view === 'feed';
+  const sort: PostSortOrder = view === 'feed' ? 'newest' : view;
+  const viewOptions: { value: HomeView; label: string }[] = [
+    isLoggedIn ? { value: 'feed', label: 'Your Feed' } : { value: 'feed', label: 'Latest' },
+    ...RANKED_VIEWS
+  ];
+
+  // Logged-in users get their friends timeline, paged by cursor
+  const timelineQuery = useInfiniteQuery({
+    queryKey: ['posts', 'feed', 'timeline', user?.id],
+    queryFn: ({ pageParam }) => feedApi.getFeed({
+      cursor: pageParam,
+      limit: 20
+    }),
+    initialPageParam: undefined as string | undefined,
+    getNextPageParam: (lastPage) => lastPage.data?.pagination.next_cursor ?? undefined,
+    enabled: showTimeline,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
 
-  // Fetch posts using React Query
-  const {
-    data: postsResponse,
-    isLoading,
-    error,
-    refetch
-  } = useQuery({
-    queryKey: ['posts', 'feed'],
+  // Ranked views, and the latest posts for anonymous visitors
+  const latestQuery = useQuery({
+    queryKey: ['posts', 'feed', sort],
     queryFn: () => postsApi.getPosts({
       page: 1,
       limit: 20,
-      sort: 'newest'
+      sort
     }),
+    enabled: !showTimeline,
     staleTime: 5 * 60 * 1000, // 5 minutes
   });
 
+  const { isLoading, error, refetch } = showTimeline ? timelineQuery : latestQuery;
+
   if (isLoading) {
     return (
       <Container>
@@ -151,7 +205,10 @@ const HomePage: React.FC = () => {
     );
   }
 
-  const posts = Array.isArray(postsResponse?.data?.posts) ? postsResponse?.data?.posts as Post[] : [];
+  const latestPosts = latestQuery.data?.data?.posts;
+  const posts: Post[] = showTimeline
+    ? (timelineQuery.data?.pages ?? []).flatMap(page => page.data?.posts ?? [])
+    : Array.isArray(latestPosts) ? latestPosts as Post[] : [];
 
   return (
     <Container>
@@ -164,8 +221,22 @@ const HomePage: React.FC = () => {
       </WelcomeSection>
 
       {/* Feed Header */}
+      <SortTabs>
+        {viewOptions.map(option => (
+          <SortTab
+            key={option.value}
+            $active={view === option.value}
+            onClick={() => setView(option.value)}
+          >
+            {option.label}
+          </SortTab>
+        ))}
+      </SortTabs>
+
       <FeedHeader>
-        <FeedTitle>Latest Posts</FeedTitle>
+        <FeedTitle>
+          {showTimeline ? 'Your Feed' : viewOptions.find(option => option.value === view)?.label ?? 'Latest Posts'}
+        </FeedTitle>
         <FeedSubtitle>
           {posts.length > 0
             ? `${posts.length} post${posts.length === 1 ? '' : 's'} in your feed`
@@ -188,9 +259,22 @@ const HomePage: React.FC = () => {
       ) : (
         <EmptyState>
           <h3>No posts to show</h3>
-          <p>Be the first to share something! Create a post to get started.</p>
+          <p>
+            {showTimeline
+              ? 'Posts from you and your friends will show up here. Create a post or add some friends to get started.'
+              : 'Be the first to share something! Create a post to get started.'}
+          </p>
         </EmptyState>
       )}
+
+      {showTimeline && timelineQuery.hasNextPage && (
+        <LoadMoreButton
+          onClick={() => timelineQuery.fetchNextPage()}
+          disabled={timelineQuery.isFetchingNextPage}
+        >
+          {timelineQuery.isFetchingNextPage ? 'Loading...' : 'Load More'}
+        </LoadMoreButton>
+      )}
     </Container>
   );
 };
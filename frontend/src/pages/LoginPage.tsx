@@ -2,10 +2,14 @@
  * Login and Registration Page
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import styled from 'styled-components';
+import { useQuery } from '@tanstack/react-query';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { authApi } from '../services/api';
+import { OAUTH_PROVIDER_LABELS, beginOAuth } from '../services/oauth';
+import { OAuthProvider } from '../types';
 
 const LoginContainer = styled.div`
   min-height: 100vh;
@@ -168,11 +172,65 @@ const ErrorMessage = styled.div`
   text-align: center;
 `;
 
+const Hint = styled.p`
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: 0.9rem;
+  text-align: center;
+`;
+
+const BackButton = styled.button`
+  background: none;
+  border: none;
+  color: ${({ theme }) => theme.colors.primary};
+  font-size: 0.9rem;
+  cursor: pointer;
+`;
+
+const ProviderSection = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.sm};
+  margin-top: ${({ theme }) => theme.spacing.lg};
+`;
+
+const ProviderDivider = styled.div`
+  color: ${({ theme }) => theme.colors.text.muted};
+  font-size: 0.85rem;
+  text-align: center;
+`;
+
+const ProviderButton = styled.button`
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: 1rem;
+  font-weight: 500;
+  transition: border-color 0.2s ease;
+
+  &:hover:not(:disabled) {
+    border-color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
 const NameInputs = styled.div`
   display: flex;
   gap: ${({ theme }) => theme.spacing.md};
 `;
 
+// Shown after the server refuses a login with ACCOUNT_LOCKED
+interface LoginLockout {
+  until: number;
+  // The long lock that comes with an unlock email, rather than a short backoff
+  emailed: boolean;
+}
+
+const formatWait = (seconds: number): string =>
+  seconds < 60
+    ? `${seconds} second${seconds === 1 ? '' : 's'}`
+    : `${Math.ceil(seconds / 60)} minute${Math.ceil(seconds / 60) === 1 ? '' : 's'}`;
+
 interface LoginFormData {
   username: string;
   password: string;
@@ -191,8 +249,25 @@ interface RegisterFormData {
 const LoginPage: React.FC = () => {
   const [activeTab, setActiveTab] = useState<'login' | 'register'>('login');
   const [isLoading, setIsLoading] = useState(false);
-  const { state, login, register, clearError } = useAuth();
+  const { state, login, completeMfaLogin, register, clearError } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // Set after the password step when the account has two-factor authentication;
+  // an OAuth login that needs the second factor arrives here with it in the location state
+  const [mfaToken, setMfaToken] = useState<string | null>(
+    (location.state as { mfaToken?: string } | null)?.mfaToken ?? null
+  );
+  const [mfaCode, setMfaCode] = useState('');
+  const [oauthError, setOauthError] = useState<string | null>(null);
+  const [lockout, setLockout] = useState<LoginLockout | null>(null);
+  const [now, setNow] = useState(() => Date.now());
+
+  const { data: providersData } = useQuery({
+    queryKey: ['auth', 'oauth', 'providers'],
+    queryFn: () => authApi.getOAuthProviders(),
+  });
+  const providers = providersData?.data?.providers ?? [];
 
   const [loginData, setLoginData] = useState<LoginFormData>({
     username: '',
@@ -216,6 +291,15 @@ const LoginPage: React.FC = () => {
     }
   }, [state.isAuthenticated, navigate]);
 
+  // Tick while locked so the wait counts down and the button comes back
+  useEffect(() => {
+    if (!lockout) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [lockout]);
+
+  const lockSeconds = lockout ? Math.max(0, Math.ceil((lockout.until - now) / 1000)) : 0;
+
   const handleLogin = async (e: React.FormEvent) => {
     e.preventDefault();
     if (isLoading) return;
@@ -224,15 +308,52 @@ const LoginPage: React.FC = () => {
     setIsLoading(true);
 
     try {
-      await login(loginData.username, loginData.password);
-      // Navigation will happen automatically due to useEffect above
-    } catch (error) {
-      // Error is handled by the auth context
+      const challenge = await login(loginData.username, loginData.password);
+      if (challenge) {
+        setMfaToken(challenge.mfa_token);
+        setMfaCode('');
+      }
+      // Otherwise navigation will happen automatically due to useEffect above
+    } catch (error: any) {
+      // The message is shown by the auth context; a lockout also gets a countdown
+      const details = error.response?.data?.error;
+      if (details?.type === 'ACCOUNT_LOCKED') {
+        setNow(Date.now());
+        setLockout({
+          until: Date.now() + (details.retry_after || 0) * 1000,
+          emailed: details.code === 'ACCOUNT_LOCKED',
+        });
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleMfaSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (isLoading || !mfaToken) return;
+
+    clearError();
+    setIsLoading(true);
+
+    try {
+      await completeMfaLogin(mfaToken, mfaCode.trim());
+    } catch (error: any) {
+      // An expired challenge needs the password again
+      if (error.response?.data?.error?.code === 'INVALID_MFA_TOKEN') {
+        setMfaToken(null);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleMfaCancel = () => {
+    setMfaToken(null);
+    setMfaCode('');
+    clearError();
+  };
+
   const handleRegister = async (e: React.FormEvent) => {
     e.preventDefault();
     if (isLoading) return;
@@ -262,8 +383,25 @@ const LoginPage: React.FC = () => {
     }
   };
 
+  const handleOAuth = async (provider: OAuthProvider) => {
+    clearError();
+    setOauthError(null);
+    setIsLoading(true);
+
+    try {
+      await beginOAuth(provider);
+      // The browser is now leaving for the provider
+    } catch (error: any) {
+      setOauthError(error.response?.data?.error?.message || 'Could not start sign-in. Please try again.');
+      setIsLoading(false);
+    }
+  };
+
   const handleTabChange = (tab: 'login' | 'register') => {
     setActiveTab(tab);
+    setMfaToken(null);
+    setOauthError(null);
+    setLockout(null);
     clearError();
   };
 
@@ -287,11 +425,52 @@ const LoginPage: React.FC = () => {
           </Tab>
         </TabContainer>
 
-        {state.error && (
-          <ErrorMessage>{state.error}</ErrorMessage>
+        {(state.error || oauthError) && (
+          <ErrorMessage>{state.error || oauthError}</ErrorMessage>
+        )}
+
+        {activeTab === 'login' && !mfaToken && lockout && (lockout.emailed || lockSeconds > 0) && (
+          <Hint>
+            {lockout.emailed
+              ? `Use the link we emailed you to unlock your account now${lockSeconds > 0 ? `, or wait ${formatWait(lockSeconds)}` : ''}.`
+              : `You can try again in ${formatWait(lockSeconds)}.`}
+          </Hint>
         )}
 
-        {activeTab === 'login' ? (
+        {activeTab === 'login' && mfaToken ? (
+          <Form onSubmit={handleMfaSubmit}>
+            <Hint>
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </Hint>
+
+            <InputGroup>
+              <Label htmlFor="login-mfa-code">Authentication code</Label>
+              <Input
+                id="login-mfa-code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                autoFocus
+                required
+              />
+            </InputGroup>
+
+            <SubmitButton
+              type="submit"
+              disabled={isLoading || !mfaCode.trim()}
+              $loading={isLoading}
+            >
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </SubmitButton>
+
+            <BackButton type="button" onClick={handleMfaCancel}>
+              Back to login
+            </BackButton>
+          </Form>
+        ) : activeTab === 'login' ? (
           <Form onSubmit={handleLogin}>
             <InputGroup>
               <Label htmlFor="login-username">Username</Label>
@@ -300,7 +479,11 @@ const LoginPage: React.FC = () => {
                 type="text"
                 placeholder="Enter your username"
                 value={loginData.username}
-                onChange={(e) => setLoginData({ ...loginData, username: e.target.value })}
+                onChange={(e) => {
+                  // The lock belongs to the account that was tried
+                  setLoginData({ ...loginData, username: e.target.value });
+                  setLockout(null);
+                }}
                 required
               />
             </InputGroup>
@@ -319,7 +502,7 @@ const LoginPage: React.FC = () => {
 
             <SubmitButton
               type="submit"
-              disabled={isLoading}
+              disabled={isLoading || lockSeconds > 0}
               $loading={isLoading}
             >
               {isLoading ? 'Logging in...' : 'Login'}
@@ -421,6 +604,22 @@ const LoginPage: React.FC = () => {
             </SubmitButton>
           </Form>
         )}
+
+        {!mfaToken && providers.length > 0 && (
+          <ProviderSection>
+            <ProviderDivider>or</ProviderDivider>
+            {providers.map(provider => (
+              <ProviderButton
+                key={provider}
+                type="button"
+                onClick={() => handleOAuth(provider)}
+                disabled={isLoading}
+              >
+                Continue with {OAUTH_PROVIDER_LABELS[provider]}
+              </ProviderButton>
+            ))}
+          </ProviderSection>
+        )}
       </LoginCard>
     </LoginContainer>
   );
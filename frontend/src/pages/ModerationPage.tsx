@@ -0,0 +1,341 @@
+/**
+ * Moderation page component - report queue and audit trail for moderators and admins
+ */
+
+import React, { useState } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { moderationApi } from '../services/api';
+import { ModerationActionType, Report, ReportStatus } from '../types';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import EditHistory from '../components/EditHistory';
+
+// Actions offered for each kind of reported target
+const TARGET_ACTIONS: Record<Report['target_type'], ModerationActionType[]> = {
+  post: ['dismiss', 'unpublish', 'delete', 'suspend'],
+  comment: ['dismiss', 'unpublish', 'delete', 'suspend'],
+  media: ['dismiss', 'delete', 'suspend'],
+  user: ['dismiss', 'suspend'],
+};
+
+const ACTION_LABELS: Record<ModerationActionType, string> = {
+  dismiss: 'Dismiss',
+  unpublish: 'Unpublish',
+  delete: 'Delete',
+  suspend: 'Suspend author',
+};
+
+// Past-tense descriptions for the audit log
+const ACTION_DESCRIPTIONS: Record<ModerationActionType, string> = {
+  dismiss: 'dismissed reports on',
+  unpublish: 'unpublished',
+  delete: 'deleted',
+  suspend: 'suspended the author of',
+};
+
+const Container = styled.div`
+  max-width: 800px;
+  margin: 0 auto;
+  padding: ${({ theme }) => theme.spacing.md};
+`;
+
+const Title = styled.h1`
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: 1.5rem;
+  margin-bottom: ${({ theme }) => theme.spacing.lg};
+`;
+
+const Tabs = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.spacing.sm};
+  margin-bottom: ${({ theme }) => theme.spacing.lg};
+`;
+
+const Tab = styled.button<{ $active: boolean }>`
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme, $active }) => $active ? theme.colors.primary : theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme, $active }) => $active ? theme.colors.primary : theme.colors.surface};
+  color: ${({ theme, $active }) => $active ? 'white' : theme.colors.text.primary};
+  font-size: 0.9rem;
+  cursor: pointer;
+`;
+
+const ReportCard = styled.div`
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+`;
+
+const ReportMeta = styled.div`
+  font-size: 0.85rem;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  margin-bottom: ${({ theme }) => theme.spacing.sm};
+
+  strong {
+    color: ${({ theme }) => theme.colors.text.primary};
+    text-transform: capitalize;
+  }
+`;
+
+const TargetPreview = styled.blockquote`
+  margin: ${({ theme }) => theme.spacing.sm} 0;
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  border-left: 3px solid ${({ theme }) => theme.colors.border};
+  color: ${({ theme }) => theme.colors.text.primary};
+  white-space: pre-wrap;
+  word-break: break-word;
+`;
+
+const HistoryButton = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  font-size: inherit;
+  color: ${({ theme }) => theme.colors.primary};
+  cursor: pointer;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+const NoteInput = styled.input`
+  width: 100%;
+  padding: ${({ theme }) => theme.spacing.sm};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  font-size: 0.85rem;
+  margin-bottom: ${({ theme }) => theme.spacing.sm};
+`;
+
+const ActionRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+const ActionButton = styled.button<{ $danger?: boolean }>`
+  padding: ${({ theme }) => theme.spacing.xs} ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme, $danger }) => $danger ? theme.colors.error : theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: ${({ theme }) => theme.colors.surface};
+  color: ${({ theme, $danger }) => $danger ? theme.colors.error : theme.colors.text.primary};
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+const ErrorText = styled.p`
+  color: ${({ theme }) => theme.colors.error};
+  font-size: 0.85rem;
+  margin-top: ${({ theme }) => theme.spacing.sm};
+`;
+
+const EmptyState = styled.div`
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  padding: ${({ theme }) => theme.spacing.xl};
+  text-align: center;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const LogItem = styled.li`
+  list-style: none;
+  padding: ${({ theme }) => theme.spacing.sm} 0;
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border};
+  font-size: 0.85rem;
+  color: ${({ theme }) => theme.colors.text.primary};
+
+  .time {
+    color: ${({ theme }) => theme.colors.text.muted};
+    margin-left: ${({ theme }) => theme.spacing.sm};
+  }
+`;
+
+/**
+ * Link to the reported content, or a note if it is gone
+ */
+const TargetLink: React.FC<{ report: Report }> = ({ report }) => {
+  const { target } = report;
+  if (!target) {
+    return <em>This {report.target_type} no longer exists</em>;
+  }
+  if (report.target_type === 'user') {
+    return <Link to={`/user/${target.id}`}>@{target.username}</Link>;
+  }
+  return <Link to={`/post/${target.post_id}`}>View {report.target_type}</Link>;
+};
+
+/**
+ * One report in the queue with its resolve actions
+ */
+const ReportItem: React.FC<{ report: Report }> = ({ report }) => {
+  const queryClient = useQueryClient();
+  const [note, setNote] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+
+  const resolveMutation = useMutation({
+    mutationFn: (action: ModerationActionType) => moderationApi.resolveReport(report.id, action, note.trim() || undefined),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['moderation'] });
+    },
+  });
+
+  const errorMessage = (resolveMutation.error as any)?.response?.data?.error?.message;
+  const actions = report.target ? TARGET_ACTIONS[report.target_type] : ['dismiss' as ModerationActionType];
+  // Posts and comments edited since they were written have an edit history
+  const historyType = report.target_type === 'post' || report.target_type === 'comment' ? report.target_type : null;
+  const editedAt = historyType ? report.target?.edited_at : null;
+
+  return (
+    <ReportCard>
+      <ReportMeta>
+        <strong>{report.reason.replace('_', ' ')}</strong> report on a {report.target_type} by @{report.reporter_username}
+        {' · '}{new Date(report.created_at).toLocaleString()}
+        {(report.pending_count ?? 0) > 1 && ` · ${report.pending_count} open reports`}
+        {' · '}<TargetLink report={report} />
+        {editedAt && (
+          <>
+            {' · '}
+            <HistoryButton type="button" onClick={() => setShowHistory(true)}>
+              edited {new Date(editedAt).toLocaleString()}
+            </HistoryButton>
+          </>
+        )}
+      </ReportMeta>
+
+      {showHistory && historyType && report.target && (
+        <EditHistory
+          targetType={historyType}
+          targetId={report.target.id}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {report.target?.content && <TargetPreview>{report.target.content}</TargetPreview>}
+      {report.target?.original_name && <TargetPreview>{report.target.original_name}</TargetPreview>}
+      {report.details && <ReportMeta>Reporter: “{report.details}”</ReportMeta>}
+
+      {report.status === 'pending' ? (
+        <>
+          <NoteInput
+            placeholder="Note for the audit trail (optional)"
+            maxLength={1000}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <ActionRow>
+            {actions.map(action => (
+              <ActionButton
+                key={action}
+                $danger={action !== 'dismiss'}
+                disabled={resolveMutation.isPending}
+                onClick={() => resolveMutation.mutate(action)}
+              >
+                {ACTION_LABELS[action]}
+              </ActionButton>
+            ))}
+          </ActionRow>
+          {errorMessage && <ErrorText>{errorMessage}</ErrorText>}
+        </>
+      ) : (
+        <ReportMeta>
+          {report.status === 'dismissed' ? 'Dismissed' : `Resolved: ${report.resolution_action}`}
+          {report.resolved_at && ` on ${new Date(report.resolved_at).toLocaleString()}`}
+        </ReportMeta>
+      )}
+    </ReportCard>
+  );
+};
+
+const ModerationPage: React.FC = () => {
+  const { state } = useAuth();
+  const [view, setView] = useState<ReportStatus | 'log'>('pending');
+  const isModerator = state.user?.role === 'moderator' || state.user?.role === 'admin';
+
+  const { data: reportsData, isLoading: reportsLoading, error: reportsError } = useQuery({
+    queryKey: ['moderation', 'reports', view],
+    queryFn: () => moderationApi.getReports({ status: view as ReportStatus, limit: 50 }),
+    enabled: isModerator && view !== 'log',
+  });
+
+  const { data: actionsData, isLoading: actionsLoading, error: actionsError } = useQuery({
+    queryKey: ['moderation', 'actions'],
+    queryFn: () => moderationApi.getActions({ limit: 50 }),
+    enabled: isModerator && view === 'log',
+  });
+
+  if (!isModerator) {
+    return <Navigate to="/" replace />;
+  }
+
+  const reports = reportsData?.data?.reports ?? [];
+  const actions = actionsData?.data?.actions ?? [];
+  const isLoading = view === 'log' ? actionsLoading : reportsLoading;
+  const loadError = (view === 'log' ? actionsError : reportsError) as any;
+  const needsMfa = loadError?.response?.data?.error?.code === 'MFA_REQUIRED';
+
+  return (
+    <Container>
+      <Title>Moderation</Title>
+
+      <Tabs>
+        <Tab $active={view === 'pending'} onClick={() => setView('pending')}>Open reports</Tab>
+        <Tab $active={view === 'resolved'} onClick={() => setView('resolved')}>Resolved</Tab>
+        <Tab $active={view === 'dismissed'} onClick={() => setView('dismissed')}>Dismissed</Tab>
+        <Tab $active={view === 'log'} onClick={() => setView('log')}>Audit log</Tab>
+      </Tabs>
+
+      {isLoading && <LoadingSpinner size="large" />}
+
+      {loadError && (
+        <EmptyState>
+          {needsMfa ? (
+            <>
+              Turn on two-factor authentication to use moderation tools.{' '}
+              <Link to={`/user/${state.user?.id}`}>Set it up on your profile</Link>
+            </>
+          ) : (
+            loadError.response?.data?.error?.message || 'Failed to load moderation data.'
+          )}
+        </EmptyState>
+      )}
+
+      {!isLoading && !loadError && view !== 'log' && reports.length === 0 && (
+        <EmptyState>{view === 'pending' ? 'The report queue is empty.' : 'No reports here yet.'}</EmptyState>
+      )}
+
+      {view !== 'log' && reports.map(report => (
+        <ReportItem key={report.id} report={report} />
+      ))}
+
+      {!isLoading && !loadError && view === 'log' && actions.length === 0 && (
+        <EmptyState>No moderation actions have been taken yet.</EmptyState>
+      )}
+
+      {view === 'log' && actions.length > 0 && (
+        <ul>
+          {actions.map(action => (
+            <LogItem key={action.id}>
+              @{action.moderator_username ?? 'deleted'} {ACTION_DESCRIPTIONS[action.action]} {action.target_type} #{action.target_id}
+              {action.note && ` — ${action.note}`}
+              <span className="time">{new Date(action.created_at).toLocaleString()}</span>
+            </LogItem>
+          ))}
+        </ul>
+      )}
+    </Container>
+  );
+};
+
+export default ModerationPage;
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * OAuth callback page - the provider redirects here with a code and state,
+ * which finish either a login or linking the provider to the current account
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { useAuth } from '../contexts/AuthContext';
+import { authApi } from '../services/api';
+import { OAUTH_PROVIDER_LABELS, takeOAuthFlow } from '../services/oauth';
+import { OAuthProvider } from '../types';
+
+const Container = styled.div`
+  min-height: 100vh;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  text-align: center;
+`;
+
+const Message = styled.p<{ $error?: boolean }>`
+  max-width: 400px;
+  color: ${({ theme, $error }) => $error ? theme.colors.error : theme.colors.text.secondary};
+`;
+
+const isProvider = (value: string | undefined): value is OAuthProvider =>
+  !!value && Object.prototype.hasOwnProperty.call(OAUTH_PROVIDER_LABELS, value);
+
+const OAuthCallbackPage: React.FC = () => {
+  const { provider } = useParams<{ provider: string }>();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { loginWithOAuth } = useAuth();
+  const [error, setError] = useState<string | null>(null);
+  const [backTo, setBackTo] = useState('/login');
+
+  // The code can only be redeemed once, so don't run again on re-render
+  const handled = useRef(false);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    if (!isProvider(provider)) {
+      setError('Unknown sign-in provider.');
+      return;
+    }
+
+    const code = searchParams.get('code');
+    const oauthState = searchParams.get('state');
+    const flow = takeOAuthFlow(provider, oauthState);
+    if (flow?.intent === 'link') {
+      setBackTo(flow.returnTo);
+    }
+
+    if (searchParams.get('error')) {
+      setError(`${OAUTH_PROVIDER_LABELS[provider]} sign-in was cancelled.`);
+      return;
+    }
+    if (!flow || !code || !oauthState) {
+      setError('This sign-in link is invalid or has already been used. Please try again.');
+      return;
+    }
+
+    const finish = async () => {
+      try {
+        if (flow.intent === 'link') {
+          await authApi.linkOAuth(provider, { code, state: oauthState });
+          queryClient.invalidateQueries({ queryKey: ['auth', 'oauth'] });
+          navigate(flow.returnTo, { replace: true });
+          return;
+        }
+
+        const challenge = await loginWithOAuth(provider, code, oauthState);
+        if (challenge) {
+          // The login page asks for the second factor
+          navigate('/login', { replace: true, state: { mfaToken: challenge.mfa_token } });
+        } else {
+          navigate('/', { replace: true });
+        }
+      } catch (err: any) {
+        setError(err.response?.data?.error?.message || 'Sign-in failed. Please try again.');
+      }
+    };
+
+    finish();
+  }, [provider, searchParams, navigate, queryClient, loginWithOAuth]);
+
+  return (
+    <Container>
+      {error ? (
+        <>
+          <Message $error>{error}</Message>
+          <Link to={backTo}>{backTo === '/login' ? 'Back to login' : 'Back'}</Link>
+        </>
+      ) : (
+        <Message>Signing you in...</Message>
+      )}
+    </Container>
+  );
+};
+
+export default OAuthCallbackPage;
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Reset password page - the link in the password reset email lands here and
+ * lets the user choose a new password
+ */
+
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import styled from 'styled-components';
+import { authApi } from '../services/api';
+
+const Container = styled.div`
+  min-height: 100vh;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  text-align: center;
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.md};
+  width: 100%;
+  max-width: 400px;
+`;
+
+const Input = styled.input`
+  padding: ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  font-size: 1rem;
+
+  &:focus {
+    border-color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
+const SubmitButton = styled.button`
+  background: ${({ theme }) => theme.colors.primary};
+  color: white;
+  padding: ${({ theme }) => theme.spacing.md};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  font-size: 1rem;
+  font-weight: 500;
+`;
+
+const Message = styled.p<{ $error?: boolean }>`
+  max-width: 400px;
+  color: ${({ theme, $error }) => $error ? theme.colors.error : theme.colors.text.secondary};
+`;
+
+const ResetPasswordPage: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [status, setStatus] = useState<'editing' | 'saving' | 'done'>('editing');
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!token) return;
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setError(null);
+    setStatus('saving');
+    try {
+      await authApi.resetPassword({ token, password });
+      setStatus('done');
+    } catch (err: any) {
+      const details = err.response?.data?.error?.details;
+      setError(details?.[0]?.msg || err.response?.data?.error?.message || 'Could not reset your password. Please try again.');
+      setStatus('editing');
+    }
+  };
+
+  if (!token) {
+    return (
+      <Container>
+        <Message $error>This reset link is missing its token.</Message>
+        <Link to="/login">Back to login</Link>
+      </Container>
+    );
+  }
+
+  if (status === 'done') {
+    return (
+      <Container>
+        <Message>Your password has been reset. You can log in with it now.</Message>
+        <Link to="/login">Back to login</Link>
+      </Container>
+    );
+  }
+
+  return (
+    <Container>
+      <Message>Choose a new password for your account.</Message>
+      <Form onSubmit={handleSubmit}>
+        <Input
+          type="password"
+          placeholder="New password"
+          autoComplete="new-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          minLength={8}
+        />
+        <Input
+          type="password"
+          placeholder="Confirm new password"
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          required
+        />
+        {error && <Message $error>{error}</Message>}
+        <SubmitButton type="submit" disabled={status === 'saving'}>
+          {status === 'saving' ? 'Saving...' : 'Reset password'}
+        </SubmitButton>
+      </Form>
+      <Link to="/login">Back to login</Link>
+    </Container>
+  );
+};
+
+export default ResetPasswordPage;
\ No newline at end of file
@@ -0,0 +1,352 @@
+/**
+ * Search page component - full-text search results for posts, comments and people
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import styled from 'styled-components';
+import { searchApi } from '../services/api';
+import { SearchType, SearchAuthor } from '../types';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const Container = styled.div`
+  max-width: 680px;
+  margin: 0 auto;
+  padding: ${({ theme }) => theme.spacing.md};
+`;
+
+const Title = styled.h1`
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: 1.5rem;
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+  word-break: break-word;
+`;
+
+const Tabs = styled.div`
+  display: flex;
+  margin-bottom: ${({ theme }) => theme.spacing.md};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border};
+`;
+
+const Tab = styled.button<{ $active: boolean }>`
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  background: none;
+  border: none;
+  font-size: 0.95rem;
+  font-weight: 500;
+  color: ${({ theme, $active }) => $active ? theme.colors.primary : theme.colors.text.secondary};
+  border-bottom: 2px solid ${({ theme, $active }) => $active ? theme.colors.primary : 'transparent'};
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover {
+    color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
+const Filters = styled.form`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing.sm};
+  align-items: flex-end;
+  margin-bottom: ${({ theme }) => theme.spacing.lg};
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: ${({ theme }) => theme.spacing.xs};
+    font-size: 0.8rem;
+    color: ${({ theme }) => theme.colors.text.secondary};
+  }
+
+  input {
+    padding: ${({ theme }) => theme.spacing.sm};
+    border: 1px solid ${({ theme }) => theme.colors.border};
+    border-radius: ${({ theme }) => theme.borderRadius.sm};
+    font-size: 0.9rem;
+  }
+`;
+
+const Button = styled.button`
+  background: ${({ theme }) => theme.colors.primary};
+  color: white;
+  border: none;
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:disabled {
+    background: ${({ theme }) => theme.colors.text.muted};
+    cursor: not-allowed;
+  }
+`;
+
+const Section = styled.section`
+  margin-bottom: ${({ theme }) => theme.spacing.xl};
+
+  h2 {
+    font-size: 1.1rem;
+    color: ${({ theme }) => theme.colors.text.primary};
+    margin-bottom: ${({ theme }) => theme.spacing.sm};
+  }
+`;
+
+const ResultCard = styled(Link)`
+  display: block;
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  margin-bottom: ${({ theme }) => theme.spacing.sm};
+  color: ${({ theme }) => theme.colors.text.primary};
+  text-decoration: none;
+
+  &:hover {
+    box-shadow: ${({ theme }) => theme.shadows.md};
+    text-decoration: none;
+  }
+`;
+
+const ResultMeta = styled.div`
+  font-size: 0.8rem;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  margin-bottom: ${({ theme }) => theme.spacing.xs};
+`;
+
+const Snippet = styled.p`
+  margin: 0;
+  line-height: 1.5;
+  white-space: pre-wrap;
+  word-break: break-word;
+
+  mark {
+    background: ${({ theme }) => theme.colors.primary}33;
+    color: inherit;
+    border-radius: 2px;
+  }
+`;
+
+const EmptyState = styled.div`
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  padding: ${({ theme }) => theme.spacing.xl};
+  text-align: center;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const Pager = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const TYPE_TABS: { value: SearchType; label: string }[] = [
+  { value: 'all', label: 'All' },
+  { value: 'posts', label: 'Posts' },
+  { value: 'comments', label: 'Comments' },
+  { value: 'users', label: 'People' }
+];
+
+/**
+ * Render a search snippet, turning the server's <mark> tags into highlights.
+ * Everything else is rendered as plain text, so user content is never parsed as HTML.
+ */
+const Highlighted: React.FC<{ text: string }> = ({ text }) => {
+  const parts = text.split(/(<mark>.*?<\/mark>)/g);
+  return (
+    <Snippet>
+      {parts.map((part, index) =>
+        part.startsWith('<mark>') && part.endsWith('</mark>')
+          ? <mark key={index}>{part.slice(6, -7)}</mark>
+          : <React.Fragment key={index}>{part}</React.Fragment>
+      )}
+    </Snippet>
+  );
+};
+
+const authorName = (author: SearchAuthor) => `${author.first_name} ${author.last_name}`;
+
+const SearchPage: React.FC = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = (searchParams.get('q') || '').trim();
+  const type = (searchParams.get('type') as SearchType) || 'all';
+  const author = searchParams.get('author') || '';
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+  const page = parseInt(searchParams.get('page') || '1') || 1;
+
+  // Filter inputs are applied to the URL on submit
+  const [authorInput, setAuthorInput] = useState(author);
+  const [fromInput, setFromInput] = useState(from);
+  const [toInput, setToInput] = useState(to);
+
+  useEffect(() => {
+    setAuthorInput(author);
+    setFromInput(from);
+    setToInput(to);
+  }, [author, from, to]);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['search', q, type, author, from, to, page],
+    queryFn: () => searchApi.search({
+      q,
+      type,
+      author: author || undefined,
+      from: from || undefined,
+      to: to || undefined,
+      page,
+      limit: 20
+    }),
+    enabled: q.length > 0,
+  });
+
+  const updateParams = (changes: Record<string, string>) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  const handleFilterSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    updateParams({ author: authorInput.trim(), from: fromInput, to: toInput, page: '' });
+  };
+
+  if (!q) {
+    return (
+      <Container>
+        <Title>Search</Title>
+        <EmptyState>Type something in the search box to find posts, comments and people.</EmptyState>
+      </Container>
+    );
+  }
+
+  const results = data?.data;
+  const posts = results?.posts ?? [];
+  const comments = results?.comments ?? [];
+  const users = results?.users ?? [];
+  const pagination = results?.pagination;
+  const hasResults = posts.length + comments.length + users.length > 0;
+
+  return (
+    <Container>
+      <Title>Results for "{q}"</Title>
+
+      <Tabs>
+        {TYPE_TABS.map(tab => (
+          <Tab
+            key={tab.value}
+            $active={type === tab.value}
+            onClick={() => updateParams({ type: tab.value === 'all' ? '' : tab.value, page: '' })}
+          >
+            {tab.label}
+            {results?.totals[tab.value as keyof typeof results.totals] !== undefined &&
+              ` (${results.totals[tab.value as keyof typeof results.totals]})`}
+          </Tab>
+        ))}
+      </Tabs>
+
+      {type !== 'users' && (
+        <Filters onSubmit={handleFilterSubmit}>
+          <label>
+            Author
+            <input
+              type="text"
+              placeholder="username"
+              value={authorInput}
+              onChange={(e) => setAuthorInput(e.target.value)}
+            />
+          </label>
+          <label>
+            From
+            <input type="date" value={fromInput} onChange={(e) => setFromInput(e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="date" value={toInput} onChange={(e) => setToInput(e.target.value)} />
+          </label>
+          <Button type="submit">Apply</Button>
+        </Filters>
+      )}
+
+      {isLoading && <LoadingSpinner size="large" />}
+
+      {error && (
+        <EmptyState>Something went wrong while searching. Please try again.</EmptyState>
+      )}
+
+      {results && !hasResults && (
+        <EmptyState>No results found. Try different words or fewer filters.</EmptyState>
+      )}
+
+      {users.length > 0 && (
+        <Section>
+          {type === 'all' && <h2>People</h2>}
+          {users.map(user => (
+            <ResultCard key={`user-${user.id}`} to={`/user/${user.id}`}>
+              <ResultMeta>{authorName(user)} · @{user.username}</ResultMeta>
+              {user.snippet ? <Highlighted text={user.snippet} /> : user.bio && <Snippet>{user.bio}</Snippet>}
+            </ResultCard>
+          ))}
+        </Section>
+      )}
+
+      {posts.length > 0 && (
+        <Section>
+          {type === 'all' && <h2>Posts</h2>}
+          {posts.map(post => (
+            <ResultCard key={`post-${post.id}`} to={`/post/${post.id}`}>
+              <ResultMeta>
+                {authorName(post.author)} · {new Date(post.created_at).toLocaleDateString()}
+              </ResultMeta>
+              <Highlighted text={post.snippet} />
+            </ResultCard>
+          ))}
+        </Section>
+      )}
+
+      {comments.length > 0 && (
+        <Section>
+          {type === 'all' && <h2>Comments</h2>}
+          {comments.map(comment => (
+            <ResultCard key={`comment-${comment.id}`} to={`/post/${comment.post_id}`}>
+              <ResultMeta>
+                {authorName(comment.author)} commented · {new Date(comment.created_at).toLocaleDateString()}
+              </ResultMeta>
+              <Highlighted text={comment.snippet} />
+            </ResultCard>
+          ))}
+        </Section>
+      )}
+
+      {pagination && pagination.total_pages > 1 && (
+        <Pager>
+          <Button
+            disabled={!pagination.has_prev_page}
+            onClick={() => updateParams({ page: String(page - 1) })}
+          >
+            Previous
+          </Button>
+          <span>Page {pagination.current_page} of {pagination.total_pages}</span>
+          <Button
+            disabled={!pagination.has_next_page}
+            onClick={() => updateParams({ page: String(page + 1) })}
+          >
+            Next
+          </Button>
+        </Pager>
+      )}
+    </Container>
+  );
+};
+
+export default SearchPage;
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Unlock account page - the link in the account locked email lands here and
+ * lifts the lockout so the user can log in again straight away
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import styled from 'styled-components';
+import { authApi } from '../services/api';
+
+const Container = styled.div`
+  min-height: 100vh;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  text-align: center;
+`;
+
+const Message = styled.p<{ $error?: boolean }>`
+  max-width: 400px;
+  color: ${({ theme, $error }) => $error ? theme.colors.error : theme.colors.text.secondary};
+`;
+
+const UnlockAccountPage: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState<'pending' | 'unlocked' | 'failed'>('pending');
+  const [error, setError] = useState<string | null>(null);
+
+  // The token is single-use, so only send it once
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    const token = searchParams.get('token');
+    if (!token) {
+      setError('This unlock link is missing its token.');
+      setStatus('failed');
+      return;
+    }
+
+    authApi.unlockAccount(token)
+      .then(() => setStatus('unlocked'))
+      .catch((err: any) => {
+        setError(err.response?.data?.error?.message || 'Could not unlock your account. Please try again.');
+        setStatus('failed');
+      });
+  }, [searchParams]);
+
+  return (
+    <Container>
+      {status === 'pending' && <Message>Unlocking your account...</Message>}
+      {status === 'unlocked' && <Message>Your account is unlocked. You can log in again.</Message>}
+      {status === 'failed' && <Message $error>{error}</Message>}
+      {status !== 'pending' && <Link to="/login">Back to login</Link>}
+    </Container>
+  );
+};
+
+export default UnlockAccountPage;
\ No newline at end of file
@@ -4,11 +4,17 @@
 
 import React, { useState } from 'react';
 import { useParams } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import styled from 'styled-components';
-import { usersApi, getUserAvatarUrl } from '../services/api';
+import { usersApi, followsApi, adminApi, getUserAvatarUrl } from '../services/api';
+import { ApiResponse, Follow, RelationshipStatus, UserRole } from '../types';
 import { useAuth } from '../contexts/AuthContext';
+import { useRealtime } from '../contexts/RealtimeContext';
 import PostCard from '../components/PostCard';
+import ReportButton from '../components/ReportButton';
+import SessionsList from '../components/SessionsList';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import LinkedAccounts from '../components/LinkedAccounts';
 import LoadingSpinner from '../components/LoadingSpinner';
 
 const Container = styled.div`
@@ -154,6 +160,33 @@ const ActionButton = styled.button<{ variant?: 'primary' | 'secondary' }>`
   }
 `;
 
+const RoleBadge = styled.span`
+  display: inline-block;
+  margin-left: ${({ theme }) => theme.spacing.sm};
+  padding: 2px ${({ theme }) => theme.spacing.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: ${({ theme }) => theme.colors.primary}22;
+  color: ${({ theme }) => theme.colors.primary};
+  font-size: 0.75rem;
+  font-weight: 600;
+  text-transform: capitalize;
+`;
+
+const RoleSelect = styled.select`
+  padding: ${({ theme }) => theme.spacing.sm};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme }) => theme.colors.surface};
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: 0.9rem;
+`;
+
+const RoleError = styled.p`
+  color: ${({ theme }) => theme.colors.error};
+  font-size: 0.85rem;
+  margin-top: ${({ theme }) => theme.spacing.sm};
+`;
+
 const PostsSection = styled.div`
   margin-top: ${({ theme }) => theme.spacing.xl};
 `;
@@ -173,6 +206,24 @@ const SectionSubtitle = styled.p`
   font-size: 0.95rem;
 `;
 
+const Tabs = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.spacing.sm};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border};
+  margin-bottom: ${({ theme }) => theme.spacing.lg};
+`;
+
+const Tab = styled.button<{ $active: boolean }>`
+  background: none;
+  border: none;
+  border-bottom: 2px solid ${({ theme, $active }) => $active ? theme.colors.primary : 'transparent'};
+  color: ${({ theme, $active }) => $active ? theme.colors.primary : theme.colors.text.secondary};
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  font-size: 0.95rem;
+  font-weight: 500;
+  cursor: pointer;
+`;
+
 const PostsContainer = styled.div`
   display: flex;
   flex-direction: column;
@@ -226,7 +277,10 @@ const RetryButton = styled.button`
 const UserProfilePage: React.FC = () => {
   const { userId } = useParams<{ userId: string }>();
   const { state } = useAuth();
-  const [activeTab, setActiveTab] = useState<'posts' | 'media'>('posts');
+  // The Archived tab is only offered on the user's own profile
+  const [activeTab, setActiveTab] = useState<'posts' | 'archived'>('posts');
+
+  const queryClient = useQueryClient();
 
   const currentUser = state.user;
   const isOwnProfile = currentUser && userId && parseInt(userId) === currentUser.id;
@@ -255,6 +309,82 @@ const UserProfilePage: React.FC = () => {
     enabled: !!userId,
   });
 
+  const showArchived = Boolean(isOwnProfile) && activeTab === 'archived';
+
+  const {
+    data: archivedData,
+    isLoading: archivedLoading,
+    error: archivedError,
+    refetch: refetchArchived
+  } = useQuery({
+    queryKey: ['user-posts', userId, 'archived'],
+    queryFn: () => usersApi.getUserPosts(parseInt(userId!), { page: 1, limit: 20, archived: true }),
+    enabled: !!userId && showArchived,
+  });
+
+  // New, edited and deleted posts by this user show up without a reload
+  useRealtime(userId ? [`user:${userId}`] : [], ({ event }) => {
+    if (event.startsWith('post.')) {
+      queryClient.invalidateQueries({ queryKey: ['user-posts', userId] });
+    }
+  });
+
+  // Fetch follower/following counts
+  const { data: friendsData } = useQuery({
+    queryKey: ['user-friends', userId],
+    queryFn: () => followsApi.getFriends(parseInt(userId!), { limit: 1 }),
+    enabled: !!userId,
+  });
+
+  // Fetch the viewer's relationship with this user
+  const { data: statusData } = useQuery({
+    queryKey: ['follow-status', userId],
+    queryFn: () => followsApi.getStatus(parseInt(userId!)),
+    enabled: !!userId && !!currentUser && !isOwnProfile,
+  });
+
+  const relationship: RelationshipStatus = statusData?.data?.status || 'none';
+
+  const followMutation = useMutation({
+    mutationFn: (status: RelationshipStatus): Promise<ApiResponse<Follow | void>> => {
+      const targetId = parseInt(userId!);
+      switch (status) {
+        case 'friends':
+        case 'request_sent':
+          return followsApi.unfriend(targetId);
+        case 'request_received':
+          return followsApi.acceptRequest(targetId);
+        default:
+          return followsApi.sendRequest(targetId);
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['follow-status', userId] });
+      queryClient.invalidateQueries({ queryKey: ['user-friends', userId] });
+      // Friends-only posts may have become visible or hidden
+      queryClient.invalidateQueries({ queryKey: ['user-posts', userId] });
+    }
+  });
+
+  // Admins can grant and revoke roles from the profile
+  const roleMutation = useMutation({
+    mutationFn: (role: UserRole) => role === 'user'
+      ? adminApi.revokeUserRole(parseInt(userId!))
+      : adminApi.setUserRole(parseInt(userId!), role),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['user', userId] });
+    }
+  });
+  const roleError = (roleMutation.error as any)?.response?.data?.error?.message;
+
+  const followButtonLabel: Record<RelationshipStatus, string> = {
+    self: '',
+    none: 'Add Friend',
+    request_sent: 'Cancel Request',
+    request_received: 'Accept Request',
+    friends: 'Unfriend'
+  };
+
   if (!userId) {
     return (
       <Container>
@@ -290,6 +420,11 @@ const UserProfilePage: React.FC = () => {
 
   const user = userData.data;
   const posts = Array.isArray(postsData?.data?.posts) ? postsData!.data.posts : [];
+  const archivedPosts = Array.isArray(archivedData?.data?.posts) ? archivedData!.data.posts : [];
+  const listedPosts = showArchived ? archivedPosts : posts;
+  const listLoading = showArchived ? archivedLoading : postsLoading;
+  const listError = showArchived ? archivedError : postsError;
+  const refetchList = showArchived ? refetchArchived : refetchPosts;
   const avatarUrl = getUserAvatarUrl(user);
   const hasAvatar = Boolean(user.avatar_url) && user.avatar_url !== avatarUrl;
 
@@ -308,7 +443,10 @@ const UserProfilePage: React.FC = () => {
 
           <UserDetails>
             <UserName>{user.first_name} {user.last_name}</UserName>
-            <Username>@{user.username}</Username>
+            <Username>
+              @{user.username}
+              {user.role && user.role !== 'user' && <RoleBadge>{user.role}</RoleBadge>}
+            </Username>
 
             {user.bio && <Bio>{user.bio}</Bio>}
 
@@ -318,25 +456,53 @@ const UserProfilePage: React.FC = () => {
                 <StatLabel>Posts</StatLabel>
               </StatItem>
               <StatItem>
-                <StatNumber>0</StatNumber>
+                <StatNumber>{friendsData?.data?.following_count ?? 0}</StatNumber>
                 <StatLabel>Following</StatLabel>
               </StatItem>
               <StatItem>
-                <StatNumber>0</StatNumber>
+                <StatNumber>{friendsData?.data?.follower_count ?? 0}</StatNumber>
                 <StatLabel>Followers</StatLabel>
               </StatItem>
             </StatsContainer>
 
-            {!isOwnProfile && (
+            {!isOwnProfile && currentUser && (
               <ActionButtons>
-                <ActionButton variant="primary">Follow</ActionButton>
+                <ActionButton
+                  variant={relationship === 'none' || relationship === 'request_received' ? 'primary' : 'secondary'}
+                  onClick={() => followMutation.mutate(relationship)}
+                  disabled={followMutation.isPending}
+                >
+                  {followButtonLabel[relationship]}
+                </ActionButton>
                 <ActionButton variant="secondary">Message</ActionButton>
+                <ReportButton targetType="user" targetId={user.id} label="Report profile" />
+                {currentUser.role === 'admin' && (
+                  <RoleSelect
+                    aria-label="Role"
+                    value={user.role || 'user'}
+                    onChange={(e) => roleMutation.mutate(e.target.value as UserRole)}
+                    disabled={roleMutation.isPending}
+                  >
+                    <option value="user">User</option>
+                    <option value="moderator">Moderator</option>
+                    <option value="admin">Admin</option>
+                  </RoleSelect>
+                )}
               </ActionButtons>
             )}
+            {roleError && <RoleError>{roleError}</RoleError>}
           </UserDetails>
         </ProfileInfo>
       </ProfileHeader>
 
+      {isOwnProfile && (
+        <>
+          <TwoFactorSettings />
+          <LinkedAccounts />
+          <SessionsList />
+        </>
+      )}
+
       {/* Posts Section */}
       <PostsSection>
         <SectionHeader>
@@ -344,35 +510,51 @@ const UserProfilePage: React.FC = () => {
             {isOwnProfile ? 'Your Posts' : `${user.first_name}'s Posts`}
           </SectionTitle>
           <SectionSubtitle>
-            {posts.length > 0
-              ? `${posts.length} post${posts.length === 1 ? '' : 's'}`
-              : 'No posts yet'
+            {listedPosts.length > 0
+              ? `${listedPosts.length} ${showArchived ? 'archived ' : ''}post${listedPosts.length === 1 ? '' : 's'}`
+              : showArchived ? 'No archived posts' : 'No posts yet'
             }
           </SectionSubtitle>
         </SectionHeader>
 
-        {postsLoading ? (
+        {isOwnProfile && (
+          <Tabs role="tablist">
+            <Tab type="button" role="tab" aria-selected={!showArchived} $active={!showArchived} onClick={() => setActiveTab('posts')}>
+              Posts
+            </Tab>
+            <Tab type="button" role="tab" aria-selected={showArchived} $active={showArchived} onClick={() => setActiveTab('archived')}>
+              Archived
+            </Tab>
+          </Tabs>
+        )}
+
+        {listLoading ? (
           <LoadingSpinner size="medium" text="Loading posts..." />
-        ) : postsError ? (
+        ) : listError ? (
           <ErrorState>
             <h3>Failed to load posts</h3>
             <p>Something went wrong while loading the posts.</p>
-            <RetryButton onClick={() => refetchPosts()}>
+            <RetryButton onClick={() => refetchList()}>
               Try Again
             </RetryButton>
           </ErrorState>
-        ) : posts.length > 0 ? (
+        ) : listedPosts.length > 0 ? (
           <PostsContainer>
-            {posts.map((post) => (
+            {listedPosts.map((post) => (
               <PostCard
                 key={post.id}
                 post={post}
                 onUpdate={() => {
-                  refetchPosts();
+                  refetchList();
                 }}
               />
             ))}
           </PostsContainer>
+        ) : showArchived ? (
+          <EmptyState>
+            <h3>No archived posts</h3>
+            <p>Posts you archive are hidden from your profile and feeds, and show up here.</p>
+          </EmptyState>
         ) : (
           <EmptyState>
             <h3>No posts yet</h3>
@@ -0,0 +1,33 @@
+/**
+ * Username redirect page - resolves an @mention link to the user's profile
+ */
+
+import React from 'react';
+import { Navigate, useParams } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { usersApi } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import NotFoundPage from './NotFoundPage';
+
+const UsernameRedirectPage: React.FC = () => {
+  const { username = '' } = useParams<{ username: string }>();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['user-by-username', username],
+    queryFn: () => usersApi.getUserByUsername(username),
+    enabled: username.length > 0,
+    retry: false,
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner size="large" />;
+  }
+
+  if (error || !data?.data) {
+    return <NotFoundPage />;
+  }
+
+  return <Navigate to={`/user/${data.data.id}`} replace />;
+};
+
+export default UsernameRedirectPage;
\ No newline at end of file
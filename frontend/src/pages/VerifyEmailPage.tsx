@@ -0,0 +1,64 @@
+/**
+ * Verify email page - the link in the welcome and verification emails lands
+ * here and confirms the address
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import styled from 'styled-components';
+import { authApi } from '../services/api';
+
+const Container = styled.div`
+  min-height: 100vh;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  text-align: center;
+`;
+
+const Message = styled.p<{ $error?: boolean }>`
+  max-width: 400px;
+  color: ${({ theme, $error }) => $error ? theme.colors.error : theme.colors.text.secondary};
+`;
+
+const VerifyEmailPage: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState<'pending' | 'verified' | 'failed'>('pending');
+  const [error, setError] = useState<string | null>(null);
+
+  // The token is cleared once used, so only send it once
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    const token = searchParams.get('token');
+    if (!token) {
+      setError('This verification link is missing its token.');
+      setStatus('failed');
+      return;
+    }
+
+    authApi.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((err: any) => {
+        setError(err.response?.data?.error?.message || 'Could not verify your email address. Please try again.');
+        setStatus('failed');
+      });
+  }, [searchParams]);
+
+  return (
+    <Container>
+      {status === 'pending' && <Message>Verifying your email address...</Message>}
+      {status === 'verified' && <Message>Your email address is verified.</Message>}
+      {status === 'failed' && <Message $error>{error}</Message>}
+      {status !== 'pending' && <Link to="/">Continue</Link>}
+    </Container>
+  );
+};
+
+export default VerifyEmailPage;
\ No newline at end of file
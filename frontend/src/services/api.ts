@@ -9,15 +9,53 @@ import {
   PaginatedResponse,
   PaginationInfo,
   Post,
+  Poll,
   Comment,
   User,
   Media,
+  MediaVariant,
+  MediaVariantFormat,
+  UploadSession,
   Reaction,
   ReactionCount,
   PostFormData,
+  ShareFormData,
   CommentFormData,
   UserFormData,
-  EmojiOption
+  EmojiOption,
+  Follow,
+  FriendRequest,
+  Friend,
+  RelationshipStatus,
+  FeedResponse,
+  PostSortOrder,
+  PostInteractionType,
+  SearchType,
+  SearchResponse,
+  UserRole,
+  TrendingHashtagsResponse,
+  HashtagPostsResponse,
+  Notification,
+  NotificationsResponse,
+  Report,
+  ReportFormData,
+  ReportStatus,
+  ReportTargetType,
+  ReportsResponse,
+  ModerationActionType,
+  ModerationActionsResponse,
+  ResolveReportResponse,
+  RevisionHistory,
+  AuthResponse,
+  Session,
+  MfaChallenge,
+  MfaStatus,
+  MfaSetup,
+  OAuthProvider,
+  OAuthIntent,
+  OAuthStart,
+  OAuthIdentity,
+  OAuthIdentities
 } from '../types';
 
 // Import centralized configuration
@@ -50,17 +88,77 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Events the auth context listens for when tokens change outside of it
+export const AUTH_TOKENS_REFRESHED_EVENT = 'auth:tokens-refreshed';
+export const AUTH_SESSION_ENDED_EVENT = 'auth:session-ended';
+
+/**
+ * Store a new token pair and let the auth context know
+ */
+export const storeAuthTokens = (data: AuthResponse): void => {
+  localStorage.setItem('authToken', data.token);
+  localStorage.setItem('refreshToken', data.refresh_token);
+  localStorage.setItem('userData', JSON.stringify(data.user));
+};
+
+const clearAuthTokens = (): void => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('userData');
+};
+
+// Requests that fail while a refresh is in flight wait for the same one,
+// since each refresh token can only be used once
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    // Use a bare request so a failed refresh does not go through the interceptors again
+    refreshPromise = axios
+      .post<ApiResponse<AuthResponse>>(`${API_BASE_URL}/auth/refresh`, { refresh_token: refreshToken })
+      .then(response => {
+        const data = response.data.data as AuthResponse;
+        storeAuthTokens(data);
+        window.dispatchEvent(new CustomEvent(AUTH_TOKENS_REFRESHED_EVENT, { detail: data }));
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for handling common responses
 apiClient.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
     // Handle common error responses
     if (error.response?.status === 401) {
-      // Unauthorized - clear auth token and redirect to login
-      localStorage.removeItem('authToken');
-      // window.location.href = '/login'; // Uncomment when login is implemented
+      const original = error.config;
+      const code = error.response.data?.error?.code;
+
+      // Access tokens are short-lived; swap an expired or outdated one for a new pair and retry once
+      if ((code === 'TOKEN_EXPIRED' || code === 'TOKEN_REVOKED') && original && !original._retried && localStorage.getItem('refreshToken')) {
+        original._retried = true;
+        try {
+          const token = await refreshAccessToken();
+          original.headers.Authorization = `Bearer ${token}`;
+          return apiClient(original);
+        } catch (refreshError) {
+          // Fall through and end the session
+        }
+      }
+
+      // Unauthorized - clear stored tokens and let the auth context log out
+      if (localStorage.getItem('authToken')) {
+        clearAuthTokens();
+        window.dispatchEvent(new Event(AUTH_SESSION_ENDED_EVENT));
+      }
     }
     return Promise.reject(error);
   }
@@ -68,7 +166,7 @@ apiClient.interceptors.response.use(
 
 // Generic API request helper
 async function apiRequest<T>(
-  method: 'GET' | 'POST' | 'PUT' | 'DELETE',
+  method: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE',
   url: string,
   data?: any,
   config?: any
@@ -95,7 +193,7 @@ export const postsApi = {
   getPosts: async (params?: {
     page?: number;
     limit?: number;
-    sort?: 'newest' | 'oldest';
+    sort?: PostSortOrder;
     privacy?: 'public' | 'friends' | 'private';
     user_id?: number;
   }): Promise<PaginatedResponse<Post>> => {
@@ -109,6 +207,17 @@ export const postsApi = {
     return apiRequest<PaginatedResponse<Post>>('GET', `/posts?${searchParams}`);
   },
 
+  /**
+   * Get the current user's drafts, scheduled ones first
+   */
+  getDrafts: async (params?: { page?: number; limit?: number }): Promise<PaginatedResponse<Post>> => {
+    const searchParams = new URLSearchParams();
+    if (params?.page) searchParams.append('page', params.page.toString());
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+
+    return apiRequest<PaginatedResponse<Post>>('GET', `/posts/drafts?${searchParams}`);
+  },
+
   /**
    * Get a single post by ID
    */
@@ -136,6 +245,51 @@ export const postsApi = {
   deletePost: async (id: number): Promise<ApiResponse<void>> => {
     return apiRequest<ApiResponse<void>>('DELETE', `/posts/${id}`);
   },
+
+  /**
+   * Archive a post: it leaves lists and feeds and stops taking comments and reactions
+   */
+  archivePost: async (id: number): Promise<ApiResponse<Post>> => {
+    return apiRequest<ApiResponse<Post>>('POST', `/posts/${id}/archive`);
+  },
+
+  /**
+   * Restore an archived post
+   */
+  unarchivePost: async (id: number): Promise<ApiResponse<Post>> => {
+    return apiRequest<ApiResponse<Post>>('POST', `/posts/${id}/unarchive`);
+  },
+
+  /**
+   * Share (repost) a post, with optional commentary
+   */
+  sharePost: async (id: number, data: ShareFormData): Promise<ApiResponse<Post>> => {
+    return apiRequest<ApiResponse<Post>>('POST', `/posts/${id}/share`, data);
+  },
+
+  /**
+   * Vote in a post's poll, replacing the user's earlier vote
+   */
+  votePoll: async (postId: number, optionIds: number[]): Promise<ApiResponse<Poll>> => {
+    return apiRequest<ApiResponse<Poll>>('POST', `/posts/${postId}/poll/vote`, { option_ids: optionIds });
+  },
+
+  /**
+   * Get the edit history of a post
+   */
+  getPostRevisions: async (id: number): Promise<ApiResponse<RevisionHistory>> => {
+    return apiRequest<ApiResponse<RevisionHistory>>('GET', `/posts/${id}/revisions`);
+  },
+
+  /**
+   * Track an interaction with a post for ranked sorting
+   */
+  trackInteraction: async (postId: number, interactionType: PostInteractionType): Promise<ApiResponse<{ interaction_id: number | null; tracked: boolean }>> => {
+    return apiRequest<ApiResponse<any>>('POST', '/posts/track-interaction', {
+      post_id: postId,
+      interaction_type: interactionType
+    });
+  },
 };
 
 // Comments API
@@ -177,6 +331,13 @@ export const commentsApi = {
     return apiRequest<ApiResponse<Comment>>('PUT', `/comments/${id}`, data);
   },
 
+  /**
+   * Get the edit history of a comment
+   */
+  getCommentRevisions: async (id: number): Promise<ApiResponse<RevisionHistory>> => {
+    return apiRequest<ApiResponse<RevisionHistory>>('GET', `/comments/${id}/revisions`);
+  },
+
   /**
    * Delete a comment
    */
@@ -226,6 +387,13 @@ export const usersApi = {
     return apiRequest<ApiResponse<User>>('GET', `/users/${id}`);
   },
 
+  /**
+   * Get a single user by username (used to resolve @mentions)
+   */
+  getUserByUsername: async (username: string): Promise<ApiResponse<User>> => {
+    return apiRequest<ApiResponse<User>>('GET', `/users/username/${encodeURIComponent(username)}`);
+  },
+
   /**
    * Create a new user
    */
@@ -253,10 +421,15 @@ export const usersApi = {
   getUserPosts: async (userId: number, params?: {
     page?: number;
     limit?: number;
+    sort?: PostSortOrder;
+    // Only the profile owner can list their archived posts
+    archived?: boolean;
   }): Promise<PaginatedResponse<Post> & { user: User }> => {
     const searchParams = new URLSearchParams();
     if (params?.page) searchParams.append('page', params.page.toString());
     if (params?.limit) searchParams.append('limit', params.limit.toString());
+    if (params?.sort) searchParams.append('sort', params.sort);
+    if (params?.archived) searchParams.append('archived', 'true');
 
     return apiRequest<any>('GET', `/users/${userId}/posts?${searchParams}`);
   },
@@ -292,11 +465,71 @@ export const mediaApi = {
     });
   },
 
+  /**
+   * Start a resumable upload, for files too large to send in one request
+   */
+  createUpload: async (data: {
+    filename: string;
+    mime_type: string;
+    total_size: number;
+    post_id?: number;
+    comment_id?: number;
+    alt_text?: string;
+  }): Promise<ApiResponse<UploadSession>> => {
+    return apiRequest<ApiResponse<UploadSession>>('POST', '/media/uploads', data);
+  },
+
+  /**
+   * Get a resumable upload's progress
+   */
+  getUpload: async (id: string): Promise<ApiResponse<UploadSession>> => {
+    return apiRequest<ApiResponse<UploadSession>>('GET', `/media/uploads/${id}`);
+  },
+
+  /**
+   * Send the chunk of a resumable upload starting at offset, with the chunk's base64 SHA-256
+   */
+  uploadChunk: async (id: string, offset: number, chunk: Blob, checksum: string, options?: {
+    signal?: AbortSignal;
+    onUploadProgress?: (loaded: number) => void;
+  }): Promise<ApiResponse<UploadSession>> => {
+    return apiRequest<ApiResponse<UploadSession>>('PATCH', `/media/uploads/${id}`, chunk, {
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': offset.toString(),
+        'Upload-Checksum': `sha256 ${checksum}`,
+      },
+      signal: options?.signal,
+      // Chunks can take a while on a slow connection; pausing aborts them instead
+      timeout: 0,
+      onUploadProgress: (event: { loaded: number }) => options?.onUploadProgress?.(event.loaded),
+    });
+  },
+
+  /**
+   * Finish a resumable upload once every chunk is in, optionally checking the file's hex SHA-256
+   */
+  completeUpload: async (id: string, checksum?: string): Promise<ApiResponse<Media>> => {
+    // Large files can take a while to process after the last chunk
+    return apiRequest<ApiResponse<Media>>('POST', `/media/uploads/${id}/complete`, checksum ? { checksum } : {}, { timeout: 120000 });
+  },
+
+  /**
+   * Cancel a resumable upload
+   */
+  cancelUpload: async (id: string): Promise<ApiResponse<void>> => {
+    return apiRequest<ApiResponse<void>>('DELETE', `/media/uploads/${id}`);
+  },
+
   /**
    * Get media file by ID
    */
-  getMedia: async (id: number): Promise<ApiResponse<Media>> => {
-    return apiRequest<ApiResponse<Media>>('GET', `/media/${id}`);
+  getMedia: async (id: number, params?: { include_metadata?: boolean }): Promise<ApiResponse<Media>> => {
+    const searchParams = new URLSearchParams();
+    if (params?.include_metadata) searchParams.append('include_metadata', 'true');
+
+    const query = searchParams.toString();
+    return apiRequest<ApiResponse<Media>>('GET', `/media/${id}${query ? `?${query}` : ''}`);
   },
 
   /**
@@ -445,6 +678,253 @@ export const reactionsApi = {
   },
 };
 
+// Feed API
+export const feedApi = {
+  /**
+   * Get the authenticated user's timeline, continuing from a cursor if given
+   */
+  getFeed: async (params?: {
+    cursor?: string;
+    limit?: number;
+  }): Promise<ApiResponse<FeedResponse>> => {
+    const searchParams = new URLSearchParams();
+    if (params?.cursor) searchParams.append('cursor', params.cursor);
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+
+    return apiRequest<ApiResponse<FeedResponse>>('GET', `/feed?${searchParams}`);
+  },
+};
+
+// Search API
+export const searchApi = {
+  /**
+   * Full-text search across posts, comments and users
+   */
+  search: async (params: {
+    q: string;
+    type?: SearchType;
+    author?: string;
+    from?: string;
+    to?: string;
+    page?: number;
+    limit?: number;
+  }): Promise<ApiResponse<SearchResponse>> => {
+    const searchParams = new URLSearchParams();
+    searchParams.append('q', params.q);
+    if (params.type) searchParams.append('type', params.type);
+    if (params.author) searchParams.append('author', params.author);
+    if (params.from) searchParams.append('from', params.from);
+    if (params.to) searchParams.append('to', params.to);
+    if (params.page) searchParams.append('page', params.page.toString());
+    if (params.limit) searchParams.append('limit', params.limit.toString());
+
+    return apiRequest<ApiResponse<SearchResponse>>('GET', `/search?${searchParams}`);
+  },
+};
+
+// Hashtags API
+export const hashtagsApi = {
+  /**
+   * Get the most used hashtags on recent public posts
+   */
+  getTrending: async (params?: {
+    hours?: number;
+    limit?: number;
+  }): Promise<ApiResponse<TrendingHashtagsResponse>> => {
+    const searchParams = new URLSearchParams();
+    if (params?.hours) searchParams.append('hours', params.hours.toString());
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+
+    return apiRequest<ApiResponse<TrendingHashtagsResponse>>('GET', `/hashtags/trending?${searchParams}`);
+  },
+
+  /**
+   * Get posts tagged with a hashtag
+   */
+  getHashtagPosts: async (tag: string, params?: {
+    page?: number;
+    limit?: number;
+  }): Promise<ApiResponse<HashtagPostsResponse>> => {
+    const searchParams = new URLSearchParams();
+    if (params?.page) searchParams.append('page', params.page.toString());
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+
+    return apiRequest<ApiResponse<HashtagPostsResponse>>('GET', `/hashtags/${encodeURIComponent(tag)}/posts?${searchParams}`);
+  },
+};
+
+// Admin API
+export const adminApi = {
+  /**
+   * Grant a role to a user
+   */
+  setUserRole: async (userId: number, role: UserRole): Promise<ApiResponse<User>> => {
+    return apiRequest<ApiResponse<User>>('PUT', `/admin/users/${userId}/role`, { role });
+  },
+
+  /**
+   * Revoke a user's moderator or admin role
+   */
+  revokeUserRole: async (userId: number): Promise<ApiResponse<User>> => {
+    return apiRequest<ApiResponse<User>>('DELETE', `/admin/users/${userId}/role`);
+  },
+};
+
+// Reports API
+export const reportsApi = {
+  /**
+   * Report a post, comment, media item or user profile
+   */
+  createReport: async (data: ReportFormData): Promise<ApiResponse<Report>> => {
+    return apiRequest<ApiResponse<Report>>('POST', '/reports', data);
+  },
+};
+
+// Moderation API
+export const moderationApi = {
+  /**
+   * Get the report queue (moderators and admins)
+   */
+  getReports: async (params?: {
+    status?: ReportStatus;
+    target_type?: ReportTargetType;
+    page?: number;
+    limit?: number;
+  }): Promise<ApiResponse<ReportsResponse>> => {
+    const searchParams = new URLSearchParams();
+    if (params?.status) searchParams.append('status', params.status);
+    if (params?.target_type) searchParams.append('target_type', params.target_type);
+    if (params?.page) searchParams.append('page', params.page.toString());
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+
+    return apiRequest<ApiResponse<ReportsResponse>>('GET', `/moderation/reports?${searchParams}`);
+  },
+
+  /**
+   * Resolve a report and every other open report on the same target
+   */
+  resolveReport: async (
+    reportId: number,
+    action: ModerationActionType,
+    note?: string
+  ): Promise<ApiResponse<ResolveReportResponse>> => {
+    return apiRequest<ApiResponse<ResolveReportResponse>>('POST', `/moderation/reports/${reportId}/resolve`, { action, note });
+  },
+
+  /**
+   * Get the moderation audit trail
+   */
+  getActions: async (params?: {
+    page?: number;
+    limit?: number;
+  }): Promise<ApiResponse<ModerationActionsResponse>> => {
+    const searchParams = new URLSearchParams();
+    if (params?.page) searchParams.append('page', params.page.toString());
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+
+    return apiRequest<ApiResponse<ModerationActionsResponse>>('GET', `/moderation/actions?${searchParams}`);
+  },
+};
+
+// Notifications API
+export const notificationsApi = {
+  /**
+   * Get the current user's notifications
+   */
+  getNotifications: async (params?: {
+    page?: number;
+    limit?: number;
+    unread_only?: boolean;
+  }): Promise<ApiResponse<NotificationsResponse>> => {
+    const searchParams = new URLSearchParams();
+    if (params?.page) searchParams.append('page', params.page.toString());
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+    if (params?.unread_only) searchParams.append('unread_only', 'true');
+
+    return apiRequest<ApiResponse<NotificationsResponse>>('GET', `/notifications?${searchParams}`);
+  },
+
+  /**
+   * Get the number of unread notifications
+   */
+  getUnreadCount: async (): Promise<ApiResponse<{ unread_count: number }>> => {
+    return apiRequest<ApiResponse<{ unread_count: number }>>('GET', '/notifications/unread-count');
+  },
+
+  /**
+   * Mark a notification as read
+   */
+  markRead: async (notificationId: number): Promise<ApiResponse<{ notification: Notification; unread_count: number }>> => {
+    return apiRequest<ApiResponse<any>>('PUT', `/notifications/${notificationId}/read`);
+  },
+
+  /**
+   * Mark all notifications as read
+   */
+  markAllRead: async (): Promise<ApiResponse<{ updated_count: number; unread_count: number }>> => {
+    return apiRequest<ApiResponse<any>>('PUT', '/notifications/read-all');
+  },
+};
+
+// Follows (friends) API
+export const followsApi = {
+  /**
+   * Get a user's friends and follower/following counts
+   */
+  getFriends: async (userId: number, params?: {
+    page?: number;
+    limit?: number;
+  }): Promise<ApiResponse<{ user_id: number; friends: Friend[]; following_count: number; follower_count: number; pagination: PaginationInfo }>> => {
+    const searchParams = new URLSearchParams();
+    if (params?.page) searchParams.append('page', params.page.toString());
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+
+    return apiRequest<ApiResponse<any>>('GET', `/follows/user/${userId}?${searchParams}`);
+  },
+
+  /**
+   * Get pending friend requests for the current user
+   */
+  getRequests: async (direction: 'incoming' | 'outgoing' = 'incoming'): Promise<ApiResponse<{ direction: string; requests: FriendRequest[]; count: number }>> => {
+    return apiRequest<ApiResponse<any>>('GET', `/follows/requests?direction=${direction}`);
+  },
+
+  /**
+   * Get the current user's relationship with another user
+   */
+  getStatus: async (userId: number): Promise<ApiResponse<{ user_id: number; status: RelationshipStatus }>> => {
+    return apiRequest<ApiResponse<any>>('GET', `/follows/status/${userId}`);
+  },
+
+  /**
+   * Send a friend request
+   */
+  sendRequest: async (userId: number): Promise<ApiResponse<Follow>> => {
+    return apiRequest<ApiResponse<Follow>>('POST', `/follows/${userId}`);
+  },
+
+  /**
+   * Accept a friend request from a user
+   */
+  acceptRequest: async (userId: number): Promise<ApiResponse<Follow>> => {
+    return apiRequest<ApiResponse<Follow>>('POST', `/follows/${userId}/accept`);
+  },
+
+  /**
+   * Decline a friend request from a user
+   */
+  declineRequest: async (userId: number): Promise<ApiResponse<void>> => {
+    return apiRequest<ApiResponse<void>>('POST', `/follows/${userId}/decline`);
+  },
+
+  /**
+   * Unfriend a user or cancel a sent request
+   */
+  unfriend: async (userId: number): Promise<ApiResponse<void>> => {
+    return apiRequest<ApiResponse<void>>('DELETE', `/follows/${userId}`);
+  },
+};
+
 // Authentication API
 export const authApi = {
   /**
@@ -457,8 +937,8 @@ export const authApi = {
     first_name: string;
     last_name: string;
     bio?: string;
-  }): Promise<ApiResponse<{ user: User; token: string }>> => {
-    return apiRequest<ApiResponse<any>>('POST', '/auth/register', data);
+  }): Promise<ApiResponse<AuthResponse>> => {
+    return apiRequest<ApiResponse<AuthResponse>>('POST', '/auth/register', data);
   },
 
   /**
@@ -467,18 +947,141 @@ export const authApi = {
   login: async (data: {
     username: string;
     password: string;
-  }): Promise<ApiResponse<{ user: User; token: string }>> => {
-    return apiRequest<ApiResponse<any>>('POST', '/auth/login', {
+    remember_me?: boolean;
+  }): Promise<ApiResponse<AuthResponse | MfaChallenge>> => {
+    return apiRequest<ApiResponse<AuthResponse | MfaChallenge>>('POST', '/auth/login', {
       identifier: data.username,
-      password: data.password
+      password: data.password,
+      remember_me: data.remember_me
     });
   },
 
   /**
-   * Logout user
+   * Second login step for accounts with two-factor authentication
+   */
+  verifyMfaLogin: async (data: {
+    mfa_token: string;
+    code: string;
+  }): Promise<ApiResponse<AuthResponse>> => {
+    return apiRequest<ApiResponse<AuthResponse>>('POST', '/auth/login/mfa', data);
+  },
+
+  /**
+   * Get two-factor authentication status
+   */
+  getMfaStatus: async (): Promise<ApiResponse<MfaStatus>> => {
+    return apiRequest<ApiResponse<MfaStatus>>('GET', '/auth/mfa');
+  },
+
+  /**
+   * Start two-factor enrollment (returns the secret and QR code)
+   */
+  setupMfa: async (): Promise<ApiResponse<MfaSetup>> => {
+    return apiRequest<ApiResponse<MfaSetup>>('POST', '/auth/mfa/setup');
+  },
+
+  /**
+   * Confirm enrollment with a code; returns recovery codes
+   */
+  enableMfa: async (code: string): Promise<ApiResponse<{ recovery_codes: string[] }>> => {
+    return apiRequest<ApiResponse<{ recovery_codes: string[] }>>('POST', '/auth/mfa/enable', { code });
+  },
+
+  /**
+   * Turn off two-factor authentication
+   */
+  disableMfa: async (data: { password: string; code: string }): Promise<ApiResponse<void>> => {
+    return apiRequest<ApiResponse<void>>('POST', '/auth/mfa/disable', data);
+  },
+
+  /**
+   * Replace the recovery codes
+   */
+  regenerateRecoveryCodes: async (code: string): Promise<ApiResponse<{ recovery_codes: string[] }>> => {
+    return apiRequest<ApiResponse<{ recovery_codes: string[] }>>('POST', '/auth/mfa/recovery-codes', { code });
+  },
+
+  /**
+   * List the OAuth providers configured on the server
+   */
+  getOAuthProviders: async (): Promise<ApiResponse<{ providers: OAuthProvider[] }>> => {
+    return apiRequest<ApiResponse<{ providers: OAuthProvider[] }>>('GET', '/auth/oauth/providers');
+  },
+
+  /**
+   * Start an OAuth flow; returns the provider URL to send the browser to
+   */
+  startOAuth: async (
+    provider: OAuthProvider,
+    intent: OAuthIntent = 'login',
+    rememberMe = false
+  ): Promise<ApiResponse<OAuthStart>> => {
+    const searchParams = new URLSearchParams({ intent });
+    if (rememberMe) searchParams.append('remember_me', 'true');
+    return apiRequest<ApiResponse<OAuthStart>>('GET', `/auth/oauth/${provider}?${searchParams}`);
+  },
+
+  /**
+   * Finish an OAuth login with the code and state from the provider redirect
+   */
+  oauthLogin: async (
+    provider: OAuthProvider,
+    data: { code: string; state: string }
+  ): Promise<ApiResponse<AuthResponse | MfaChallenge>> => {
+    return apiRequest<ApiResponse<AuthResponse | MfaChallenge>>('POST', `/auth/oauth/${provider}`, data);
+  },
+
+  /**
+   * List the provider accounts linked to the current user
+   */
+  getOAuthIdentities: async (): Promise<ApiResponse<OAuthIdentities>> => {
+    return apiRequest<ApiResponse<OAuthIdentities>>('GET', '/auth/oauth/identities');
+  },
+
+  /**
+   * Link a provider account with the code and state from the provider redirect
+   */
+  linkOAuth: async (
+    provider: OAuthProvider,
+    data: { code: string; state: string }
+  ): Promise<ApiResponse<{ identities: OAuthIdentity[] }>> => {
+    return apiRequest<ApiResponse<{ identities: OAuthIdentity[] }>>('POST', `/auth/oauth/${provider}/link`, data);
+  },
+
+  /**
+   * Unlink a provider account
    */
-  logout: async (): Promise<ApiResponse<void>> => {
-    return apiRequest<ApiResponse<void>>('POST', '/auth/logout');
+  unlinkOAuth: async (provider: OAuthProvider): Promise<ApiResponse<{ identities: OAuthIdentity[] }>> => {
+    return apiRequest<ApiResponse<{ identities: OAuthIdentity[] }>>('DELETE', `/auth/oauth/${provider}`);
+  },
+
+  /**
+   * Logout user and revoke the session the given access token belongs to
+   */
+  logout: async (token?: string | null): Promise<ApiResponse<void>> => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : undefined;
+    return apiRequest<ApiResponse<void>>('POST', '/auth/logout', undefined, { headers });
+  },
+
+  /**
+   * List the current user's active sessions
+   */
+  getSessions: async (): Promise<ApiResponse<{ sessions: Session[] }>> => {
+    return apiRequest<ApiResponse<{ sessions: Session[] }>>('GET', '/auth/sessions');
+  },
+
+  /**
+   * Sign out a single session
+   */
+  revokeSession: async (sessionId: number): Promise<ApiResponse<void>> => {
+    return apiRequest<ApiResponse<void>>('DELETE', `/auth/sessions/${sessionId}`);
+  },
+
+  /**
+   * Sign out every session except the current one
+   */
+  revokeOtherSessions: async (): Promise<ApiResponse<{ revoked_count: number }>> => {
+    return apiRequest<ApiResponse<{ revoked_count: number }>>('DELETE', '/auth/sessions');
   },
 
   /**
@@ -496,13 +1099,18 @@ export const authApi = {
   },
 
   /**
-   * Change password
+   * Change password; other sessions are signed out and a new access token is returned.
+   * Accounts created through OAuth login set their first password without current_password.
    */
   changePassword: async (data: {
-    current_password: string;
+    current_password?: string;
     new_password: string;
-  }): Promise<ApiResponse<void>> => {
-    return apiRequest<ApiResponse<void>>('PUT', '/auth/password', data);
+  }): Promise<ApiResponse<{ token: string; expires_in: string; revoked_sessions: number }>> => {
+    return apiRequest<ApiResponse<{ token: string; expires_in: string; revoked_sessions: number }>>(
+      'POST',
+      '/auth/change-password',
+      data
+    );
   },
 
   /**
@@ -517,19 +1125,60 @@ export const authApi = {
    */
   resetPassword: async (data: {
     token: string;
-    new_password: string;
+    password: string;
   }): Promise<ApiResponse<void>> => {
     return apiRequest<ApiResponse<void>>('POST', '/auth/reset-password', data);
   },
+
+  /**
+   * Verify an email address, using the emailed token
+   */
+  verifyEmail: async (token: string): Promise<ApiResponse<void>> => {
+    return apiRequest<ApiResponse<void>>('POST', '/auth/verify-email', { token });
+  },
+
+  /**
+   * Unlock an account locked after failed logins, using the emailed token
+   */
+  unlockAccount: async (token: string): Promise<ApiResponse<void>> => {
+    return apiRequest<ApiResponse<void>>('POST', '/auth/unlock-account', { token });
+  },
 };
 
 // Export the configured axios client for custom requests
 export { apiClient };
 
-// Helper function to get media URL
+// Storage URLs are either absolute (S3, CDN, signed URLs) or paths on the API server
+const resolveStorageUrl = (url: string): string => (
+  /^https?:\/\//.test(url) ? url : `${getApiBaseUrl()}${url}`
+);
+
+// Helper function to get media URL, as generated by the backend storage driver
 export const getMediaUrl = (media: Media): string => {
-  const baseUrl = getApiBaseUrl();
-  return `${baseUrl}/uploads/${media.file_path}`;
+  return resolveStorageUrl(media.file_url || `/uploads/${media.file_path}`);
+};
+
+// Helper function to get a media thumbnail URL, if one was generated
+export const getMediaThumbnailUrl = (media: Media): string | undefined => {
+  return media.thumbnail_url ? resolveStorageUrl(media.thumbnail_url) : undefined;
+};
+
+// Helper function to get the URL of a resized image or transcoded video
+export const getMediaVariantUrl = (variant: MediaVariant): string => {
+  return resolveStorageUrl(variant.url);
+};
+
+// Helper function to build a srcset from an image's variants in one format; the original
+// is listed last so screens wider than every variant still get full resolution
+export const getMediaSrcSet = (media: Media, format: MediaVariantFormat): string => {
+  const candidates = (media.variants || [])
+    .filter(variant => variant.format === format)
+    .map(variant => `${getMediaVariantUrl(variant)} ${variant.width}w`);
+
+  if (candidates.length > 0 && media.width) {
+    candidates.push(`${getMediaUrl(media)} ${media.width}w`);
+  }
+  return candidates.join(', ');
 };
 
 // Helper function to get user avatar URL or default
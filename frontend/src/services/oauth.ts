@@ -0,0 +1,56 @@
+/**
+ * OAuth redirect helpers
+ * The browser leaves for the provider and comes back to /oauth/:provider/callback;
+ * the state issued by the API is kept in sessionStorage so the callback can check
+ * that it is finishing a flow this tab started.
+ */
+
+import { authApi } from './api';
+import { OAuthProvider, OAuthIntent } from '../types';
+
+export const OAUTH_PROVIDER_LABELS: Record<OAuthProvider, string> = {
+  google: 'Google',
+  facebook: 'Facebook',
+};
+
+const storageKey = (provider: OAuthProvider) => `oauthState:${provider}`;
+
+export interface PendingOAuthFlow {
+  intent: OAuthIntent;
+  // Where to go once a link flow finishes
+  returnTo: string;
+}
+
+/**
+ * Start a login or link flow and send the browser to the provider
+ */
+export const beginOAuth = async (
+  provider: OAuthProvider,
+  intent: OAuthIntent = 'login',
+  options: { rememberMe?: boolean; returnTo?: string } = {}
+): Promise<void> => {
+  const response = await authApi.startOAuth(provider, intent, options.rememberMe);
+  sessionStorage.setItem(storageKey(provider), JSON.stringify({
+    state: response.data.state,
+    intent,
+    returnTo: options.returnTo || '/',
+  }));
+  window.location.assign(response.data.url);
+};
+
+/**
+ * Take the pending flow for a provider if it matches the state the provider echoed back
+ * @returns The flow, or null if this tab did not start it
+ */
+export const takeOAuthFlow = (provider: OAuthProvider, state: string | null): PendingOAuthFlow | null => {
+  const stored = sessionStorage.getItem(storageKey(provider));
+  sessionStorage.removeItem(storageKey(provider));
+  if (!stored || !state) return null;
+
+  try {
+    const pending = JSON.parse(stored) as PendingOAuthFlow & { state: string };
+    return pending.state === state ? { intent: pending.intent, returnTo: pending.returnTo } : null;
+  } catch (error) {
+    return null;
+  }
+};
\ No newline at end of file
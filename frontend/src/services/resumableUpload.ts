@@ -0,0 +1,145 @@
+/**
+ * Resumable uploads
+ * Sends a file to /api/media/uploads one chunk at a time, so a dropped connection only
+ * costs the chunk in flight. Pausing aborts that chunk; resuming asks the API how much
+ * it received and carries on from there. A connection error pauses the upload rather
+ * than failing it, so it can be resumed once the network is back. Each chunk is sent
+ * with its SHA-256, so only one chunk of the file is ever held in memory.
+ */
+
+import axios from 'axios';
+import { mediaApi } from './api';
+import { Media } from '../types';
+
+export type ResumableUploadStatus = 'uploading' | 'paused' | 'verifying' | 'done' | 'failed';
+
+export interface ResumableUploadProgress {
+  status: ResumableUploadStatus;
+  uploaded: number;
+  total: number;
+}
+
+// A chunk that keeps arriving garbled points at something worse than a flaky connection
+const MAX_CHECKSUM_RETRIES = 3;
+
+/**
+ * Base64 SHA-256 of a chunk, which the API checks the chunk against before storing it
+ */
+const sha256 = async (chunk: Blob): Promise<string> => {
+  const digest = await crypto.subtle.digest('SHA-256', await chunk.arrayBuffer());
+  return btoa(String.fromCharCode(...Array.from(new Uint8Array(digest))));
+};
+
+export class ResumableUpload {
+  private sessionId: string | null = null;
+  private offset = 0;
+  private chunkSize = 0;
+  private paused = false;
+  private checksumFailures = 0;
+  private controller: AbortController | null = null;
+  private wakeUp: (() => void) | null = null;
+
+  constructor(
+    private readonly file: File,
+    private readonly target: { post_id?: number; comment_id?: number; alt_text?: string },
+    private readonly onProgress: (progress: ResumableUploadProgress) => void
+  ) {}
+
+  /**
+   * Upload the whole file, waiting through any pauses, and return the created media
+   */
+  async start(): Promise<Media> {
+    try {
+      if (!this.sessionId) {
+        const response = await mediaApi.createUpload({
+          filename: this.file.name,
+          mime_type: this.file.type,
+          total_size: this.file.size,
+          ...this.target,
+        });
+        this.sessionId = response.data.id;
+        this.offset = response.data.offset;
+        this.chunkSize = response.data.chunk_size;
+      }
+
+      while (this.offset < this.file.size) {
+        if (this.paused) {
+          await this.waitForResume();
+        } else {
+          await this.sendChunk(this.sessionId);
+        }
+      }
+
+      this.report('verifying');
+      const response = await mediaApi.completeUpload(this.sessionId);
+      this.report('done');
+      return response.data;
+    } catch (error) {
+      this.report('failed');
+      throw error;
+    }
+  }
+
+  pause(): void {
+    this.paused = true;
+    this.controller?.abort();
+  }
+
+  resume(): void {
+    this.paused = false;
+    this.wakeUp?.();
+  }
+
+  private report(status: ResumableUploadStatus, uploaded = this.offset): void {
+    this.onProgress({ status, uploaded, total: this.file.size });
+  }
+
+  private async sendChunk(sessionId: string): Promise<void> {
+    this.report('uploading');
+    this.controller = new AbortController();
+
+    try {
+      const chunk = this.file.slice(this.offset, this.offset + this.chunkSize);
+      const response = await mediaApi.uploadChunk(sessionId, this.offset, chunk, await sha256(chunk), {
+        signal: this.controller.signal,
+        onUploadProgress: loaded => this.report('uploading', this.offset + loaded),
+      });
+      this.offset = response.data.offset;
+      this.checksumFailures = 0;
+    } catch (error: any) {
+      const apiError = error.response?.data?.error;
+      if (apiError?.type === 'OFFSET_MISMATCH') {
+        // An earlier copy of this chunk got through after all
+        this.offset = apiError.offset;
+      } else if (apiError?.type === 'CHECKSUM_MISMATCH' && ++this.checksumFailures < MAX_CHECKSUM_RETRIES) {
+        // Corrupted on the way; the loop sends it again
+      } else if (axios.isCancel(error)) {
+        // Aborted by pause(); the loop waits unless resume() has already been called
+      } else if (!error.response) {
+        // Connection lost: wait for the user to resume
+        this.paused = true;
+      } else {
+        throw error;
+      }
+    } finally {
+      this.controller = null;
+    }
+  }
+
+  private async waitForResume(): Promise<void> {
+    this.report('paused');
+    await new Promise<void>(resolve => {
+      this.wakeUp = resolve;
+    });
+    this.wakeUp = null;
+
+    // The chunk that was aborted may or may not have arrived
+    try {
+      const response = await mediaApi.getUpload(this.sessionId as string);
+      this.offset = response.data.offset;
+    } catch (error: any) {
+      if (error.response) throw error;
+      this.paused = true; // Still offline
+    }
+  }
+}
\ No newline at end of file
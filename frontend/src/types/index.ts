@@ -11,6 +11,8 @@ export interface BaseEntity {
 }
 
 // User related types
+export type UserRole = 'user' | 'moderator' | 'admin';
+
 export interface User extends BaseEntity {
   username: string;
   email: string;
@@ -21,6 +23,8 @@ export interface User extends BaseEntity {
   bio?: string;
   avatar_url?: string;
   is_active: boolean;
+  role?: UserRole;
+  mfa_enabled?: boolean;
 }
 
 export interface UserStats {
@@ -40,14 +44,61 @@ export interface Post extends BaseEntity {
   content: string;
   privacy_level: PrivacyLevel;
   is_published: boolean;
+  is_archived?: boolean;
+  publish_at?: string | null;
   preview?: string;
   is_edited?: boolean;
+  edited_at?: string | null;
   word_count?: number;
   comment_count?: number;
   author?: User;
   media?: Media[];
   comments?: Comment[];
   reaction_counts?: ReactionCount[];
+  poll?: Poll | null;
+  // Shares (reposts) embed the post they share
+  is_share?: boolean;
+  shared_post_id?: number | null;
+  shared_post?: SharedPost | null;
+  share_count?: number;
+}
+
+// The original of a share, or a tombstone when it was deleted or the viewer can't see it
+export type SharedPost =
+  | (Pick<Post, 'id' | 'content' | 'privacy_level' | 'is_share' | 'created_at' | 'edited_at' | 'is_edited' | 'user_id' | 'author' | 'media'> & { tombstone?: undefined })
+  | { id: number | null; tombstone: 'deleted' | 'unavailable' };
+
+export interface ShareFormData {
+  content?: string;
+  privacy_level?: PrivacyLevel;
+}
+
+// Poll attached to a post
+export interface PollOption {
+  id: number;
+  text: string;
+  // null while results are hidden from the viewer
+  votes: number | null;
+}
+
+export interface Poll {
+  id: number;
+  allows_multiple: boolean;
+  hide_results: boolean;
+  closes_at: string | null;
+  is_closed: boolean;
+  has_voted: boolean;
+  viewer_votes: number[];
+  results_visible: boolean;
+  total_voters: number | null;
+  options: PollOption[];
+}
+
+export interface PollFormData {
+  options: string[];
+  allows_multiple?: boolean;
+  hide_results?: boolean;
+  closes_at?: string | null;
 }
 
 // Comment related types
@@ -60,6 +111,7 @@ export interface Comment extends BaseEntity {
   preview?: string;
   is_reply?: boolean;
   is_edited?: boolean;
+  edited_at?: string | null;
   word_count?: number;
   author?: User;
   media?: Media[];
@@ -67,6 +119,26 @@ export interface Comment extends BaseEntity {
   reaction_counts?: ReactionCount[];
 }
 
+// Edit history of a post or comment
+export interface Revision {
+  id: number;
+  // Content before the edit that replaced it
+  content: string;
+  // When this version was replaced
+  created_at: string;
+  edited_by: Pick<User, 'id' | 'username' | 'first_name' | 'last_name'> | null;
+}
+
+export interface RevisionHistory {
+  current: {
+    content: string;
+    created_at: string;
+    edited_at: string | null;
+  };
+  // Oldest first
+  revisions: Revision[];
+}
+
 // Media related types
 export type MediaType = 'image' | 'video' | 'audio' | 'document';
 
@@ -77,6 +149,8 @@ export interface Media extends Omit<BaseEntity, 'updated_at'> {
   filename: string;
   original_name?: string;
   original_filename?: string;
+  // Storage key; file_url and thumbnail_url come from the backend storage driver and are
+  // signed, expiring URLs for media on posts that aren't public
   file_path: string;
   file_url?: string;
   file_size: number;
@@ -90,6 +164,14 @@ export interface Media extends Omit<BaseEntity, 'updated_at'> {
   formatted_duration?: string;
   file_extension?: string;
   thumbnail_url?: string;
+  // Average colour of an image (#rrggbb), shown while it loads
+  dominant_color?: string | null;
+  // Smaller copies of an image in modern formats, narrowest first
+  variants?: MediaVariant[];
+  // Only returned when requested with include_metadata
+  metadata?: MediaMetadata;
+  // Videos stay pending/processing until their poster and renditions are ready
+  processing_status?: MediaProcessingStatus;
   uploader?: User;
   is_image?: boolean;
   is_video?: boolean;
@@ -97,6 +179,39 @@ export interface Media extends Omit<BaseEntity, 'updated_at'> {
   is_document?: boolean;
 }
 
+export type MediaVariantFormat = 'webp' | 'avif' | 'jpeg' | 'png' | 'mp4';
+export type MediaProcessingStatus = 'pending' | 'processing' | 'ready' | 'failed';
+
+export interface MediaVariant {
+  format: MediaVariantFormat;
+  width: number;
+  height: number;
+  url: string;
+}
+
+// Details kept from an upload: dimensions, format and capture time for images (GPS and
+// camera EXIF are stripped), duration and codecs for videos
+export interface MediaMetadata {
+  width?: number | null;
+  height?: number | null;
+  format?: string | null;
+  taken_at?: string | null;
+  duration?: number | null;
+  video_codec?: string | null;
+  audio_codec?: string | null;
+}
+
+// A resumable upload in progress; offset is where the next chunk starts
+export interface UploadSession {
+  id: string;
+  filename: string;
+  mime_type: string;
+  total_size: number;
+  offset: number;
+  chunk_size: number;
+  expires_at: string;
+}
+
 // Reaction related types
 export interface Reaction extends Omit<BaseEntity, 'updated_at'> {
   user_id: number;
@@ -122,6 +237,25 @@ export interface EmojiOption {
   display_name: string;
 }
 
+// Follow/friend related types
+export type FollowStatus = 'pending' | 'accepted';
+export type RelationshipStatus = 'self' | 'friends' | 'request_sent' | 'request_received' | 'none';
+
+export interface Follow extends BaseEntity {
+  follower_id: number;
+  following_id: number;
+  status: FollowStatus;
+  accepted_at?: string;
+}
+
+export interface FriendRequest extends Follow {
+  user: Pick<User, 'id' | 'username' | 'first_name' | 'last_name' | 'avatar_url'>;
+}
+
+export interface Friend extends Pick<User, 'id' | 'username' | 'first_name' | 'last_name' | 'avatar_url'> {
+  friends_since?: string;
+}
+
 // API response types
 export interface ApiResponse<T> {
   success: boolean;
@@ -154,10 +288,295 @@ export interface PaginatedResponse<T> {
   };
 }
 
+export interface CursorPaginationInfo {
+  limit: number;
+  has_more: boolean;
+  next_cursor: string | null;
+}
+
+export interface FeedResponse {
+  posts: Post[];
+  pagination: CursorPaginationInfo;
+}
+
+// Search types
+export type SearchType = 'all' | 'posts' | 'comments' | 'users';
+
+export interface SearchAuthor {
+  id: number;
+  username: string;
+  first_name: string;
+  last_name: string;
+  avatar_url?: string;
+}
+
+export interface PostSearchResult {
+  id: number;
+  content: string;
+  snippet: string;
+  rank: number;
+  privacy_level: PrivacyLevel;
+  created_at: string;
+  updated_at: string;
+  user_id: number;
+  author: SearchAuthor;
+}
+
+export interface CommentSearchResult {
+  id: number;
+  post_id: number;
+  parent_id?: number;
+  content: string;
+  snippet: string;
+  rank: number;
+  created_at: string;
+  updated_at: string;
+  user_id: number;
+  author: SearchAuthor;
+}
+
+export interface UserSearchResult extends SearchAuthor {
+  bio?: string;
+  snippet: string | null;
+  rank: number;
+  created_at: string;
+}
+
+export interface SearchResponse {
+  query: string;
+  type: SearchType;
+  posts?: PostSearchResult[];
+  comments?: CommentSearchResult[];
+  users?: UserSearchResult[];
+  totals: Partial<Record<Exclude<SearchType, 'all'>, number>>;
+  pagination: PaginationInfo;
+}
+
+// Notification types
+export type NotificationType = 'comment' | 'reply' | 'reaction' | 'mention';
+
+export interface Notification {
+  id: number;
+  user_id: number;
+  actor_id: number;
+  type: NotificationType;
+  post_id?: number;
+  comment_id?: number;
+  data: {
+    emoji_name?: string;
+    emoji_unicode?: string;
+  };
+  is_read: boolean;
+  read_at?: string;
+  created_at: string;
+  post_excerpt?: string;
+  comment_excerpt?: string;
+  actor?: SearchAuthor;
+}
+
+export interface NotificationsResponse {
+  notifications: Notification[];
+  unread_count: number;
+  pagination: PaginationInfo;
+}
+
+// Hashtag types
+export interface TrendingHashtag {
+  tag: string;
+  post_count: number;
+  last_used_at: string;
+}
+
+export interface TrendingHashtagsResponse {
+  hashtags: TrendingHashtag[];
+  hours: number;
+}
+
+export interface HashtagPostsResponse {
+  tag: string;
+  posts: Post[];
+  pagination: PaginationInfo;
+}
+
+// Report and moderation types
+export type ReportTargetType = 'post' | 'comment' | 'media' | 'user';
+export type ReportReason = 'spam' | 'harassment' | 'hate_speech' | 'violence' | 'nudity' | 'misinformation' | 'other';
+export type ReportStatus = 'pending' | 'resolved' | 'dismissed';
+export type ModerationActionType = 'dismiss' | 'unpublish' | 'delete' | 'suspend';
+
+export interface ReportFormData {
+  target_type: ReportTargetType;
+  target_id: number;
+  reason: ReportReason;
+  details?: string;
+}
+
+export interface ReportTarget {
+  id: number;
+  user_id: number;
+  post_id?: number;
+  content?: string;
+  is_published?: boolean;
+  edited_at?: string | null;
+  file_url?: string;
+  original_name?: string;
+  media_type?: string;
+  username?: string;
+  first_name?: string;
+  last_name?: string;
+  is_active?: boolean;
+}
+
+export interface Report {
+  id: number;
+  reporter_id: number;
+  reporter_username?: string;
+  target_type: ReportTargetType;
+  target_id: number;
+  reason: ReportReason;
+  details: string | null;
+  status: ReportStatus;
+  resolution_action: ModerationActionType | null;
+  resolved_by: number | null;
+  resolved_at: string | null;
+  created_at: string;
+  pending_count?: number;
+  target?: ReportTarget | null;
+}
+
+export interface ReportsResponse {
+  reports: Report[];
+  pagination: PaginationInfo;
+}
+
+export interface ModerationAction {
+  id: number;
+  moderator_id: number | null;
+  moderator_username?: string;
+  action: ModerationActionType;
+  target_type: ReportTargetType;
+  target_id: number;
+  target_user_id: number | null;
+  report_id: number | null;
+  note: string | null;
+  data: Record<string, any>;
+  created_at: string;
+}
+
+export interface ModerationActionsResponse {
+  actions: ModerationAction[];
+  pagination: PaginationInfo;
+}
+
+export interface ResolveReportResponse {
+  report: Report;
+  resolved_count: number;
+  action: ModerationAction;
+}
+
+// Authentication session types
+export interface AuthTokens {
+  token: string;
+  refresh_token: string;
+  expires_in: string;
+  refresh_expires_at: string;
+}
+
+export interface AuthResponse extends AuthTokens {
+  user: User;
+  // Set when the second step used a recovery code
+  recovery_codes_remaining?: number;
+  // Set by OAuth login when the account was created on the way in
+  created?: boolean;
+}
+
+// Returned by the password step when the account has two-factor authentication
+export interface MfaChallenge {
+  mfa_required: true;
+  mfa_token: string;
+  expires_in: string;
+}
+
+export interface MfaStatus {
+  enabled: boolean;
+  enabled_at?: string | null;
+  recovery_codes_remaining: number;
+  required: boolean;
+}
+
+export interface MfaSetup {
+  secret: string;
+  otpauth_url: string;
+  qr_code: string;
+}
+
+export type OAuthProvider = 'google' | 'facebook';
+
+export type OAuthIntent = 'login' | 'link';
+
+export interface OAuthStart {
+  url: string;
+  state: string;
+  redirect_uri: string;
+}
+
+export interface OAuthIdentity {
+  id: number;
+  provider: OAuthProvider;
+  email?: string | null;
+  last_used_at: string;
+  created_at: string;
+}
+
+export interface OAuthIdentities {
+  identities: OAuthIdentity[];
+  providers: OAuthProvider[];
+  has_password: boolean;
+}
+
+export interface Session {
+  id: number;
+  user_agent?: string;
+  ip_address?: string;
+  remember_me: boolean;
+  last_used_at: string;
+  expires_at: string;
+  created_at: string;
+  current: boolean;
+}
+
+// Real-time types
+export type RealtimeEventName =
+  | 'ready'
+  | 'post.created'
+  | 'post.updated'
+  | 'post.deleted'
+  | 'comment.created'
+  | 'comment.updated'
+  | 'comment.deleted'
+  | 'reaction.updated'
+  | 'poll.updated'
+  | 'media.processed'
+  | 'notification.created';
+
+export interface RealtimeEvent {
+  event: RealtimeEventName | string;
+  data: {
+    channel: string;
+    post_id?: number;
+    comment_id?: number | null;
+    [key: string]: any;
+  };
+}
+
 // Form and component types
 export interface PostFormData {
   content: string;
   privacy_level: PrivacyLevel;
+  // false saves a draft; publish_at schedules the post and also keeps it a draft until then
+  is_published?: boolean;
+  publish_at?: string | null;
+  poll?: PollFormData;
   files?: FileList;
 }
 
@@ -251,6 +670,8 @@ export interface UserAvatarProps {
 
 // Utility types
 export type SortOrder = 'newest' | 'oldest';
+export type PostSortOrder = SortOrder | 'hot' | 'trending' | 'best' | 'top_day' | 'top_week';
+export type PostInteractionType = 'view' | 'share' | 'deep_read' | 'quote';
 export type LoadingState = 'idle' | 'loading' | 'success' | 'error';
 
 // Theme types (for styled-components)